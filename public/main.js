@@ -7,9 +7,12 @@
   // Utilities
   function $(sel) { return document.querySelector(sel); }
   function setText(el, text) { if (el) el.textContent = text; }
-  function show(el) { if (el) el) el.style.display = ''; }
-  function hide(el) { if (el) el) el.style.display = 'none'; }
+  function show(el) { if (el) el.style.display = ''; }
+  function hide(el) { if (el) el.style.display = 'none'; }
   function qsParam(name) { return new URLSearchParams(location.search).get(name); }
+  function escapeHtml(text) {
+    return String(text == null ? '' : text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
   function pathLast() { const parts = location.pathname.split('/').filter(Boolean); return parts[parts.length - 1] || ''; }
 
   // Safe wrappers for show/hide to avoid errors if element missing
@@ -22,7 +25,11 @@
     const res = await fetch(path, Object.assign({ headers }, opts));
     if (!res.ok) {
       let msg = await res.text().catch(() => '');
-      try { const j = JSON.parse(msg); msg = j.error || msg; } catch {}
+      try {
+        const j = JSON.parse(msg);
+        if (j.banned) showBanOverlay({ reason: j.reason, expires_at: j.expires_at });
+        msg = j.error || msg;
+      } catch {}
       throw new Error(msg || res.statusText);
     }
     const ct = res.headers.get('content-type') || '';
@@ -30,49 +37,68 @@
     return res;
   }
 
-  // Device ban helpers
-  function getBanReason() {
-    try { return localStorage.getItem('reasonforbanned') || localStorage.getItem('ressonforbanned') || ''; } catch { return ''; }
-  }
-  function isDeviceBanned() {
-    try { return localStorage.getItem('userbanned') === 'true'; } catch { return false; }
-  }
-  function ensureUnbanButton() {
-    const btn = document.getElementById('unban-btn');
-    if (!btn) return;
-    btn.addEventListener('click', function () {
-      const pin = prompt('Admin PIN to unban this device:');
-      if (pin === '2529' || pin === '2520') {
-        try {
-          localStorage.removeItem('userbanned');
-          localStorage.removeItem('reasonforbanned');
-          localStorage.removeItem('ressonforbanned');
-        } catch {}
-        alert('Device unbanned. Reloading...');
-        location.reload();
-      } else if (pin !== null) {
-        alert('Incorrect PIN.');
-      }
-    }, { once: true });
-  }
-  function showBanOverlay(reason) {
+  // Bans are enforced by the server (bans.js); the client only shows the overlay
+  function showBanOverlay(ban) {
     const overlay = document.getElementById('ban-overlay');
     if (!overlay) return;
+    const inner = overlay.querySelector('.inner') || overlay;
     const p = overlay.querySelector('.reason');
-    if (p) p.textContent = 'Reason: ' + (reason || 'Violation of rules');
+    if (p) p.textContent = 'Reason: ' + (ban.reason || 'Violation of rules');
+    let expiry = overlay.querySelector('.expiry');
+    if (!expiry) { expiry = document.createElement('p'); expiry.className = 'expiry'; inner.appendChild(expiry); }
+    expiry.textContent = ban.expires_at ? 'This ban ends on ' + new Date(ban.expires_at).toLocaleString() + '.' : 'This ban is permanent.';
+    if (ban.appeal || ban.can_appeal) renderAppeal(inner, ban);
     overlay.classList.add('visible');
   }
-  function initBanState(serverBanned, serverBanReason) {
-    if (serverBanned) {
-      try {
-        localStorage.setItem('userbanned', 'true');
-        localStorage.setItem('reasonforbanned', serverBanReason || 'Violation of rules');
-        localStorage.setItem('ressonforbanned', serverBanReason || 'Violation of rules');
-      } catch {}
-    }
-    if (isDeviceBanned()) {
-      showBanOverlay(getBanReason());
+
+  const APPEAL_STATUS = { open: 'Your appeal is waiting for review.', accepted: 'Your appeal was accepted.', rejected: 'Your appeal was rejected.' };
+  function renderAppeal(inner, ban) {
+    let box = inner.querySelector('.appeal');
+    if (!box) { box = document.createElement('div'); box.className = 'appeal'; inner.appendChild(box); }
+    box.innerHTML = '';
+    if (ban.appeal) {
+      const status = document.createElement('p');
+      status.textContent = APPEAL_STATUS[ban.appeal.status] || '';
+      box.appendChild(status);
+      if (ban.appeal.response) {
+        const reply = document.createElement('p');
+        reply.textContent = 'Reply: ' + ban.appeal.response;
+        box.appendChild(reply);
+      }
+      return;
     }
+    const form = document.createElement('form');
+    const text = document.createElement('textarea');
+    text.name = 'message'; text.rows = 4; text.maxLength = 2000; text.required = true;
+    text.placeholder = 'Explain why this ban should be lifted (one appeal per ban)';
+    const btn = document.createElement('button');
+    btn.type = 'submit'; btn.className = 'button'; btn.textContent = 'Submit appeal';
+    const msg = document.createElement('p');
+    form.append(text, btn, msg);
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const data = await api('/api/appeals', { method: 'POST', body: JSON.stringify({ message: text.value }) });
+        renderAppeal(inner, Object.assign({}, ban, { appeal: data.appeal, can_appeal: false }));
+      } catch (err) { setText(msg, err.message || 'Could not submit appeal'); }
+    });
+    box.appendChild(form);
+  }
+
+  function initBanState(ban) {
+    if (ban) showBanOverlay(ban);
+  }
+
+  function setUnreadBadge(count) {
+    const badge = document.getElementById('nav-unread');
+    if (!badge) return;
+    badge.textContent = String(count);
+    badge.style.display = count ? '' : 'none';
+  }
+
+  // Admins, moderators and school moderators all get the verification dashboard
+  function canModerate(user) {
+    return !!user && (user.is_admin || user.is_moderator || (user.moderator_schools || []).length > 0);
   }
 
   // Session / nav
@@ -82,7 +108,7 @@
       setText(document.getElementById('branding') || document.querySelector('#branding'), me.branding || 'Made by Firewall Freedom');
       const user = me.user;
 
-      initBanState(me.serverBanned, me.serverBanReason);
+      initBanState(me.ban);
 
       // Update nav if present
       const navIdentity = document.getElementById('nav-user-identity');
@@ -91,8 +117,12 @@
       const navLoginLinks = document.getElementById('nav-login-links');
       const navLogout = document.getElementById('nav-logout');
       const uploadLink = document.getElementById('upload-link');
+      const uploadsLink = document.getElementById('uploads-link');
       const settingsLink = document.getElementById('settings-link');
       const adminLink = document.getElementById('admin-link');
+      const notificationsLink = document.getElementById('notifications-link');
+      const statsLink = document.getElementById('stats-link');
+      const collectionsLink = document.getElementById('collections-link');
 
       if (user) {
         if (navIdentity) navIdentity.textContent = (user.username && user.username.trim()) ? user.username : user.email;
@@ -101,8 +131,13 @@
         if (navLoginLinks) navLoginLinks.style.display = 'none';
         if (navLogout) navLogout.style.display = '';
         if (uploadLink) uploadLink.style.display = '';
+        if (uploadsLink) uploadsLink.style.display = '';
         if (settingsLink) settingsLink.style.display = '';
-        if (user.is_admin && adminLink) adminLink.style.display = '';
+        if (canModerate(user) && adminLink) adminLink.style.display = '';
+        if (notificationsLink) notificationsLink.style.display = '';
+        if (statsLink) statsLink.style.display = '';
+        if (collectionsLink) collectionsLink.style.display = '';
+        setUnreadBadge(me.unread_notifications || 0);
         // logout hook
         const logoutBtn = document.getElementById('logout-btn');
         if (logoutBtn) {
@@ -117,8 +152,12 @@
         if (navLoginLinks) navLoginLinks.style.display = '';
         if (navLogout) navLogout.style.display = 'none';
         if (uploadLink) uploadLink.style.display = 'none';
+        if (uploadsLink) uploadsLink.style.display = 'none';
         if (settingsLink) settingsLink.style.display = 'none';
         if (adminLink) adminLink.style.display = 'none';
+        if (notificationsLink) notificationsLink.style.display = 'none';
+        if (statsLink) statsLink.style.display = 'none';
+        if (collectionsLink) collectionsLink.style.display = 'none';
       }
 
       return user;
@@ -132,9 +171,10 @@
   // This solves "Failed to load PDF document" by ensuring the iframe has a blob URL that the browser can render.
   let currentBlobUrl = null;
 
-  async function fetchPdfBlobUrl(docId) {
-    // fetch binary with credentials (session cookie)
-    const res = await fetch(`/api/docs/${docId}/view`, { credentials: 'same-origin' });
+  async function fetchPdfBlobUrl(docId, version) {
+    // fetch binary with credentials (session cookie); a version number loads that revision instead of the current file
+    const path = version ? `/api/docs/${docId}/versions/${version}/view` : `/api/docs/${docId}/view`;
+    const res = await fetch(path, { credentials: 'same-origin' });
     if (!res.ok) {
       const txt = await res.text().catch(() => '');
       throw new Error(txt || 'Failed to fetch PDF');
@@ -175,8 +215,13 @@
       const doc = data.doc;
 
       // Populate metadata
-      if (metaEl) metaEl.textContent = `School: ${doc.school || '—'} | Grade: ${doc.grade_level || '—'} | Course: ${doc.course || '—'} | Tags: ${doc.tags || '—'} | Uploaded: ${new Date(doc.created_at).toLocaleString()}`;
+      if (metaEl) metaEl.textContent = `School: ${doc.school || '—'} | Grade: ${doc.grade_level || '—'} | Course: ${doc.course || '—'} | Tags: ${doc.tags || '—'} | Uploaded: ${new Date(doc.created_at).toLocaleString()} | ${doc.view_count || 0} views, ${doc.download_count || 0} downloads`;
       if (descEl) descEl.textContent = doc.description || '';
+      const uploaderEl = document.getElementById('doc-uploader');
+      // Only uploaders with a public profile are named (the username may still be an email address)
+      if (uploaderEl && data.uploader_profile) {
+        uploaderEl.innerHTML = `Uploaded by <a href="${escapeHtml(data.uploader_profile)}">${escapeHtml(doc.uploader_username)}</a>`;
+      }
 
       // Badges
       if (badgesEl) {
@@ -189,21 +234,36 @@
         }
         if (doc.status !== 'approved') {
           const p = document.createElement('p'); p.className = 'badge badge-info'; p.textContent = `Status: ${doc.status}`; badgesEl.appendChild(p);
+          if (doc.status === 'denied' && doc.denial_reason) {
+            const r = document.createElement('p'); r.className = 'badge badge-warn'; r.textContent = `Reason: ${doc.denial_reason}`; badgesEl.appendChild(r);
+          }
+        }
+        if (doc.uploaded_by === me.id) {
+          const a = document.createElement('a'); a.href = '/uploads'; a.className = 'small'; a.textContent = 'Edit, withdraw or delete in My uploads'; badgesEl.appendChild(a);
         }
       }
 
-      // Revoke any previous blob and fetch a new blob URL
-      revokeCurrentBlob();
-      currentBlobUrl = await fetchPdfBlobUrl(id);
-      // Set iframe src to blob URL
-      if (iframe) iframe.src = currentBlobUrl;
+      // Load a version into the iframe and download link (no version = the current file)
+      async function showVersion(version) {
+        // Revoke any previous blob and fetch a new blob URL
+        revokeCurrentBlob();
+        currentBlobUrl = await fetchPdfBlobUrl(id, version);
+        // Set iframe src to blob URL
+        if (iframe) iframe.src = currentBlobUrl;
 
-      // Configure download link to use same blob if possible (force download)
-      if (downloadLink) {
-        downloadLink.href = currentBlobUrl;
-        const filename = (doc.title || 'document').replace(/[^a-zA-Z0-9._-]+/g, '-') + '.pdf';
-        downloadLink.setAttribute('download', filename);
+        // The current file downloads through the API (counted in the document's stats); older versions reuse the blob
+        if (downloadLink) {
+          downloadLink.href = version && version !== doc.current_version ? currentBlobUrl : `/api/docs/${id}/download`;
+          const suffix = version && version !== doc.current_version ? `-v${version}` : '';
+          const filename = (doc.title || 'document').replace(/[^a-zA-Z0-9._-]+/g, '-') + suffix + '.pdf';
+          downloadLink.setAttribute('download', filename);
+        }
       }
+      await showVersion(null);
+      initVersions(doc, showVersion).catch(err => console.error('initVersions error', err));
+      initReport(doc, me);
+      initFeedback(doc, me, data.my_rating).catch(err => console.error('initFeedback error', err));
+      initSave(doc, data.favorite).catch(err => console.error('initSave error', err));
 
       // Revoke blob when the user navigates away or unloads
       window.addEventListener('beforeunload', revokeCurrentBlob);
@@ -220,40 +280,369 @@
     }
   }
 
+  // Report form on the document page (published documents of other users)
+  function initReport(doc, user) {
+    const wrap = document.getElementById('report-wrap');
+    const form = document.getElementById('report-form');
+    const msg = document.getElementById('report-msg');
+    if (!wrap || !form) return;
+    if (doc.uploaded_by === user.id || !['approved', 'hidden'].includes(doc.status)) return;
+    show(wrap);
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const fd = new FormData(form);
+      try {
+        await api(`/api/docs/${doc.id}/report`, { method: 'POST', body: JSON.stringify({ category: fd.get('category'), details: fd.get('details') }) });
+        hide(form);
+        msg.className = 'muted';
+        msg.textContent = 'Thanks, moderators will review your report.';
+      } catch (err) {
+        msg.className = 'error';
+        msg.textContent = err.message || 'Could not send report';
+      }
+      show(msg);
+    });
+  }
+
+  // Star rating and comment thread on the document page (published documents)
+  async function initFeedback(doc, user, myRating) {
+    const section = document.getElementById('feedback');
+    if (!section || doc.status !== 'approved') return;
+    show(section);
+    const starsEl = document.getElementById('rating-stars');
+    const ratingMsg = document.getElementById('rating-msg');
+    const list = document.getElementById('comments');
+    const form = document.getElementById('comment-form');
+    const msg = document.getElementById('comments-msg');
+
+    function renderRating(avg, count, mine) {
+      setText(document.getElementById('rating-summary'), count
+        ? `${Number(avg).toFixed(1)} out of 5 from ${count} rating${count === 1 ? '' : 's'}`
+        : 'No ratings yet.');
+      starsEl.innerHTML = '';
+      if (doc.uploaded_by === user.id) {
+        setText(ratingMsg, 'You cannot rate your own document.');
+        return;
+      }
+      for (let n = 1; n <= 5; n++) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'linklike' + (mine && n <= mine ? ' on' : '');
+        btn.textContent = '★';
+        btn.title = `${n} star${n === 1 ? '' : 's'}`;
+        btn.addEventListener('click', async () => {
+          try {
+            const r = await api(`/api/docs/${doc.id}/rating`, { method: 'POST', body: JSON.stringify({ stars: n }) });
+            renderRating(r.rating_avg, r.rating_count, r.stars);
+            setText(ratingMsg, `You rated this ${r.stars} out of 5. Click a star to change it.`);
+          } catch (err) { setText(ratingMsg, err.message || 'Could not save rating'); }
+        });
+        starsEl.appendChild(btn);
+      }
+      if (!ratingMsg.textContent) setText(ratingMsg, mine ? `You rated this ${mine} out of 5. Click a star to change it.` : 'Click a star to rate this document.');
+    }
+    renderRating(doc.rating_avg, doc.rating_count, myRating);
+
+    async function post(path, payload) {
+      await api(`/api/docs/${doc.id}/comments${path}`, { method: 'POST', body: JSON.stringify(payload) });
+      await load();
+    }
+
+    // Inline editor under a comment, used for replies and edits
+    function inlineForm(li, value, label, onSubmit) {
+      const existing = li.querySelector(':scope > form');
+      if (existing) { existing.remove(); return; }
+      const f = document.createElement('form');
+      f.className = 'comment-form';
+      const text = document.createElement('textarea');
+      text.rows = 3; text.maxLength = 2000; text.required = true; text.value = value;
+      const btn = document.createElement('button');
+      btn.type = 'submit'; btn.textContent = label;
+      const err = document.createElement('p');
+      err.className = 'error';
+      f.append(text, btn, err);
+      f.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try { await onSubmit(text.value); } catch (ex) { setText(err, ex.message || 'Could not save comment'); }
+      });
+      li.insertBefore(f, li.querySelector(':scope > ul'));
+      text.focus();
+    }
+
+    function renderThread(children, parentId, ul) {
+      (children.get(parentId) || []).forEach(c => {
+        const li = document.createElement('li');
+        li.className = 'comment';
+        const meta = document.createElement('p');
+        meta.className = 'meta';
+        const body = document.createElement('p');
+        body.className = 'body';
+        if (c.status === 'visible') {
+          const who = document.createElement('strong');
+          if (c.author_profile) {
+            const a = document.createElement('a');
+            a.href = c.author_profile;
+            a.textContent = c.author;
+            who.appendChild(a);
+          } else {
+            who.textContent = c.author;
+          }
+          meta.appendChild(who);
+          if (c.is_uploader) {
+            const badge = document.createElement('span');
+            badge.className = 'badge badge-info';
+            badge.textContent = 'Uploader';
+            meta.append(' ', badge);
+          }
+          meta.append(` · ${new Date(c.created_at).toLocaleString()}${c.edited_at ? ' (edited)' : ''}`);
+          body.textContent = c.body;
+        } else {
+          body.className = 'body muted';
+          body.textContent = c.status === 'removed' ? '[removed by a moderator]' : '[deleted]';
+        }
+        li.append(meta, body);
+
+        if (c.status === 'visible') {
+          const actions = document.createElement('p');
+          actions.className = 'actions';
+          const action = (label, handler) => {
+            const btn = document.createElement('button');
+            btn.type = 'button'; btn.className = 'linklike'; btn.textContent = label;
+            btn.addEventListener('click', () => handler().catch(err => setText(msg, err.message || 'Could not update comment')));
+            actions.appendChild(btn);
+          };
+          action('Reply', async () => inlineForm(li, '', 'Reply', text => post('', { body: text, parent_id: c.id })));
+          if (c.can_edit) action('Edit', async () => inlineForm(li, c.body, 'Save', text => post(`/${c.id}/edit`, { body: text })));
+          if (c.can_delete) {
+            action(c.can_edit ? 'Delete' : 'Remove', async () => {
+              if (!confirm(c.can_edit ? 'Delete your comment?' : 'Remove this comment as a moderator?')) return;
+              await post(`/${c.id}/delete`, {});
+            });
+          }
+          li.appendChild(actions);
+        }
+        const replies = document.createElement('ul');
+        replies.className = 'comments';
+        renderThread(children, c.id, replies);
+        li.appendChild(replies);
+        ul.appendChild(li);
+      });
+    }
+
+    async function load() {
+      const data = await api(`/api/docs/${doc.id}/comments`);
+      const comments = data.comments || [];
+      const children = new Map();
+      comments.forEach(c => {
+        const key = c.parent_id || null;
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(c);
+      });
+      list.innerHTML = '';
+      renderThread(children, null, list);
+      const visible = comments.filter(c => c.status === 'visible').length;
+      setText(document.getElementById('comment-count'), visible ? `(${visible})` : '');
+      setText(msg, comments.length ? '' : 'No comments yet.');
+    }
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        await post('', { body: form.body.value });
+        form.reset();
+      } catch (err) { setText(msg, err.message || 'Could not post comment'); }
+    });
+
+    await load().catch(err => setText(msg, err.message || 'Could not load comments'));
+  }
+
+  // Favorite toggle and "Add to collection" on the document page
+  async function initSave(doc, favorite) {
+    const wrap = document.getElementById('save-wrap');
+    const favBtn = document.getElementById('favorite-btn');
+    const list = document.getElementById('doc-collections');
+    const form = document.getElementById('new-collection-form');
+    const msg = document.getElementById('save-msg');
+    if (!wrap) return;
+    show(wrap);
+
+    function renderFavorite(on) {
+      favorite = on;
+      favBtn.textContent = on ? '★ In favorites' : '☆ Add to favorites';
+    }
+    renderFavorite(favorite);
+    favBtn.addEventListener('click', async () => {
+      try {
+        const data = favorite
+          ? await api(`/api/favorites/${doc.id}`, { method: 'DELETE' })
+          : await api('/api/favorites', { method: 'POST', body: JSON.stringify({ doc_id: doc.id }) });
+        renderFavorite(data.favorite);
+      } catch (err) { setText(msg, err.message || 'Could not update favorites'); }
+    });
+
+    async function load() {
+      const data = await api(`/api/collections?doc_id=${encodeURIComponent(doc.id)}`);
+      list.innerHTML = '';
+      (data.collections || []).forEach(c => {
+        const li = document.createElement('li');
+        const label = document.createElement('label');
+        label.className = 'inline';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = c.contains_doc;
+        box.addEventListener('change', async () => {
+          try {
+            if (box.checked) await api(`/api/collections/${c.id}/items`, { method: 'POST', body: JSON.stringify({ doc_id: doc.id }) });
+            else await api(`/api/collections/${c.id}/items/${doc.id}`, { method: 'DELETE' });
+            setText(msg, box.checked ? `Added to "${c.name}".` : `Removed from "${c.name}".`);
+          } catch (err) {
+            box.checked = !box.checked;
+            setText(msg, err.message || 'Could not update collection');
+          }
+        });
+        const link = document.createElement('a');
+        link.href = `/collections/${c.id}`;
+        link.textContent = c.name;
+        label.append(box, link);
+        li.appendChild(label);
+        list.appendChild(li);
+      });
+    }
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const created = await api('/api/collections', { method: 'POST', body: JSON.stringify({ name: form.name.value }) });
+        await api(`/api/collections/${created.id}/items`, { method: 'POST', body: JSON.stringify({ doc_id: doc.id }) });
+        setText(msg, `Added to "${form.name.value}".`);
+        form.reset();
+        await load();
+      } catch (err) { setText(msg, err.message || 'Could not create collection'); }
+    });
+
+    await load().catch(err => setText(msg, err.message || 'Could not load collections'));
+  }
+
+  // Version picker and owner revision upload on the document page
+  async function initVersions(doc, showVersion) {
+    const wrap = document.getElementById('versions-wrap');
+    const select = document.getElementById('version-select');
+    const revisionWrap = document.getElementById('revision-wrap');
+    const form = document.getElementById('revision-form');
+    const msg = document.getElementById('revision-msg');
+    if (!wrap || !select) return;
+
+    const data = await api(`/api/docs/${doc.id}/versions`);
+    const versions = data.versions || [];
+    select.innerHTML = '';
+    versions.forEach(v => {
+      const opt = document.createElement('option');
+      opt.value = String(v.version);
+      let label = `v${v.version} — ${new Date(v.created_at).toLocaleDateString()}`;
+      if (v.version === data.current_version) label += ' (current)';
+      else if (v.status !== 'approved') label += ` (${v.status}${v.denial_reason ? ': ' + v.denial_reason : ''})`;
+      if (v.note) label += ` — ${v.note}`;
+      opt.textContent = label;
+      opt.selected = v.version === data.current_version;
+      select.appendChild(opt);
+    });
+    if (versions.length > 1) show(wrap);
+
+    select.addEventListener('change', () => {
+      const version = Number(select.value);
+      showVersion(version === data.current_version ? null : version).catch(err => {
+        const errorEl = document.getElementById('doc-error');
+        if (errorEl) { errorEl.style.display = ''; errorEl.textContent = err.message || 'Unable to load version'; }
+      });
+    });
+
+    if (!data.can_upload || !form) return;
+    show(revisionWrap);
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const j = await api(`/api/docs/${doc.id}/versions`, { method: 'POST', body: new FormData(form) });
+        form.reset();
+        msg.className = 'muted';
+        msg.textContent = j.awaiting_review === 'revision'
+          ? `Revision v${j.version} uploaded. The current version stays visible until a moderator approves it.`
+          : `Revision v${j.version} uploaded and is waiting for review.`;
+        show(msg);
+        setTimeout(() => location.reload(), 1500);
+      } catch (err) {
+        msg.className = 'error';
+        msg.textContent = err.message || 'Revision upload failed';
+        show(msg);
+      }
+    });
+  }
+
   // --- Other page initializers (home, login, register, upload, admin, settings) ---
   async function initHome() {
     const qInput = document.getElementById('q');
     const schoolInput = document.getElementById('school');
-    const params = new URLSearchParams(location.search);
-    if (qInput) qInput.value = params.get('q') || '';
-    if (schoolInput) schoolInput.value = params.get('school') || '';
-
-    async function runSearch() {
-      const q = (qInput && qInput.value) ? qInput.value.trim() : '';
-      const school = (schoolInput && schoolInput.value) ? schoolInput.value.trim() : '';
-      const url = `/api/docs/search?q=${encodeURIComponent(q)}&school=${encodeURIComponent(school)}`;
-      const data = await api(url);
-      const list = document.getElementById('docs-list');
-      if (!list) return;
-      list.innerHTML = '';
-      if (!data.docs || data.docs.length === 0) {
-        const noDocs = document.getElementById('no-docs');
-        if (noDocs) noDocs.style.display = '';
-        return;
-      }
-      const noDocs = document.getElementById('no-docs');
-      if (noDocs) noDocs.style.display = 'none';
-      data.docs.forEach(doc => {
+    const list = document.getElementById('docs-list');
+    const heading = document.getElementById('docs-heading');
+    const browseSection = document.getElementById('browse');
+    const filtersForm = document.getElementById('search-filters');
+    const more = document.getElementById('docs-more');
+    const zip = document.getElementById('docs-zip');
+    const signedIn = initSession().then(u => !!u);
+
+    // Everything the list shows comes from the URL: ?q=&school=&course=&grade=&tag=&uploader=&from=&to=&sort=
+    // (a tag on its own is /tags/<tag>). Facet links and filter chips change the URL and reload the list.
+    const KEYS = ['q', 'school', 'course', 'grade', 'tag', 'uploader', 'from', 'to', 'sort'];
+    const SORT_LABELS = { relevance: 'Best match', newest: 'Newest', most_downloaded: 'Most downloaded', top_rated: 'Top rated' };
+
+    function currentParams() {
+      const search = new URLSearchParams(location.search);
+      const params = {};
+      KEYS.forEach(k => { if (search.get(k)) params[k] = search.get(k); });
+      if (location.pathname.startsWith('/tags/')) params.tag = decodeURIComponent(pathLast());
+      return params;
+    }
+
+    function urlFor(params) {
+      const keys = KEYS.filter(k => params[k]);
+      if (keys.length === 1 && keys[0] === 'tag') return `/tags/${encodeURIComponent(params.tag)}`;
+      const search = new URLSearchParams();
+      keys.forEach(k => search.set(k, params[k]));
+      return keys.length ? `/?${search.toString()}` : '/';
+    }
+
+    function navigate(params) {
+      const url = urlFor(params);
+      if (location.pathname + location.search !== url) history.pushState({}, '', url);
+      reload();
+    }
+
+    function navLink(text, params) {
+      const a = document.createElement('a');
+      a.href = urlFor(params);
+      a.textContent = text;
+      a.addEventListener('click', (e) => { e.preventDefault(); navigate(params); });
+      return a;
+    }
+
+    function tagLinks(tags) {
+      return String(tags || '').split(',').map(t => t.trim()).filter(Boolean)
+        .map(t => `<a href="/tags/${encodeURIComponent(t)}">${escapeHtml(t)}</a>`).join(', ');
+    }
+
+    function appendDocs(docs) {
+      docs.forEach(doc => {
         const li = document.createElement('li');
         li.className = 'doc-item';
         li.innerHTML = `
-          <h3><a href="/docs/${doc.id}">${doc.title}</a></h3>
+          <h3><a href="/docs/${doc.id}">${escapeHtml(doc.title)}</a></h3>
           <p class="meta">
-            <strong>School:</strong> ${doc.school || '—'}
-            ${doc.grade_level ? ` | <strong>Grade:</strong> ${doc.grade_level}` : ''}
-            ${doc.course ? ` | <strong>Course:</strong> ${doc.course}` : ''}
-            ${doc.tags ? ` | <strong>Tags:</strong> ${doc.tags}` : ''}
+            <strong>School:</strong> ${escapeHtml(doc.school || '—')}
+            ${doc.grade_level ? ` | <strong>Grade:</strong> ${escapeHtml(doc.grade_level)}` : ''}
+            ${doc.course ? ` | <strong>Course:</strong> ${escapeHtml(doc.course)}` : ''}
+            ${doc.tags ? ` | <strong>Tags:</strong> ${tagLinks(doc.tags)}` : ''}
           </p>
+          ${doc.rating_count || doc.comment_count ? `<p class="meta">${doc.rating_count ? `★ ${Number(doc.rating_avg).toFixed(1)} (${doc.rating_count})` : ''}${doc.rating_count && doc.comment_count ? ' · ' : ''}${doc.comment_count ? `${doc.comment_count} comment${doc.comment_count === 1 ? '' : 's'}` : ''}</p>` : ''}
+          ${doc.snippet ? `<p class="snippet">${doc.snippet}</p>` : ''}
           ${doc.uploader_status === 'banned' ? `<p class="badge badge-warn">Uploader is banned</p>` : ''}
           <p class="time">${new Date(doc.created_at).toLocaleString()}</p>
         `;
@@ -261,36 +650,222 @@
       });
     }
 
+    // Filter chips for the current parameters; course ids are shown with their label from the browse API
+    function renderChips(params, selected) {
+      const trail = document.getElementById('browse-trail');
+      if (!trail) return;
+      trail.innerHTML = '';
+      const labels = {
+        q: `Search: "${params.q}"`,
+        school: `School: ${selected.school ? selected.school.name : params.school}`,
+        course: `Course: ${selected.course ? selected.course.label : params.course}`,
+        grade: `Grade: ${params.grade}`,
+        tag: `Tag: ${params.tag}`,
+        uploader: `Uploader: ${params.uploader}`,
+        from: `From ${params.from}`,
+        to: `To ${params.to}`,
+        sort: `Sort: ${SORT_LABELS[params.sort] || params.sort}`
+      };
+      const active = KEYS.filter(k => params[k]);
+      active.forEach(key => {
+        const chip = document.createElement('span');
+        chip.className = 'badge badge-info';
+        // Removing the school also drops its course
+        const rest = Object.assign({}, params, { [key]: '' }, key === 'school' ? { course: '' } : {});
+        chip.append(labels[key] + ' ', navLink('×', rest));
+        trail.append(chip, ' ');
+      });
+      if (active.length) trail.appendChild(navLink('Clear all', {}));
+    }
+
+    // Drill-down facets (school → course → grade → tag); hidden while a text query is active
+    function renderFacets(params, data) {
+      const facets = document.getElementById('browse-facets');
+      if (!facets) return;
+      facets.innerHTML = '';
+      if (params.q || !data) return;
+      const groups = [
+        ['Schools', 'school', data.facets.schools, f => f.name, f => f.name],
+        ['Courses', 'course', data.facets.courses, f => f.label, f => f.id],
+        ['Grades', 'grade', data.facets.grades, f => f.grade_level, f => f.grade_level],
+        ['Tags', 'tag', data.facets.tags, f => f.tag, f => f.tag]
+      ];
+      groups.forEach(([title, key, values, label, value]) => {
+        if (data.selected[key] || !values || !values.length) return;
+        const box = document.createElement('div');
+        const h = document.createElement('h3');
+        h.textContent = title;
+        const ul = document.createElement('ul');
+        values.forEach(f => {
+          const li = document.createElement('li');
+          const next = Object.assign({}, params, { [key]: value(f) }, key === 'school' ? { course: '' } : {});
+          li.append(navLink(label(f), next), ` (${f.count})`);
+          ul.appendChild(li);
+        });
+        box.append(h, ul);
+        facets.appendChild(box);
+      });
+    }
+
+    function fillFiltersForm(params) {
+      if (!filtersForm) return;
+      ['sort', 'grade', 'tag', 'uploader', 'from', 'to'].forEach(k => {
+        const field = filtersForm.elements[k];
+        if (field) field.value = params[k] || '';
+      });
+    }
+
+    // Results are paged with the search cursor; scrolling to the end of the list loads the next page
+    let generation = 0;
+    let nextCursor = null;
+    let loading = false;
+
+    async function loadPage(params, gen) {
+      loading = true;
+      setText(more, 'Loading…');
+      show(more);
+      try {
+        const search = new URLSearchParams(params);
+        if (nextCursor) search.set('cursor', nextCursor);
+        const data = await api(`/api/docs/search?${search.toString()}`);
+        if (gen !== generation) return;
+        appendDocs(data.docs || []);
+        nextCursor = data.next_cursor;
+        const noDocs = document.getElementById('no-docs');
+        if (noDocs) noDocs.style.display = list.children.length ? 'none' : '';
+        if (zip && list.children.length && await signedIn) {
+          document.getElementById('docs-zip-link').href = `/api/docs/search/zip?${new URLSearchParams(params).toString()}`;
+          show(zip);
+        }
+        setText(heading, Object.keys(params).length ? `Documents (${data.total})` : 'Recent Documents');
+      } finally {
+        if (gen === generation) {
+          loading = false;
+          if (nextCursor) setText(more, 'Scroll for more'); else hide(more);
+        }
+      }
+    }
+
+    async function reload() {
+      const params = currentParams();
+      const gen = ++generation;
+      nextCursor = null;
+      loading = false;
+      list.innerHTML = '';
+      if (zip) hide(zip);
+      if (qInput) qInput.value = params.q || '';
+      if (schoolInput) schoolInput.value = params.school || '';
+      fillFiltersForm(params);
+
+      let browse = null;
+      const browseParams = new URLSearchParams();
+      ['school', 'course', 'grade', 'tag'].forEach(k => { if (params[k]) browseParams.set(k, params[k]); });
+      try {
+        browse = await api(`/api/browse?${browseParams.toString()}`);
+      } catch (e) {
+        browse = null; // e.g. a school that is not in the directory: searched by name instead
+      }
+      if (gen !== generation) return;
+      renderChips(params, browse ? browse.selected : {});
+      renderFacets(params, browse);
+      if (document.getElementById('browse-facets').children.length) show(browseSection); else hide(browseSection);
+
+      await loadPage(params, gen).catch(err => {
+        console.error('search error', err);
+        setText(heading, err.message || 'Search failed');
+      });
+    }
+
+    if (more && 'IntersectionObserver' in window) {
+      new IntersectionObserver(entries => {
+        if (entries.some(e => e.isIntersecting) && nextCursor && !loading) {
+          loadPage(currentParams(), generation).catch(console.error);
+        }
+      }, { rootMargin: '200px' }).observe(more);
+    }
+
     const searchForm = document.getElementById('search-form');
     if (searchForm) {
       searchForm.addEventListener('submit', (e) => {
         e.preventDefault();
-        const q = (qInput && qInput.value) ? qInput.value.trim() : '';
-        const school = (schoolInput && schoolInput.value) ? schoolInput.value.trim() : '';
-        const newUrl = `/?q=${encodeURIComponent(q)}&school=${encodeURIComponent(school)}`;
-        if (location.href !== newUrl) history.replaceState({}, '', newUrl);
-        runSearch().catch(console.error);
+        const params = Object.assign({}, currentParams(), {
+          q: qInput ? qInput.value.trim() : '',
+          school: schoolInput ? schoolInput.value.trim() : ''
+        });
+        if (params.school !== currentParams().school) params.course = '';
+        if (!params.q && params.sort === 'relevance') params.sort = '';
+        navigate(params);
+      });
+    }
+    if (filtersForm) {
+      const grade = filtersForm.elements.grade;
+      for (let g = 1; g <= 14; g++) grade.add(new Option(String(g), String(g)));
+      grade.add(new Option('College', 'College'));
+      filtersForm.addEventListener('change', () => {
+        const fd = new FormData(filtersForm);
+        const params = Object.assign({}, currentParams());
+        ['sort', 'grade', 'tag', 'uploader', 'from', 'to'].forEach(k => { params[k] = String(fd.get(k) || '').trim(); });
+        navigate(params);
       });
+      filtersForm.addEventListener('submit', (e) => e.preventDefault());
     }
+    window.addEventListener('popstate', () => reload());
 
-    // Leaderboard
-    try {
-      const lb = await api('/api/leaderboard');
+    // Leaderboard (window: last 7 days, last 30 days or all time; optionally one school)
+    const lbForm = document.getElementById('leaderboard-filters');
+    async function loadLeaderboard() {
       const ol = document.getElementById('leaderboard');
-      if (ol) {
-        ol.innerHTML = '';
-        (lb.leaders || []).forEach(l => {
-          const name = (l.username && l.username.trim()) ? l.username : l.email;
-          const li = document.createElement('li');
+      if (!ol) return;
+      const params = new URLSearchParams(lbForm ? new FormData(lbForm) : undefined);
+      const lb = await api(`/api/leaderboard?${params.toString()}`);
+      ol.innerHTML = '';
+      (lb.leaders || []).forEach(l => {
+        const name = l.username || 'Anonymous';
+        const li = document.createElement('li');
+        if (l.profile_url) {
+          const a = document.createElement('a');
+          a.href = l.profile_url;
+          a.textContent = name;
+          li.append(a, ` | ${l.points} pts`);
+        } else {
           li.textContent = `${name} | ${l.points} pts`;
-          ol.appendChild(li);
-        });
-      }
-    } catch (e) {
-      console.error('leaderboard load error', e);
+        }
+        ol.appendChild(li);
+      });
+      const empty = document.getElementById('no-leaders');
+      if (empty) empty.style.display = (lb.leaders || []).length ? 'none' : '';
+    }
+    if (lbForm) {
+      lbForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadLeaderboard().catch(e => console.error('leaderboard load error', e));
+      });
+      lbForm.addEventListener('change', () => {
+        loadLeaderboard().catch(e => console.error('leaderboard load error', e));
+      });
+    }
+    loadLeaderboard().catch(e => console.error('leaderboard load error', e));
+
+    // Most viewed and downloaded documents of the last 7 days; the section stays hidden without activity
+    async function loadTrending() {
+      const ol = document.getElementById('trending-list');
+      if (!ol) return;
+      const data = await api('/api/docs/trending');
+      ol.innerHTML = '';
+      (data.docs || []).forEach(doc => {
+        const li = document.createElement('li');
+        li.innerHTML = `
+          <a href="/docs/${doc.id}">${escapeHtml(doc.title)}</a>
+          <span class="muted">${escapeHtml(doc.school || '')}${doc.course ? ` · ${escapeHtml(doc.course)}` : ''}
+            · ${doc.views} view${doc.views === 1 ? '' : 's'}, ${doc.downloads} download${doc.downloads === 1 ? '' : 's'}</span>
+        `;
+        ol.appendChild(li);
+      });
+      document.getElementById('trending').style.display = (data.docs || []).length ? '' : 'none';
     }
+    loadTrending().catch(e => console.error('trending load error', e));
 
-    runSearch().catch(console.error);
+    reload();
   }
 
   async function initLogin() {
@@ -301,9 +876,7 @@
       const fd = new FormData(form);
       const payload = {
         email: fd.get('email'),
-        password: fd.get('password'),
-        client_banned: isDeviceBanned(),
-        client_ban_reason: getBanReason() || 'Device banned'
+        password: fd.get('password')
       };
       try {
         await api('/api/auth/login', { method: 'POST', body: JSON.stringify(payload) });
@@ -325,9 +898,7 @@
         email: fd.get('email'),
         username: fd.get('username'),
         password: fd.get('password'),
-        confirm: fd.get('confirm'),
-        client_banned: isDeviceBanned(),
-        client_ban_reason: getBanReason() || 'Device banned'
+        confirm: fd.get('confirm')
       };
       try {
         await api('/api/auth/register', { method: 'POST', body: JSON.stringify(payload) });
@@ -352,6 +923,7 @@
     }
     const form = document.getElementById('upload-form');
     if (!form) return;
+    initCourseSuggestions(form);
     form.addEventListener('submit', async (e) => {
       e.preventDefault();
       const fd = new FormData(form);
@@ -377,64 +949,1330 @@
 
   async function initAdmin() {
     const user = await initSession();
-    if (!user || !user.is_admin) {
+    if (!canModerate(user)) {
       const gate = document.getElementById('admin-gate');
       if (gate) gate.style.display = '';
       return;
     }
-    try {
-      const data = await api('/api/admin/pending');
-      const doc = data.doc;
-      if (!doc) {
-        const np = document.getElementById('no-pending'); if (np) np.style.display = '';
-        return;
-      }
-      const card = document.getElementById('verify-card'); if (card) card.style.display = '';
+
+    const filtersForm = document.getElementById('queue-filters');
+    const listEl = document.getElementById('queue-list');
+    const selectAll = document.getElementById('select-all');
+    const bulkApproveBtn = document.getElementById('bulk-approve-btn');
+    const bulkDenyBtn = document.getElementById('bulk-deny-btn');
+    const prevBtn = document.getElementById('prev-page');
+    const nextBtn = document.getElementById('next-page');
+    const errorEl = document.getElementById('admin-error');
+
+    const state = { page: 1, pageSize: 20, total: 0, docs: [], selected: new Set(), current: null };
+
+    function showError(err) {
+      console.error('initAdmin error', err);
+      if (errorEl) { errorEl.style.display = ''; errorEl.textContent = err.message || 'Error loading queue'; }
+    }
+
+    function updateBulkButtons() {
+      const n = state.selected.size;
+      bulkApproveBtn.disabled = n === 0;
+      bulkDenyBtn.disabled = n === 0;
+      bulkApproveBtn.textContent = n ? `Approve selected (${n})` : 'Approve selected';
+      bulkDenyBtn.textContent = n ? `Deny selected (${n})` : 'Deny selected';
+      selectAll.checked = state.docs.length > 0 && state.docs.every(d => state.selected.has(d.id));
+    }
+
+    function preview(doc) {
+      state.current = doc;
+      hide(document.getElementById('no-selection'));
+      show(document.getElementById('verify-card'));
       document.getElementById('doc-title').textContent = doc.title;
       document.getElementById('doc-meta-1').textContent = `Uploader: ${doc.uploader_username || doc.uploader_email || 'Unknown'} ${doc.uploader_status === 'banned' ? '(banned)' : ''}`;
-      document.getElementById('doc-meta-2').textContent = `School: ${doc.school || '—'} | Grade: ${doc.grade_level || '—'} | Course: ${doc.course || '—'}`;
-      document.getElementById('doc-desc').textContent = doc.description || '';
-      document.getElementById('doc-iframe').src = `/api/docs/${doc.id}/view`; // admin preview can be direct
-      document.getElementById('approve-btn').addEventListener('click', async () => {
-        await api('/api/admin/approve', { method: 'POST', body: JSON.stringify({ doc_id: doc.id, uploader_id: doc.uploaded_by }) });
-        location.reload();
-      });
-      document.getElementById('deny-btn').addEventListener('click', async () => {
-        await api('/api/admin/deny', { method: 'POST', body: JSON.stringify({ doc_id: doc.id }) });
-        location.reload();
-      });
-      document.getElementById('ban-btn').addEventListener('click', async () => {
-        const reason = document.getElementById('ban-reason').value || 'Violation of rules';
-        await api('/api/admin/block-user', { method: 'POST', body: JSON.stringify({ uploader_id: doc.uploaded_by, reason }) });
-        location.reload();
+      document.getElementById('doc-meta-2').textContent = `School: ${doc.school || '—'} | Grade: ${doc.grade_level || '—'} | Course: ${doc.course || '—'} | Uploaded: ${new Date(doc.created_at).toLocaleString()}`;
+      document.getElementById('doc-desc').textContent = doc.pending_version
+        ? `Revision v${doc.pending_version} of an approved document${doc.pending_version_note ? ` — ${doc.pending_version_note}` : ''}`
+        : (doc.description || '');
+      // admin preview can be direct; revisions show the pending file rather than the live one
+      document.getElementById('doc-iframe').src = doc.pending_version
+        ? `/api/docs/${doc.id}/versions/${doc.pending_version}/view`
+        : `/api/docs/${doc.id}/view`;
+      listEl.querySelectorAll('.queue-item').forEach(li => li.classList.toggle('active', li.dataset.id === doc.id));
+    }
+
+    function renderList() {
+      listEl.innerHTML = '';
+      state.docs.forEach(doc => {
+        const li = document.createElement('li');
+        li.className = 'queue-item';
+        li.dataset.id = doc.id;
+
+        const cb = document.createElement('input');
+        cb.type = 'checkbox';
+        cb.checked = state.selected.has(doc.id);
+        cb.addEventListener('click', (e) => e.stopPropagation());
+        cb.addEventListener('change', () => {
+          if (cb.checked) state.selected.add(doc.id); else state.selected.delete(doc.id);
+          updateBulkButtons();
+        });
+
+        const body = document.createElement('div');
+        const title = document.createElement('div'); title.className = 'title';
+        title.textContent = doc.pending_version ? `${doc.title} (Revision v${doc.pending_version})` : doc.title;
+        const meta = document.createElement('div'); meta.className = 'meta';
+        meta.textContent = `${doc.school || '—'} | Grade ${doc.grade_level || '—'} | ${doc.uploader_username || doc.uploader_email || 'Unknown'}${doc.uploader_status === 'banned' ? ' (banned)' : ''}`;
+        const time = document.createElement('div'); time.className = 'time'; time.textContent = new Date(doc.queued_at || doc.created_at).toLocaleString();
+        body.append(title, meta, time);
+
+        li.append(cb, body);
+        li.addEventListener('click', () => preview(doc));
+        listEl.appendChild(li);
       });
-    } catch (e) {
-      console.error('initAdmin error', e);
-      const el = document.getElementById('admin-error'); if (el) { el.style.display = ''; el.textContent = e.message || 'Error loading pending doc'; }
+      if (state.current) {
+        const stillListed = state.docs.find(d => d.id === state.current.id);
+        if (stillListed) preview(stillListed);
+      }
+    }
+
+    function fillDenialReasons(reasons) {
+      const list = document.getElementById('denial-reasons');
+      if (!list || list.options.length) return;
+      reasons.forEach(r => { const opt = document.createElement('option'); opt.value = r; list.appendChild(opt); });
+    }
+
+    // Denying needs a reason; it is shown to the uploader
+    function denialReason(inputId) {
+      const input = document.getElementById(inputId);
+      const reason = input ? input.value.trim() : '';
+      if (!reason) {
+        showError(new Error('Choose or type a denial reason first.'));
+        if (input) input.focus();
+      }
+      return reason;
+    }
+
+    async function loadQueue() {
+      const params = new URLSearchParams();
+      new FormData(filtersForm).forEach((v, k) => { if (v) params.set(k, v); });
+      params.set('page', String(state.page));
+      params.set('page_size', String(state.pageSize));
+      const data = await api(`/api/admin/queue?${params.toString()}`);
+
+      state.docs = data.docs || [];
+      state.total = data.total || 0;
+      fillDenialReasons(data.denial_reasons || []);
+      state.selected = new Set(Array.from(state.selected).filter(id => state.docs.some(d => d.id === id)));
+
+      show(document.getElementById('queue-wrap'));
+      const np = document.getElementById('no-pending');
+      if (np) np.style.display = state.total === 0 ? '' : 'none';
+
+      const pages = Math.max(Math.ceil(state.total / state.pageSize), 1);
+      if (state.page > pages) { state.page = pages; return loadQueue(); }
+      setText(document.getElementById('queue-summary'), `${state.total} matching of ${data.total_pending} pending`);
+      setText(document.getElementById('page-info'), `Page ${state.page} of ${pages}`);
+      prevBtn.disabled = state.page <= 1;
+      nextBtn.disabled = state.page >= pages;
+
+      renderList();
+      updateBulkButtons();
+    }
+
+    async function afterAction(removedIds) {
+      removedIds.forEach(id => state.selected.delete(id));
+      if (state.current && removedIds.includes(state.current.id)) {
+        state.current = null;
+        hide(document.getElementById('verify-card'));
+        show(document.getElementById('no-selection'));
+      }
+      await loadQueue();
     }
+
+    filtersForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      state.page = 1;
+      loadQueue().catch(showError);
+    });
+    prevBtn.addEventListener('click', () => { state.page--; loadQueue().catch(showError); });
+    nextBtn.addEventListener('click', () => { state.page++; loadQueue().catch(showError); });
+    selectAll.addEventListener('change', () => {
+      state.docs.forEach(d => { if (selectAll.checked) state.selected.add(d.id); else state.selected.delete(d.id); });
+      renderList();
+      updateBulkButtons();
+    });
+
+    bulkApproveBtn.addEventListener('click', async () => {
+      const ids = Array.from(state.selected);
+      if (!ids.length || !confirm(`Approve ${ids.length} document(s)?`)) return;
+      try {
+        await api('/api/admin/approve-bulk', { method: 'POST', body: JSON.stringify({ doc_ids: ids }) });
+        await afterAction(ids);
+      } catch (e) { showError(e); }
+    });
+    bulkDenyBtn.addEventListener('click', async () => {
+      const ids = Array.from(state.selected);
+      const reason = denialReason('bulk-deny-reason');
+      if (!ids.length || !reason || !confirm(`Deny ${ids.length} document(s)?`)) return;
+      try {
+        await api('/api/admin/deny-bulk', { method: 'POST', body: JSON.stringify({ doc_ids: ids, reason }) });
+        await afterAction(ids);
+      } catch (e) { showError(e); }
+    });
+
+    document.getElementById('approve-btn').addEventListener('click', async () => {
+      const doc = state.current; if (!doc) return;
+      try {
+        await api('/api/admin/approve', { method: 'POST', body: JSON.stringify({ doc_id: doc.id }) });
+        await afterAction([doc.id]);
+      } catch (e) { showError(e); }
+    });
+    document.getElementById('deny-btn').addEventListener('click', async () => {
+      const doc = state.current; if (!doc) return;
+      const reason = denialReason('deny-reason');
+      if (!reason) return;
+      try {
+        await api('/api/admin/deny', { method: 'POST', body: JSON.stringify({ doc_id: doc.id, reason }) });
+        document.getElementById('deny-reason').value = '';
+        await afterAction([doc.id]);
+      } catch (e) { showError(e); }
+    });
+    document.getElementById('ban-btn').addEventListener('click', async () => {
+      const doc = state.current; if (!doc) return;
+      const reason = document.getElementById('ban-reason').value || 'Violation of rules';
+      const duration_days = document.getElementById('ban-duration').value;
+      try {
+        await api('/api/admin/block-user', { method: 'POST', body: JSON.stringify({ uploader_id: doc.uploaded_by, reason, duration_days }) });
+        await loadQueue();
+      } catch (e) { showError(e); }
+    });
+
+    loadQueue().catch(showError);
+    if (user.is_admin) show(document.getElementById('schools-link'));
+    if (user.is_admin) initRoles().catch(showError);
+    if (user.is_admin) initBans().catch(showError);
+    if (user.is_admin) initAppeals().catch(showError);
+    if (user.is_admin) initPurges().catch(showError);
+    if (user.is_admin) initSyncPanel().catch(showError);
   }
 
-  async function initSettings() {
-    const user = await initSession();
-    if (!user) {
-      document.getElementById('settings-gate').style.display = '';
-      document.getElementById('settings-form-wrap').style.display = 'none';
-      return;
+  // Ban management on the admin page (admins only)
+  async function initBans() {
+    const card = document.getElementById('bans-card');
+    const form = document.getElementById('ban-form');
+    const tbody = document.getElementById('bans-list');
+    const msg = document.getElementById('bans-msg');
+    if (!card || !form || !tbody) return;
+    show(card);
+
+    function target(b) {
+      if (b.kind === 'account') return b.account_username || b.account_email || b.value;
+      if (b.kind === 'device') return `${b.value.slice(0, 12)}…${b.linked_to ? ' (used with a banned account)' : ''}`;
+      return b.value;
     }
-    document.getElementById('settings-email').value = user.email || '';
-    document.getElementById('settings-username').value = (user.username && user.username.trim()) ? user.username : user.email;
-    document.getElementById('save-username-btn')?.addEventListener('click', async () => {
-      const newUsername = document.getElementById('settings-username').value.trim();
+
+    async function showHistory(b) {
+      const box = document.getElementById('ban-history');
+      const list = document.getElementById('ban-history-list');
+      if (!box || !list) return;
+      const data = await api('/api/admin/ban-events?user=' + encodeURIComponent(b.value));
+      setText(document.getElementById('ban-history-title'), 'Ban history: ' + target(b));
+      list.innerHTML = '';
+      (data.events || []).forEach(ev => {
+        const tr = document.createElement('tr');
+        [new Date(ev.at).toLocaleString(), ev.action.replace(/_/g, ' '), ev.actor_username || '—', ev.reason || '—', ev.expires_at ? new Date(ev.expires_at).toLocaleDateString() : '—'].forEach(text => {
+          const td = document.createElement('td'); td.textContent = text; tr.appendChild(td);
+        });
+        list.appendChild(tr);
+      });
+      show(box);
+    }
+
+    async function loadBans() {
+      const data = await api('/api/admin/bans');
+      tbody.innerHTML = '';
+      (data.bans || []).forEach(b => {
+        const tr = document.createElement('tr');
+        [b.kind, target(b), b.reason || '—', `${new Date(b.created_at).toLocaleDateString()}${b.created_by_username ? ' by ' + b.created_by_username : ''}`, b.expires_at ? new Date(b.expires_at).toLocaleString() : 'Never'].forEach(text => {
+          const td = document.createElement('td'); td.textContent = text; tr.appendChild(td);
+        });
+        const td = document.createElement('td');
+        if (b.kind === 'account') {
+          const hist = document.createElement('button');
+          hist.className = 'linklike';
+          hist.textContent = 'History';
+          hist.addEventListener('click', () => showHistory(b).catch(e => setText(msg, e.message || 'Could not load history')));
+          td.appendChild(hist);
+          td.appendChild(document.createTextNode(' '));
+        }
+        const btn = document.createElement('button');
+        btn.className = 'linklike';
+        btn.textContent = 'Unban';
+        btn.addEventListener('click', async () => {
+          if (!confirm(`Lift the ${b.kind} ban on ${target(b)}?`)) return;
+          try {
+            await api('/api/admin/bans/lift', { method: 'POST', body: JSON.stringify({ id: b.id }) });
+            await loadBans();
+          } catch (e) { setText(msg, e.message || 'Could not lift ban'); }
+        });
+        td.appendChild(btn);
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+      });
+      setText(msg, data.bans && data.bans.length ? '' : 'No active bans.');
+    }
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const fd = new FormData(form);
       try {
-        await api('/api/account/username', { method: 'PATCH', body: JSON.stringify({ username: newUsername }) });
-        document.getElementById('settings-msg').textContent = 'Saved.';
-        setTimeout(() => location.reload(), 600);
-      } catch (e) {
-        document.getElementById('settings-msg').textContent = e.message || 'Could not save';
+        await api('/api/admin/bans', { method: 'POST', body: JSON.stringify({ kind: fd.get('kind'), value: fd.get('value'), reason: fd.get('reason'), duration_days: fd.get('duration_days') }) });
+        form.reset();
+        await loadBans();
+        setText(msg, 'Ban added.');
+      } catch (err) {
+        setText(msg, err.message || 'Could not add ban');
       }
     });
-    document.getElementById('delete-account-btn')?.addEventListener('click', async () => {
-      const confirmText = prompt('Type DELETE to permanently delete your account and move your PDFs to banned-pdfs.');
+
+    await loadBans();
+  }
+
+  // Ban appeals queue on the admin page (admins only)
+  async function initAppeals() {
+    const card = document.getElementById('appeals-card');
+    const tbody = document.getElementById('appeals-list');
+    const statusSel = document.getElementById('appeals-status');
+    const msg = document.getElementById('appeals-msg');
+    if (!card || !tbody || !statusSel) return;
+    show(card);
+
+    async function decide(a, decision, response) {
+      try {
+        await api('/api/admin/appeals/decide', { method: 'POST', body: JSON.stringify({ id: a.id, decision, response }) });
+        setText(msg, decision === 'accept' ? 'Appeal accepted; ban lifted.' : 'Appeal rejected.');
+        await loadAppeals();
+      } catch (e) { setText(msg, e.message || 'Could not decide appeal'); }
+    }
+
+    async function loadAppeals() {
+      const data = await api('/api/admin/appeals?status=' + encodeURIComponent(statusSel.value));
+      tbody.innerHTML = '';
+      (data.appeals || []).forEach(a => {
+        const tr = document.createElement('tr');
+        const ban = `${a.ban_kind || 'ban'}: ${a.ban_reason || '—'}${a.ban_expires_at ? ' (until ' + new Date(a.ban_expires_at).toLocaleDateString() + ')' : ''}`;
+        [a.username || a.email || a.user_id, ban, a.message, new Date(a.created_at).toLocaleString()].forEach(text => {
+          const td = document.createElement('td'); td.textContent = text; tr.appendChild(td);
+        });
+        const td = document.createElement('td');
+        if (a.status === 'open') {
+          const reply = document.createElement('input');
+          reply.type = 'text'; reply.placeholder = 'Reply to user (optional)';
+          const accept = document.createElement('button');
+          accept.className = 'linklike'; accept.textContent = 'Accept';
+          accept.addEventListener('click', () => decide(a, 'accept', reply.value));
+          const reject = document.createElement('button');
+          reject.className = 'linklike'; reject.textContent = 'Reject';
+          reject.addEventListener('click', () => decide(a, 'reject', reply.value));
+          td.append(reply, ' ', accept, ' ', reject);
+        } else {
+          td.textContent = `${a.status}${a.reviewed_by_username ? ' by ' + a.reviewed_by_username : ''}${a.response ? ': ' + a.response : ''}`;
+        }
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+      });
+      setText(msg, data.appeals && data.appeals.length ? '' : 'No appeals.');
+    }
+
+    statusSel.addEventListener('change', () => loadAppeals().catch(showError));
+    await loadAppeals();
+  }
+
+  // Ban purge dry run and purge records on the admin page (admins only)
+  async function initPurges() {
+    const card = document.getElementById('purges-card');
+    const preview = document.getElementById('purge-preview-list');
+    const tbody = document.getElementById('purges-list');
+    const msg = document.getElementById('purges-msg');
+    if (!card || !preview || !tbody) return;
+    show(card);
+
+    function row(list, cells) {
+      const tr = document.createElement('tr');
+      cells.forEach(cell => {
+        const td = document.createElement('td');
+        if (cell instanceof Node) td.appendChild(cell); else td.textContent = cell;
+        tr.appendChild(td);
+      });
+      list.appendChild(tr);
+    }
+
+    async function loadPreview() {
+      const data = await api('/api/admin/purges/preview');
+      setText(document.getElementById('purges-status'), data.enabled
+        ? `Accounts banned permanently for ${data.retention_days}+ days are purged; accounts with an open appeal or a temporary ban are kept.`
+        : 'The ban purge is turned off (BAN_PURGE_DAYS=0).');
+      preview.innerHTML = '';
+      (data.users || []).forEach(u => {
+        row(preview, [u.username || u.email, new Date(u.banned_at).toLocaleDateString(), u.ban_reason || '—',
+          u.docs.length ? u.docs.map(d => d.title).join(', ') : 'none']);
+      });
+      if (!data.users || !data.users.length) row(preview, ['Nothing to purge.', '', '', '']);
+    }
+
+    async function loadPurges() {
+      const data = await api('/api/admin/purges');
+      tbody.innerHTML = '';
+      (data.purges || []).forEach(p => {
+        const who = `${p.username || p.email}${p.purged_by_username ? ' (by ' + p.purged_by_username + ')' : ''}`;
+        const when = new Date(p.purged_at).toLocaleString();
+        if (!p.docs.length) return row(tbody, [who, when, 'no documents', '', '']);
+        p.docs.forEach(d => {
+          let action = '';
+          if (d.restored_at) {
+            action = `Restored ${new Date(d.restored_at).toLocaleDateString()}${d.restored_by_username ? ' by ' + d.restored_by_username : ''}`;
+          } else if (d.failed_files) {
+            action = `${d.failed_files} file(s) not moved`;
+          } else {
+            action = document.createElement('button');
+            action.className = 'linklike';
+            action.textContent = 'Restore';
+            action.addEventListener('click', async () => {
+              if (!confirm(`Restore "${d.title}" to the catalog?`)) return;
+              try {
+                await api('/api/admin/purges/restore', { method: 'POST', body: JSON.stringify({ id: d.id }) });
+                setText(msg, `Restored "${d.title}".`);
+                await loadPurges();
+              } catch (e) { setText(msg, e.message || 'Could not restore document'); }
+            });
+          }
+          row(tbody, [who, when, d.title, d.banned_paths.join(', ') || '—', action]);
+        });
+      });
+      setText(msg, data.purges && data.purges.length ? msg.textContent : 'No accounts have been purged.');
+    }
+
+    await loadPreview();
+    await loadPurges();
+  }
+
+  // Role management panel on the admin page (admins only)
+  async function initRoles() {
+    const card = document.getElementById('roles-card');
+    const form = document.getElementById('role-form');
+    const tbody = document.getElementById('roles-list');
+    const msg = document.getElementById('roles-msg');
+    if (!card || !form || !tbody) return;
+    show(card);
+
+    async function loadRoles() {
+      const data = await api('/api/admin/roles');
+      tbody.innerHTML = '';
+      (data.grants || []).forEach(g => {
+        const tr = document.createElement('tr');
+        [g.username || g.email, g.role, g.school || '—', `${new Date(g.granted_at).toLocaleDateString()}${g.granted_by_username ? ' by ' + g.granted_by_username : ''}`].forEach(text => {
+          const td = document.createElement('td'); td.textContent = text; tr.appendChild(td);
+        });
+        const td = document.createElement('td');
+        const btn = document.createElement('button');
+        btn.className = 'linklike';
+        btn.textContent = 'Revoke';
+        btn.addEventListener('click', async () => {
+          if (!confirm(`Revoke ${g.role} from ${g.username || g.email}?`)) return;
+          try {
+            await api('/api/admin/roles/revoke', { method: 'POST', body: JSON.stringify({ user: g.user_id, role: g.role, school: g.school }) });
+            await loadRoles();
+          } catch (e) { setText(msg, e.message || 'Could not revoke role'); }
+        });
+        td.appendChild(btn);
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+      });
+    }
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const fd = new FormData(form);
+      try {
+        await api('/api/admin/roles/grant', { method: 'POST', body: JSON.stringify({ user: fd.get('user'), role: fd.get('role'), school: fd.get('school') }) });
+        setText(msg, 'Role granted.');
+        form.reset();
+        await loadRoles();
+      } catch (err) {
+        setText(msg, err.message || 'Could not grant role');
+      }
+    });
+
+    await loadRoles();
+  }
+
+  // Data sync status and conflict review on the admin page (admins only)
+  async function initSyncPanel() {
+    const card = document.getElementById('sync-card');
+    const tbody = document.getElementById('conflicts-list');
+    const msg = document.getElementById('sync-msg');
+    if (!card || !tbody) return;
+
+    function describeRow(op, row) {
+      if (op === 'delete' || !row) return '(deleted)';
+      return Object.entries(row).map(([k, v]) => `${k}: ${v === null ? '—' : v}`).join(', ');
+    }
+
+    async function loadSync() {
+      const data = await api('/api/admin/sync');
+      const s = data.sync;
+      if (!s.enabled) {
+        setText(document.getElementById('sync-status'), 'Remote DB sync is disabled on this instance.');
+      } else {
+        const lease = s.lease && s.lease.active ? (s.lease.ours ? 'this instance' : `${s.lease.holder} (until ${new Date(s.lease.expires_at).toLocaleString()})`) : 'nobody';
+        const remote = s.remote ? `remote at seq ${s.remote.last_seq} (${s.remote.segments} segment(s) since the snapshot)` : 'no remote manifest yet';
+        setText(document.getElementById('sync-status'),
+          `Instance ${s.instance_id} · writer: ${lease} · ${remote} · ${s.pending_entries} local change(s) waiting` +
+          (s.last_error ? ` · last error: ${s.last_error}` : ''));
+      }
+      show(card);
+
+      tbody.innerHTML = '';
+      (data.conflicts || []).forEach(c => {
+        const tr = document.createElement('tr');
+        [`${c.tbl} ${JSON.stringify(c.pk)}`, describeRow(c.local_op, c.local_row), describeRow(c.remote_op, c.remote_row), new Date(c.detected_at).toLocaleString()].forEach(text => {
+          const td = document.createElement('td'); td.textContent = text; tr.appendChild(td);
+        });
+        const td = document.createElement('td');
+        [['local', 'Keep'], ['remote', 'Use remote']].forEach(([keep, label]) => {
+          const btn = document.createElement('button');
+          btn.className = 'linklike';
+          btn.style.marginRight = '8px';
+          btn.textContent = label;
+          btn.addEventListener('click', async () => {
+            try {
+              await api('/api/admin/sync/conflicts/resolve', { method: 'POST', body: JSON.stringify({ id: c.id, keep }) });
+              await loadSync();
+            } catch (e) { setText(msg, e.message || 'Could not resolve conflict'); }
+          });
+          td.appendChild(btn);
+        });
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+      });
+      if (!data.conflicts || !data.conflicts.length) setText(msg, 'No open conflicts.');
+      else setText(msg, '');
+    }
+
+    await loadSync();
+  }
+
+  // DB backup browser (admins only): compare snapshots from the sync history, download or restore one
+  // Notifications inbox
+  async function initNotifications() {
+    const user = await initSession();
+    if (!user) {
+      location.href = '/login?next=' + encodeURIComponent(location.pathname);
+      return;
+    }
+    const list = document.getElementById('notifications-list');
+    const msg = document.getElementById('notifications-msg');
+    const markAllBtn = document.getElementById('mark-all-read-btn');
+
+    async function markRead(ids) {
+      const data = await api('/api/notifications/read', { method: 'POST', body: JSON.stringify({ ids }) });
+      setUnreadBadge(data.unread);
+      return data;
+    }
+
+    async function load() {
+      const data = await api('/api/notifications');
+      setUnreadBadge(data.unread);
+      list.innerHTML = '';
+      (data.notifications || []).forEach(n => {
+        const li = document.createElement('li');
+        li.className = 'notification' + (n.read_at ? '' : ' unread');
+        const text = document.createElement('p');
+        text.textContent = n.message;
+        const meta = document.createElement('p');
+        meta.className = 'muted';
+        meta.textContent = new Date(n.created_at).toLocaleString();
+        if (n.doc_id && n.doc_title) {
+          const link = document.createElement('a');
+          link.href = `/docs/${n.doc_id}`;
+          link.textContent = 'Open document';
+          meta.append(' — ', link);
+        }
+        li.append(text, meta);
+        if (!n.read_at) {
+          li.addEventListener('click', () => {
+            markRead([n.id]).then(() => li.classList.remove('unread')).catch(e => setText(msg, e.message));
+          }, { once: true });
+        }
+        list.appendChild(li);
+      });
+      setText(msg, data.notifications && data.notifications.length ? '' : 'No notifications yet.');
+      if (markAllBtn) markAllBtn.disabled = !data.unread;
+    }
+
+    markAllBtn?.addEventListener('click', async () => {
+      try {
+        await markRead([]);
+        await load();
+      } catch (e) { setText(msg, e.message || 'Could not update notifications'); }
+    });
+
+    await load().catch(e => setText(msg, e.message || 'Could not load notifications'));
+  }
+
+  // Favorites and the signed-in user's collections
+  async function initCollections() {
+    const user = await initSession();
+    if (!user) {
+      location.href = '/login?next=' + encodeURIComponent(location.pathname);
+      return;
+    }
+    const favList = document.getElementById('favorites-list');
+    const tbody = document.getElementById('collections-list');
+    const form = document.getElementById('collection-form');
+    const msg = document.getElementById('collections-msg');
+
+    async function loadFavorites() {
+      const data = await api('/api/favorites');
+      favList.innerHTML = '';
+      (data.docs || []).forEach(doc => {
+        const li = document.createElement('li');
+        li.className = 'doc-item';
+        li.innerHTML = `
+          <h3><a href="/docs/${doc.id}">${escapeHtml(doc.title)}</a></h3>
+          <p class="meta">${escapeHtml(doc.school || '—')}${doc.course ? ` · ${escapeHtml(doc.course)}` : ''}</p>
+        `;
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'linklike';
+        remove.textContent = 'Remove from favorites';
+        remove.addEventListener('click', async () => {
+          try {
+            await api(`/api/favorites/${doc.id}`, { method: 'DELETE' });
+            li.remove();
+          } catch (err) { setText(document.getElementById('favorites-msg'), err.message || 'Could not update favorites'); }
+        });
+        li.appendChild(remove);
+        favList.appendChild(li);
+      });
+      setText(document.getElementById('favorites-msg'), (data.docs || []).length ? '' : 'No favorites yet. Use "Add to favorites" on a document page.');
+    }
+
+    async function loadCollections() {
+      const data = await api('/api/collections');
+      tbody.innerHTML = '';
+      (data.collections || []).forEach(c => {
+        const tr = document.createElement('tr');
+        const nameTd = document.createElement('td');
+        const a = document.createElement('a');
+        a.href = `/collections/${c.id}`;
+        a.textContent = c.name;
+        nameTd.appendChild(a);
+        tr.appendChild(nameTd);
+        [c.item_count, c.is_public ? 'Public' : 'Private', new Date(c.updated_at).toLocaleString()].forEach(text => {
+          const td = document.createElement('td');
+          td.textContent = String(text);
+          tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+      });
+      setText(msg, (data.collections || []).length ? '' : 'No collections yet.');
+    }
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        const data = await api('/api/collections', { method: 'POST', body: JSON.stringify({ name: form.name.value, is_public: form.is_public.checked }) });
+        location.href = `/collections/${data.id}`;
+      } catch (err) { setText(msg, err.message || 'Could not create collection'); }
+    });
+
+    await Promise.all([
+      loadFavorites().catch(err => setText(document.getElementById('favorites-msg'), err.message || 'Could not load favorites')),
+      loadCollections().catch(err => setText(msg, err.message || 'Could not load collections'))
+    ]);
+  }
+
+  // One collection (/collections/:id); its owner can edit, reorder and delete it
+  async function initCollection() {
+    const user = await initSession();
+    const id = pathLast();
+    const list = document.getElementById('collection-docs');
+    const errorEl = document.getElementById('collection-error');
+    const editForm = document.getElementById('collection-edit-form');
+
+    function fail(err) {
+      show(errorEl);
+      setText(errorEl, err.message || 'Something went wrong');
+    }
+
+    async function reorder(docIds) {
+      await api(`/api/collections/${id}/reorder`, { method: 'POST', body: JSON.stringify({ doc_ids: docIds }) });
+      await load();
+    }
+
+    function render(c) {
+      document.title = `Firewall Freedom Docs — ${c.name}`;
+      setText(document.getElementById('collection-name'), c.name);
+      setText(document.getElementById('collection-meta'),
+        `${c.is_public ? 'Public' : 'Private'} collection${c.owner_username ? ` by ${c.owner_username}` : ''} · ${c.docs.length} document${c.docs.length === 1 ? '' : 's'}`);
+      setText(document.getElementById('collection-desc'), c.description || '');
+      const share = document.getElementById('collection-share');
+      if (c.is_owner) {
+        share.style.display = '';
+        share.textContent = c.is_public
+          ? `Share this link: ${location.origin}/collections/${c.id}`
+          : 'Only you can see this collection. Make it public to share it.';
+      }
+
+      const zip = document.getElementById('collection-zip');
+      if (user && c.docs.some(d => d.status === 'approved')) {
+        document.getElementById('collection-zip-link').href = `/api/collections/${c.id}/zip`;
+        show(zip);
+      } else {
+        hide(zip);
+      }
+
+      list.innerHTML = '';
+      const ids = c.docs.map(d => d.id);
+      c.docs.forEach((doc, i) => {
+        const li = document.createElement('li');
+        li.innerHTML = `
+          <a href="/docs/${doc.id}">${escapeHtml(doc.title)}</a>
+          <span class="muted">${escapeHtml(doc.school || '')}${doc.course ? ` · ${escapeHtml(doc.course)}` : ''}${doc.status !== 'approved' ? ` · ${escapeHtml(doc.status)}` : ''}</span>
+        `;
+        if (c.is_owner) {
+          const actions = document.createElement('span');
+          actions.className = 'actions';
+          const action = (label, disabled, handler) => {
+            const btn = document.createElement('button');
+            btn.type = 'button'; btn.className = 'linklike'; btn.textContent = label; btn.disabled = disabled;
+            btn.addEventListener('click', () => handler().catch(fail));
+            actions.appendChild(btn);
+          };
+          const swap = (j) => { const next = ids.slice(); [next[i], next[j]] = [next[j], next[i]]; return reorder(next); };
+          action('↑', i === 0, () => swap(i - 1));
+          action('↓', i === ids.length - 1, () => swap(i + 1));
+          action('Remove', false, async () => {
+            await api(`/api/collections/${id}/items/${doc.id}`, { method: 'DELETE' });
+            await load();
+          });
+          li.appendChild(actions);
+        }
+        list.appendChild(li);
+      });
+      document.getElementById('collection-empty').style.display = c.docs.length ? 'none' : '';
+
+      if (c.is_owner) {
+        show(document.getElementById('collection-edit'));
+        editForm.name.value = c.name;
+        editForm.description.value = c.description || '';
+        editForm.is_public.checked = c.is_public;
+      }
+    }
+
+    async function load() {
+      const data = await api(`/api/collections/${id}`);
+      render(data.collection);
+    }
+
+    editForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      try {
+        await api(`/api/collections/${id}`, {
+          method: 'PATCH',
+          body: JSON.stringify({ name: editForm.name.value, description: editForm.description.value, is_public: editForm.is_public.checked })
+        });
+        await load();
+      } catch (err) { fail(err); }
+    });
+    document.getElementById('collection-delete-btn').addEventListener('click', async () => {
+      if (!confirm('Delete this collection? The documents themselves are not affected.')) return;
+      try {
+        await api(`/api/collections/${id}`, { method: 'DELETE' });
+        location.href = '/collections';
+      } catch (err) { fail(err); }
+    });
+
+    await load().catch(fail);
+  }
+
+  // Views and downloads of the signed-in user's uploads
+  async function initStats() {
+    const user = await initSession();
+    if (!user) {
+      location.href = '/login?next=' + encodeURIComponent(location.pathname);
+      return;
+    }
+    const form = document.getElementById('stats-filters');
+    const chart = document.getElementById('stats-chart');
+    const tbody = document.getElementById('stats-docs');
+    const msg = document.getElementById('stats-msg');
+
+    function renderChart(daily) {
+      chart.innerHTML = '';
+      const max = Math.max(1, ...daily.map(d => d.views + d.downloads));
+      daily.forEach(d => {
+        const col = document.createElement('div');
+        col.className = 'day';
+        col.title = `${d.day}: ${d.views} views, ${d.downloads} downloads`;
+        [['downloads', d.downloads], ['views', d.views]].forEach(([cls, n]) => {
+          const bar = document.createElement('div');
+          bar.className = cls;
+          bar.style.height = `${(n / max) * 100}%`;
+          col.appendChild(bar);
+        });
+        chart.appendChild(col);
+      });
+      setText(document.getElementById('stats-range'), daily.length ? `${daily[0].day} – ${daily[daily.length - 1].day} (UTC)` : '');
+    }
+
+    async function load() {
+      const data = await api(`/api/stats/uploads?days=${encodeURIComponent(form.days.value)}`);
+      setText(document.getElementById('stats-views'), String(data.totals.views));
+      setText(document.getElementById('stats-downloads'), String(data.totals.downloads));
+      renderChart(data.daily || []);
+      tbody.innerHTML = '';
+      (data.docs || []).forEach(d => {
+        const tr = document.createElement('tr');
+        const titleTd = document.createElement('td');
+        const a = document.createElement('a');
+        a.href = `/docs/${d.id}`;
+        a.textContent = d.title;
+        titleTd.appendChild(a);
+        tr.appendChild(titleTd);
+        [d.status, d.view_count, d.download_count, `${d.recent_views} views, ${d.recent_downloads} downloads`].forEach(text => {
+          const td = document.createElement('td');
+          td.textContent = String(text);
+          tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+      });
+      setText(msg, (data.docs || []).length ? '' : 'You have not uploaded any documents yet.');
+    }
+
+    form.addEventListener('change', () => load().catch(e => setText(msg, e.message || 'Could not load stats')));
+    await load().catch(e => setText(msg, e.message || 'Could not load stats'));
+  }
+
+  // My uploads: edit, withdraw, resubmit and delete the signed-in user's documents
+  async function initUploads() {
+    const user = await initSession();
+    if (!user) {
+      location.href = '/login?next=' + encodeURIComponent(location.pathname);
+      return;
+    }
+    const filters = document.getElementById('uploads-filters');
+    const list = document.getElementById('uploads-list');
+    const msg = document.getElementById('uploads-msg');
+    const editSection = document.getElementById('upload-edit');
+    const editForm = document.getElementById('upload-edit-form');
+    const editError = document.getElementById('upload-edit-error');
+    const STATUS_LABELS = {
+      approved: 'Published',
+      pending: 'Waiting for review',
+      denied: 'Denied',
+      hidden: 'Hidden after reports',
+      withdrawn: 'Withdrawn'
+    };
+    let editing = null;
+
+    const grade = editForm.elements.grade_level;
+    for (let g = 1; g <= 14; g++) grade.add(new Option(String(g), String(g)));
+    grade.add(new Option('College', 'College'));
+
+    function startEdit(doc) {
+      editing = doc;
+      setText(document.getElementById('upload-edit-heading'), `Edit "${doc.title}"`);
+      ['title', 'school', 'grade_level', 'course', 'tags', 'description'].forEach(k => { editForm.elements[k].value = doc[k] || ''; });
+      hide(editError);
+      show(editSection);
+      editSection.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    function render(docs) {
+      list.innerHTML = '';
+      docs.forEach(doc => {
+        const li = document.createElement('li');
+        li.className = 'card';
+        const notes = [];
+        if (doc.status === 'denied' && doc.denial_reason) notes.push(`Denied: ${doc.denial_reason}`);
+        if (doc.pending_version) notes.push(`Revision v${doc.pending_version} is waiting for review`);
+        if (doc.withdrawn_at) notes.push(`Withdrawn ${new Date(doc.withdrawn_at).toLocaleDateString()}; only you can see it`);
+        li.innerHTML = `
+          <p><a href="/docs/${doc.id}">${escapeHtml(doc.title)}</a>
+            <span class="badge ${doc.status === 'approved' ? 'badge-info' : 'badge-warn'}">${escapeHtml(STATUS_LABELS[doc.status] || doc.status)}</span></p>
+          <p class="muted">${escapeHtml([doc.school, doc.course, doc.grade_level ? `Grade ${doc.grade_level}` : ''].filter(Boolean).join(' · '))}
+            · uploaded ${new Date(doc.created_at).toLocaleDateString()} · ${doc.view_count} views, ${doc.download_count} downloads</p>
+          ${notes.map(n => `<p class="small">${escapeHtml(n)}</p>`).join('')}
+        `;
+        const actions = document.createElement('p');
+        actions.className = 'actions';
+        const action = (label, handler, cls = 'linklike') => {
+          const btn = document.createElement('button');
+          btn.type = 'button'; btn.className = cls; btn.textContent = label;
+          btn.addEventListener('click', () => handler().catch(e => setText(msg, e.message || 'Something went wrong')));
+          actions.appendChild(btn);
+        };
+        action('Edit', async () => startEdit(doc));
+        if (doc.status === 'withdrawn') {
+          action('Resubmit for review', async () => {
+            await api(`/api/docs/${doc.id}/resubmit`, { method: 'POST', body: JSON.stringify({}) });
+            setText(msg, `"${doc.title}" is back in the review queue.`);
+            await load();
+          });
+        } else {
+          action('Withdraw', async () => {
+            if (!confirm(`Withdraw "${doc.title}"? It stops being visible to others until you resubmit it${doc.status === 'approved' ? ', and its approval points are taken back' : ''}.`)) return;
+            await api(`/api/docs/${doc.id}/withdraw`, { method: 'POST', body: JSON.stringify({}) });
+            setText(msg, `"${doc.title}" was withdrawn.`);
+            await load();
+          });
+        }
+        action('Delete', async () => {
+          if (!confirm(`Delete "${doc.title}" for good? Its ratings, comments and versions go with it.`)) return;
+          await api(`/api/docs/${doc.id}`, { method: 'DELETE' });
+          setText(msg, `"${doc.title}" was deleted.`);
+          await load();
+        });
+        li.appendChild(actions);
+        list.appendChild(li);
+      });
+    }
+
+    async function load() {
+      const data = await api(`/api/account/uploads?status=${encodeURIComponent(filters.status.value)}`);
+      render(data.docs || []);
+      if (!(data.docs || []).length) setText(msg, filters.status.value ? 'No documents with this status.' : 'You have not uploaded any documents yet.');
+    }
+
+    editForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!editing) return;
+      const body = {};
+      ['title', 'school', 'grade_level', 'course', 'tags', 'description'].forEach(k => { body[k] = editForm.elements[k].value; });
+      try {
+        const res = await api(`/api/docs/${editing.id}`, { method: 'PATCH', body: JSON.stringify(body) });
+        setText(msg, res.requeued ? 'Saved. The document is back in the review queue.' : 'Saved.');
+        editing = null;
+        hide(editSection);
+        await load();
+      } catch (err) {
+        show(editError);
+        setText(editError, err.message || 'Could not save');
+      }
+    });
+    document.getElementById('upload-edit-cancel').addEventListener('click', () => {
+      editing = null;
+      hide(editSection);
+    });
+    filters.addEventListener('change', () => {
+      setText(msg, '');
+      load().catch(e => setText(msg, e.message || 'Could not load your uploads'));
+    });
+    await load().catch(e => setText(msg, e.message || 'Could not load your uploads'));
+  }
+
+  // Public profile page (/u/:username)
+  async function initProfile() {
+    await initSession();
+    const errorEl = document.getElementById('profile-error');
+    let profile;
+    try {
+      profile = (await api(`/api/users/${pathLast()}`)).profile;
+    } catch (e) {
+      show(errorEl);
+      setText(errorEl, e.message || 'Profile not found');
+      return;
+    }
+    document.title = `Firewall Freedom Docs — ${profile.username}`;
+    setText(document.getElementById('profile-name'), profile.username);
+    setText(document.getElementById('profile-meta'), `Member since ${new Date(profile.joined_at).toLocaleDateString()}`);
+    if (profile.is_owner && !profile.is_public) show(document.getElementById('profile-hidden'));
+    setText(document.getElementById('profile-points'), String(profile.points));
+    setText(document.getElementById('profile-rank'), profile.rank ? `#${profile.rank}` : '—');
+    setText(document.getElementById('profile-upload-count'), String(profile.upload_count));
+    setText(document.getElementById('profile-downloads'), String(profile.downloads));
+
+    const badges = document.getElementById('profile-badges');
+    profile.badges.forEach(b => {
+      const li = document.createElement('li');
+      li.className = 'badge badge-info';
+      li.textContent = b.label;
+      li.title = b.description;
+      badges.appendChild(li);
+    });
+
+    const list = document.getElementById('profile-uploads');
+    profile.uploads.forEach(doc => {
+      const li = document.createElement('li');
+      li.className = 'doc-item';
+      li.innerHTML = `
+        <h3><a href="/docs/${doc.id}">${escapeHtml(doc.title)}</a></h3>
+        <p class="meta">${escapeHtml([doc.school, doc.course, doc.grade_level ? `Grade ${doc.grade_level}` : ''].filter(Boolean).join(' · '))}</p>
+        <p class="meta">${doc.download_count} downloads${doc.rating_count ? ` · ★ ${Number(doc.rating_avg).toFixed(1)} (${doc.rating_count})` : ''}${doc.comment_count ? ` · ${doc.comment_count} comment${doc.comment_count === 1 ? '' : 's'}` : ''}</p>
+        <p class="time">${new Date(doc.created_at).toLocaleDateString()}</p>
+      `;
+      list.appendChild(li);
+    });
+    document.getElementById('profile-no-uploads').style.display = profile.uploads.length ? 'none' : '';
+  }
+
+  // Report triage page (moderators)
+  async function initReports() {
+    const user = await initSession();
+    if (!canModerate(user)) {
+      show(document.getElementById('reports-gate'));
+      return;
+    }
+    const list = document.getElementById('reports-list');
+    const filters = document.getElementById('reports-filters');
+    const msg = document.getElementById('reports-msg');
+    const errorEl = document.getElementById('reports-error');
+    const canBan = user.is_admin || user.is_moderator;
+    show(document.getElementById('reports-wrap'));
+
+    function showError(err) {
+      console.error('initReports error', err);
+      setText(errorEl, err.message || 'Error loading reports');
+      show(errorEl);
+    }
+
+    async function resolve(doc, action) {
+      const body = { doc_id: doc.id, action };
+      if (action === 'ban') {
+        const reason = prompt(`Ban ${doc.uploader_username || doc.uploader_email}? Reason:`, 'Reported content');
+        if (reason === null) return;
+        body.reason = reason;
+      } else if (action === 'unpublish' && !confirm(`Unpublish "${doc.title}"?`)) {
+        return;
+      }
+      try {
+        const result = await api('/api/admin/reports/resolve', { method: 'POST', body: JSON.stringify(body) });
+        await load();
+        setText(msg, `${result.resolved} report(s) resolved.`);
+      } catch (e) { setText(msg, e.message || 'Could not resolve reports'); }
+    }
+
+    function button(label, onClick, className = 'button secondary') {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = className;
+      btn.textContent = label;
+      btn.addEventListener('click', onClick);
+      return btn;
+    }
+
+    async function load() {
+      const status = new FormData(filters).get('status');
+      const data = await api('/api/admin/reports?status=' + encodeURIComponent(status));
+      const categories = data.categories || {};
+      list.innerHTML = '';
+      (data.docs || []).forEach(doc => {
+        const card = document.createElement('div');
+        card.className = 'card';
+        const title = document.createElement('h3');
+        const link = document.createElement('a');
+        link.href = `/docs/${doc.id}`;
+        link.textContent = doc.title;
+        title.appendChild(link);
+        const meta = document.createElement('p');
+        meta.className = 'muted';
+        meta.textContent = `Status: ${doc.status} | Uploader: ${doc.uploader_username || doc.uploader_email || '—'}${doc.uploader_status === 'banned' ? ' (banned)' : ''} | ${doc.reporter_count} reporter(s) | School: ${doc.school || '—'}`;
+        card.append(title, meta);
+
+        const table = document.createElement('table');
+        table.className = 'data-table';
+        const tbody = document.createElement('tbody');
+        doc.reports.forEach(r => {
+          const tr = document.createElement('tr');
+          [categories[r.category] || r.category, r.details || '—', r.reporter_username || '—', new Date(r.created_at).toLocaleString(),
+            r.status === 'open' ? 'open' : `${r.resolution}${r.resolved_by_username ? ' by ' + r.resolved_by_username : ''}`].forEach(text => {
+            const td = document.createElement('td'); td.textContent = text; tr.appendChild(td);
+          });
+          tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        card.appendChild(table);
+
+        if (doc.reports.some(r => r.status === 'open')) {
+          const actions = document.createElement('p');
+          actions.className = 'queue-filters';
+          actions.append(button('Dismiss', () => resolve(doc, 'dismiss')), button('Unpublish', () => resolve(doc, 'unpublish')));
+          if (canBan && doc.uploaded_by) actions.appendChild(button('Unpublish and ban uploader', () => resolve(doc, 'ban'), 'button danger'));
+          card.appendChild(actions);
+        }
+        list.appendChild(card);
+      });
+      setText(msg, data.docs && data.docs.length ? '' : 'No reported documents.');
+    }
+
+    filters.addEventListener('change', () => load().catch(showError));
+    await load().catch(showError);
+  }
+
+  // Schools directory (admins): add, rename, aliases, merge duplicates
+  async function initSchools() {
+    const user = await initSession();
+    if (!user || !user.is_admin) {
+      show(document.getElementById('schools-gate'));
+      return;
+    }
+    const tbody = document.getElementById('schools-list');
+    const msg = document.getElementById('schools-msg');
+    const errorEl = document.getElementById('schools-error');
+    const addForm = document.getElementById('school-add-form');
+    const mergeForm = document.getElementById('school-merge-form');
+    const filter = document.getElementById('schools-filter');
+    let schools = [];
+    show(document.getElementById('schools-wrap'));
+
+    function showError(err) {
+      console.error('initSchools error', err);
+      setText(errorEl, err.message || 'Error loading schools');
+      show(errorEl);
+    }
+
+    async function post(url, body, done) {
+      try {
+        await api(url, { method: 'POST', body: JSON.stringify(body) });
+        await load();
+        setText(msg, done);
+      } catch (e) { setText(msg, e.message || 'Request failed'); }
+    }
+
+    function button(label, onClick) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'button secondary';
+      btn.textContent = label;
+      btn.addEventListener('click', onClick);
+      return btn;
+    }
+
+    function render() {
+      const needle = filter.value.trim().toLowerCase();
+      tbody.innerHTML = '';
+      schools
+        .filter(s => !needle || s.name.toLowerCase().includes(needle) || s.aliases.some(a => a.alias.toLowerCase().includes(needle)))
+        .forEach(s => {
+          const tr = document.createElement('tr');
+          const nameTd = document.createElement('td'); nameTd.textContent = s.name;
+          const countTd = document.createElement('td'); countTd.textContent = String(s.doc_count);
+          const aliasTd = document.createElement('td');
+          s.aliases.forEach(a => {
+            const chip = document.createElement('span');
+            chip.className = 'badge badge-info';
+            chip.textContent = a.alias + ' ';
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'linklike';
+            remove.textContent = '×';
+            remove.title = 'Remove alias';
+            remove.addEventListener('click', () => post('/api/admin/schools/aliases/remove', { alias_key: a.alias_key }, `Alias "${a.alias}" removed.`));
+            chip.appendChild(remove);
+            aliasTd.append(chip, ' ');
+          });
+          const actionTd = document.createElement('td');
+          actionTd.append(
+            button('Rename', () => {
+              const name = prompt(`New name for "${s.name}" (the old name stays as an alias):`, s.name);
+              if (name && name.trim() !== s.name) post('/api/admin/schools/rename', { id: s.id, name }, `Renamed to "${name.trim()}".`);
+            }),
+            ' ',
+            button('Add alias', () => {
+              const alias = prompt(`Another name for "${s.name}":`);
+              if (alias && alias.trim()) post('/api/admin/schools/aliases', { id: s.id, alias }, `Alias "${alias.trim()}" added.`);
+            })
+          );
+          tr.append(nameTd, countTd, aliasTd, actionTd);
+          tbody.appendChild(tr);
+        });
+    }
+
+    function fillMergeSelects() {
+      mergeForm.querySelectorAll('select').forEach(select => {
+        const current = select.value;
+        select.innerHTML = '<option value="">Choose a school</option>';
+        schools.forEach(s => {
+          const opt = document.createElement('option');
+          opt.value = s.id;
+          opt.textContent = `${s.name} (${s.doc_count})`;
+          select.appendChild(opt);
+        });
+        if (schools.some(s => s.id === current)) select.value = current;
+      });
+    }
+
+    async function load() {
+      const data = await api('/api/admin/schools');
+      schools = data.schools || [];
+      fillMergeSelects();
+      render();
+    }
+
+    addForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = new FormData(addForm).get('name');
+      post('/api/admin/schools', { name }, `Added "${String(name).trim()}".`).then(() => addForm.reset());
+    });
+    mergeForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const fd = new FormData(mergeForm);
+      const source = schools.find(s => s.id === fd.get('source_id'));
+      const target = schools.find(s => s.id === fd.get('target_id'));
+      if (!source || !target) return;
+      if (!confirm(`Merge "${source.name}" into "${target.name}"? ${source.doc_count} document(s) will move and "${source.name}" becomes an alias.`)) return;
+      post('/api/admin/schools/merge', { source_id: source.id, target_id: target.id }, `Merged "${source.name}" into "${target.name}".`);
+    });
+    filter.addEventListener('input', render);
+    await load().catch(showError);
+  }
+
+  async function initBackups() {
+    const user = await initSession();
+    if (!user || !user.is_admin) {
+      show(document.getElementById('backups-gate'));
+      return;
+    }
+    const tbody = document.getElementById('backups-list');
+    const msg = document.getElementById('backups-msg');
+    const errorEl = document.getElementById('backups-error');
+    const diffCard = document.getElementById('backup-diff-card');
+    const diffBody = document.getElementById('backup-diff-list');
+    const restoreWrap = document.getElementById('backup-restore-wrap');
+    const restoreBtn = document.getElementById('backup-restore-btn');
+    let restoreSha = null;
+
+    function showError(err) {
+      console.error('initBackups error', err);
+      setText(errorEl, err.message || 'Error loading backups');
+      show(errorEl);
+    }
+
+    function radio(name, value, checked) {
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = name;
+      input.value = value;
+      input.checked = checked;
+      return input;
+    }
+
+    function renderDiff(data, title) {
+      setText(document.getElementById('backup-diff-title'), title);
+      diffBody.innerHTML = '';
+      (data.tables || []).forEach(t => {
+        const examples = ['added', 'removed', 'changed']
+          .filter(k => t.samples[k].length)
+          .map(k => `${k}: ${t.samples[k].map(pk => Object.values(pk).join('/')).join(', ')}`)
+          .join('; ');
+        const tr = document.createElement('tr');
+        [t.table, t.from_rows, t.to_rows, t.added, t.removed, t.changed, examples || '—'].forEach(text => {
+          const td = document.createElement('td'); td.textContent = String(text); tr.appendChild(td);
+        });
+        diffBody.appendChild(tr);
+      });
+      show(diffCard);
+    }
+
+    const data = await api('/api/admin/backups').catch(e => { showError(e); return null; });
+    if (!data) return;
+    show(document.getElementById('backups-wrap'));
+
+    const rows = [{ sha: 'current', message: 'Live DB on this instance', date: null }].concat(data.backups || []);
+    rows.forEach((b, i) => {
+      const tr = document.createElement('tr');
+      [radio('from', b.sha, i === 1), radio('to', b.sha, i === 0)].forEach(input => {
+        const td = document.createElement('td'); td.appendChild(input); tr.appendChild(td);
+      });
+      const label = document.createElement('td');
+      label.textContent = b.sha === 'current' ? b.message : `${b.sha.slice(0, 10)} · ${b.message.split('\n')[0]}`;
+      tr.appendChild(label);
+      const date = document.createElement('td');
+      date.textContent = b.date ? new Date(b.date).toLocaleString() : 'now';
+      tr.appendChild(date);
+
+      const actions = document.createElement('td');
+      if (b.sha !== 'current') {
+        const download = document.createElement('a');
+        download.href = `/api/admin/backups/${b.sha}/download`;
+        download.textContent = 'Download';
+        download.style.marginRight = '8px';
+        actions.appendChild(download);
+
+        const preview = document.createElement('button');
+        preview.className = 'linklike';
+        preview.textContent = 'Restore…';
+        preview.addEventListener('click', async () => {
+          setText(msg, 'Comparing with the live DB…');
+          try {
+            const result = await api('/api/admin/backups/restore', { method: 'POST', body: JSON.stringify({ sha: b.sha, dryRun: true }) });
+            renderDiff(result, `Restoring ${b.sha.slice(0, 10)} would change the live DB like this`);
+            restoreSha = b.sha;
+            show(restoreWrap);
+            setText(msg, '');
+          } catch (e) { setText(msg, e.message || 'Could not preview restore'); }
+        });
+        actions.appendChild(preview);
+      }
+      tr.appendChild(actions);
+      tbody.appendChild(tr);
+    });
+    if (!data.backups || !data.backups.length) setText(msg, 'No snapshots in the sync history yet.');
+
+    document.getElementById('backup-compare-btn')?.addEventListener('click', async () => {
+      const from = document.querySelector('input[name="from"]:checked');
+      const to = document.querySelector('input[name="to"]:checked');
+      if (!from || !to || from.value === to.value) { setText(msg, 'Pick two different points to compare.'); return; }
+      setText(msg, 'Comparing…');
+      try {
+        const result = await api(`/api/admin/backups/diff?from=${encodeURIComponent(from.value)}&to=${encodeURIComponent(to.value)}`);
+        const name = sha => sha === 'current' ? 'live DB' : sha.slice(0, 10);
+        renderDiff(result, `Changes from ${name(from.value)} to ${name(to.value)}`);
+        restoreSha = null;
+        hide(restoreWrap);
+        setText(msg, '');
+      } catch (e) { setText(msg, e.message || 'Could not compare backups'); }
+    });
+
+    restoreBtn?.addEventListener('click', async () => {
+      if (!restoreSha) return;
+      if (prompt(`Type RESTORE to replace the live DB with snapshot ${restoreSha.slice(0, 10)}.`) !== 'RESTORE') return;
+      restoreBtn.disabled = true;
+      try {
+        const result = await api('/api/admin/backups/restore', { method: 'POST', body: JSON.stringify({ sha: restoreSha, dryRun: false }) });
+        hide(restoreWrap);
+        setText(msg, `Restored. The previous state was saved as ${result.saved_as}.` +
+          (result.sync_error ? ` Sync will retry: ${result.sync_error}` : ''));
+      } catch (e) {
+        setText(msg, e.message || 'Restore failed');
+      } finally {
+        restoreBtn.disabled = false;
+      }
+    });
+  }
+
+  async function initSettings() {
+    const user = await initSession();
+    if (!user) {
+      document.getElementById('settings-gate').style.display = '';
+      document.getElementById('settings-form-wrap').style.display = 'none';
+      return;
+    }
+    document.getElementById('settings-email').value = user.email || '';
+    document.getElementById('settings-username').value = (user.username && user.username.trim()) ? user.username : user.email;
+    document.getElementById('save-username-btn')?.addEventListener('click', async () => {
+      const newUsername = document.getElementById('settings-username').value.trim();
+      try {
+        await api('/api/account/username', { method: 'PATCH', body: JSON.stringify({ username: newUsername }) });
+        document.getElementById('settings-msg').textContent = 'Saved.';
+        setTimeout(() => location.reload(), 600);
+      } catch (e) {
+        document.getElementById('settings-msg').textContent = e.message || 'Could not save';
+      }
+    });
+    initProfileSetting(user);
+    initSessions().catch(e => setText(document.getElementById('sessions-msg'), e.message || 'Could not load sessions'));
+    initPointsHistory().catch(e => setText(document.getElementById('points-msg'), e.message || 'Could not load points'));
+    document.getElementById('delete-account-btn')?.addEventListener('click', async () => {
+      const confirmText = prompt('Type DELETE to permanently delete your account and move your PDFs to banned-pdfs.');
       if (confirmText !== 'DELETE') return;
       try {
         await api('/api/account', { method: 'DELETE', body: JSON.stringify({}) });
@@ -446,9 +2284,181 @@
     });
   }
 
+  // Public profile switch on the settings page; accounts whose username is still their email have no profile
+  function initProfileSetting(user) {
+    const box = document.getElementById('profile-public');
+    const link = document.getElementById('profile-link');
+    const msg = document.getElementById('profile-msg');
+    if (!box) return;
+    function render(profileUrl) {
+      if (profileUrl) {
+        link.href = profileUrl;
+        setText(link, `${location.origin}${profileUrl}`);
+        show(link);
+      } else {
+        hide(link);
+      }
+    }
+    box.checked = user.profile_public;
+    if (String(user.username || '').includes('@')) {
+      box.disabled = true;
+      setText(msg, 'Choose a username above to get a public profile.');
+      return;
+    }
+    render(user.profile_url);
+    box.addEventListener('change', async () => {
+      try {
+        const res = await api('/api/account/profile', { method: 'PATCH', body: JSON.stringify({ public: box.checked }) });
+        render(res.profile_url);
+        setText(msg, res.public ? 'Your profile is public.' : 'Your profile is hidden.');
+      } catch (e) {
+        box.checked = !box.checked;
+        setText(msg, e.message || 'Could not save');
+      }
+    });
+  }
+
+  // Active sessions list and "sign out everywhere" on the settings page
+  async function initSessions() {
+    const tbody = document.getElementById('sessions-list');
+    const msg = document.getElementById('sessions-msg');
+    if (!tbody) return;
+
+    async function loadSessions() {
+      const data = await api('/api/auth/sessions');
+      tbody.innerHTML = '';
+      (data.sessions || []).forEach(s => {
+        const tr = document.createElement('tr');
+        const cells = [
+          (s.user_agent || 'Unknown device') + (s.current ? ' (this browser)' : ''),
+          s.ip || '—',
+          new Date(s.created_at).toLocaleString(),
+          new Date(s.last_seen_at).toLocaleString()
+        ];
+        cells.forEach(text => { const td = document.createElement('td'); td.textContent = text; tr.appendChild(td); });
+        const actionTd = document.createElement('td');
+        if (!s.current) {
+          const btn = document.createElement('button');
+          btn.className = 'button';
+          btn.textContent = 'Sign out';
+          btn.addEventListener('click', async () => {
+            try {
+              await api('/api/auth/sessions/revoke', { method: 'POST', body: JSON.stringify({ id: s.id }) });
+              await loadSessions();
+            } catch (e) { setText(msg, e.message || 'Could not sign out session'); }
+          });
+          actionTd.appendChild(btn);
+        }
+        tr.appendChild(actionTd);
+        tbody.appendChild(tr);
+      });
+    }
+
+    document.getElementById('logout-everywhere-btn')?.addEventListener('click', async () => {
+      if (!confirm('Sign out of every browser and device, including this one?')) return;
+      try {
+        await api('/api/auth/logout-everywhere', { method: 'POST', body: JSON.stringify({}) });
+        location.href = '/login';
+      } catch (e) { setText(msg, e.message || 'Could not sign out'); }
+    });
+
+    await loadSessions();
+  }
+
+  // Points balance and ledger entries on the settings page
+  const POINT_REASONS = {
+    opening_balance: 'Earned before history was kept',
+    doc_approved: 'Document approved',
+    doc_removed: 'Document removed'
+  };
+
+  async function initPointsHistory() {
+    const tbody = document.getElementById('points-history');
+    if (!tbody) return;
+    const data = await api('/api/points');
+    setText(document.getElementById('points-total'), String(data.points || 0));
+    tbody.innerHTML = '';
+    (data.history || []).forEach(t => {
+      const tr = document.createElement('tr');
+      const cells = [
+        new Date(t.created_at).toLocaleString(),
+        (t.amount > 0 ? '+' : '') + t.amount,
+        POINT_REASONS[t.reason] || t.reason
+      ];
+      cells.forEach(text => { const td = document.createElement('td'); td.textContent = text; tr.appendChild(td); });
+      const docTd = document.createElement('td');
+      if (t.doc_id && t.doc_title) {
+        const a = document.createElement('a');
+        a.href = `/docs/${t.doc_id}`;
+        a.textContent = t.doc_title;
+        docTd.appendChild(a);
+      } else {
+        docTd.textContent = '—';
+      }
+      tr.appendChild(docTd);
+      tbody.appendChild(tr);
+    });
+    if (!(data.history || []).length) setText(document.getElementById('points-msg'), 'No points yet.');
+  }
+
+  // School inputs (list="school-list") suggest names from the schools directory as the user types
+  function initSchoolSuggestions() {
+    const datalist = document.getElementById('school-list');
+    if (!datalist) return;
+    let timer = null;
+    let lastPrefix = null;
+
+    async function suggest(prefix) {
+      if (prefix === lastPrefix) return;
+      lastPrefix = prefix;
+      const data = await api('/api/schools?prefix=' + encodeURIComponent(prefix));
+      datalist.innerHTML = '';
+      (data.schools || []).forEach(s => {
+        const opt = document.createElement('option');
+        opt.value = s.name;
+        if (s.matched_alias) opt.label = `${s.name} (${s.matched_alias})`;
+        datalist.appendChild(opt);
+      });
+    }
+
+    document.querySelectorAll('input[list="school-list"]').forEach(input => {
+      input.addEventListener('focus', () => suggest(input.value.trim()).catch(console.error));
+      input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => suggest(input.value.trim()).catch(console.error), 150);
+      });
+    });
+  }
+
+  // The upload form's course field suggests the courses of the chosen school
+  function initCourseSuggestions(form) {
+    const input = form.querySelector('input[name="course"]');
+    const datalist = document.getElementById('course-list');
+    if (!input || !datalist) return;
+    let timer = null;
+
+    async function suggest() {
+      const school = form.querySelector('input[name="school"]').value.trim();
+      if (!school) { datalist.innerHTML = ''; return; }
+      const data = await api(`/api/courses?school=${encodeURIComponent(school)}&prefix=${encodeURIComponent(input.value.trim())}`);
+      datalist.innerHTML = '';
+      (data.courses || []).forEach(c => {
+        const opt = document.createElement('option');
+        opt.value = c.label;
+        datalist.appendChild(opt);
+      });
+    }
+
+    input.addEventListener('focus', () => suggest().catch(console.error));
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => suggest().catch(console.error), 150);
+    });
+  }
+
   async function initCommon() {
+    initSchoolSuggestions();
     await initSession().catch(console.error);
-    ensureUnbanButton();
   }
 
   document.addEventListener('DOMContentLoaded', async () => {
@@ -459,6 +2469,15 @@
     else if (page === 'register') initRegister();
     else if (page === 'upload') initUpload();
     else if (page === 'admin') initAdmin();
+    else if (page === 'backups') initBackups();
+    else if (page === 'reports') initReports();
+    else if (page === 'schools') initSchools();
+    else if (page === 'notifications') initNotifications();
+    else if (page === 'stats') initStats();
+    else if (page === 'uploads') initUploads();
+    else if (page === 'profile') initProfile();
+    else if (page === 'collections') initCollections();
+    else if (page === 'collection') initCollection();
     else if (page === 'document') initDocument();
     else if (page === 'settings') initSettings();
   });
@@ -0,0 +1,28 @@
+/**
+ * alerts.js
+ *
+ * Operator alerts for problems nobody would otherwise notice (e.g. a corrupt remote DB).
+ * Always logged; also POSTed as JSON { text } to ALERT_WEBHOOK_URL when set
+ * (Slack/Discord/Mattermost-style incoming webhooks accept this shape).
+ */
+
+const ALERT_WEBHOOK_URL = (process.env.ALERT_WEBHOOK_URL || '').trim();
+
+async function sendAlert(message) {
+  console.error('ALERT:', message);
+  if (!ALERT_WEBHOOK_URL) return;
+  try {
+    const res = await fetch(ALERT_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: `[Firewall Freedom Docs] ${message}` })
+    });
+    if (!res.ok) console.error('Alert webhook responded with', res.status);
+  } catch (e) {
+    console.error('Alert webhook failed:', e.message);
+  }
+}
+
+module.exports = {
+  sendAlert
+};
@@ -0,0 +1,127 @@
+/**
+ * analytics.js
+ *
+ * Usage of published documents (table doc_events).
+ * - Opening a document (GET /api/docs/:id/view) records a view, downloading it a download. Each user
+ *   counts once per document, kind and UTC day; the uploader's own views and downloads are not counted.
+ *   Events are deleted with their document or user account (the counters keep them).
+ * - documents.view_count and documents.download_count go up by one with every new event (downloads counted
+ *   before events were recorded stay in download_count).
+ * - Uploaders get per-day totals and per-document counters for their uploads (uploaderStats); the home
+ *   page lists the documents with the most activity over the last week (trendingDocuments).
+ */
+
+const { db } = require('./db');
+const { markDataDirty } = require('./gitDataSync');
+
+const KINDS = ['view', 'download'];
+const STATS_DAYS = 30;
+const MAX_STATS_DAYS = 365;
+const RECENT_DAYS = 7;
+const TRENDING_DAYS = 7;
+const TRENDING_LIMIT = 10;
+// A download says more about a document than a look at it
+const DOWNLOAD_WEIGHT = 3;
+
+const insertEventStmt = db.prepare(`
+INSERT OR IGNORE INTO doc_events (doc_id, user_id, kind, day, created_at)
+VALUES (@doc_id, @user_id, @kind, @day, @created_at)
+`);
+const countViewStmt = db.prepare('UPDATE documents SET view_count = view_count + 1 WHERE id = ?');
+const countDownloadStmt = db.prepare('UPDATE documents SET download_count = download_count + 1 WHERE id = ?');
+const dailyStmt = db.prepare(`
+SELECT e.day, SUM(e.kind = 'view') as views, SUM(e.kind = 'download') as downloads
+FROM doc_events e
+JOIN documents d ON d.id = e.doc_id
+WHERE d.uploaded_by = @user_id AND e.day >= @since
+GROUP BY e.day
+`);
+const uploadsStmt = db.prepare(`
+SELECT d.id, d.title, d.status, d.school, d.course, d.created_at, d.view_count, d.download_count,
+       COALESCE(SUM(e.kind = 'view'), 0) as recent_views, COALESCE(SUM(e.kind = 'download'), 0) as recent_downloads
+FROM documents d
+LEFT JOIN doc_events e ON e.doc_id = d.id AND e.day >= @recent_since
+WHERE d.uploaded_by = @user_id
+GROUP BY d.id
+ORDER BY d.download_count DESC, d.view_count DESC, d.created_at DESC
+`);
+const trendingStmt = db.prepare(`
+SELECT d.id, d.title, d.course, d.school, d.grade_level, d.tags, d.created_at,
+       SUM(e.kind = 'view') as views, SUM(e.kind = 'download') as downloads,
+       SUM(CASE e.kind WHEN 'download' THEN @download_weight ELSE 1 END) as score
+FROM doc_events e
+JOIN documents d ON d.id = e.doc_id
+WHERE e.day >= @since AND d.status = 'approved'
+GROUP BY d.id
+ORDER BY score DESC, downloads DESC, d.created_at DESC
+LIMIT @limit
+`);
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+// First day (UTC) of a window of `days` days ending today
+function windowStart(days) {
+  return utcDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Record a view or download of doc by user. Returns true when it was counted (first of its kind for
+ * this user, document and day).
+ */
+const recordEvent = db.transaction((user, doc, kind) => {
+  if (!KINDS.includes(kind)) throw new Error(`Unknown event kind: ${kind}`);
+  if (!user || doc.status !== 'approved' || doc.uploaded_by === user.id) return false;
+  const now = new Date();
+  const inserted = insertEventStmt.run({
+    doc_id: doc.id,
+    user_id: user.id,
+    kind,
+    day: utcDay(now),
+    created_at: now.toISOString()
+  }).changes > 0;
+  if (!inserted) return false;
+  (kind === 'view' ? countViewStmt : countDownloadStmt).run(doc.id);
+  markDataDirty();
+  return true;
+});
+
+/**
+ * Stats of a user's uploads: one entry per day of the window (oldest first, days without events
+ * included), totals over the window and every uploaded document with its counters and last-week activity.
+ */
+function uploaderStats(userId, { days = STATS_DAYS } = {}) {
+  const span = Math.min(Math.max(parseInt(days, 10) || STATS_DAYS, 1), MAX_STATS_DAYS);
+  const since = windowStart(span);
+  const byDay = new Map(dailyStmt.all({ user_id: userId, since }).map(r => [r.day, r]));
+  const daily = [];
+  for (let i = span - 1; i >= 0; i--) {
+    const day = utcDay(new Date(Date.now() - i * 24 * 60 * 60 * 1000));
+    const row = byDay.get(day);
+    daily.push({ day, views: row ? row.views : 0, downloads: row ? row.downloads : 0 });
+  }
+  const totals = daily.reduce((t, d) => ({ views: t.views + d.views, downloads: t.downloads + d.downloads }), { views: 0, downloads: 0 });
+  const docs = uploadsStmt.all({ user_id: userId, recent_since: windowStart(RECENT_DAYS) });
+  return { days: span, totals, daily, docs };
+}
+
+/**
+ * Published documents with the most views and downloads (weighted) over the last TRENDING_DAYS days.
+ */
+function trendingDocuments({ limit = TRENDING_LIMIT } = {}) {
+  return trendingStmt.all({
+    since: windowStart(TRENDING_DAYS),
+    download_weight: DOWNLOAD_WEIGHT,
+    limit: Math.min(Math.max(parseInt(limit, 10) || TRENDING_LIMIT, 1), 50)
+  });
+}
+
+module.exports = {
+  KINDS,
+  RECENT_DAYS,
+  TRENDING_DAYS,
+  recordEvent,
+  uploaderStats,
+  trendingDocuments
+};
@@ -16,10 +16,67 @@ const multer = require('multer');
 const mime = require('mime-types');
 const { v4: uuidv4 } = require('uuid');
 
-const { db } = require('./db');
-const { ensureAuthed, ensureAdmin, registerUser, loginUser, findUserById, findUserByUsername } = require('./auth');
-const { uploadPdf, fetchBlobBySha, moveToBannedFolder } = require('./githubStorage');
-const { markDataDirty } = require('./gitDataSync');
+const { db, courseLabel, parseCourse, parseTags } = require('./db');
+const {
+  ROLES,
+  ensureAuthed,
+  ensureRole,
+  canModerateSchool,
+  getAccess,
+  grantRole,
+  revokeRole,
+  registerUser,
+  loginUser,
+  findUserById,
+  findUserByEmail,
+  findUserByUsername
+} = require('./auth');
+const { uploadPdf, fetchPdf } = require('./storage');
+const {
+  nextVersionNumber,
+  recordVersion,
+  addRevision,
+  reviewPendingVersion,
+  reviewCurrentVersion,
+  listVersions,
+  getVersion,
+  moveAllVersionsToBannedFolder
+} = require('./versions');
+const { markDataDirty, getSyncStatus } = require('./gitDataSync');
+const { listConflicts, resolveConflict } = require('./journal');
+const { listBackups, diffBackups, restoreBackup, exportBackup, releaseFile } = require('./backups');
+const { indexPdfText, toMatchQuery, searchDocuments } = require('./search');
+const { getSessionStore, publicSessionId } = require('./sessionStore');
+const { KINDS: BAN_KINDS, banAccount, createBan, liftBan, listBans, listBanEvents, expiryFromDays } = require('./bans');
+const { getAppealForBan, submitAppeal, decideAppeal, listAppeals } = require('./appeals');
+const { previewBanPurge, listPurges, restorePurgedDocument } = require('./banCleanup');
+const { CATEGORIES: REPORT_CATEGORIES, submitReport, listReportedDocs, resolveReports } = require('./reports');
+const { notify, listNotifications, unreadCount, markRead } = require('./notifications');
+const { recordEvent, uploaderStats, trendingDocuments } = require('./analytics');
+const { rateDocument, userRating } = require('./ratings');
+const { listComments, addComment, editComment, deleteComment } = require('./comments');
+const { ZIP_MAX_DOCS, sendDocsZip } = require('./zipDownloads');
+const { profilePath, getProfile, setProfileVisibility } = require('./profiles');
+const { isValidGradeLevel, listUploads, updateUpload, withdrawUpload, resubmitUpload, deleteUpload } = require('./uploads');
+const {
+  setBookmark, isBookmarked, listBookmarks, listCollections, getCollection, createCollection,
+  updateCollection, deleteCollection, addItem, removeItem, reorderItems
+} = require('./collections');
+const { WINDOWS: LEADERBOARD_WINDOWS, awardApproval, reverseDocAward, pointsHistory, leaderboard } = require('./points');
+const {
+  cleanSchoolName,
+  findSchool,
+  matchSchool,
+  resolveSchool,
+  suggestSchools,
+  listSchools,
+  createSchool,
+  renameSchool,
+  addAlias,
+  removeAlias,
+  mergeSchools
+} = require('./schools');
+const { MAX_COURSE_LENGTH, resolveCourse, courseText, suggestCourses, setDocumentTags, getCourse, browse } = require('./catalog');
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 100 * 1024 * 1024 } }); // 100MB
@@ -29,24 +86,37 @@ function me(req) {
   if (!req.session || !req.session.userId) return null;
   const u = findUserById.get(req.session.userId);
   if (!u) return null;
+  const access = getAccess(u.id);
   return {
     id: u.id,
     email: u.email,
     username: u.username,
     points: u.points,
-    is_admin: !!u.is_admin,
+    roles: access.roles,
+    is_admin: access.is_admin,
+    is_moderator: access.is_moderator,
+    moderator_schools: access.moderator_schools,
     status: u.status,
     ban_reason: u.ban_reason || null,
-    banned_at: u.banned_at || null
+    banned_at: u.banned_at || null,
+    profile_public: !!u.profile_public,
+    profile_url: profilePath(u)
   };
 }
 
-function isValidGradeLevel(val) {
-  if (!val) return false;
-  const trimmed = String(val).trim();
-  if (trimmed.toLowerCase() === 'college') return true;
-  const num = Number(trimmed);
-  return Number.isInteger(num) && num >= 1 && num <= 14;
+// JSON error answer for an error carrying .status (see the xxxError helpers of the modules); errors without
+// one are unexpected and logged
+function sendError(res, e, fallback) {
+  const status = e.status || 500;
+  if (status === 500) console.error(fallback, e);
+  res.status(status).json({ ok: false, error: e.message || fallback });
+}
+
+// Approved docs are visible to everyone; others only to the uploader and moderators of the doc's school
+function canSeeDoc(user, doc) {
+  if (doc.status === 'approved') return true;
+  if (!user) return false;
+  return user.id === doc.uploaded_by || canModerateSchool(user, doc.school);
 }
 
 function isValidUsername(name) {
@@ -57,21 +127,53 @@ function isValidUsername(name) {
 }
 
 // Auth/session
+// Start a fresh session for a signed-in user (new id, so a pre-login session id cannot be reused)
+function startSession(req, userId) {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate((err) => {
+      if (err) return reject(err);
+      req.session.userId = userId;
+      req.session.client = {
+        ip: req.ip,
+        device: req.deviceId || null,
+        user_agent: String(req.get('user-agent') || '').slice(0, 300)
+      };
+      resolve();
+    });
+  });
+}
+
+// req.ban is set by enforceBans (bans.js) for banned accounts, devices and IPs
+function banInfo(req, user) {
+  if (!req.ban) return null;
+  const appeal = user ? getAppealForBan(req.ban.id, user.id) : null;
+  return {
+    kind: req.ban.kind,
+    reason: req.ban.reason || 'Violation of rules',
+    created_at: req.ban.created_at,
+    expires_at: req.ban.expires_at || null,
+    appeal,
+    can_appeal: !!user && !appeal
+  };
+}
+
 router.get('/me', (req, res) => {
   const user = me(req);
-  const serverBanned = user ? user.status === 'banned' : false;
+  const serverBanned = !!req.ban;
   res.json({
     ok: true,
     user,
     serverBanned,
-    serverBanReason: serverBanned ? (user.ban_reason || 'Violation of rules') : '',
+    serverBanReason: serverBanned ? (req.ban.reason || 'Violation of rules') : '',
+    ban: banInfo(req, user),
+    unread_notifications: user ? unreadCount(user.id) : 0,
     branding: process.env.BRANDING_TEXT || 'Made by Firewall Freedom'
   });
 });
 
 router.post('/auth/register', async (req, res) => {
   try {
-    const { email, password, confirm, client_banned, client_ban_reason, username } = req.body;
+    const { email, password, confirm, username } = req.body;
     if (!email || !password) throw new Error('Email and password required');
     if (password !== confirm) throw new Error('Passwords do not match');
     let finalUsername = String(username || '').trim();
@@ -79,14 +181,8 @@ router.post('/auth/register', async (req, res) => {
       throw new Error('Invalid username. Use 3–30 chars: letters, numbers, _, ., -');
     }
     // If blank, default will be email inside registerUser
-    const u = await registerUser(
-      String(email).trim().toLowerCase(),
-      password,
-      client_banned === true || client_banned === 'true',
-      client_ban_reason || '',
-      finalUsername || null
-    );
-    req.session.userId = u.id;
+    const u = await registerUser(String(email).trim().toLowerCase(), password, finalUsername || null);
+    await startSession(req, u.id);
     res.json({ ok: true });
   } catch (e) {
     res.status(400).json({ ok: false, error: e.message || 'Registration failed' });
@@ -95,22 +191,56 @@ router.post('/auth/register', async (req, res) => {
 
 router.post('/auth/login', async (req, res) => {
   try {
-    const { email, password, client_banned, client_ban_reason } = req.body;
+    const { email, password } = req.body;
     const identity = String(email).trim(); // can be email or username
-    const u = await loginUser(identity, password, client_banned === true || client_banned === 'true', client_ban_reason || '');
-    req.session.userId = u.id;
+    const u = await loginUser(identity, password);
+    await startSession(req, u.id);
     res.json({ ok: true, is_admin: !!u.is_admin });
   } catch (e) {
     res.status(400).json({ ok: false, error: e.message || 'Login failed' });
   }
 });
 
+// Appeal the ban currently applied to the signed-in user (one appeal per ban)
+router.post('/appeals', ensureAuthed, (req, res) => {
+  try {
+    const appeal = submitAppeal(req.session.userId, req.ban, req.body.message);
+    res.json({ ok: true, appeal: { id: appeal.id, status: 'open', created_at: appeal.created_at } });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message || 'Unable to submit appeal' });
+  }
+});
+
 router.post('/auth/logout', (req, res) => {
   req.session.destroy(() => {
     res.json({ ok: true });
   });
 });
 
+// Active sessions of the signed-in user (ids are hashes, never the session id itself)
+router.get('/auth/sessions', ensureAuthed, (req, res) => {
+  res.json({ ok: true, sessions: getSessionStore().listUserSessions(req.session.userId, req.sessionID) });
+});
+
+router.post('/auth/sessions/revoke', ensureAuthed, (req, res) => {
+  const id = String(req.body.id || '');
+  if (id === publicSessionId(req.sessionID)) {
+    return res.status(400).json({ ok: false, error: 'Use Logout to end the current session' });
+  }
+  if (!getSessionStore().destroyUserSession(req.session.userId, id)) {
+    return res.status(404).json({ ok: false, error: 'Session not found' });
+  }
+  res.json({ ok: true });
+});
+
+// Sign out everywhere, including this browser
+router.post('/auth/logout-everywhere', ensureAuthed, (req, res) => {
+  const removed = getSessionStore().destroyUserSessions(req.session.userId);
+  req.session.destroy(() => {
+    res.json({ ok: true, sessions_ended: removed });
+  });
+});
+
 // Account settings
 const updateUsernameStmt = db.prepare('UPDATE users SET username = ? WHERE id = ?');
 router.patch('/account/username', ensureAuthed, (req, res) => {
@@ -141,16 +271,13 @@ router.delete('/account', ensureAuthed, async (req, res) => {
     const user = me(req);
     const docs = userDocsStmt.all(user.id);
     for (const doc of docs) {
-      try {
-        await moveToBannedFolder(doc.github_path, doc.github_sha, doc.id);
-      } catch (e) {
-        console.error('Move to banned-pdfs failed for doc', doc.id, e.message);
-      }
+      await moveAllVersionsToBannedFolder(doc);
       deleteDocStmt.run(doc.id);
       markDataDirty();
     }
     deleteUserStmt.run(user.id);
     markDataDirty();
+    getSessionStore().destroyUserSessions(user.id);
     req.session.destroy(() => {});
     res.json({ ok: true, moved_docs: docs.length });
   } catch (e) {
@@ -158,88 +285,210 @@ router.delete('/account', ensureAuthed, async (req, res) => {
   }
 });
 
-// Leaderboard
-const leaderStmt = db.prepare(`
-SELECT email, username, points FROM users
-WHERE status='active' AND is_admin=0
-ORDER BY points DESC, datetime(created_at) ASC
-LIMIT 10
-`);
-router.get('/leaderboard', (req, res) => {
-  res.json({ ok: true, leaders: leaderStmt.all() });
+// Body: { public: true|false } (see profiles.js)
+router.patch('/account/profile', ensureAuthed, (req, res) => {
+  const isPublic = setProfileVisibility(req.session.userId, req.body.public === true || req.body.public === 'true');
+  res.json({ ok: true, public: isPublic, profile_url: profilePath(findUserById.get(req.session.userId)) });
 });
 
-// SEARCH / LIST docs
-// Updated: returns docs that are either approved OR belong to the current user OR (if admin) all docs.
-// Supports q (title LIKE) and school filters; those filters apply on top of visibility rules.
-router.get('/docs/search', async (req, res) => {
+// Public profile: name, join date, points, rank, badges and published uploads
+router.get('/users/:username', (req, res) => {
   try {
-    const qRaw = (req.query.q || '').toString().trim();
-    const schoolRaw = (req.query.school || '').toString().trim();
+    res.json({ ok: true, profile: getProfile(req.params.username, req.session && req.session.userId) });
+  } catch (e) {
+    sendError(res, e, 'Unable to load profile');
+  }
+});
 
-    // Prepare wildcard patterns
-    const qLike = qRaw ? `%${qRaw}%` : null;
-    const schoolLike = schoolRaw ? `%${schoolRaw}%` : null;
+// The signed-in user's documents ("My uploads"). Query: status (optional)
+router.get('/account/uploads', ensureAuthed, (req, res) => {
+  const status = (req.query.status || '').toString().trim();
+  res.json({ ok: true, docs: listUploads(req.session.userId, { status }) });
+});
 
-    const currentUser = me(req);
-    const userId = currentUser ? currentUser.id : null;
-    const isAdmin = currentUser && currentUser.is_admin;
-
-    // Build SQL dynamically to incorporate visibility rules safely
-    // We select documents where:
-    // - (d.status = 'approved') OR (d.uploaded_by = :userId) OR (isAdmin -> include all)
-    // Then apply the optional title/school filters.
-
-    // Note: If user is admin, we don't restrict by status or owner.
-    let sql = `
-SELECT d.id, d.title, d.course, d.school, d.grade_level, d.tags, d.created_at, d.status,
-       u.status as uploader_status
-FROM documents d
-LEFT JOIN users u ON u.id = d.uploaded_by
-WHERE 1=1
-`;
+// Leaderboard. Query: window=week|month|all (default all), school (points earned with that school's documents)
+router.get('/leaderboard', (req, res) => {
+  const window = Object.prototype.hasOwnProperty.call(LEADERBOARD_WINDOWS, req.query.window) ? req.query.window : 'all';
+  const typed = (req.query.school || '').toString().trim();
+  const known = findSchool(typed);
+  const school = known ? known.name : typed;
+  // Users without a public profile are listed anonymously
+  const leaders = leaderboard({ window, school }).map(l => {
+    const profileUrl = profilePath(l);
+    return { username: profileUrl ? l.username : null, points: l.points, profile_url: profileUrl };
+  });
+  res.json({ ok: true, window, school, leaders });
+});
+
+// Points ledger of the signed-in user
+router.get('/points', ensureAuthed, (req, res) => {
+  const user = me(req);
+  res.json({ ok: true, points: user ? user.points : 0, history: pointsHistory(req.session.userId) });
+});
+
+// Views and downloads of the signed-in user's uploads. Query: days (window of the daily series, default 30)
+router.get('/stats/uploads', ensureAuthed, (req, res) => {
+  res.json(Object.assign({ ok: true }, uploaderStats(req.session.userId, { days: req.query.days })));
+});
+
+// Most viewed and downloaded published documents of the last week. Query: limit (max 50)
+router.get('/docs/trending', (req, res) => {
+  res.json({ ok: true, docs: trendingDocuments({ limit: req.query.limit }) });
+});
+
+// SQL fragment for a school filter: a name or alias of a known school matches that school's documents,
+// anything else is a substring match on the name
+function schoolFilterSql(typed, params) {
+  if (!typed) return '';
+  const known = findSchool(typed);
+  if (known) {
+    params.schoolId = known.id;
+    return ' AND d.school_id = @schoolId';
+  }
+  params.school = `%${typed}%`;
+  return ' AND d.school LIKE @school';
+}
 
-    const params = {};
+// Schools autocomplete. Query: prefix (matches the start of any word of a name or alias), limit (max 50)
+router.get('/schools', (req, res) => {
+  const prefix = (req.query.prefix || '').toString();
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  res.json({ ok: true, schools: suggestSchools(prefix, limit) });
+});
 
-    // Visibility clause
-    if (!isAdmin) {
-      sql += ` AND (d.status = 'approved'`;
-      if (userId) {
-        sql += ` OR d.uploaded_by = @userId`;
-        params.userId = userId;
+// Course autocomplete within a school. Query: school (name or alias), prefix, limit (max 50)
+router.get('/courses', (req, res) => {
+  const school = findSchool((req.query.school || '').toString());
+  if (!school) return res.json({ ok: true, school: null, courses: [] });
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+  res.json({ ok: true, school: { id: school.id, name: school.name }, courses: suggestCourses(school.id, (req.query.prefix || '').toString(), limit) });
+});
+
+// Browse approved documents by school → course → grade → tag with facet counts.
+// Query: school (name or alias), course (course id), grade, tag, page
+router.get('/browse', (req, res) => {
+  try {
+    const school = req.query.school ? findSchool(req.query.school.toString()) : null;
+    if (req.query.school && !school) return res.status(404).json({ ok: false, error: 'Unknown school' });
+    const course = school && req.query.course ? getCourse(req.query.course) : null;
+    const grade = (req.query.grade || '').toString().trim();
+    const tag = parseTags(req.query.tag)[0] || '';
+    const result = browse({
+      schoolId: school ? school.id : null,
+      courseId: course && course.school_id === school.id ? course.id : null,
+      grade,
+      tag
+    }, { page: parseInt(req.query.page, 10) || 1 });
+    res.json(Object.assign({
+      ok: true,
+      selected: {
+        school: school ? { id: school.id, name: school.name } : null,
+        course: course && course.school_id === school.id ? { id: course.id, label: courseLabel(course) } : null,
+        grade: grade || null,
+        tag: tag || null
       }
-      sql += `)`;
-    } // if admin -> no additional visibility filter
+    }, result));
+  } catch (e) {
+    console.error('Browse error', e);
+    res.status(500).json({ ok: false, error: e.message || 'Browse failed' });
+  }
+});
 
-    // Title filter
-    if (qLike) {
-      sql += ` AND d.title LIKE @q`;
-      params.q = qLike;
-    }
+// Date filter value (YYYY-MM-DD or ISO timestamp) as an ISO timestamp. A plain date used as an
+// upper bound means the end of that day.
+function parseDateParam(value, { endOfDay = false } = {}) {
+  const raw = (value || '').toString().trim();
+  if (!raw) return null;
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) throw Object.assign(new Error(`Invalid date: ${raw}`), { status: 400 });
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(raw)) date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString();
+}
 
-    // School filter
-    if (schoolLike) {
-      sql += ` AND d.school LIKE @school`;
-      params.school = schoolLike;
-    }
+// SEARCH / LIST docs
+// Returns docs that are approved, belong to the current user, or (admins and global moderators) all docs.
+// Query:
+// - q: full-text over title, description, course, tags, school and PDF text (results carry a highlighted snippet)
+// - school (name or alias), course (course id or text), grade, tag, uploader (username), from / to (dates)
+// - sort: relevance (default with q) | newest (default otherwise) | most_downloaded | top_rated
+// - cursor (next_cursor of the previous page), limit (default 20, max 100)
+function searchRequest(req) {
+  const str = (name) => (req.query[name] || '').toString().trim();
+  const currentUser = me(req);
 
-    sql += ` ORDER BY datetime(d.created_at) DESC LIMIT 200`;
+  const schoolRaw = str('school');
+  const school = schoolRaw ? findSchool(schoolRaw) : null;
+  const courseRaw = str('course');
+  const course = courseRaw ? getCourse(courseRaw) : null;
+  const parsedCourse = course ? null : parseCourse(courseRaw);
+  const filters = {
+    match: toMatchQuery(str('q')),
+    schoolId: school ? school.id : null,
+    schoolLike: school ? null : schoolRaw,
+    courseId: course ? course.id : null,
+    courseLike: course ? null : courseRaw,
+    courseKey: parsedCourse ? parsedCourse.key : null,
+    grade: str('grade') || str('grade_level'),
+    tag: parseTags(str('tag'))[0] || '',
+    uploader: str('uploader'),
+    from: parseDateParam(req.query.from),
+    before: parseDateParam(req.query.to, { endOfDay: true })
+  };
+  const viewer = {
+    userId: currentUser ? currentUser.id : null,
+    seesAll: !!(currentUser && currentUser.is_moderator)
+  };
+  return { viewer, filters, options: { sort: str('sort'), cursor: str('cursor'), limit: req.query.limit } };
+}
 
-    const stmt = db.prepare(sql);
-    const docs = stmt.all(params);
+router.get('/docs/search', async (req, res) => {
+  try {
+    const { viewer, filters, options } = searchRequest(req);
+    const result = searchDocuments(viewer, filters, options);
+    res.json(Object.assign({ ok: true }, result));
+  } catch (e) {
+    sendError(res, e, 'Search failed');
+  }
+});
 
-    res.json({ ok: true, docs });
+// ZIP downloads (see zipDownloads.js); errors before the archive starts are JSON like everywhere else
+function sendZipError(res, e) {
+  if (res.headersSent) return;
+  if (e.retryAfter) res.setHeader('Retry-After', String(e.retryAfter));
+  sendError(res, e, 'ZIP download failed');
+}
+
+function siteUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// One page of search results as a ZIP. Same query as /docs/search; limit defaults to 20 (max ZIP_MAX_DOCS)
+router.get('/docs/search/zip', ensureAuthed, async (req, res) => {
+  try {
+    const user = me(req);
+    const { viewer, filters, options } = searchRequest(req);
+    options.limit = Math.min(parseInt(options.limit, 10) || 20, ZIP_MAX_DOCS);
+    const { docs } = searchDocuments(viewer, filters, options);
+    const rows = docs.map(d => getDoc.get(d.id)).filter(d => d && canSeeDoc(user, d));
+    const q = (req.query.q || '').toString().trim();
+    const query = new URLSearchParams(req.query).toString();
+    await sendDocsZip(res, user, rows, {
+      title: q ? `Search results for ${q}` : 'Search results',
+      url: `${siteUrl(req)}/?${query}`,
+      source: 'search',
+      sourceRef: query,
+      baseUrl: siteUrl(req)
+    });
   } catch (e) {
-    console.error('Search error', e);
-    res.status(500).json({ ok: false, error: e.message || 'Search failed' });
+    sendZipError(res, e);
   }
 });
 
 // Upload single doc (pending by default)
 const insertDoc = db.prepare(`
 INSERT INTO documents
-(id, title, description, course, tags, content_type, size, github_path, github_sha, uploaded_by, created_at, status, school, grade_level)
-VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+(id, title, description, course, course_id, tags, content_type, size, storage_backend, storage_key, storage_ref, uploaded_by, created_at, status, school, school_id, grade_level)
+VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)
 `);
 router.post('/docs/upload', ensureAuthed, upload.single('pdfs'), async (req, res) => {
   try {
@@ -249,31 +498,41 @@ router.post('/docs/upload', ensureAuthed, upload.single('pdfs'), async (req, res
     }
     if (!req.file) throw new Error('No file uploaded');
     const { title, description, course, tags, school, grade_level } = req.body;
-    if (!school || !String(school).trim()) throw new Error('School is required');
+    const schoolName = cleanSchoolName(school);
     if (!isValidGradeLevel(grade_level)) throw new Error('Grade level must be 1–14 or College');
+    if (String(course || '').trim().length > MAX_COURSE_LENGTH) throw new Error(`Course is limited to ${MAX_COURSE_LENGTH} characters`);
 
     const contentType = req.file.mimetype || mime.lookup(req.file.originalname) || 'application/pdf';
     if (contentType !== 'application/pdf') throw new Error('Only PDF files are allowed');
 
     const id = uuidv4();
-    const gh = await uploadPdf(req.file.buffer, req.file.originalname, id);
+    const stored = await uploadPdf(req.file.buffer, req.file.originalname, id);
+    const schoolRow = matchSchool(schoolName);
+    const courseRow = resolveCourse(schoolRow.id, course, currentUser.id);
 
     insertDoc.run(
       id,
       String(title || req.file.originalname).trim(),
       description ? String(description).trim() : '',
-      course ? String(course).trim() : '',
-      tags ? String(tags).trim() : '',
+      courseText(courseRow, course),
+      courseRow ? courseRow.id : null,
+      parseTags(tags).join(', '),
       contentType,
       req.file.size,
-      gh.path,
-      gh.sha,
+      stored.backend,
+      stored.key,
+      stored.ref,
       currentUser.id,
       new Date().toISOString(),
-      String(school).trim(),
+      schoolRow.name,
+      schoolRow.id,
       String(grade_level).trim()
     );
+    setDocumentTags(id, tags);
+    recordVersion(id, 1, stored, { size: req.file.size, originalName: req.file.originalname, uploadedBy: currentUser.id });
     markDataDirty();
+    // Extract PDF text in the background; the search job retries anything missed here
+    indexPdfText(id, req.file.buffer).catch(err => console.error('Indexing error', err.message));
 
     res.json({ ok: true, id });
   } catch (e) {
@@ -290,33 +549,46 @@ router.post('/docs/uploads', ensureAuthed, upload.array('pdfs', 50), async (req,
     }
     if (!req.files || req.files.length === 0) throw new Error('No files uploaded');
     const { title, description, course, tags, school, grade_level } = req.body;
-    if (!school || !String(school).trim()) throw new Error('School is required');
+    const schoolName = cleanSchoolName(school);
     if (!isValidGradeLevel(grade_level)) throw new Error('Grade level must be 1–14 or College');
+    if (String(course || '').trim().length > MAX_COURSE_LENGTH) throw new Error(`Course is limited to ${MAX_COURSE_LENGTH} characters`);
 
     const ids = [];
+    let schoolRow = null;
+    let courseRow = null;
     for (const file of req.files) {
       const contentType = file.mimetype || mime.lookup(file.originalname) || 'application/pdf';
       if (contentType !== 'application/pdf') throw new Error('Only PDF files are allowed');
 
       const id = uuidv4();
-      const gh = await uploadPdf(file.buffer, file.originalname, id);
+      const stored = await uploadPdf(file.buffer, file.originalname, id);
+      if (!schoolRow) {
+        schoolRow = matchSchool(schoolName);
+        courseRow = resolveCourse(schoolRow.id, course, currentUser.id);
+      }
 
       insertDoc.run(
         id,
         String(title || file.originalname).trim(),
         description ? String(description).trim() : '',
-        course ? String(course).trim() : '',
-        tags ? String(tags).trim() : '',
+        courseText(courseRow, course),
+        courseRow ? courseRow.id : null,
+        parseTags(tags).join(', '),
         contentType,
         file.size,
-        gh.path,
-        gh.sha,
+        stored.backend,
+        stored.key,
+        stored.ref,
         currentUser.id,
         new Date().toISOString(),
-        String(school).trim(),
+        schoolRow.name,
+        schoolRow.id,
         String(grade_level).trim()
       );
+      setDocumentTags(id, tags);
+      recordVersion(id, 1, stored, { size: file.size, originalName: file.originalname, uploadedBy: currentUser.id });
       ids.push(id);
+      indexPdfText(id, file.buffer).catch(err => console.error('Indexing error', err.message));
     }
     markDataDirty();
 
@@ -328,7 +600,8 @@ router.post('/docs/uploads', ensureAuthed, upload.array('pdfs', 50), async (req,
 
 // Get doc metadata
 const getDoc = db.prepare(`
-SELECT d.*, u.email as uploader_email, u.username as uploader_username, u.status as uploader_status, u.banned_at as uploader_banned_at, u.ban_reason as uploader_ban_reason
+SELECT d.*, u.username as uploader_username, u.status as uploader_status, u.banned_at as uploader_banned_at, u.ban_reason as uploader_ban_reason,
+       u.profile_public as uploader_profile_public
 FROM documents d
 LEFT JOIN users u ON u.id = d.uploaded_by
 WHERE d.id = ?
@@ -337,14 +610,17 @@ router.get('/docs/:id', (req, res) => {
   const doc = getDoc.get(req.params.id);
   if (!doc) return res.status(404).json({ ok: false, error: 'Not found' });
 
-  const user = me(req);
-  const isAdmin = user && user.is_admin;
-  const isOwner = user && user.id === doc.uploaded_by;
-
-  if (doc.status !== 'approved' && !isAdmin && !isOwner) {
+  if (!canSeeDoc(me(req), doc)) {
     return res.status(403).json({ ok: false, error: 'Pending review' });
   }
-  res.json({ ok: true, doc });
+  const user = me(req);
+  res.json({
+    ok: true,
+    doc,
+    uploader_profile: profilePath({ username: doc.uploader_username, profile_public: doc.uploader_profile_public, status: doc.uploader_status }),
+    my_rating: user ? userRating(user.id, doc.id) : null,
+    favorite: user ? isBookmarked(user.id, doc.id) : false
+  });
 });
 
 // View/download binary
@@ -352,30 +628,25 @@ router.get('/docs/:id/view', ensureAuthed, async (req, res) => {
   const doc = getDoc.get(req.params.id);
   if (!doc) return res.status(404).send('Not found');
 
-  const user = me(req);
-  const isAdmin = user && user.is_admin;
-  const isOwner = user && user.id === doc.uploaded_by;
-  if (doc.status !== 'approved' && !isAdmin && !isOwner) {
+  if (!canSeeDoc(me(req), doc)) {
     return res.status(403).send('Pending review');
   }
 
   res.setHeader('Content-Type', 'application/pdf');
   try {
-    const buf = await fetchBlobBySha(doc.github_sha);
+    const buf = await fetchPdf(doc);
     res.send(buf);
   } catch (e) {
-    res.status(500).send('Error fetching PDF');
+    return res.status(500).send('Error fetching PDF');
   }
+  recordEvent(me(req), doc, 'view');
 });
 
 router.get('/docs/:id/download', ensureAuthed, async (req, res) => {
   const doc = getDoc.get(req.params.id);
   if (!doc) return res.status(404).send('Not found');
 
-  const user = me(req);
-  const isAdmin = user && user.is_admin;
-  const isOwner = user && user.id === doc.uploaded_by;
-  if (doc.status !== 'approved' && !isAdmin && !isOwner) {
+  if (!canSeeDoc(me(req), doc)) {
     return res.status(403).send('Pending review');
   }
 
@@ -383,56 +654,901 @@ router.get('/docs/:id/download', ensureAuthed, async (req, res) => {
   res.setHeader('Content-Type', 'application/pdf');
   res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
   try {
-    const buf = await fetchBlobBySha(doc.github_sha);
+    const buf = await fetchPdf(doc);
     res.send(buf);
   } catch (e) {
-    res.status(500).send('Error fetching PDF');
+    return res.status(500).send('Error fetching PDF');
+  }
+  recordEvent(me(req), doc, 'download');
+});
+
+// Uploader's own document management (see uploads.js)
+// Body: any of { title, description, school, course, grade_level, tags }
+router.patch('/docs/:id', ensureAuthed, (req, res) => {
+  try {
+    const result = updateUpload(me(req), getDoc.get(req.params.id), req.body || {});
+    res.json(Object.assign({ ok: true }, result));
+  } catch (e) {
+    sendError(res, e, 'Unable to update document');
+  }
+});
+
+router.post('/docs/:id/withdraw', ensureAuthed, async (req, res) => {
+  try {
+    await withdrawUpload(me(req), getDoc.get(req.params.id));
+    res.json({ ok: true, status: 'withdrawn' });
+  } catch (e) {
+    sendError(res, e, 'Unable to withdraw document');
+  }
+});
+
+router.post('/docs/:id/resubmit', ensureAuthed, async (req, res) => {
+  try {
+    await resubmitUpload(me(req), getDoc.get(req.params.id));
+    res.json({ ok: true, status: 'pending' });
+  } catch (e) {
+    sendError(res, e, 'Unable to resubmit document');
+  }
+});
+
+router.delete('/docs/:id', ensureAuthed, async (req, res) => {
+  try {
+    const moved = await deleteUpload(me(req), getDoc.get(req.params.id));
+    res.json({ ok: true, moved_files: moved });
+  } catch (e) {
+    sendError(res, e, 'Unable to delete document');
   }
 });
 
+// Notifications inbox of the signed-in user
+router.get('/notifications', ensureAuthed, (req, res) => {
+  const userId = req.session.userId;
+  res.json({ ok: true, notifications: listNotifications(userId), unread: unreadCount(userId) });
+});
+
+// Body: { ids: [...] } to mark some notifications read, or {} for all of them
+router.post('/notifications/read', ensureAuthed, (req, res) => {
+  const ids = Array.isArray(req.body.ids) ? req.body.ids : [];
+  const changed = markRead(req.session.userId, ids);
+  if (changed) markDataDirty();
+  res.json({ ok: true, changed, unread: unreadCount(req.session.userId) });
+});
+
+// Report a published document (see reports.js)
+router.post('/docs/:id/report', ensureAuthed, (req, res) => {
+  const doc = getDoc.get(req.params.id);
+  const user = me(req);
+  if (!doc || !canSeeDoc(user, doc)) return res.status(404).json({ ok: false, error: 'Not found' });
+  try {
+    const report = submitReport(user, doc, { category: req.body.category, details: req.body.details });
+    res.json({ ok: true, id: report.id });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message || 'Unable to report document' });
+  }
+});
+
+// Ratings and comments (see ratings.js and comments.js)
+// Body: { stars: 1..5 }; rating again replaces the earlier rating
+router.post('/docs/:id/rating', ensureAuthed, (req, res) => {
+  const doc = getDoc.get(req.params.id);
+  const user = me(req);
+  if (!doc || !canSeeDoc(user, doc)) return res.status(404).json({ ok: false, error: 'Not found' });
+  try {
+    res.json(Object.assign({ ok: true }, rateDocument(user, doc, req.body.stars)));
+  } catch (e) {
+    sendError(res, e, 'Unable to rate document');
+  }
+});
+
+router.get('/docs/:id/comments', (req, res) => {
+  const doc = getDoc.get(req.params.id);
+  const user = me(req);
+  if (!doc || !canSeeDoc(user, doc)) return res.status(404).json({ ok: false, error: 'Not found' });
+  res.json({ ok: true, comments: listComments(doc, user) });
+});
+
+// Body: { body, parent_id? } (parent_id replies to that comment)
+router.post('/docs/:id/comments', ensureAuthed, (req, res) => {
+  const doc = getDoc.get(req.params.id);
+  const user = me(req);
+  if (!doc || !canSeeDoc(user, doc)) return res.status(404).json({ ok: false, error: 'Not found' });
+  try {
+    const id = addComment(user, doc, { body: req.body.body, parentId: req.body.parent_id || null });
+    res.json({ ok: true, id });
+  } catch (e) {
+    sendError(res, e, 'Unable to post comment');
+  }
+});
+
+// Body: { body }; authors only
+router.post('/docs/:id/comments/:commentId/edit', ensureAuthed, (req, res) => {
+  const doc = getDoc.get(req.params.id);
+  const user = me(req);
+  if (!doc || !canSeeDoc(user, doc)) return res.status(404).json({ ok: false, error: 'Not found' });
+  try {
+    editComment(user, doc, req.params.commentId, req.body.body);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, 'Unable to edit comment');
+  }
+});
+
+// Authors delete their comments; moderators of the document's school remove anyone's
+router.post('/docs/:id/comments/:commentId/delete', ensureAuthed, (req, res) => {
+  const doc = getDoc.get(req.params.id);
+  const user = me(req);
+  if (!doc || !canSeeDoc(user, doc)) return res.status(404).json({ ok: false, error: 'Not found' });
+  try {
+    res.json({ ok: true, status: deleteComment(user, doc, req.params.commentId) });
+  } catch (e) {
+    sendError(res, e, 'Unable to delete comment');
+  }
+});
+
+// Favorites and collections (see collections.js)
+// A document the user may add to favorites or a collection, or null
+function visibleDoc(req, docId) {
+  const doc = getDoc.get(String(docId || ''));
+  return doc && canSeeDoc(me(req), doc) ? doc : null;
+}
+
+router.get('/favorites', ensureAuthed, (req, res) => {
+  res.json({ ok: true, docs: listBookmarks(req.session.userId) });
+});
+
+// Body: { doc_id }
+router.post('/favorites', ensureAuthed, (req, res) => {
+  const doc = visibleDoc(req, req.body.doc_id);
+  if (!doc) return res.status(404).json({ ok: false, error: 'Not found' });
+  res.json({ ok: true, favorite: setBookmark(req.session.userId, doc.id, true) });
+});
+
+router.delete('/favorites/:docId', ensureAuthed, (req, res) => {
+  res.json({ ok: true, favorite: setBookmark(req.session.userId, req.params.docId, false) });
+});
+
+// The signed-in user's collections. Query: doc_id (sets contains_doc on each collection)
+router.get('/collections', ensureAuthed, (req, res) => {
+  res.json({ ok: true, collections: listCollections(req.session.userId, (req.query.doc_id || '').toString() || null) });
+});
+
+// Body: { name, description?, is_public? }
+router.post('/collections', ensureAuthed, (req, res) => {
+  try {
+    res.json({ ok: true, id: createCollection(req.session.userId, req.body) });
+  } catch (e) {
+    sendError(res, e, 'Unable to create collection');
+  }
+});
+
+// Public collections for anyone, private ones for their owner
+router.get('/collections/:id', (req, res) => {
+  try {
+    const user = me(req);
+    res.json({ ok: true, collection: getCollection(req.params.id, user ? user.id : null) });
+  } catch (e) {
+    sendError(res, e, 'Unable to load collection');
+  }
+});
+
+// Body: any of { name, description, is_public }
+router.patch('/collections/:id', ensureAuthed, (req, res) => {
+  try {
+    updateCollection(req.params.id, req.session.userId, req.body);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, 'Unable to update collection');
+  }
+});
+
+router.delete('/collections/:id', ensureAuthed, (req, res) => {
+  try {
+    deleteCollection(req.params.id, req.session.userId);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, 'Unable to delete collection');
+  }
+});
+
+// Body: { doc_id }; appended at the end
+router.post('/collections/:id/items', ensureAuthed, (req, res) => {
+  const doc = visibleDoc(req, req.body.doc_id);
+  if (!doc) return res.status(404).json({ ok: false, error: 'Not found' });
+  try {
+    addItem(req.params.id, req.session.userId, doc.id);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, 'Unable to add document');
+  }
+});
+
+router.delete('/collections/:id/items/:docId', ensureAuthed, (req, res) => {
+  try {
+    removeItem(req.params.id, req.session.userId, req.params.docId);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, 'Unable to remove document');
+  }
+});
+
+// The collection's published documents as a ZIP, in collection order
+router.get('/collections/:id/zip', ensureAuthed, async (req, res) => {
+  try {
+    const user = me(req);
+    const collection = getCollection(req.params.id, user.id);
+    const rows = collection.docs.map(d => getDoc.get(d.id)).filter(d => d && canSeeDoc(user, d));
+    await sendDocsZip(res, user, rows, {
+      title: collection.name,
+      description: collection.description,
+      url: collection.is_public ? `${siteUrl(req)}/collections/${collection.id}` : null,
+      source: 'collection',
+      sourceRef: collection.id,
+      baseUrl: siteUrl(req)
+    });
+  } catch (e) {
+    sendZipError(res, e);
+  }
+});
+
+// Body: { doc_ids: [...] } (every document of the collection, in the new order)
+router.post('/collections/:id/reorder', ensureAuthed, (req, res) => {
+  try {
+    reorderItems(req.params.id, req.session.userId, req.body.doc_ids);
+    res.json({ ok: true });
+  } catch (e) {
+    sendError(res, e, 'Unable to reorder collection');
+  }
+});
+
+// Version history
+// Approved versions (and the one currently shown) are listed for anyone who can see the document;
+// the uploader and the document's moderators also see pending, denied and superseded revisions.
+function canManageVersions(user, doc) {
+  return !!user && (user.id === doc.uploaded_by || canModerateSchool(user, doc.school));
+}
+
+function canSeeVersion(user, doc, version) {
+  if (!canSeeDoc(user, doc)) return false;
+  if (version.status === 'approved' || version.version === doc.current_version) return true;
+  return canManageVersions(user, doc);
+}
+
+router.get('/docs/:id/versions', (req, res) => {
+  const doc = getDoc.get(req.params.id);
+  if (!doc) return res.status(404).json({ ok: false, error: 'Not found' });
+  const user = me(req);
+  if (!canSeeDoc(user, doc)) {
+    return res.status(403).json({ ok: false, error: 'Pending review' });
+  }
+  const versions = listVersions(doc.id).filter(v => canSeeVersion(user, doc, v));
+  res.json({ ok: true, current_version: doc.current_version, can_upload: !!user && user.id === doc.uploaded_by, versions });
+});
+
+// Upload a new revision (uploader only). Field name: pdf; optional note.
+router.post('/docs/:id/versions', ensureAuthed, upload.single('pdf'), async (req, res) => {
+  try {
+    const currentUser = me(req);
+    if (!currentUser || currentUser.status === 'banned') {
+      throw new Error('You are banned and cannot upload.');
+    }
+    const doc = getDoc.get(req.params.id);
+    if (!doc) return res.status(404).json({ ok: false, error: 'Not found' });
+    if (doc.uploaded_by !== currentUser.id) {
+      return res.status(403).json({ ok: false, error: 'Only the uploader can add revisions' });
+    }
+    if (doc.status === 'withdrawn') throw new Error('Resubmit this document before adding a revision');
+    if (!req.file) throw new Error('No file uploaded');
+    const contentType = req.file.mimetype || mime.lookup(req.file.originalname) || 'application/pdf';
+    if (contentType !== 'application/pdf') throw new Error('Only PDF files are allowed');
+
+    const version = nextVersionNumber(doc.id);
+    const stored = await uploadPdf(req.file.buffer, req.file.originalname, doc.id, { version });
+    const result = addRevision(doc, version, stored, {
+      size: req.file.size,
+      originalName: req.file.originalname,
+      note: req.body.note ? String(req.body.note).trim().slice(0, 500) : null,
+      uploadedBy: currentUser.id
+    });
+    markDataDirty();
+    // Not yet approved anywhere: the revision is now the document's file, so index it right away
+    if (result.awaitingReview === 'document') {
+      indexPdfText(doc.id, req.file.buffer).catch(err => console.error('Indexing error', err.message));
+    }
+
+    res.json({ ok: true, version, awaiting_review: result.awaitingReview });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message || 'Revision upload failed' });
+  }
+});
+
+async function sendVersionPdf(req, res, asAttachment) {
+  const doc = getDoc.get(req.params.id);
+  if (!doc) return res.status(404).send('Not found');
+  const version = getVersion(doc.id, Number(req.params.version));
+  if (!version) return res.status(404).send('Not found');
+  if (!canSeeVersion(me(req), doc, version)) {
+    return res.status(403).send('Pending review');
+  }
+
+  res.setHeader('Content-Type', 'application/pdf');
+  if (asAttachment) {
+    const filename = doc.title.replace(/[^a-zA-Z0-9._-]+/g, '-') + `-v${version.version}.pdf`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  try {
+    const buf = await fetchPdf(version);
+    res.send(buf);
+  } catch (e) {
+    res.status(500).send('Error fetching PDF');
+  }
+}
+
+router.get('/docs/:id/versions/:version/view', ensureAuthed, (req, res) => sendVersionPdf(req, res, false));
+router.get('/docs/:id/versions/:version/download', ensureAuthed, (req, res) => sendVersionPdf(req, res, true));
+
 // Admin moderation
-const latestPendingStmt = db.prepare(`
+// Moderation endpoints accept admins, moderators and school moderators; school moderators only see and act on
+// documents from their schools (req.access is set by ensureRole).
+const ensureModerator = ensureRole('admin', 'moderator', 'school_moderator');
+
+const approveStmt = db.prepare(`UPDATE documents SET status='approved', denial_reason=NULL WHERE id=?`);
+const denyStmt = db.prepare(`UPDATE documents SET status='denied', denial_reason=? WHERE id=?`);
+const getModerationDocStmt = db.prepare(`
+SELECT id, title, uploaded_by, school, school_id, course, course_id, status, current_version FROM documents WHERE id=?
+`);
+const linkSchoolStmt = db.prepare('UPDATE documents SET school = ?, school_id = ?, course = ?, course_id = ? WHERE id = ?');
+
+// Suggested denial reasons for the moderation UI; moderators may also type their own
+const DENIAL_REASONS = [
+  'Not course material',
+  'Duplicate of an existing document',
+  'Unreadable or poor quality scan',
+  'Wrong school, course or grade',
+  'Contains personal information',
+  'Copyrighted material'
+];
+const MAX_DENIAL_REASON_LENGTH = 500;
+
+function parseDenialReason(body) {
+  const reason = String(body.reason || '').trim();
+  if (!reason) throw new Error('A denial reason is required');
+  if (reason.length > MAX_DENIAL_REASON_LENGTH) throw new Error(`Denial reasons are limited to ${MAX_DENIAL_REASON_LENGTH} characters`);
+  return reason;
+}
+
+// A document uploaded with a school the directory did not know yet adds it (and its course) once approved;
+// an alias an admin added in the meantime links it to the known school instead
+function linkDirectorySchool(doc) {
+  if (doc.school_id) return;
+  const school = resolveSchool(doc.school, doc.uploaded_by);
+  const course = resolveCourse(school.id, doc.course, doc.uploaded_by);
+  linkSchoolStmt.run(school.name, school.id, courseText(course, doc.course), course ? course.id : null, doc.id);
+  Object.assign(doc, { school: school.name, school_id: school.id });
+}
+
+/**
+ * Approve a document, or its pending revision when the document is already approved, and tell the uploader.
+ * The uploader recorded on the document earns the approval points (points.js). Returns { approved, version } or null.
+ */
+function approveDoc(doc, actorId) {
+  if (doc.status === 'approved') {
+    const version = reviewPendingVersion(doc, true);
+    if (!version) return null;
+    notify(doc.uploaded_by, 'revision_approved', `Revision v${version} of "${doc.title}" was approved.`, { docId: doc.id });
+    return { approved: 'revision', version };
+  }
+  approveStmt.run(doc.id);
+  reviewCurrentVersion(doc, true);
+  linkDirectorySchool(doc);
+  const points = awardApproval(doc, actorId);
+  notify(doc.uploaded_by, 'doc_approved', `Your document "${doc.title}" was approved${points ? ` (+${points} pts)` : ''}.`, { docId: doc.id });
+  return { approved: 'document', points };
+}
+
+/**
+ * Deny a document, or its pending revision when the document is already approved, with a reason for the uploader.
+ * A denied document loses the approval points it still holds (e.g. one hidden after reports).
+ * Returns { denied, version } or null.
+ */
+function denyDoc(doc, reason, actorId) {
+  if (doc.status === 'approved') {
+    const version = reviewPendingVersion(doc, false, reason);
+    if (!version) return null;
+    notify(doc.uploaded_by, 'revision_denied', `Revision v${version} of "${doc.title}" was denied: ${reason}`, { docId: doc.id });
+    return { denied: 'revision', version };
+  }
+  denyStmt.run(reason, doc.id);
+  reviewCurrentVersion(doc, false, reason);
+  reverseDocAward(doc, actorId);
+  notify(doc.uploaded_by, 'doc_denied', `Your document "${doc.title}" was denied: ${reason}`, { docId: doc.id });
+  return { denied: 'document' };
+}
+
+// SQL fragment limiting documents to the moderator's schools ('' for admins and global moderators)
+function schoolScopeSql(access, params) {
+  if (access.is_moderator) return '';
+  const names = access.moderator_schools.map(s => s.toLowerCase());
+  if (!names.length) return ' AND 0';
+  names.forEach((name, i) => { params[`scope${i}`] = name; });
+  return ` AND lower(trim(d.school)) IN (${names.map((_, i) => `@scope${i}`).join(', ')})`;
+}
+
+router.get('/admin/pending', ensureModerator, (req, res) => {
+  const params = {};
+  const doc = db.prepare(`
 SELECT d.*, u.email as uploader_email, u.username as uploader_username, u.status as uploader_status
 FROM documents d
 LEFT JOIN users u ON u.id = d.uploaded_by
-WHERE d.status='pending'
+WHERE d.status='pending'${schoolScopeSql(req.access, params)}
 ORDER BY datetime(d.created_at) DESC
 LIMIT 1
-`);
-const approveStmt = db.prepare(`UPDATE documents SET status='approved' WHERE id=?`);
-const denyStmt = db.prepare(`UPDATE documents SET status='denied' WHERE id=?`);
-const addPointsStmt = db.prepare(`UPDATE users SET points = points + 5 WHERE id=?`);
-const banUserStmt = db.prepare(`UPDATE users SET status='banned', banned_at=?, ban_reason=? WHERE id=?`);
-
-router.get('/admin/pending', ensureAdmin, (req, res) => {
-  const doc = latestPendingStmt.get();
+`).get(params);
   res.json({ ok: true, doc: doc || null });
 });
 
-router.post('/admin/approve', ensureAdmin, (req, res) => {
-  const { doc_id, uploader_id } = req.body;
-  if (!doc_id) return res.status(400).json({ ok: false, error: 'doc_id required' });
-  approveStmt.run(doc_id);
-  if (uploader_id) addPointsStmt.run(uploader_id);
-  markDataDirty();
-  res.json({ ok: true });
+// Moderation queue: paginated, filterable list of pending documents (oldest first by default)
+// Query: school, grade_level, uploader (username/email substring), min_age_days, max_age_days,
+//        sort=oldest|newest, page (1-based), page_size (max 100)
+router.get('/admin/queue', ensureModerator, (req, res) => {
+  try {
+    const school = (req.query.school || '').toString().trim();
+    const gradeLevel = (req.query.grade_level || '').toString().trim();
+    const uploader = (req.query.uploader || '').toString().trim();
+    const minAgeDays = Number(req.query.min_age_days);
+    const maxAgeDays = Number(req.query.max_age_days);
+    const sort = req.query.sort === 'newest' ? 'DESC' : 'ASC';
+    const pageSize = Math.min(Math.max(parseInt(req.query.page_size, 10) || 20, 1), 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    // Work items are pending documents plus pending revisions of approved ones
+    const scopeParams = {};
+    const scope = schoolScopeSql(req.access, scopeParams);
+    let where = `WHERE (d.status='pending' OR pv.id IS NOT NULL)${scope}`;
+    const params = Object.assign({}, scopeParams);
+
+    where += schoolFilterSql(school, params);
+    if (gradeLevel) {
+      where += ` AND d.grade_level = @gradeLevel COLLATE NOCASE`;
+      params.gradeLevel = gradeLevel;
+    }
+    if (uploader) {
+      where += ` AND (u.username LIKE @uploader OR u.email LIKE @uploader)`;
+      params.uploader = `%${uploader}%`;
+    }
+    const dayMs = 24 * 60 * 60 * 1000;
+    if (Number.isFinite(minAgeDays) && minAgeDays > 0) {
+      where += ` AND datetime(COALESCE(pv.created_at, d.created_at)) <= datetime(@olderThan)`;
+      params.olderThan = new Date(Date.now() - minAgeDays * dayMs).toISOString();
+    }
+    if (Number.isFinite(maxAgeDays) && maxAgeDays > 0) {
+      where += ` AND datetime(COALESCE(pv.created_at, d.created_at)) >= datetime(@newerThan)`;
+      params.newerThan = new Date(Date.now() - maxAgeDays * dayMs).toISOString();
+    }
+
+    const from = `
+FROM documents d
+LEFT JOIN users u ON u.id = d.uploaded_by
+LEFT JOIN document_versions pv ON pv.document_id = d.id AND pv.status = 'pending' AND d.status = 'approved'
+`;
+    const total = db.prepare(`SELECT COUNT(*) as n ${from} ${where}`).get(params).n;
+    const totalPending = db.prepare(`SELECT COUNT(*) as n ${from} WHERE (d.status='pending' OR pv.id IS NOT NULL)${scope}`).get(scopeParams).n;
+    const docs = db.prepare(`
+SELECT d.*, u.email as uploader_email, u.username as uploader_username, u.status as uploader_status,
+       pv.version as pending_version, pv.note as pending_version_note,
+       COALESCE(pv.created_at, d.created_at) as queued_at
+${from} ${where}
+ORDER BY datetime(queued_at) ${sort}
+LIMIT @limit OFFSET @offset
+`).all(Object.assign({ limit: pageSize, offset: (page - 1) * pageSize }, params));
+
+    res.json({ ok: true, docs, total, page, page_size: pageSize, total_pending: totalPending, denial_reasons: DENIAL_REASONS });
+  } catch (e) {
+    console.error('Queue error', e);
+    res.status(500).json({ ok: false, error: e.message || 'Unable to load queue' });
+  }
 });
 
-router.post('/admin/deny', ensureAdmin, (req, res) => {
+// Load a document for a single-item moderation action, answering 404/403 itself when it can't be acted on
+function moderationDoc(req, res) {
   const { doc_id } = req.body;
-  if (!doc_id) return res.status(400).json({ ok: false, error: 'doc_id required' });
-  denyStmt.run(doc_id);
+  if (!doc_id) {
+    res.status(400).json({ ok: false, error: 'doc_id required' });
+    return null;
+  }
+  const doc = getModerationDocStmt.get(String(doc_id));
+  if (!doc) {
+    res.status(404).json({ ok: false, error: 'Not found' });
+    return null;
+  }
+  if (!canModerateSchool(req.access, doc.school)) {
+    res.status(403).json({ ok: false, error: 'Not a moderator for this school' });
+    return null;
+  }
+  if (doc.status === 'withdrawn') {
+    res.status(409).json({ ok: false, error: 'The uploader withdrew this document' });
+    return null;
+  }
+  return doc;
+}
+
+// An approved document with a pending revision is reviewed through its revision; the approved
+// version stays live when the revision is denied.
+router.post('/admin/approve', ensureModerator, (req, res) => {
+  const doc = moderationDoc(req, res);
+  if (!doc) return;
+  const result = db.transaction(() => approveDoc(doc, req.session.userId))();
+  if (!result) return res.status(400).json({ ok: false, error: 'Nothing pending for this document' });
   markDataDirty();
-  res.json({ ok: true });
+  res.json(Object.assign({ ok: true }, result));
 });
 
-router.post('/admin/block-user', ensureAdmin, (req, res) => {
-  const { uploader_id, reason } = req.body;
-  if (!uploader_id) return res.status(400).json({ ok: false, error: 'uploader_id required' });
-  const banReason = reason && String(reason).trim() ? String(reason).trim() : 'Violation of rules';
-  banUserStmt.run(new Date().toISOString(), banReason, uploader_id);
+router.post('/admin/deny', ensureModerator, (req, res) => {
+  let reason;
+  try {
+    reason = parseDenialReason(req.body);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: e.message });
+  }
+  const doc = moderationDoc(req, res);
+  if (!doc) return;
+  const result = db.transaction(() => denyDoc(doc, reason, req.session.userId))();
+  if (!result) return res.status(400).json({ ok: false, error: 'Nothing pending for this document' });
   markDataDirty();
-  res.json({ ok: true });
+  res.json(Object.assign({ ok: true }, result));
+});
+
+// Bulk moderation. Only pending work in the moderator's scope changes; points go to the uploader
+// recorded on each document (see points.js).
+const MAX_BULK_IDS = 200;
+
+function parseDocIds(body) {
+  const ids = Array.isArray(body.doc_ids) ? body.doc_ids.map(id => String(id)).filter(Boolean) : [];
+  if (!ids.length) throw new Error('doc_ids required');
+  if (ids.length > MAX_BULK_IDS) throw new Error(`At most ${MAX_BULK_IDS} documents per request`);
+  return Array.from(new Set(ids));
+}
+
+function isBulkTarget(access, doc) {
+  return !!doc && ['pending', 'approved'].includes(doc.status) && canModerateSchool(access, doc.school);
+}
+
+// Pending documents change status; approved ones only have their pending revision (if any) reviewed
+const bulkApprove = db.transaction((ids, access, actorId) => {
+  let updated = 0;
+  for (const id of ids) {
+    const doc = getModerationDocStmt.get(id);
+    if (!isBulkTarget(access, doc)) continue;
+    if (approveDoc(doc, actorId)) updated++;
+  }
+  return updated;
+});
+const bulkDeny = db.transaction((ids, access, reason, actorId) => {
+  let updated = 0;
+  for (const id of ids) {
+    const doc = getModerationDocStmt.get(id);
+    if (!isBulkTarget(access, doc)) continue;
+    if (denyDoc(doc, reason, actorId)) updated++;
+  }
+  return updated;
+});
+
+router.post('/admin/approve-bulk', ensureModerator, (req, res) => {
+  try {
+    const ids = parseDocIds(req.body);
+    const updated = bulkApprove(ids, req.access, req.session.userId);
+    if (updated) markDataDirty();
+    res.json({ ok: true, updated, skipped: ids.length - updated });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message || 'Bulk approve failed' });
+  }
+});
+
+router.post('/admin/deny-bulk', ensureModerator, (req, res) => {
+  try {
+    const ids = parseDocIds(req.body);
+    const updated = bulkDeny(ids, req.access, parseDenialReason(req.body), req.session.userId);
+    if (updated) markDataDirty();
+    res.json({ ok: true, updated, skipped: ids.length - updated });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message || 'Bulk deny failed' });
+  }
+});
+
+// Devices the account is signed in on are banned along with it. Admins cannot be banned (see banAccount),
+// moderators only by an admin, and nobody can ban themselves.
+function blockUser(userId, { reason, durationDays, createdBy, access }) {
+  if (userId === createdBy) throw Object.assign(new Error('You cannot ban yourself'), { status: 403 });
+  const target = getAccess(userId);
+  if (target.is_admin) throw Object.assign(new Error('Admins cannot be banned'), { status: 403 });
+  if (!access.is_admin && (target.is_moderator || target.moderator_schools.length)) {
+    throw Object.assign(new Error('Only admins can ban moderators'), { status: 403 });
+  }
+  const banReason = reason && String(reason).trim() ? String(reason).trim() : 'Violation of rules';
+  const deviceIds = getSessionStore().userDevices(userId);
+  const expiresAt = expiryFromDays(durationDays);
+  banAccount(userId, { reason: banReason, createdBy, deviceIds, expiresAt });
+}
+
+router.post('/admin/block-user', ensureRole('admin', 'moderator'), (req, res) => {
+  const { uploader_id, reason, duration_days } = req.body;
+  if (!uploader_id) return res.status(400).json({ ok: false, error: 'uploader_id required' });
+  try {
+    blockUser(uploader_id, { reason, durationDays: duration_days, createdBy: req.session.userId, access: req.access });
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(e.status || 400).json({ ok: false, error: e.message || 'Unable to block user' });
+  }
+});
+
+// Report triage. School moderators see reports on their schools' documents; banning the uploader
+// needs the same roles as block-user.
+router.get('/admin/reports', ensureModerator, (req, res) => {
+  const status = ['open', 'dismissed', 'actioned', 'all'].includes(req.query.status) ? req.query.status : 'open';
+  res.json({ ok: true, categories: REPORT_CATEGORIES, docs: listReportedDocs(req.access, status) });
+});
+
+router.post('/admin/reports/resolve', ensureModerator, (req, res) => {
+  const doc = moderationDoc(req, res);
+  if (!doc) return;
+  const action = String(req.body.action || '');
+  if (action === 'ban') {
+    if (!req.access.is_moderator) return res.status(403).json({ ok: false, error: 'Insufficient permissions' });
+    if (!doc.uploaded_by) return res.status(400).json({ ok: false, error: 'This document has no uploader to ban' });
+  }
+  try {
+    const resolved = db.transaction(() => {
+      const n = resolveReports(doc, action, req.session.userId);
+      if (action === 'ban') {
+        blockUser(doc.uploaded_by, { reason: req.body.reason, durationDays: req.body.duration_days, createdBy: req.session.userId, access: req.access });
+      }
+      return n;
+    })();
+    res.json({ ok: true, resolved });
+  } catch (e) {
+    res.status(e.status || 400).json({ ok: false, error: e.message || 'Unable to resolve reports' });
+  }
+});
+
+// Bans (admins only): list, add device/IP bans by hand, lift
+router.get('/admin/bans', ensureRole('admin'), (req, res) => {
+  const status = ['active', 'lifted', 'all'].includes(req.query.status) ? req.query.status : 'active';
+  res.json({ ok: true, kinds: BAN_KINDS, bans: listBans(status) });
+});
+
+router.post('/admin/bans', ensureRole('admin'), (req, res) => {
+  try {
+    const kind = String(req.body.kind || '').trim();
+    const value = kind === 'account' ? (findUserByIdentity(req.body.value) || {}).id : req.body.value;
+    if (kind === 'account' && !value) return res.status(404).json({ ok: false, error: 'User not found' });
+    const reason = String(req.body.reason || '').trim() || null;
+    const ban = createBan(kind, value, reason, req.session.userId, expiryFromDays(req.body.duration_days));
+    res.json({ ok: true, ban });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message || 'Unable to add ban' });
+  }
+});
+
+router.post('/admin/bans/lift', ensureRole('admin'), (req, res) => {
+  try {
+    const note = String(req.body.note || '').trim() || null;
+    const result = liftBan(String(req.body.id || ''), req.session.userId, note);
+    res.json({ ok: true, linked_lifted: result.linked_lifted });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message || 'Unable to lift ban' });
+  }
+});
+
+// Ban history of one account
+router.get('/admin/ban-events', ensureRole('admin'), (req, res) => {
+  const target = findUserByIdentity(req.query.user);
+  const userId = target ? target.id : String(req.query.user || '').trim();
+  if (!userId) return res.status(400).json({ ok: false, error: 'user required' });
+  res.json({ ok: true, user_id: userId, events: listBanEvents(userId) });
+});
+
+// Appeals queue (admins only)
+router.get('/admin/appeals', ensureRole('admin'), (req, res) => {
+  const status = ['open', 'accepted', 'rejected', 'all'].includes(req.query.status) ? req.query.status : 'open';
+  res.json({ ok: true, appeals: listAppeals(status) });
+});
+
+router.post('/admin/appeals/decide', ensureRole('admin'), (req, res) => {
+  try {
+    const status = decideAppeal(String(req.body.id || ''), String(req.body.decision || ''), req.session.userId, req.body.response);
+    res.json({ ok: true, status });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message || 'Unable to decide appeal' });
+  }
+});
+
+// Ban purge records (admins only): dry run of the next purge, past purges, document restore
+router.get('/admin/purges/preview', ensureRole('admin'), (req, res) => {
+  res.json(Object.assign({ ok: true }, previewBanPurge()));
+});
+
+router.get('/admin/purges', ensureRole('admin'), (req, res) => {
+  res.json({ ok: true, purges: listPurges() });
+});
+
+router.post('/admin/purges/restore', ensureRole('admin'), async (req, res) => {
+  try {
+    const result = await restorePurgedDocument(String(req.body.id || ''), req.session.userId);
+    res.json(Object.assign({ ok: true }, result));
+  } catch (e) {
+    sendError(res, e, 'Restore failed');
+  }
+});
+
+// Role management (admins only)
+const roleHoldersStmt = db.prepare(`
+SELECT r.user_id, r.role, r.school, r.granted_at, u.email, u.username, g.username as granted_by_username
+FROM user_roles r
+JOIN users u ON u.id = r.user_id
+LEFT JOIN users g ON g.id = r.granted_by
+ORDER BY r.role, lower(COALESCE(u.username, u.email))
+`);
+
+function findUserByIdentity(identity) {
+  const s = String(identity || '').trim();
+  if (!s) return null;
+  return findUserById.get(s) || findUserByEmail.get(s.toLowerCase()) || findUserByUsername.get(s) || null;
+}
+
+router.get('/admin/roles', ensureRole('admin'), (req, res) => {
+  res.json({ ok: true, roles: ROLES, grants: roleHoldersStmt.all() });
+});
+
+router.post('/admin/roles/grant', ensureRole('admin'), (req, res) => {
+  try {
+    const target = findUserByIdentity(req.body.user);
+    if (!target) return res.status(404).json({ ok: false, error: 'User not found' });
+    const role = String(req.body.role || '').trim();
+    let school = req.body.school;
+    if (role === 'school_moderator') {
+      // Grants use the canonical name, which is what documents carry
+      const known = findSchool(school);
+      if (!known) return res.status(400).json({ ok: false, error: 'Unknown school; add it on the Schools page first' });
+      school = known.name;
+    }
+    const granted = grantRole(target.id, role, school, req.session.userId);
+    res.json({ ok: true, granted });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message || 'Unable to grant role' });
+  }
+});
+
+router.post('/admin/roles/revoke', ensureRole('admin'), (req, res) => {
+  try {
+    const target = findUserByIdentity(req.body.user);
+    if (!target) return res.status(404).json({ ok: false, error: 'User not found' });
+    const role = String(req.body.role || '').trim();
+    const revoked = revokeRole(target.id, role, req.body.school);
+    res.json({ ok: true, revoked });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message || 'Unable to revoke role' });
+  }
+});
+
+// Schools directory (admins only): list, add, rename, aliases, merge duplicates
+router.get('/admin/schools', ensureRole('admin'), (req, res) => {
+  res.json({ ok: true, schools: listSchools() });
+});
+
+router.post('/admin/schools', ensureRole('admin'), (req, res) => {
+  try {
+    res.json({ ok: true, school: createSchool(req.body.name, req.session.userId) });
+  } catch (e) {
+    sendError(res, e, 'Could not add school');
+  }
+});
+
+router.post('/admin/schools/rename', ensureRole('admin'), (req, res) => {
+  try {
+    res.json({ ok: true, school: renameSchool(req.body.id, req.body.name) });
+  } catch (e) {
+    sendError(res, e, 'Could not rename school');
+  }
+});
+
+router.post('/admin/schools/aliases', ensureRole('admin'), (req, res) => {
+  try {
+    res.json({ ok: true, alias: addAlias(req.body.id, req.body.alias) });
+  } catch (e) {
+    sendError(res, e, 'Could not add alias');
+  }
+});
+
+router.post('/admin/schools/aliases/remove', ensureRole('admin'), (req, res) => {
+  try {
+    res.json({ ok: true, removed: removeAlias(req.body.alias_key) });
+  } catch (e) {
+    sendError(res, e, 'Could not remove alias');
+  }
+});
+
+// Body: source_id (the duplicate, removed), target_id (kept)
+router.post('/admin/schools/merge', ensureRole('admin'), (req, res) => {
+  try {
+    res.json(Object.assign({ ok: true }, mergeSchools(req.body.source_id, req.body.target_id)));
+  } catch (e) {
+    sendError(res, e, 'Could not merge schools');
+  }
+});
+
+// Data sync status and conflicts between server instances (admins only)
+function redactRow(row) {
+  if (!row) return row;
+  const out = Object.assign({}, row);
+  if ('password_hash' in out) out.password_hash = '[hidden]';
+  return out;
+}
+
+router.get('/admin/sync', ensureRole('admin'), (req, res) => {
+  const status = ['open', 'kept_local', 'kept_remote', 'all'].includes(req.query.status) ? req.query.status : 'open';
+  const conflicts = listConflicts(status).map(c => Object.assign(c, { local_row: redactRow(c.local_row), remote_row: redactRow(c.remote_row) }));
+  res.json({ ok: true, sync: getSyncStatus(), conflicts });
+});
+
+router.post('/admin/sync/conflicts/resolve', ensureRole('admin'), (req, res) => {
+  try {
+    resolveConflict(String(req.body.id || ''), String(req.body.keep || ''), req.session.userId);
+    markDataDirty();
+    res.json({ ok: true });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: e.message || 'Unable to resolve conflict' });
+  }
+});
+
+// Backup browser: past DB snapshots from the sync history (see backups.js)
+function backupErrorStatus(e) {
+  return e.status === 400 || e.status === 404 ? e.status : 500;
+}
+
+router.get('/admin/backups', ensureRole('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 30, 1), 100);
+    res.json({ ok: true, backups: await listBackups(limit) });
+  } catch (e) {
+    const status = backupErrorStatus(e);
+    if (status === 500) console.error('List backups error:', e);
+    res.status(status).json({ ok: false, error: e.message || 'Unable to list backups' });
+  }
+});
+
+router.get('/admin/backups/diff', ensureRole('admin'), async (req, res) => {
+  try {
+    const diff = await diffBackups(String(req.query.from || ''), String(req.query.to || 'current'));
+    res.json(Object.assign({ ok: true }, diff));
+  } catch (e) {
+    const status = backupErrorStatus(e);
+    if (status === 500) console.error('Backup diff error:', e);
+    res.status(status).json({ ok: false, error: e.message || 'Unable to compare backups' });
+  }
+});
+
+router.post('/admin/backups/restore', ensureRole('admin'), async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun !== false;
+    const result = await restoreBackup(String(req.body.sha || ''), { dryRun });
+    if (!dryRun) console.log('DB restored to %s by admin %s.', result.ref, req.session.userId);
+    res.json(Object.assign({ ok: true }, result));
+  } catch (e) {
+    const status = backupErrorStatus(e);
+    if (status === 500) console.error('Backup restore error:', e);
+    res.status(status).json({ ok: false, error: e.message || 'Unable to restore backup' });
+  }
+});
+
+router.get('/admin/backups/:sha/download', ensureRole('admin'), async (req, res) => {
+  let file = null;
+  try {
+    file = await exportBackup(req.params.sha);
+  } catch (e) {
+    const status = backupErrorStatus(e);
+    if (status === 500) console.error('Backup export error:', e);
+    return res.status(status).json({ ok: false, error: e.message || 'Unable to export backup' });
+  }
+  res.download(file.filePath, file.fileName, () => releaseFile(file));
 });
 
-module.exports = router;
+module.exports = router;
\ No newline at end of file
@@ -4,12 +4,20 @@ const fs = require('fs');
 const express = require('express');
 const session = require('express-session');
 const { migrate } = require('./db');
-const { startBanCleanupJob } = require('./banCleanup');
-const { initDataSync } = require('./gitDataSync');
+const { initDataSync, finishDataSync, isDataSyncEnabled } = require('./gitDataSync');
 const { logConfigSummary, verifyRepoAccess } = require('./githubClient');
+const { ACTIVE_DRIVER, verifyStorage } = require('./storage');
+const { getSessionStore } = require('./sessionStore');
 
 const app = express();
 
+// Behind a reverse proxy, req.ip (sessions list, IP bans) must come from X-Forwarded-For
+// (TRUST_PROXY = number of proxy hops, "true", or a comma-separated list of proxy addresses)
+const TRUST_PROXY = (process.env.TRUST_PROXY || '').trim();
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' ? true : TRUST_PROXY);
+}
+
 async function bootstrap() {
   // Basic sanity log (masked)
   logConfigSummary('Startup GitHub config');
@@ -18,17 +26,35 @@ async function bootstrap() {
   const dataDir = path.resolve(process.cwd(), 'data');
   if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
 
-  // Verify repo/branch/token before any sync
-  await verifyRepoAccess();
+  // Verify the PDF storage backend (repo access, local folder or bucket)
+  console.log('Storage driver: %s', ACTIVE_DRIVER);
+  await verifyStorage();
+
+  if (isDataSyncEnabled()) {
+    // Verify repo/branch/token before any sync (already done above when PDFs live on GitHub)
+    if (ACTIVE_DRIVER !== 'github') await verifyRepoAccess();
+
+    // Pull the data/app.db snapshot and journal segments from remote repo (if present)
+    await initDataSync();
+  } else {
+    console.log('Remote DB sync disabled (DATA_SYNC=off or GitHub not configured); using local data/app.db only.');
+  }
 
-  // Pull data/app.db from remote repo (if present)
-  await initDataSync();
+  // Run migrations (local file is now hydrated); row changes are journaled only when they are synced
+  migrate({ journal: isDataSyncEnabled() });
 
-  // Run migrations (local file is now hydrated)
-  migrate();
+  // Replay journal entries newer than the pulled snapshot
+  await finishDataSync();
 
-  // Defer requiring API until after DB is ready
+  // Defer requiring API (and modules preparing statements on new tables) until after DB is ready
   const api = require('./api');
+  const { startSearchIndexJob } = require('./search');
+  const { startBanCleanupJob } = require('./banCleanup');
+  const { ensureBootstrapAdmin } = require('./auth');
+  const { assignDevice, enforceBans } = require('./bans');
+
+  // Create/promote the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no admin exists yet
+  await ensureBootstrapAdmin();
 
   // Static files
   const publicDir = path.join(__dirname, '..', 'public');
@@ -38,16 +64,22 @@ async function bootstrap() {
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
 
-  // Sessions (MemoryStore for demo only; use a persistent store in production)
+  // Sessions (persisted in data/sessions.db, which is not synced to GitHub)
+  const sessionStore = getSessionStore();
+  const maxAgeDays = Number(process.env.SESSION_MAX_AGE_DAYS) || 30;
   app.use(session({
+    store: sessionStore,
     secret: process.env.SESSION_SECRET || 'change_me',
     resave: false,
     saveUninitialized: false,
-    cookie: { secure: false } // set true with HTTPS + proxy
+    cookie: { secure: false, maxAge: maxAgeDays * 24 * 60 * 60 * 1000 } // set secure with HTTPS + proxy
   }));
 
-  // API
-  app.use('/api', api);
+  // Signed device cookie for device bans
+  app.use(assignDevice);
+
+  // API (banned accounts, devices and IPs are rejected first)
+  app.use('/api', enforceBans, api);
 
   // HTML pages
   function sendPage(res, file) {
@@ -58,9 +90,19 @@ async function bootstrap() {
   app.get('/login', (req, res) => sendPage(res, 'login.html'));
   app.get('/register', (req, res) => sendPage(res, 'register.html'));
   app.get('/upload', (req, res) => sendPage(res, 'upload.html'));
+  app.get('/uploads', (req, res) => sendPage(res, 'uploads.html'));
   app.get('/admin', (req, res) => sendPage(res, 'admin.html'));
+  app.get('/admin/backups', (req, res) => sendPage(res, 'backups.html'));
+  app.get('/admin/reports', (req, res) => sendPage(res, 'reports.html'));
+  app.get('/admin/schools', (req, res) => sendPage(res, 'schools.html'));
+  app.get('/tags/:tag', (req, res) => sendPage(res, 'index.html'));
   app.get('/docs/:id', (req, res) => sendPage(res, 'document.html'));
   app.get('/settings', (req, res) => sendPage(res, 'settings.html'));
+  app.get('/notifications', (req, res) => sendPage(res, 'notifications.html'));
+  app.get('/stats', (req, res) => sendPage(res, 'stats.html'));
+  app.get('/collections', (req, res) => sendPage(res, 'collections.html'));
+  app.get('/collections/:id', (req, res) => sendPage(res, 'collection.html'));
+  app.get('/u/:username', (req, res) => sendPage(res, 'profile.html'));
 
   // 404
   app.use((req, res) => res.status(404).send('Not Found'));
@@ -68,6 +110,12 @@ async function bootstrap() {
   // Start cleanup job (runs hourly)
   startBanCleanupJob();
 
+  // Extract PDF text for documents not yet in the full-text index
+  startSearchIndexJob();
+
+  // Remove expired sessions (runs every 15 minutes)
+  sessionStore.startCleanup();
+
   const port = process.env.PORT || 3000;
   app.listen(port, () => {
     console.log(`Firewall Freedom Docs running on http://localhost:${port}`);
@@ -0,0 +1,91 @@
+/**
+ * appeals.js
+ *
+ * Ban appeals (table ban_appeals). A signed-in user who is banned can send one appeal per ban from the
+ * ban overlay; admins accept (the ban is lifted) or reject it from the appeals queue on /admin.
+ * Submissions and decisions are recorded in ban_events. Accounts with an open appeal are not purged
+ * by banCleanup.js.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./db');
+const { markDataDirty } = require('./gitDataSync');
+const { liftBan, recordBanEvent } = require('./bans');
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+const insertAppealStmt = db.prepare(`
+INSERT INTO ban_appeals (id, ban_id, user_id, message, status, created_at)
+VALUES (@id, @ban_id, @user_id, @message, 'open', @created_at)
+`);
+const appealForBanStmt = db.prepare('SELECT id, status, created_at, reviewed_at, response FROM ban_appeals WHERE ban_id = ? AND user_id = ?');
+const getAppealStmt = db.prepare('SELECT * FROM ban_appeals WHERE id = ?');
+const decideAppealStmt = db.prepare("UPDATE ban_appeals SET status = ?, reviewed_by = ?, reviewed_at = ?, response = ? WHERE id = ? AND status = 'open'");
+const listAppealsStmt = db.prepare(`
+SELECT a.*, u.username, u.email, b.kind as ban_kind, b.reason as ban_reason, b.created_at as banned_at,
+       b.expires_at as ban_expires_at, b.lifted_at as ban_lifted_at, r.username as reviewed_by_username
+FROM ban_appeals a
+LEFT JOIN users u ON u.id = a.user_id
+LEFT JOIN bans b ON b.id = a.ban_id
+LEFT JOIN users r ON r.id = a.reviewed_by
+WHERE (@status = 'all' OR a.status = @status)
+ORDER BY a.created_at
+LIMIT @limit
+`);
+
+function getAppealForBan(banId, userId) {
+  return appealForBanStmt.get(banId, userId) || null;
+}
+
+/**
+ * File the one appeal a user gets for the ban currently applied to them.
+ */
+const submitAppeal = db.transaction((userId, ban, message) => {
+  if (!ban) throw new Error('You are not banned');
+  const text = String(message || '').trim();
+  if (!text) throw new Error('Please explain why the ban should be lifted');
+  if (text.length > MAX_MESSAGE_LENGTH) throw new Error(`Appeals are limited to ${MAX_MESSAGE_LENGTH} characters`);
+  if (getAppealForBan(ban.id, userId)) throw new Error('You have already appealed this ban');
+
+  const appeal = { id: uuidv4(), ban_id: ban.id, user_id: userId, message: text, created_at: new Date().toISOString() };
+  insertAppealStmt.run(appeal);
+  recordBanEvent(userId, 'appeal_submitted', { banId: ban.id, actorId: userId });
+  markDataDirty();
+  return appeal;
+});
+
+/**
+ * Accept (lifts the ban and the bans linked to it) or reject an open appeal.
+ */
+const decideAppeal = db.transaction((id, decision, reviewerId, response = null) => {
+  if (!['accept', 'reject'].includes(decision)) throw new Error("decision must be 'accept' or 'reject'");
+  const appeal = getAppealStmt.get(id);
+  if (!appeal) throw new Error('Appeal not found');
+  if (appeal.status !== 'open') throw new Error('Appeal already decided');
+
+  const note = String(response || '').trim() || null;
+  const status = decision === 'accept' ? 'accepted' : 'rejected';
+  decideAppealStmt.run(status, reviewerId, new Date().toISOString(), note, id);
+  if (decision === 'accept') {
+    try {
+      liftBan(appeal.ban_id, reviewerId, note || 'Appeal accepted');
+    } catch (e) {
+      if (e.message !== 'Ban already lifted') throw e; // expired or lifted meanwhile
+    }
+  }
+  recordBanEvent(appeal.user_id, `appeal_${status}`, { banId: appeal.ban_id, actorId: reviewerId, reason: note });
+  markDataDirty();
+  return status;
+});
+
+function listAppeals(status = 'open', limit = 200) {
+  return listAppealsStmt.all({ status, limit });
+}
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  getAppealForBan,
+  submitAppeal,
+  decideAppeal,
+  listAppeals
+};
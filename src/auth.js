@@ -3,12 +3,37 @@ const { v4: uuidv4 } = require('uuid');
 const { db } = require('./db');
 const { markDataDirty } = require('./gitDataSync');
 
+// Roles stored in user_roles; every account is implicitly a plain "user".
+// - admin:            everything, including granting/revoking roles
+// - moderator:        moderation and bans across all schools
+// - school_moderator: moderation of documents from one school (user_roles.school)
+const ROLES = ['admin', 'moderator', 'school_moderator'];
+
 const findUserByEmail = db.prepare('SELECT * FROM users WHERE email = ?');
 const findUserByUsername = db.prepare('SELECT * FROM users WHERE username = ?');
 const findUserById = db.prepare('SELECT * FROM users WHERE id = ?');
 const insertUser = db.prepare('INSERT INTO users (id, email, username, password_hash, created_at, points, is_admin, status) VALUES (?, ?, ?, ?, ?, 0, 0, \'active\')');
-const setAdminFlag = db.prepare('UPDATE users SET is_admin = 1 WHERE id = ?');
-const autoBanUserStmt = db.prepare("UPDATE users SET status='banned', banned_at=COALESCE(banned_at, ?), ban_reason=COALESCE(ban_reason, ?) WHERE id=?");
+
+const rolesForUserStmt = db.prepare('SELECT role, school FROM user_roles WHERE user_id = ? ORDER BY role, school');
+const grantRoleStmt = db.prepare('INSERT OR IGNORE INTO user_roles (user_id, role, school, granted_by, granted_at) VALUES (?, ?, ?, ?, ?)');
+const revokeRoleStmt = db.prepare('DELETE FROM user_roles WHERE user_id = ? AND role = ? AND school = ?');
+const countAdminsStmt = db.prepare("SELECT COUNT(*) as n FROM user_roles WHERE role = 'admin'");
+
+/**
+ * Summarize a user's roles: { roles, is_admin, is_moderator, moderator_schools }.
+ * is_moderator is true for admins and global moderators; moderator_schools lists school-scoped grants.
+ */
+function getAccess(userId) {
+  const roles = userId ? rolesForUserStmt.all(userId) : [];
+  const isAdmin = roles.some(r => r.role === 'admin');
+  const isModerator = isAdmin || roles.some(r => r.role === 'moderator');
+  const moderatorSchools = roles.filter(r => r.role === 'school_moderator').map(r => r.school);
+  return { roles, is_admin: isAdmin, is_moderator: isModerator, moderator_schools: moderatorSchools };
+}
+
+function hasAnyRole(access, allowed) {
+  return access.roles.some(r => allowed.includes(r.role));
+}
 
 function ensureAuthed(req, res, next) {
   if (!req.session || !req.session.userId) {
@@ -17,18 +42,59 @@ function ensureAuthed(req, res, next) {
   next();
 }
 
-function ensureAdmin(req, res, next) {
-  if (!req.session || !req.session.userId) {
-    return res.status(401).json({ ok: false, error: 'Not authenticated' });
-  }
-  const user = findUserById.get(req.session.userId);
-  if (!user || !user.is_admin) {
-    return res.status(403).json({ ok: false, error: 'Admins only' });
+/**
+ * ensureRole('admin'), ensureRole('admin', 'moderator', 'school_moderator'), ...
+ * Admins always pass. The resolved access summary is attached as req.access for scope checks.
+ */
+function ensureRole(...allowed) {
+  return function (req, res, next) {
+    if (!req.session || !req.session.userId) {
+      return res.status(401).json({ ok: false, error: 'Not authenticated' });
+    }
+    const user = findUserById.get(req.session.userId);
+    if (!user) {
+      return res.status(401).json({ ok: false, error: 'Not authenticated' });
+    }
+    const access = getAccess(user.id);
+    if (!access.is_admin && !hasAnyRole(access, allowed)) {
+      return res.status(403).json({ ok: false, error: 'Insufficient permissions' });
+    }
+    req.access = access;
+    next();
+  };
+}
+
+/**
+ * Can this access summary moderate a document from the given school?
+ */
+function canModerateSchool(access, school) {
+  if (!access) return false;
+  if (access.is_moderator) return true;
+  const s = String(school || '').trim().toLowerCase();
+  return !!s && access.moderator_schools.some(m => m.toLowerCase() === s);
+}
+
+function grantRole(userId, role, school = '', grantedBy = null) {
+  if (!ROLES.includes(role)) throw new Error(`Unknown role. Use one of: ${ROLES.join(', ')}`);
+  const scope = role === 'school_moderator' ? String(school || '').trim() : '';
+  if (role === 'school_moderator' && !scope) throw new Error('School is required for school_moderator');
+  const info = grantRoleStmt.run(userId, role, scope, grantedBy, new Date().toISOString());
+  if (info.changes) markDataDirty();
+  return info.changes > 0;
+}
+
+function revokeRole(userId, role, school = '') {
+  const scope = role === 'school_moderator' ? String(school || '').trim() : '';
+  if (role === 'admin' && countAdminsStmt.get().n <= 1) {
+    const roles = rolesForUserStmt.all(userId);
+    if (roles.some(r => r.role === 'admin')) throw new Error('Cannot revoke the last admin');
   }
-  next();
+  const info = revokeRoleStmt.run(userId, role, scope);
+  if (info.changes) markDataDirty();
+  return info.changes > 0;
 }
 
-async function registerUser(email, password, clientBan = false, clientBanReason = '', username = null) {
+async function createUser(email, password, username = null) {
   const existing = findUserByEmail.get(email);
   if (existing) {
     throw new Error('Email already in use');
@@ -40,37 +106,15 @@ async function registerUser(email, password, clientBan = false, clientBanReason
   const hash = await bcrypt.hash(password, 12);
   const id = uuidv4();
   insertUser.run(id, email, finalUsername, hash, new Date().toISOString());
-
-  if (email === 'admin' || finalUsername === 'admin') {
-    setAdminFlag.run(id);
-  }
-
-  if (clientBan) {
-    autoBanUserStmt.run(new Date().toISOString(), clientBanReason || 'Device banned', id);
-  }
-
   markDataDirty();
   return { id, email, username: finalUsername };
 }
 
-async function loginUser(identity, password, clientBan = false, clientBanReason = '') {
-  if ((identity === 'admin') && password === 'admin12345') {
-    let admin = findUserByEmail.get('admin') || findUserByUsername.get('admin');
-    if (!admin) {
-      const hash = await bcrypt.hash('admin12345', 12);
-      const id = uuidv4();
-      insertUser.run(id, 'admin', 'admin', hash, new Date().toISOString());
-      setAdminFlag.run(id);
-      admin = findUserByEmail.get('admin') || findUserByUsername.get('admin');
-      markDataDirty();
-    } else if (!admin.is_admin) {
-      setAdminFlag.run(admin.id);
-      admin = findUserById.get(admin.id);
-      markDataDirty();
-    }
-    return { id: admin.id, email: admin.email, username: admin.username, is_admin: true, status: admin.status, ban_reason: admin.ban_reason || null };
-  }
+async function registerUser(email, password, username = null) {
+  return createUser(email, password, username);
+}
 
+async function loginUser(identity, password) {
   let user = findUserByEmail.get(identity);
   if (!user) user = findUserByUsername.get(identity);
   if (!user) throw new Error('Invalid credentials');
@@ -78,22 +122,50 @@ async function loginUser(identity, password, clientBan = false, clientBanReason
   const ok = await bcrypt.compare(password, user.password_hash);
   if (!ok) throw new Error('Invalid credentials');
 
-  if (clientBan && user.status !== 'banned') {
-    autoBanUserStmt.run(new Date().toISOString(), clientBanReason || 'Device banned', user.id);
-    markDataDirty();
-    user.status = 'banned';
-    user.banned_at = new Date().toISOString();
-    user.ban_reason = clientBanReason || 'Device banned';
+  return { id: user.id, email: user.email, username: user.username, is_admin: getAccess(user.id).is_admin, status: user.status, ban_reason: user.ban_reason || null };
+}
+
+/**
+ * Make sure the site has an admin.
+ * If no account holds the admin role and ADMIN_EMAIL is set, that account is granted admin
+ * (created first with ADMIN_PASSWORD / ADMIN_USERNAME when it does not exist yet).
+ */
+async function ensureBootstrapAdmin() {
+  if (countAdminsStmt.get().n > 0) return;
+
+  const email = String(process.env.ADMIN_EMAIL || '').trim().toLowerCase();
+  if (!email) {
+    console.warn('No admin account exists. Set ADMIN_EMAIL/ADMIN_PASSWORD or run `npm run create-admin -- --email <email>`.');
+    return;
   }
 
-  return { id: user.id, email: user.email, username: user.username, is_admin: !!user.is_admin, status: user.status, ban_reason: user.ban_reason || null };
+  let user = findUserByEmail.get(email);
+  if (!user) {
+    const password = process.env.ADMIN_PASSWORD || '';
+    if (password.length < 8) {
+      console.warn('ADMIN_EMAIL account does not exist and ADMIN_PASSWORD is missing or shorter than 8 characters; no admin created.');
+      return;
+    }
+    user = await createUser(email, password, process.env.ADMIN_USERNAME || null);
+    console.log('Created bootstrap admin account %s', email);
+  }
+  grantRole(user.id, 'admin');
+  console.log('Granted admin role to %s', email);
 }
 
 module.exports = {
+  ROLES,
   ensureAuthed,
-  ensureAdmin,
+  ensureRole,
+  canModerateSchool,
+  getAccess,
+  grantRole,
+  revokeRole,
+  createUser,
   registerUser,
   loginUser,
+  ensureBootstrapAdmin,
   findUserById,
+  findUserByEmail,
   findUserByUsername
-};
\ No newline at end of file
+};
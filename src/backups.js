@@ -0,0 +1,261 @@
+/**
+ * backups.js
+ *
+ * Admin backup browser on top of the data sync history. Every snapshot commit on the sync branch is a full
+ * copy of data/app.db (see gitDataSync.js), so the git history doubles as a backup trail:
+ * - listBackups(): snapshot commits, newest first
+ * - diffBackups(): row counts per table and added/removed/changed rows between two points ('current' = the live DB)
+ * - restoreBackup(): bring the live DB back to a snapshot. The dry run only returns the diff. A real restore
+ *   first saves the live DB under data/backups/, then writes the differences as normal changes, so they are
+ *   journaled and reach every other instance like any other write.
+ *
+ * Only journaled tables are compared and restored; sync bookkeeping (sync_conflicts, sync_state), the search
+ * index and sessions are left alone. PDFs in storage are not touched either.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { db, journaledTables, quoteIdent } = require('./db');
+const {
+  isDataSyncEnabled,
+  createSnapshotFile,
+  listSnapshotCommits,
+  fetchSnapshotAt,
+  markDataDirty,
+  syncNow
+} = require('./gitDataSync');
+
+const LOCAL_DB_PATH = process.env.DATABASE_URL || './data/app.db';
+const BACKUP_DIR = path.join(path.dirname(LOCAL_DB_PATH), 'backups');
+const SKIP_TABLES = ['sync_conflicts'];
+const SAMPLE_KEYS = 5;
+
+function backupError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function assertEnabled() {
+  if (!isDataSyncEnabled()) {
+    throw backupError('Remote DB sync is disabled on this instance, so there are no snapshots to browse.');
+  }
+}
+
+function isCommitSha(value) {
+  return /^[0-9a-f]{7,40}$/i.test(String(value || ''));
+}
+
+async function listBackups(limit = 30) {
+  assertEnabled();
+  return listSnapshotCommits(limit);
+}
+
+/**
+ * Resolve 'current' or a commit sha to a verified DB file. Returns { filePath, label }; pass it to releaseFile().
+ */
+async function openPoint(ref) {
+  if (ref === 'current') {
+    const snapshot = await createSnapshotFile();
+    return { filePath: snapshot.filePath, label: 'current' };
+  }
+  assertEnabled();
+  if (!isCommitSha(ref)) throw backupError('Unknown backup; pass a commit sha or "current"');
+  const snapshot = await fetchSnapshotAt(ref);
+  return { filePath: snapshot.filePath, label: ref };
+}
+
+function releaseFile(point) {
+  if (!point) return;
+  try { fs.unlinkSync(point.filePath); } catch (e) { /* already gone */ }
+}
+
+function comparedTables() {
+  return journaledTables().filter(t => !SKIP_TABLES.includes(t));
+}
+
+function attachedTables(conn, schema) {
+  return conn.prepare(`SELECT name FROM ${schema}.sqlite_master WHERE type = 'table'`).all().map(t => t.name);
+}
+
+function tableInfo(conn, schema, table) {
+  return conn.prepare(`PRAGMA ${schema}.table_info(${quoteIdent(table)})`).all();
+}
+
+function pkColumns(info) {
+  return info.filter(c => c.pk > 0).sort((a, b) => a.pk - b.pk).map(c => c.name);
+}
+
+/**
+ * Compare two DB files table by table, matching rows by primary key (of the newer schema).
+ * Returns [{ table, from_rows, to_rows, added, removed, changed, samples: { added, removed, changed } }].
+ */
+function diffFiles(fromPath, toPath) {
+  const conn = new Database(':memory:');
+  try {
+    conn.prepare('ATTACH DATABASE ? AS a').run(fromPath);
+    conn.prepare('ATTACH DATABASE ? AS b').run(toPath);
+    const inA = attachedTables(conn, 'a');
+    const inB = attachedTables(conn, 'b');
+
+    return comparedTables().map(table => {
+      const t = quoteIdent(table);
+      const count = schema => conn.prepare(`SELECT COUNT(*) as n FROM ${schema}.${t}`).get().n;
+      const result = {
+        table,
+        from_rows: inA.includes(table) ? count('a') : 0,
+        to_rows: inB.includes(table) ? count('b') : 0,
+        added: 0,
+        removed: 0,
+        changed: 0,
+        samples: { added: [], removed: [], changed: [] }
+      };
+      if (!inA.includes(table) || !inB.includes(table)) {
+        result.added = result.to_rows;
+        result.removed = result.from_rows;
+        return result;
+      }
+
+      const infoA = tableInfo(conn, 'a', table);
+      const infoB = tableInfo(conn, 'b', table);
+      const pkCols = pkColumns(infoB).length ? pkColumns(infoB) : pkColumns(infoA);
+      if (!pkCols.length) return result;
+      const colsA = infoA.map(c => c.name);
+      const cols = infoB.map(c => c.name).filter(c => colsA.includes(c));
+
+      const match = (x, y, names) => names.map(c => `${x}.${quoteIdent(c)} IS ${y}.${quoteIdent(c)}`).join(' AND ');
+      const keyJson = alias => `json_object(${pkCols.map(c => `'${c.replace(/'/g, "''")}', ${alias}.${quoteIdent(c)}`).join(', ')})`;
+      const missingFrom = (x, y) => `FROM ${x}.${t} x WHERE NOT EXISTS (SELECT 1 FROM ${y}.${t} y WHERE ${match('y', 'x', pkCols)})`;
+      const changedSql = `FROM a.${t} x JOIN b.${t} y ON ${match('x', 'y', pkCols)} WHERE NOT (${match('x', 'y', cols)})`;
+
+      const tally = (key, fromSql) => {
+        result[key] = conn.prepare(`SELECT COUNT(*) as n ${fromSql}`).get().n;
+        if (result[key]) {
+          result.samples[key] = conn.prepare(`SELECT ${keyJson('x')} as k ${fromSql} LIMIT ${SAMPLE_KEYS}`).all().map(r => JSON.parse(r.k));
+        }
+      };
+      tally('added', missingFrom('b', 'a'));
+      tally('removed', missingFrom('a', 'b'));
+      tally('changed', changedSql);
+      return result;
+    });
+  } finally {
+    conn.close();
+  }
+}
+
+async function diffBackups(fromRef, toRef) {
+  const from = await openPoint(fromRef);
+  let to = null;
+  try {
+    to = await openPoint(toRef);
+    return { from: from.label, to: to.label, tables: diffFiles(from.filePath, to.filePath) };
+  } finally {
+    releaseFile(from);
+    releaseFile(to);
+  }
+}
+
+/**
+ * Write the differences between the live DB and a snapshot file into the live DB.
+ * Triggers stay active, so every restored row is journaled like a normal change.
+ */
+function applySnapshotFile(filePath) {
+  db.pragma('foreign_keys = OFF');
+  db.prepare('ATTACH DATABASE ? AS restore_src').run(filePath);
+  try {
+    db.transaction(() => {
+      const srcTables = attachedTables(db, 'restore_src');
+      for (const table of comparedTables()) {
+        const t = quoteIdent(table);
+        if (!srcTables.includes(table)) {
+          // The table did not exist yet at that point in time
+          db.exec(`DELETE FROM main.${t}`);
+          continue;
+        }
+        const info = tableInfo(db, 'main', table);
+        const pkCols = pkColumns(info);
+        if (!pkCols.length) continue;
+        const srcCols = tableInfo(db, 'restore_src', table).map(c => c.name);
+        const cols = info.map(c => c.name).filter(c => srcCols.includes(c));
+        const match = (x, y, names) => names.map(c => `${x}.${quoteIdent(c)} IS ${y}.${quoteIdent(c)}`).join(' AND ');
+        const updates = cols.filter(c => !pkCols.includes(c)).map(c => `${quoteIdent(c)} = excluded.${quoteIdent(c)}`);
+
+        db.exec(`DELETE FROM main.${t} WHERE NOT EXISTS (SELECT 1 FROM restore_src.${t} s WHERE ${match('s', `main.${t}`, pkCols)})`);
+        // Upsert only rows that differ, so unchanged rows produce no journal entries
+        db.exec(`
+INSERT INTO main.${t} (${cols.map(quoteIdent).join(', ')})
+SELECT ${cols.map(c => `s.${quoteIdent(c)}`).join(', ')} FROM restore_src.${t} s
+WHERE NOT EXISTS (SELECT 1 FROM main.${t} m WHERE ${match('m', 's', cols)})
+ON CONFLICT (${pkCols.map(quoteIdent).join(', ')}) DO ${updates.length ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}
+`);
+      }
+      // Restored documents whose PDF text is not in the search index get it extracted again
+      db.exec(`
+UPDATE documents SET text_extracted_at = NULL
+WHERE text_extracted_at IS NOT NULL
+  AND id IN (SELECT doc_id FROM documents_fts WHERE body IS NULL OR body = '')
+`);
+    })();
+  } finally {
+    db.exec('DETACH DATABASE restore_src');
+    db.pragma('foreign_keys = ON');
+  }
+  const violations = db.pragma('foreign_key_check');
+  if (violations.length) {
+    console.warn(`Backup restore: ${violations.length} foreign key violation(s) after restore (first in ${violations[0].table}).`);
+  }
+}
+
+/**
+ * Restore the live DB to the snapshot of a commit.
+ * dryRun: only returns the diff (current -> snapshot). Otherwise the live DB is saved to data/backups/
+ * first, the snapshot applied and a sync (full snapshot when holding the writer lease) started.
+ */
+async function restoreBackup(ref, { dryRun = true } = {}) {
+  if (!isCommitSha(ref)) throw backupError('Pick a snapshot commit to restore');
+  const target = await openPoint(ref);
+  let current = null;
+  try {
+    current = await openPoint('current');
+    const tables = diffFiles(current.filePath, target.filePath);
+    if (dryRun) return { dry_run: true, ref: target.label, tables };
+
+    if (!fs.existsSync(BACKUP_DIR)) fs.mkdirSync(BACKUP_DIR, { recursive: true });
+    const savedAs = path.join(BACKUP_DIR, `pre-restore-${new Date().toISOString().replace(/[:.]/g, '-')}.db`);
+    fs.copyFileSync(current.filePath, savedAs);
+
+    applySnapshotFile(target.filePath);
+    console.log('Restored DB to snapshot %s (previous state saved as %s).', ref, savedAs);
+    markDataDirty();
+    let syncError = null;
+    try {
+      await syncNow(true);
+    } catch (e) {
+      syncError = e.message || String(e); // the restore is journaled; the periodic sync retries
+    }
+    return { dry_run: false, ref: target.label, tables, saved_as: savedAs, sync_error: syncError };
+  } finally {
+    releaseFile(target);
+    releaseFile(current);
+  }
+}
+
+/**
+ * Verified copy of a snapshot for download. Returns { filePath, fileName }; the caller calls releaseFile().
+ */
+async function exportBackup(ref) {
+  if (!isCommitSha(ref)) throw backupError('Pick a snapshot commit to export');
+  const point = await openPoint(ref);
+  return { filePath: point.filePath, fileName: `app-${ref.slice(0, 12)}.db` };
+}
+
+module.exports = {
+  BACKUP_DIR,
+  listBackups,
+  diffBackups,
+  restoreBackup,
+  exportBackup,
+  releaseFile
+};
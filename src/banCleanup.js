@@ -1,42 +1,292 @@
-const { db } = require('./db');
-const { moveToBannedFolder } = require('./githubStorage');
+/**
+ * banCleanup.js
+ *
+ * Background jobs for bans:
+ * - every minute, temporary bans that ran out are lifted (liftExpiredBans in bans.js)
+ * - every BAN_PURGE_INTERVAL_MINUTES, accounts banned permanently for BAN_PURGE_DAYS or more are purged:
+ *   their PDFs move to banned-pdfs/, their catalog rows and the account are deleted. Accounts with an open
+ *   appeal or a temporary ban are skipped, and so are admins (deleting the account would drop their role
+ *   without the last-admin check of revokeRole). BAN_PURGE_DAYS=0 turns the purge off.
+ *
+ * Every purge is recorded in ban_purges / ban_purge_docs (documents and versions rows as JSON, plus where
+ * each file went), so admins can review purges and restore a document with restorePurgedDocument().
+ * previewBanPurge() lists what the next run would purge without changing anything.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db, courseLabel } = require('./db');
+const { moveAllVersionsToBannedFolder } = require('./versions');
+const { moveToBannedFolder, restoreFromBannedFolder } = require('./storage');
 const { markDataDirty } = require('./gitDataSync');
+const { liftExpiredBans, recordBanEvent } = require('./bans');
+const { resolveSchool } = require('./schools');
+const { resolveCourse, setDocumentTags } = require('./catalog');
+const { refreshDocRating } = require('./ratings');
+const { refreshCommentCount } = require('./comments');
+
+const EXPIRY_CHECK_MS = 60 * 1000;
+
+function intSetting(name, fallback) {
+  const n = parseInt(process.env[name], 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const PURGE_AFTER_DAYS = intSetting('BAN_PURGE_DAYS', 10);
+const PURGE_INTERVAL_MS = Math.max(1, intSetting('BAN_PURGE_INTERVAL_MINUTES', 60)) * 60 * 1000;
+
+const purgeCandidatesStmt = db.prepare(`
+SELECT * FROM users u
+WHERE status='banned' AND banned_at IS NOT NULL AND banned_at < ?
+  AND NOT EXISTS (SELECT 1 FROM ban_appeals a WHERE a.user_id = u.id AND a.status = 'open')
+  AND NOT EXISTS (
+    SELECT 1 FROM bans b
+    WHERE b.kind = 'account' AND b.value = u.id AND b.lifted_at IS NULL AND b.expires_at IS NOT NULL
+  )
+  AND NOT EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = u.id AND r.role = 'admin')
+ORDER BY banned_at
+`);
+const userDocsStmt = db.prepare('SELECT * FROM documents WHERE uploaded_by = ?');
+const docVersionsStmt = db.prepare('SELECT * FROM document_versions WHERE document_id = ? ORDER BY version');
+const deleteDocStmt = db.prepare('DELETE FROM documents WHERE id = ?');
+const deleteUserStmt = db.prepare('DELETE FROM users WHERE id = ?');
+const insertPurgeStmt = db.prepare(`
+INSERT INTO ban_purges (id, user_id, email, username, ban_reason, banned_at, purged_at, purged_by)
+VALUES (@id, @user_id, @email, @username, @ban_reason, @banned_at, @purged_at, @purged_by)
+`);
+const insertPurgeDocStmt = db.prepare(`
+INSERT INTO ban_purge_docs (id, purge_id, doc_id, title, document, versions, files)
+VALUES (@id, @purge_id, @doc_id, @title, @document, @versions, @files)
+`);
+const listPurgesStmt = db.prepare(`
+SELECT p.*, a.username as purged_by_username
+FROM ban_purges p
+LEFT JOIN users a ON a.id = p.purged_by
+ORDER BY p.purged_at DESC
+LIMIT ?
+`);
+const purgeDocsStmt = db.prepare(`
+SELECT d.id, d.doc_id, d.title, d.files, d.restored_at, r.username as restored_by_username
+FROM ban_purge_docs d
+LEFT JOIN users r ON r.id = d.restored_by
+WHERE d.purge_id = ?
+ORDER BY d.title
+`);
+const getPurgeDocStmt = db.prepare('SELECT * FROM ban_purge_docs WHERE id = ?');
+const markRestoredStmt = db.prepare('UPDATE ban_purge_docs SET restored_at = ?, restored_by = ? WHERE id = ? AND restored_at IS NULL');
+const docExistsStmt = db.prepare('SELECT 1 FROM documents WHERE id = ?');
+const userExistsStmt = db.prepare('SELECT 1 FROM users WHERE id = ?');
+
+function purgeError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function purgeThreshold() {
+  return new Date(Date.now() - PURGE_AFTER_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Dry run: the accounts (and their documents) the next purge would remove.
+ */
+function previewBanPurge() {
+  const candidates = PURGE_AFTER_DAYS ? purgeCandidatesStmt.all(purgeThreshold()) : [];
+  return {
+    enabled: PURGE_AFTER_DAYS > 0,
+    retention_days: PURGE_AFTER_DAYS,
+    users: candidates.map(u => ({
+      id: u.id,
+      email: u.email,
+      username: u.username,
+      ban_reason: u.ban_reason,
+      banned_at: u.banned_at,
+      docs: userDocsStmt.all(u.id).map(d => ({ id: d.id, title: d.title, status: d.status }))
+    }))
+  };
+}
+
+const recordPurge = db.transaction((user, purgeId, purgedBy, entries) => {
+  insertPurgeStmt.run({
+    id: purgeId,
+    user_id: user.id,
+    email: user.email,
+    username: user.username,
+    ban_reason: user.ban_reason,
+    banned_at: user.banned_at,
+    purged_at: new Date().toISOString(),
+    purged_by: purgedBy
+  });
+  for (const { doc, versions, files } of entries) {
+    insertPurgeDocStmt.run({
+      id: `${purgeId}:${doc.id}`,
+      purge_id: purgeId,
+      doc_id: doc.id,
+      title: doc.title,
+      document: JSON.stringify(doc),
+      versions: JSON.stringify(versions),
+      files: JSON.stringify(files)
+    });
+    deleteDocStmt.run(doc.id);
+  }
+  deleteUserStmt.run(user.id);
+  recordBanEvent(user.id, 'purged', { actorId: purgedBy, reason: user.ban_reason });
+});
+
+async function purgeUser(user, purgedBy = null) {
+  const purgeId = uuidv4();
+  const entries = [];
+  for (const doc of userDocsStmt.all(user.id)) {
+    const versions = docVersionsStmt.all(doc.id);
+    const files = await moveAllVersionsToBannedFolder(doc);
+    entries.push({ doc, versions, files });
+  }
+  recordPurge(user, purgeId, purgedBy, entries);
+  markDataDirty();
+  const failed = entries.reduce((n, e) => n + e.files.filter(f => f.error).length, 0);
+  console.log(`Purged banned user ${user.email} and relocated ${entries.length} PDFs${failed ? ` (${failed} file(s) could not be moved)` : ''}`);
+  return { purge_id: purgeId, user_id: user.id, docs: entries.length, failed_files: failed };
+}
+
+let purgeRunning = false;
+
+/**
+ * Purge every account that is due. purgedBy is the admin who started the run (null for the scheduled job).
+ */
+async function runBanPurge(purgedBy = null) {
+  if (!PURGE_AFTER_DAYS) return [];
+  if (purgeRunning) throw purgeError('A purge is already running', 409);
+  purgeRunning = true;
+  try {
+    const results = [];
+    for (const user of purgeCandidatesStmt.all(purgeThreshold())) {
+      results.push(await purgeUser(user, purgedBy));
+    }
+    return results;
+  } finally {
+    purgeRunning = false;
+  }
+}
+
+function listPurges(limit = 50) {
+  return listPurgesStmt.all(limit).map(p => Object.assign(p, {
+    docs: purgeDocsStmt.all(p.id).map(d => {
+      const files = JSON.parse(d.files);
+      return {
+        id: d.id,
+        doc_id: d.doc_id,
+        title: d.title,
+        banned_paths: files.filter(f => f.to).map(f => f.to.key),
+        failed_files: files.filter(f => f.error).length,
+        restored_at: d.restored_at,
+        restored_by_username: d.restored_by_username
+      };
+    })
+  }));
+}
+
+function insertRow(table, row) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name).filter(c => c in row);
+  db.prepare(`INSERT INTO ${table} (${cols.join(', ')}) VALUES (${cols.map(c => '@' + c).join(', ')})`)
+    .run(Object.fromEntries(cols.map(c => [c, row[c]])));
+}
+
+const recreateDocument = db.transaction((entry, doc, versions, restoredBy) => {
+  if (docExistsStmt.get(doc.id)) throw purgeError('A document with this id already exists', 409);
+  insertRow('documents', doc);
+  for (const v of versions) insertRow('document_versions', v);
+  setDocumentTags(doc.id, doc.tags);
+  // Its ratings and comments went with the purge
+  refreshDocRating(doc.id);
+  refreshCommentCount(doc.id);
+  markRestoredStmt.run(new Date().toISOString(), restoredBy, entry.id);
+});
+
+/**
+ * Move a purged document's files from banned-pdfs/ back to pdfs/ and re-create its catalog row
+ * (and version history) with its old id and status. If the uploader account is gone, the document
+ * is attributed to the admin restoring it. Search text is extracted again by the search job.
+ */
+async function restorePurgedDocument(entryId, restoredBy) {
+  const entry = getPurgeDocStmt.get(entryId);
+  if (!entry) throw purgeError('Purged document not found', 404);
+  if (entry.restored_at) throw purgeError('Document already restored', 409);
+  if (docExistsStmt.get(entry.doc_id)) throw purgeError('A document with this id already exists', 409);
+
+  const doc = JSON.parse(entry.document);
+  const versions = JSON.parse(entry.versions);
+  const files = JSON.parse(entry.files);
+  if (files.some(f => !f.to)) throw purgeError('Some files of this document never reached banned-pdfs/; it cannot be restored');
+  const owner = userExistsStmt.get(doc.uploaded_by) ? doc.uploaded_by : restoredBy;
+
+  const restored = {};
+  try {
+    for (const file of files) {
+      restored[file.version] = await restoreFromBannedFolder({
+        id: doc.id,
+        storage_backend: file.to.backend,
+        storage_key: file.to.key,
+        storage_ref: file.to.ref
+      });
+    }
+    const locate = (row, version) => {
+      const loc = restored[version];
+      return loc ? Object.assign({}, row, { storage_backend: loc.backend, storage_key: loc.key, storage_ref: loc.ref }) : row;
+    };
+
+    const docRow = Object.assign(locate(doc, doc.current_version || 1), { uploaded_by: owner, text_extracted_at: null });
+    // The school and course may have been renamed or merged since the purge
+    if (doc.school) {
+      const school = resolveSchool(doc.school, restoredBy);
+      const course = resolveCourse(school.id, doc.course, restoredBy);
+      Object.assign(docRow, {
+        school: school.name,
+        school_id: school.id,
+        course: course ? courseLabel(course) : '',
+        course_id: course ? course.id : null
+      });
+    }
+    const versionRows = versions.map(v => Object.assign(locate(v, v.version), {
+      uploaded_by: userExistsStmt.get(v.uploaded_by) ? v.uploaded_by : owner
+    }));
+    recreateDocument(entry, docRow, versionRows, restoredBy);
+  } catch (e) {
+    // Put files already moved back into banned-pdfs/ so the restore can be retried
+    for (const loc of Object.values(restored)) {
+      await moveToBannedFolder({ id: doc.id, storage_backend: loc.backend, storage_key: loc.key, storage_ref: loc.ref })
+        .catch(err => console.error('Could not move restored file back to banned-pdfs', loc.key, err.message));
+    }
+    throw e;
+  }
+  markDataDirty();
+  console.log(`Restored purged document ${doc.id} (${doc.title})`);
+  return { doc_id: doc.id, uploaded_by: owner, files: files.length };
+}
 
 function startBanCleanupJob() {
-  setInterval(async () => {
+  // Close temporary bans that ran out (and reactivate those accounts)
+  setInterval(() => {
     try {
-      const threshold = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
-
-      const bannedUsers = db.prepare(`
-        SELECT * FROM users
-        WHERE status='banned' AND banned_at IS NOT NULL AND banned_at < ?
-      `).all(threshold);
-
-      const userDocsStmt = db.prepare(`SELECT * FROM documents WHERE uploaded_by = ?`);
-      const deleteDocStmt = db.prepare(`DELETE FROM documents WHERE id = ?`);
-      const deleteUserStmt = db.prepare(`DELETE FROM users WHERE id = ?`);
-
-      for (const user of bannedUsers) {
-        const docs = userDocsStmt.all(user.id);
-        for (const doc of docs) {
-          try {
-            await moveToBannedFolder(doc.github_path, doc.github_sha, doc.id);
-          } catch (e) {
-            console.error('Error moving file to banned-pdfs for doc', doc.id, e.message);
-          }
-          deleteDocStmt.run(doc.id);
-          markDataDirty();
-        }
-        deleteUserStmt.run(user.id);
-        markDataDirty();
-        console.log(`Purged banned user ${user.email} and relocated ${docs.length} PDFs`);
-      }
+      const closed = liftExpiredBans();
+      if (closed) console.log(`Ban cleanup: ${closed} ban(s) expired`);
     } catch (e) {
-      console.error('Ban cleanup error', e);
+      console.error('Ban expiry error', e);
     }
-  }, 60 * 60 * 1000).unref(); // hourly
+  }, EXPIRY_CHECK_MS).unref();
+
+  if (!PURGE_AFTER_DAYS) {
+    console.log('Ban purge disabled (BAN_PURGE_DAYS=0).');
+    return;
+  }
+  setInterval(() => {
+    runBanPurge().catch(e => console.error('Ban cleanup error', e));
+  }, PURGE_INTERVAL_MS).unref();
 }
 
 module.exports = {
-  startBanCleanupJob
-};
\ No newline at end of file
+  PURGE_AFTER_DAYS,
+  startBanCleanupJob,
+  previewBanPurge,
+  runBanPurge,
+  listPurges,
+  restorePurgedDocument
+};
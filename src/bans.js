@@ -0,0 +1,358 @@
+/**
+ * bans.js
+ *
+ * Server-side bans (table bans), enforced on every /api request by enforceBans():
+ * - account: a user id. users.status/banned_at/ban_reason are kept in step for the rest of the app.
+ * - device:  the id in the signed device cookie (ffd_device) every browser gets from assignDevice().
+ * - ip:      a single address or a CIDR range (IPv4 or IPv6).
+ * A browser that uses a banned account gets its device banned as well (linked to the account ban), so
+ * signing out does not get around the ban. Lifting a ban also lifts the bans linked to it.
+ * Bans may expire (expires_at); expired bans stop applying at once and are closed by liftExpiredBans()
+ * (run every minute by banCleanup.js). Account bans are logged in ban_events (see listBanEvents()).
+ *
+ * Banned requests get 403 { ok: false, banned: true, error, reason }. GET /api/me, login and logout still
+ * work so the client can show why it is blocked. Bans never apply to admins.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./db');
+const { markDataDirty } = require('./gitDataSync');
+const { getAccess } = require('./auth');
+const { notify } = require('./notifications');
+
+const KINDS = ['account', 'device', 'ip'];
+const DEVICE_COOKIE = 'ffd_device';
+const DEVICE_COOKIE_MAX_AGE = 5 * 365 * 24 * 60 * 60 * 1000;
+const COOKIE_SECRET = process.env.SESSION_SECRET || 'change_me';
+// Always reachable while banned: the client needs /me to show the ban (and /appeals to appeal it), and
+// admins on a banned network or device must be able to sign in (device and IP bans do not apply to admins)
+const ALLOWED_WHILE_BANNED = ['GET /me', 'POST /appeals', 'POST /auth/login', 'POST /auth/logout'];
+
+const insertBanStmt = db.prepare(`
+INSERT INTO bans (id, kind, value, reason, linked_to, created_by, created_at, expires_at)
+VALUES (@id, @kind, @value, @reason, @linked_to, @created_by, @created_at, @expires_at)
+`);
+const ACTIVE_SQL = 'lifted_at IS NULL AND (expires_at IS NULL OR expires_at > @now)';
+const activeBanStmt = db.prepare(`SELECT * FROM bans WHERE kind = @kind AND value = @value AND ${ACTIVE_SQL} ORDER BY created_at LIMIT 1`);
+const activeIpBansStmt = db.prepare(`SELECT * FROM bans WHERE kind = 'ip' AND ${ACTIVE_SQL} ORDER BY created_at`);
+const expiredBansStmt = db.prepare('SELECT * FROM bans WHERE lifted_at IS NULL AND expires_at IS NOT NULL AND expires_at <= ? ORDER BY expires_at');
+const insertEventStmt = db.prepare(`
+INSERT INTO ban_events (id, user_id, ban_id, action, actor_id, reason, expires_at, at)
+VALUES (@id, @user_id, @ban_id, @action, @actor_id, @reason, @expires_at, @at)
+`);
+const listEventsStmt = db.prepare(`
+SELECT e.*, a.username as actor_username
+FROM ban_events e
+LEFT JOIN users a ON a.id = e.actor_id
+WHERE e.user_id = ?
+ORDER BY e.at DESC
+`);
+const ipBansStampStmt = db.prepare("SELECT COUNT(*) as n, MAX(created_at) as created, MAX(lifted_at) as lifted FROM bans WHERE kind = 'ip'");
+const getBanStmt = db.prepare('SELECT * FROM bans WHERE id = ?');
+const liftBanStmt = db.prepare('UPDATE bans SET lifted_by = ?, lifted_at = ? WHERE id = ? AND lifted_at IS NULL');
+const liftLinkedStmt = db.prepare('UPDATE bans SET lifted_by = ?, lifted_at = ? WHERE linked_to = ? AND lifted_at IS NULL');
+const getUserStmt = db.prepare('SELECT id, status FROM users WHERE id = ?');
+const banUserStmt = db.prepare("UPDATE users SET status = 'banned', banned_at = ?, ban_reason = ? WHERE id = ?");
+const unbanUserStmt = db.prepare("UPDATE users SET status = 'active', banned_at = NULL, ban_reason = NULL WHERE id = ?");
+const listBansStmt = db.prepare(`
+SELECT b.*, u.username as account_username, u.email as account_email,
+       c.username as created_by_username, l.username as lifted_by_username
+FROM bans b
+LEFT JOIN users u ON b.kind = 'account' AND u.id = b.value
+LEFT JOIN users c ON c.id = b.created_by
+LEFT JOIN users l ON l.id = b.lifted_by
+WHERE (@status = 'all' OR (@status = 'active' AND b.lifted_at IS NULL) OR (@status = 'lifted' AND b.lifted_at IS NOT NULL))
+  AND NOT (@status = 'active' AND b.expires_at IS NOT NULL AND b.expires_at <= @now)
+ORDER BY b.created_at DESC
+LIMIT @limit
+`);
+
+/* ---------- Device cookie ---------- */
+
+function signDeviceId(id) {
+  return crypto.createHmac('sha256', COOKIE_SECRET).update(id).digest('base64url').slice(0, 32);
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    if (part.slice(0, eq).trim() === name) {
+      try { return decodeURIComponent(part.slice(eq + 1).trim()); } catch (e) { return null; }
+    }
+  }
+  return null;
+}
+
+// Device id from a valid signed cookie, or null (missing or tampered with)
+function verifiedDeviceId(req) {
+  const raw = readCookie(req, DEVICE_COOKIE);
+  if (!raw) return null;
+  const [id, sig] = raw.split('.');
+  if (!id || !sig || !/^[0-9a-f]{32}$/.test(id)) return null;
+  const expected = signDeviceId(id);
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  return id;
+}
+
+/**
+ * Express middleware: make sure every browser carries a signed device id (req.deviceId).
+ */
+function assignDevice(req, res, next) {
+  let id = verifiedDeviceId(req);
+  if (!id) {
+    id = crypto.randomBytes(16).toString('hex');
+    res.cookie(DEVICE_COOKIE, `${id}.${signDeviceId(id)}`, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: DEVICE_COOKIE_MAX_AGE
+    });
+  }
+  req.deviceId = id;
+  next();
+}
+
+/* ---------- IP matching ---------- */
+
+function normalizeIp(ip) {
+  const s = String(ip || '').trim();
+  return s.startsWith('::ffff:') && net.isIPv4(s.slice(7)) ? s.slice(7) : s;
+}
+
+/**
+ * Validate an IP address or CIDR range. Returns { address, prefix, family } or throws.
+ */
+function parseIpRange(value) {
+  const [rawAddress, rawPrefix] = String(value || '').trim().split('/');
+  const address = normalizeIp(rawAddress);
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  if (!family) throw new Error('Enter an IP address or CIDR range (e.g. 203.0.113.7 or 203.0.113.0/24)');
+  const max = family === 'ipv4' ? 32 : 128;
+  const prefix = rawPrefix === undefined ? max : Number(rawPrefix);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > max) throw new Error(`CIDR prefix must be 0-${max}`);
+  return { address, prefix, family };
+}
+
+let ipRules = null;
+let ipRulesStamp = null;
+let ipRulesExpireAt = Infinity;
+
+// Active IP bans as [{ ban, list: net.BlockList }]; rebuilt whenever IP bans change (also via sync) or expire
+function currentIpRules() {
+  const s = ipBansStampStmt.get();
+  const stamp = `${s.n}|${s.created}|${s.lifted}`;
+  if (ipRules && stamp === ipRulesStamp && Date.now() < ipRulesExpireAt) return ipRules;
+
+  ipRules = [];
+  ipRulesExpireAt = Infinity;
+  for (const ban of activeIpBansStmt.all({ now: new Date().toISOString() })) {
+    if (ban.expires_at) ipRulesExpireAt = Math.min(ipRulesExpireAt, new Date(ban.expires_at).getTime());
+    try {
+      const { address, prefix, family } = parseIpRange(ban.value);
+      const list = new net.BlockList();
+      list.addSubnet(address, prefix, family);
+      ipRules.push({ ban, list });
+    } catch (e) {
+      console.warn('Ignoring invalid IP ban %s (%s): %s', ban.id, ban.value, e.message);
+    }
+  }
+  ipRulesStamp = stamp;
+  return ipRules;
+}
+
+function findIpBan(ip) {
+  const address = normalizeIp(ip);
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  if (!family) return null;
+  const rule = currentIpRules().find(r => r.list.check(address, family));
+  return rule ? rule.ban : null;
+}
+
+/* ---------- Bans ---------- */
+
+function findActiveBan(kind, value) {
+  return activeBanStmt.get({ kind, value, now: new Date().toISOString() });
+}
+
+function addBan({ kind, value, reason = null, linkedTo = null, createdBy = null, expiresAt = null }) {
+  const ban = {
+    id: uuidv4(),
+    kind,
+    value,
+    reason: reason || 'Violation of rules',
+    linked_to: linkedTo,
+    created_by: createdBy,
+    created_at: new Date().toISOString(),
+    expires_at: expiresAt
+  };
+  insertBanStmt.run(ban);
+  return ban;
+}
+
+function recordBanEvent(userId, action, { banId = null, actorId = null, reason = null, expiresAt = null } = {}) {
+  insertEventStmt.run({
+    id: uuidv4(),
+    user_id: userId,
+    ban_id: banId,
+    action,
+    actor_id: actorId,
+    reason,
+    expires_at: expiresAt,
+    at: new Date().toISOString()
+  });
+}
+
+// Ban length in days (empty = permanent) -> expires_at
+function expiryFromDays(days) {
+  if (days === undefined || days === null || days === '') return null;
+  const n = Number(days);
+  if (!Number.isFinite(n) || n <= 0 || n > 3650) throw new Error('Ban length must be between 1 and 3650 days (or empty for permanent)');
+  return new Date(Date.now() + n * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Ban an account and, optionally, devices it was used from (e.g. from its active sessions).
+ * expiresAt: ISO time the ban ends (null = permanent). An account that is already banned keeps its
+ * existing ban. Admin accounts cannot be banned (revoke the role first). Returns the account ban.
+ */
+const banAccount = db.transaction((userId, { reason = null, createdBy = null, deviceIds = [], expiresAt = null } = {}) => {
+  const user = getUserStmt.get(userId);
+  if (!user) throw new Error('User not found');
+  if (getAccess(userId).is_admin) throw Object.assign(new Error('Admins cannot be banned'), { status: 403 });
+  let ban = findActiveBan('account', userId);
+  if (!ban) {
+    ban = addBan({ kind: 'account', value: userId, reason, createdBy, expiresAt });
+    banUserStmt.run(ban.created_at, ban.reason, userId);
+    recordBanEvent(userId, 'banned', { banId: ban.id, actorId: createdBy, reason: ban.reason, expiresAt });
+  }
+  for (const deviceId of new Set(deviceIds.filter(Boolean))) {
+    if (!findActiveBan('device', deviceId)) {
+      addBan({ kind: 'device', value: deviceId, reason: ban.reason, linkedTo: ban.id, createdBy, expiresAt: ban.expires_at });
+    }
+  }
+  markDataDirty();
+  return ban;
+});
+
+/**
+ * Ban an account, a device id or an IP address/range by hand (admin tools).
+ */
+function createBan(kind, value, reason, createdBy, expiresAt = null) {
+  if (kind === 'account') return banAccount(value, { reason, createdBy, expiresAt });
+  if (!KINDS.includes(kind)) throw new Error(`Unknown ban kind. Use one of: ${KINDS.join(', ')}`);
+  let normalized = String(value || '').trim();
+  if (kind === 'ip') {
+    const { address, prefix, family } = parseIpRange(normalized);
+    normalized = prefix === (family === 'ipv4' ? 32 : 128) ? address : `${address}/${prefix}`;
+  } else if (!/^[0-9a-f]{32}$/.test(normalized)) {
+    throw new Error('Device ids are 32 hex characters');
+  }
+  const existing = findActiveBan(kind, normalized);
+  if (existing) return existing;
+  const ban = addBan({ kind, value: normalized, reason, createdBy, expiresAt });
+  markDataDirty();
+  return ban;
+}
+
+// Close a ban and the bans linked to it; an account without other active bans is reactivated (and told so)
+function closeBan(ban, liftedBy, at, action, note = null) {
+  liftBanStmt.run(liftedBy, at, ban.id);
+  const linked = liftLinkedStmt.run(liftedBy, at, ban.id).changes;
+  if (ban.kind === 'account') {
+    // Purged accounts no longer exist and get no notification
+    if (!findActiveBan('account', ban.value) && unbanUserStmt.run(ban.value).changes) {
+      const message = action === 'expired' ? 'Your temporary ban has ended.' : 'Your ban was lifted.';
+      notify(ban.value, 'ban_lifted', note ? `${message} Note: ${note}` : message);
+    }
+    recordBanEvent(ban.value, action, { banId: ban.id, actorId: liftedBy, reason: note });
+  }
+  return linked;
+}
+
+/**
+ * Lift a ban and every ban linked to it. Lifting an account ban reactivates the account.
+ */
+const liftBan = db.transaction((id, liftedBy, note = null) => {
+  const ban = getBanStmt.get(id);
+  if (!ban) throw new Error('Ban not found');
+  if (ban.lifted_at) throw new Error('Ban already lifted');
+  const linked = closeBan(ban, liftedBy, new Date().toISOString(), 'lifted', note);
+  markDataDirty();
+  return { ban, linked_lifted: linked };
+});
+
+/**
+ * Close bans whose expires_at has passed (they already stopped applying). Returns how many were closed.
+ */
+const liftExpiredBans = db.transaction(() => {
+  const expired = expiredBansStmt.all(new Date().toISOString());
+  for (const ban of expired) {
+    // A linked ban may already have been closed together with its account ban
+    if (getBanStmt.get(ban.id).lifted_at) continue;
+    closeBan(ban, null, ban.expires_at, 'expired');
+  }
+  if (expired.length) markDataDirty();
+  return expired.length;
+});
+
+function listBans(status = 'active', limit = 200) {
+  return listBansStmt.all({ status, limit, now: new Date().toISOString() });
+}
+
+function listBanEvents(userId) {
+  return listEventsStmt.all(userId);
+}
+
+/**
+ * The ban that applies to a request (account, then device, then IP), or null.
+ * A device used with a banned account is banned too, linked to the account ban.
+ * No ban applies to admins, so an admin can always reach the admin tools to lift bans (an account ban
+ * from before the user became an admin included).
+ */
+function findRequestBan(req) {
+  const userId = req.session && req.session.userId;
+  if (userId && getAccess(userId).is_admin) return null;
+  const accountBan = userId ? findActiveBan('account', userId) : null;
+  if (accountBan) {
+    if (req.deviceId && !findActiveBan('device', req.deviceId)) {
+      addBan({ kind: 'device', value: req.deviceId, reason: accountBan.reason, linkedTo: accountBan.id, expiresAt: accountBan.expires_at });
+      markDataDirty();
+    }
+    return accountBan;
+  }
+  if (req.deviceId) {
+    const deviceBan = findActiveBan('device', req.deviceId);
+    if (deviceBan) return deviceBan;
+  }
+  return findIpBan(req.ip);
+}
+
+/**
+ * Express middleware for /api: rejects requests from banned accounts, devices and IPs.
+ * Sets req.ban for the routes that stay reachable (see ALLOWED_WHILE_BANNED).
+ */
+function enforceBans(req, res, next) {
+  const ban = findRequestBan(req);
+  req.ban = ban;
+  if (!ban || ALLOWED_WHILE_BANNED.includes(`${req.method} ${req.path}`)) return next();
+  res.status(403).json({ ok: false, banned: true, error: 'You have been banned', reason: ban.reason || 'Violation of rules', expires_at: ban.expires_at || null });
+}
+
+module.exports = {
+  KINDS,
+  assignDevice,
+  enforceBans,
+  banAccount,
+  createBan,
+  liftBan,
+  liftExpiredBans,
+  listBans,
+  listBanEvents,
+  recordBanEvent,
+  expiryFromDays,
+  parseIpRange
+};
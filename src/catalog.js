@@ -0,0 +1,199 @@
+/**
+ * catalog.js
+ *
+ * Course catalog (table courses) and document tags (table document_tags), plus the browse facets
+ * of the home page.
+ * - A course belongs to one school and is matched on its code ("math101" and "MATH 101" are the same
+ *   course) or, when the typed text has no code, on its normalized name (parseCourse in db.js).
+ *   Uploads resolve the course with resolveCourse(); unknown courses are added to the school.
+ * - Tags are normalized by parseTags (db.js); documents.tags keeps them comma-separated for display and
+ *   full-text search, document_tags is what browsing and tag pages count.
+ * - browse() returns approved documents for a school → course → grade → tag selection, with document
+ *   counts for every value of each facet within that selection.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db, schoolKey, courseLabel, parseCourse, parseTags } = require('./db');
+
+const MAX_COURSE_LENGTH = 120;
+const SUGGEST_LIMIT = 10;
+const BROWSE_PAGE_SIZE = 50;
+const FACET_LIMIT = 30;
+
+const findCourseStmt = db.prepare('SELECT * FROM courses WHERE school_id = ? AND course_key = ?');
+const getCourseStmt = db.prepare('SELECT * FROM courses WHERE id = ?');
+const insertCourseStmt = db.prepare(`
+INSERT INTO courses (id, school_id, code, name, course_key, created_by, created_at)
+VALUES (@id, @school_id, @code, @name, @course_key, @created_by, @created_at)
+`);
+const nameCourseStmt = db.prepare('UPDATE courses SET name = ? WHERE id = ? AND name IS NULL');
+const relabelDocsStmt = db.prepare('UPDATE documents SET course = ? WHERE course_id = ?');
+const suggestCoursesStmt = db.prepare(`
+SELECT c.id, c.code, c.name,
+       (SELECT COUNT(*) FROM documents d WHERE d.course_id = c.id AND d.status = 'approved') as doc_count
+FROM courses c
+WHERE c.school_id = @school_id
+  AND (@prefix = '' OR replace(c.course_key, ' ', '') LIKE replace(@prefix, ' ', '') || '%'
+       OR lower(COALESCE(c.name, '')) LIKE '%' || @prefix || '%')
+ORDER BY doc_count DESC, COALESCE(c.code, c.name) COLLATE NOCASE
+LIMIT @limit
+`);
+const schoolCoursesStmt = db.prepare('SELECT * FROM courses WHERE school_id = ?');
+const moveCourseStmt = db.prepare('UPDATE courses SET school_id = ? WHERE id = ?');
+const repointCourseDocsStmt = db.prepare('UPDATE documents SET course_id = ?, course = ? WHERE course_id = ?');
+const deleteCourseStmt = db.prepare('DELETE FROM courses WHERE id = ?');
+const deleteTagsStmt = db.prepare('DELETE FROM document_tags WHERE doc_id = ?');
+const insertTagStmt = db.prepare('INSERT OR IGNORE INTO document_tags (doc_id, tag) VALUES (?, ?)');
+
+function catalogError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * The course a typed text refers to within a school, added when it is new. Returns null for empty text
+ * and when the school is not in the directory yet.
+ */
+const resolveCourse = db.transaction((schoolId, text, createdBy = null) => {
+  if (String(text || '').trim().length > MAX_COURSE_LENGTH) {
+    throw catalogError(`Course is limited to ${MAX_COURSE_LENGTH} characters`);
+  }
+  const parsed = parseCourse(text);
+  if (!parsed || !schoolId) return null;
+  const existing = findCourseStmt.get(schoolId, parsed.key);
+  if (existing) {
+    // "MATH 101" first, "MATH 101 Calculus I" later: the course gets its name
+    if (!existing.name && parsed.name && nameCourseStmt.run(parsed.name, existing.id).changes) {
+      const named = Object.assign({}, existing, { name: parsed.name });
+      relabelDocsStmt.run(courseLabel(named), existing.id);
+      return named;
+    }
+    return existing;
+  }
+  // Same id on every instance for the same new course, unless an older course already took it
+  const derivedId = `course-${schoolId}-${parsed.key.replace(/ /g, '-')}`;
+  const course = {
+    id: getCourseStmt.get(derivedId) ? uuidv4() : derivedId,
+    school_id: schoolId,
+    code: parsed.code,
+    name: parsed.name,
+    course_key: parsed.key,
+    created_by: createdBy,
+    created_at: new Date().toISOString()
+  };
+  insertCourseStmt.run(course);
+  return course;
+});
+
+// documents.course for a resolved course, or the typed text while the document has no directory school
+function courseText(course, text) {
+  if (course) return courseLabel(course);
+  const parsed = parseCourse(text);
+  return parsed ? parsed.label : '';
+}
+
+function suggestCourses(schoolId, prefix = '', limit = SUGGEST_LIMIT) {
+  return suggestCoursesStmt.all({ school_id: schoolId, prefix: schoolKey(prefix), limit })
+    .map(c => Object.assign(c, { label: courseLabel(c) }));
+}
+
+/**
+ * Replace a document's tags. Returns the normalized tags (also the new documents.tags text).
+ */
+const setDocumentTags = db.transaction((docId, text) => {
+  const tags = parseTags(text);
+  deleteTagsStmt.run(docId);
+  tags.forEach(tag => insertTagStmt.run(docId, tag));
+  return tags;
+});
+
+/**
+ * Move a school's courses to another school (school merge). Courses both schools have are folded into
+ * the target's course.
+ */
+function moveCourses(fromSchoolId, toSchoolId) {
+  for (const course of schoolCoursesStmt.all(fromSchoolId)) {
+    const twin = findCourseStmt.get(toSchoolId, course.course_key);
+    if (twin) {
+      repointCourseDocsStmt.run(twin.id, courseLabel(twin), course.id);
+      deleteCourseStmt.run(course.id);
+    } else {
+      moveCourseStmt.run(toSchoolId, course.id);
+    }
+  }
+}
+
+function getCourse(id) {
+  return getCourseStmt.get(String(id || '')) || null;
+}
+
+/**
+ * Documents and facet counts for a selection. selection: { schoolId, courseId, grade, tag } (all optional).
+ * Courses are only listed once a school is selected.
+ */
+function browse({ schoolId = null, courseId = null, grade = '', tag = '' } = {}, { page = 1 } = {}) {
+  const params = {};
+  let where = "WHERE d.status = 'approved'";
+  if (schoolId) {
+    where += ' AND d.school_id = @schoolId';
+    params.schoolId = schoolId;
+  }
+  if (courseId) {
+    where += ' AND d.course_id = @courseId';
+    params.courseId = courseId;
+  }
+  if (grade) {
+    where += ' AND d.grade_level = @grade COLLATE NOCASE';
+    params.grade = grade;
+  }
+  if (tag) {
+    where += ' AND EXISTS (SELECT 1 FROM document_tags t WHERE t.doc_id = d.id AND t.tag = @tag)';
+    params.tag = tag;
+  }
+
+  const facet = (select, join, groupBy, order) => db.prepare(`
+SELECT ${select}, COUNT(*) as count
+FROM documents d
+${join}
+${where}
+GROUP BY ${groupBy}
+ORDER BY count DESC, ${order}
+LIMIT ${FACET_LIMIT}
+`).all(params);
+
+  const facets = {
+    schools: facet('s.id, s.name', 'JOIN schools s ON s.id = d.school_id', 's.id', 's.name COLLATE NOCASE'),
+    courses: schoolId
+      ? facet('c.id, c.code, c.name', 'JOIN courses c ON c.id = d.course_id', 'c.id', 'COALESCE(c.code, c.name) COLLATE NOCASE')
+        .map(c => Object.assign(c, { label: courseLabel(c) }))
+      : [],
+    grades: facet('d.grade_level', '', 'd.grade_level', 'd.grade_level')
+      .filter(g => g.grade_level),
+    tags: facet('t.tag', 'JOIN document_tags t ON t.doc_id = d.id', 't.tag', 't.tag')
+  };
+
+  const total = db.prepare(`SELECT COUNT(*) as n FROM documents d ${where}`).get(params).n;
+  const docs = db.prepare(`
+SELECT d.id, d.title, d.course, d.school, d.grade_level, d.tags, d.created_at, d.status,
+       u.status as uploader_status
+FROM documents d
+LEFT JOIN users u ON u.id = d.uploaded_by
+${where}
+ORDER BY datetime(d.created_at) DESC
+LIMIT @limit OFFSET @offset
+`).all(Object.assign({ limit: BROWSE_PAGE_SIZE, offset: (Math.max(page, 1) - 1) * BROWSE_PAGE_SIZE }, params));
+
+  return { total, page_size: BROWSE_PAGE_SIZE, facets, docs };
+}
+
+module.exports = {
+  MAX_COURSE_LENGTH,
+  resolveCourse,
+  courseText,
+  suggestCourses,
+  setDocumentTags,
+  moveCourses,
+  getCourse,
+  browse
+};
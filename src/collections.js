@@ -0,0 +1,223 @@
+/**
+ * collections.js
+ *
+ * Favorites (table bookmarks) and user-curated collections (tables collections and collection_items).
+ * - Favorites are a plain per-user set of documents, shown most recent first.
+ * - A collection is a named, ordered list of documents ("AP Bio final prep"). Its owner renames it,
+ *   reorders it and marks it public or private. Public collections can be opened by anyone at
+ *   /collections/:id; private ones only exist for their owner (others get 404).
+ * - Lists only show documents the viewer may see: published ones, plus the viewer's own uploads.
+ *   A document that is unpublished later stays in the collection and shows up again if it is re-approved.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./db');
+const { markDataDirty } = require('./gitDataSync');
+
+const MAX_NAME_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_COLLECTIONS = 100;
+const MAX_ITEMS = 200;
+
+const DOC_COLUMNS = `d.id, d.title, d.course, d.school, d.grade_level, d.tags, d.status, d.created_at,
+       d.rating_avg, d.rating_count, d.comment_count`;
+const VISIBLE = "(d.status = 'approved' OR d.uploaded_by = @viewer_id)";
+
+const addBookmarkStmt = db.prepare('INSERT OR IGNORE INTO bookmarks (user_id, doc_id, created_at) VALUES (?, ?, ?)');
+const removeBookmarkStmt = db.prepare('DELETE FROM bookmarks WHERE user_id = ? AND doc_id = ?');
+const isBookmarkedStmt = db.prepare('SELECT 1 FROM bookmarks WHERE user_id = ? AND doc_id = ?');
+const bookmarksStmt = db.prepare(`
+SELECT ${DOC_COLUMNS}, b.created_at as saved_at
+FROM bookmarks b
+JOIN documents d ON d.id = b.doc_id
+WHERE b.user_id = @viewer_id AND ${VISIBLE}
+ORDER BY b.created_at DESC
+`);
+
+const insertCollectionStmt = db.prepare(`
+INSERT INTO collections (id, user_id, name, description, is_public, created_at, updated_at)
+VALUES (@id, @user_id, @name, @description, @is_public, @now, @now)
+`);
+const getCollectionStmt = db.prepare(`
+SELECT c.*, u.username as owner_username
+FROM collections c
+LEFT JOIN users u ON u.id = c.user_id
+WHERE c.id = ?
+`);
+const updateCollectionStmt = db.prepare(`
+UPDATE collections SET name = @name, description = @description, is_public = @is_public, updated_at = @now WHERE id = @id
+`);
+const touchCollectionStmt = db.prepare('UPDATE collections SET updated_at = ? WHERE id = ?');
+const deleteCollectionStmt = db.prepare('DELETE FROM collections WHERE id = ?');
+const countCollectionsStmt = db.prepare('SELECT COUNT(*) as n FROM collections WHERE user_id = ?');
+const userCollectionsStmt = db.prepare(`
+SELECT c.id, c.name, c.description, c.is_public, c.created_at, c.updated_at,
+       (SELECT COUNT(*) FROM collection_items i WHERE i.collection_id = c.id) as item_count,
+       EXISTS (SELECT 1 FROM collection_items i WHERE i.collection_id = c.id AND i.doc_id = @doc_id) as contains_doc
+FROM collections c
+WHERE c.user_id = @user_id
+ORDER BY c.updated_at DESC
+`);
+const itemsStmt = db.prepare(`
+SELECT ${DOC_COLUMNS}, i.position, i.added_at
+FROM collection_items i
+JOIN documents d ON d.id = i.doc_id
+WHERE i.collection_id = @collection_id AND ${VISIBLE}
+ORDER BY i.position
+`);
+const itemIdsStmt = db.prepare('SELECT doc_id FROM collection_items WHERE collection_id = ? ORDER BY position');
+const countItemsStmt = db.prepare('SELECT COUNT(*) as n, COALESCE(MAX(position), 0) as last FROM collection_items WHERE collection_id = ?');
+const insertItemStmt = db.prepare(`
+INSERT OR IGNORE INTO collection_items (collection_id, doc_id, position, added_at) VALUES (?, ?, ?, ?)
+`);
+const deleteItemStmt = db.prepare('DELETE FROM collection_items WHERE collection_id = ? AND doc_id = ?');
+const setPositionStmt = db.prepare('UPDATE collection_items SET position = ? WHERE collection_id = ? AND doc_id = ?');
+
+function collectionError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function cleanFields({ name, description, is_public: isPublic } = {}, current = {}) {
+  const clean = name === undefined ? current.name : String(name || '').replace(/\s+/g, ' ').trim();
+  if (!clean) throw collectionError('Give the collection a name');
+  if (clean.length > MAX_NAME_LENGTH) throw collectionError(`Names are limited to ${MAX_NAME_LENGTH} characters`);
+  const text = description === undefined ? (current.description || '') : String(description || '').trim();
+  if (text.length > MAX_DESCRIPTION_LENGTH) throw collectionError(`Descriptions are limited to ${MAX_DESCRIPTION_LENGTH} characters`);
+  return {
+    name: clean,
+    description: text || null,
+    is_public: isPublic === undefined ? (current.is_public ? 1 : 0) : (isPublic === true || isPublic === 'true' || isPublic === 1 ? 1 : 0)
+  };
+}
+
+// --- Favorites ---
+
+/**
+ * Add (on = true) or remove a favorite. Returns whether the document is now a favorite.
+ */
+function setBookmark(userId, docId, on) {
+  const changed = on
+    ? addBookmarkStmt.run(userId, docId, new Date().toISOString()).changes
+    : removeBookmarkStmt.run(userId, docId).changes;
+  if (changed) markDataDirty();
+  return !!on;
+}
+
+function isBookmarked(userId, docId) {
+  return !!userId && !!isBookmarkedStmt.get(userId, docId);
+}
+
+function listBookmarks(userId) {
+  return bookmarksStmt.all({ viewer_id: userId });
+}
+
+// --- Collections ---
+
+/**
+ * A user's collections, most recently changed first. With docId, contains_doc tells which ones hold it.
+ */
+function listCollections(userId, docId = null) {
+  return userCollectionsStmt.all({ user_id: userId, doc_id: docId })
+    .map(c => Object.assign(c, { is_public: !!c.is_public, contains_doc: !!c.contains_doc }));
+}
+
+/**
+ * A collection with the documents the viewer may see, in order. Private collections are only
+ * returned to their owner.
+ */
+function getCollection(id, viewerId = null) {
+  const c = getCollectionStmt.get(String(id || ''));
+  if (!c || (!c.is_public && c.user_id !== viewerId)) throw collectionError('Collection not found', 404);
+  return {
+    id: c.id,
+    name: c.name,
+    description: c.description,
+    is_public: !!c.is_public,
+    owner_username: c.owner_username || null,
+    is_owner: c.user_id === viewerId,
+    created_at: c.created_at,
+    updated_at: c.updated_at,
+    docs: itemsStmt.all({ collection_id: c.id, viewer_id: viewerId })
+  };
+}
+
+function getOwnCollection(id, userId) {
+  const c = getCollectionStmt.get(String(id || ''));
+  // Someone else's collection looks the same as a missing one
+  if (!c || c.user_id !== userId) throw collectionError('Collection not found', 404);
+  return c;
+}
+
+const createCollection = db.transaction((userId, fields) => {
+  if (countCollectionsStmt.get(userId).n >= MAX_COLLECTIONS) {
+    throw collectionError(`You can have up to ${MAX_COLLECTIONS} collections`);
+  }
+  const row = Object.assign({ id: uuidv4(), user_id: userId, now: new Date().toISOString() }, cleanFields(fields));
+  insertCollectionStmt.run(row);
+  markDataDirty();
+  return row.id;
+});
+
+const updateCollection = db.transaction((id, userId, fields) => {
+  const c = getOwnCollection(id, userId);
+  updateCollectionStmt.run(Object.assign({ id: c.id, now: new Date().toISOString() }, cleanFields(fields, c)));
+  markDataDirty();
+});
+
+function deleteCollection(id, userId) {
+  const c = getOwnCollection(id, userId);
+  deleteCollectionStmt.run(c.id);
+  markDataDirty();
+}
+
+// Appends the document; adding one that is already there changes nothing
+const addItem = db.transaction((id, userId, docId) => {
+  const c = getOwnCollection(id, userId);
+  const { n, last } = countItemsStmt.get(c.id);
+  if (n >= MAX_ITEMS) throw collectionError(`A collection holds up to ${MAX_ITEMS} documents`);
+  const now = new Date().toISOString();
+  if (insertItemStmt.run(c.id, docId, last + 1, now).changes) {
+    touchCollectionStmt.run(now, c.id);
+    markDataDirty();
+  }
+});
+
+const removeItem = db.transaction((id, userId, docId) => {
+  const c = getOwnCollection(id, userId);
+  if (!deleteItemStmt.run(c.id, String(docId || '')).changes) throw collectionError('Document is not in this collection', 404);
+  touchCollectionStmt.run(new Date().toISOString(), c.id);
+  markDataDirty();
+});
+
+/**
+ * Put the collection in the given order. docIds must list every document of the collection once.
+ */
+const reorderItems = db.transaction((id, userId, docIds) => {
+  const c = getOwnCollection(id, userId);
+  const current = itemIdsStmt.all(c.id).map(r => r.doc_id);
+  const wanted = Array.isArray(docIds) ? docIds.map(String) : [];
+  if (wanted.length !== current.length || new Set(wanted).size !== wanted.length || !wanted.every(d => current.includes(d))) {
+    throw collectionError('List every document of the collection exactly once');
+  }
+  wanted.forEach((docId, i) => setPositionStmt.run(i + 1, c.id, docId));
+  touchCollectionStmt.run(new Date().toISOString(), c.id);
+  markDataDirty();
+});
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  MAX_ITEMS,
+  setBookmark,
+  isBookmarked,
+  listBookmarks,
+  listCollections,
+  getCollection,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  addItem,
+  removeItem,
+  reorderItems
+};
@@ -0,0 +1,182 @@
+/**
+ * comments.js
+ *
+ * Threaded comments on published documents (table doc_comments).
+ * - Signed-in users comment on a document or reply to a comment (parent_id); replies by the uploader are
+ *   flagged so readers can tell them apart. The uploader hears about new comments, authors about replies.
+ * - Authors edit and delete their own comments. Moderators of the document's school remove comments
+ *   (status 'removed'; the author is notified). Deleted and removed comments that have replies stay in
+ *   the thread as placeholders without text, the others disappear.
+ * - documents.comment_count is re-derived from the visible comments after every change.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./db');
+const { canModerateSchool } = require('./auth');
+const { markDataDirty } = require('./gitDataSync');
+const { notify } = require('./notifications');
+const { profilePath } = require('./profiles');
+
+const MAX_BODY_LENGTH = 2000;
+
+const insertStmt = db.prepare(`
+INSERT INTO doc_comments (id, doc_id, user_id, parent_id, body, status, created_at)
+VALUES (@id, @doc_id, @user_id, @parent_id, @body, 'visible', @created_at)
+`);
+const getStmt = db.prepare('SELECT * FROM doc_comments WHERE id = ? AND doc_id = ?');
+const editStmt = db.prepare("UPDATE doc_comments SET body = ?, edited_at = ? WHERE id = ? AND status = 'visible'");
+const deleteStmt = db.prepare("UPDATE doc_comments SET status = 'deleted', body = NULL WHERE id = ? AND status = 'visible'");
+const removeStmt = db.prepare(`
+UPDATE doc_comments SET status = 'removed', removed_by = ?, removed_at = ? WHERE id = ? AND status = 'visible'
+`);
+const refreshCountStmt = db.prepare(`
+UPDATE documents SET comment_count = (SELECT COUNT(*) FROM doc_comments WHERE doc_id = @id AND status = 'visible')
+WHERE id = @id
+`);
+const threadStmt = db.prepare(`
+SELECT c.id, c.parent_id, c.user_id, c.body, c.status, c.created_at, c.edited_at, u.username, u.profile_public,
+       u.status as user_status
+FROM doc_comments c
+LEFT JOIN users u ON u.id = c.user_id
+WHERE c.doc_id = ?
+ORDER BY c.created_at, c.id
+`);
+
+function commentError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function cleanBody(body) {
+  const text = String(body || '').trim();
+  if (!text) throw commentError('Write something first');
+  if (text.length > MAX_BODY_LENGTH) throw commentError(`Comments are limited to ${MAX_BODY_LENGTH} characters`);
+  return text;
+}
+
+function refreshCommentCount(docId) {
+  refreshCountStmt.run({ id: docId });
+}
+
+function getComment(doc, commentId) {
+  const comment = getStmt.get(String(commentId || ''), doc.id);
+  if (!comment) throw commentError('Comment not found', 404);
+  return comment;
+}
+
+/**
+ * The thread of a document as a flat list in posting order (parent_id links replies), with what viewer
+ * may do with each comment.
+ */
+function listComments(doc, viewer) {
+  const rows = threadStmt.all(doc.id);
+  const canModerate = !!viewer && canModerateSchool(viewer, doc.school);
+  // Placeholders are kept only while something visible hangs below them
+  const children = new Map();
+  rows.forEach(c => {
+    if (!children.has(c.parent_id)) children.set(c.parent_id, []);
+    children.get(c.parent_id).push(c);
+  });
+  const keep = new Set();
+  (function mark(parentId) {
+    let any = false;
+    for (const c of children.get(parentId) || []) {
+      const below = mark(c.id);
+      if (c.status === 'visible' || below) {
+        keep.add(c.id);
+        any = true;
+      }
+    }
+    return any;
+  })(null);
+
+  return rows.filter(c => keep.has(c.id)).map(c => {
+    const visible = c.status === 'visible';
+    const mine = !!viewer && viewer.id === c.user_id;
+    return {
+      id: c.id,
+      parent_id: c.parent_id,
+      status: c.status,
+      body: visible ? c.body : null,
+      author: visible ? (c.username || 'Unnamed user') : null,
+      author_profile: visible ? profilePath({ username: c.username, profile_public: c.profile_public, status: c.user_status }) : null,
+      is_uploader: visible && c.user_id === doc.uploaded_by,
+      created_at: c.created_at,
+      edited_at: c.edited_at,
+      can_edit: visible && mine,
+      can_delete: visible && (mine || canModerate)
+    };
+  });
+}
+
+/**
+ * Post a comment (or a reply when parentId is set). Returns the new comment's id.
+ */
+const addComment = db.transaction((user, doc, { body, parentId = null } = {}) => {
+  if (doc.status !== 'approved') throw commentError('Only published documents can be commented on');
+  const text = cleanBody(body);
+  const parent = parentId ? getComment(doc, parentId) : null;
+  if (parent && parent.status !== 'visible') throw commentError('That comment was deleted');
+
+  const id = uuidv4();
+  insertStmt.run({
+    id,
+    doc_id: doc.id,
+    user_id: user.id,
+    parent_id: parent ? parent.id : null,
+    body: text,
+    created_at: new Date().toISOString()
+  });
+  refreshCommentCount(doc.id);
+
+  const name = user.username || 'Someone';
+  if (doc.uploaded_by && doc.uploaded_by !== user.id) {
+    notify(doc.uploaded_by, 'doc_comment', `${name} commented on your document "${doc.title}".`, { docId: doc.id });
+  }
+  if (parent && parent.user_id !== user.id && parent.user_id !== doc.uploaded_by) {
+    notify(parent.user_id, 'comment_reply', `${name} replied to your comment on "${doc.title}".`, { docId: doc.id });
+  }
+  markDataDirty();
+  return id;
+});
+
+const editComment = db.transaction((user, doc, commentId, body) => {
+  const comment = getComment(doc, commentId);
+  if (comment.user_id !== user.id) throw commentError('You can only edit your own comments', 403);
+  if (comment.status !== 'visible') throw commentError('That comment was deleted');
+  editStmt.run(cleanBody(body), new Date().toISOString(), comment.id);
+  markDataDirty();
+});
+
+/**
+ * Delete a comment: its author deletes it, a moderator of the document's school removes it.
+ * Returns 'deleted' or 'removed'.
+ */
+const deleteComment = db.transaction((user, doc, commentId) => {
+  const comment = getComment(doc, commentId);
+  if (comment.status !== 'visible') throw commentError('That comment was already deleted');
+  let outcome;
+  if (comment.user_id === user.id) {
+    deleteStmt.run(comment.id);
+    outcome = 'deleted';
+  } else if (canModerateSchool(user, doc.school)) {
+    removeStmt.run(user.id, new Date().toISOString(), comment.id);
+    notify(comment.user_id, 'comment_removed', `A moderator removed your comment on "${doc.title}".`, { docId: doc.id });
+    outcome = 'removed';
+  } else {
+    throw commentError('You can only delete your own comments', 403);
+  }
+  refreshCommentCount(doc.id);
+  markDataDirty();
+  return outcome;
+});
+
+module.exports = {
+  MAX_BODY_LENGTH,
+  listComments,
+  addComment,
+  editComment,
+  deleteComment,
+  refreshCommentCount
+};
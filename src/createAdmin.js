@@ -0,0 +1,53 @@
+/**
+ * createAdmin.js
+ *
+ * Grant the admin role from the command line (creating the account if needed):
+ *   npm run create-admin -- --email you@example.com [--username you] [--password secret]
+ * The password may also come from ADMIN_PASSWORD. When DB sync is enabled, the remote DB is pulled first
+ * and the change is pushed (as a journal segment) before exiting, so a running deployment picks it up on its next start.
+ */
+require('dotenv').config();
+const { migrate } = require('./db');
+const { initDataSync, finishDataSync, isDataSyncEnabled, syncNow } = require('./gitDataSync');
+const { verifyRepoAccess } = require('./githubClient');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) continue;
+    args[m[1]] = m[2] !== undefined ? m[2] : argv[++i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const email = String(args.email || '').trim().toLowerCase();
+  if (!email) throw new Error('Usage: npm run create-admin -- --email <email> [--username <name>] [--password <password>]');
+
+  if (isDataSyncEnabled()) {
+    await verifyRepoAccess();
+    await initDataSync();
+  }
+  migrate({ journal: isDataSyncEnabled() });
+  await finishDataSync();
+
+  const { createUser, grantRole, findUserByEmail } = require('./auth');
+  let user = findUserByEmail.get(email);
+  if (!user) {
+    const password = args.password || process.env.ADMIN_PASSWORD || '';
+    if (password.length < 8) throw new Error('No account with that email; pass --password (8+ characters) to create it.');
+    user = await createUser(email, password, args.username || null);
+    console.log('Created account %s', email);
+  }
+  const granted = grantRole(user.id, 'admin');
+  console.log(granted ? 'Granted admin role to %s' : '%s is already an admin', email);
+
+  if (isDataSyncEnabled()) await syncNow();
+}
+
+main().then(() => process.exit(0)).catch(err => {
+  console.error(err.message || err);
+  process.exit(1);
+});
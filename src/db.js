@@ -1,4 +1,5 @@
 const Database = require('better-sqlite3');
+const bcrypt = require('bcryptjs');
 const path = require('path');
 const fs = require('fs');
 
@@ -10,7 +11,8 @@ const db = new Database(dbPath);
 
 db.exec(`PRAGMA foreign_keys = ON;`);
 
-db.exec(`
+// Also run from migrate(): a DB pulled from the remote after startup may predate some of these tables
+const SCHEMA_SQL = `
 CREATE TABLE IF NOT EXISTS users (
   id TEXT PRIMARY KEY,
   email TEXT UNIQUE NOT NULL,
@@ -32,22 +34,316 @@ CREATE TABLE IF NOT EXISTS documents (
   tags TEXT,
   content_type TEXT NOT NULL,
   size INTEGER NOT NULL,
-  github_path TEXT NOT NULL,
-  github_sha TEXT NOT NULL,
+  storage_backend TEXT NOT NULL DEFAULT 'github', -- github|local|s3
+  storage_key TEXT NOT NULL,
+  storage_ref TEXT,
   uploaded_by TEXT NOT NULL,
   created_at TEXT NOT NULL,
-  status TEXT NOT NULL DEFAULT 'pending', -- pending|approved|denied
+  status TEXT NOT NULL DEFAULT 'pending', -- pending|approved|denied|hidden|withdrawn (hidden: reported, see reports.js; withdrawn: uploads.js)
   school TEXT,
   grade_level TEXT,
   FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
 );
 
+CREATE TABLE IF NOT EXISTS user_roles (
+  user_id TEXT NOT NULL,
+  role TEXT NOT NULL, -- admin|moderator|school_moderator
+  school TEXT NOT NULL DEFAULT '', -- set for school_moderator only
+  granted_by TEXT,
+  granted_at TEXT NOT NULL,
+  PRIMARY KEY (user_id, role, school),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS document_versions (
+  id TEXT PRIMARY KEY, -- <document id>:v<version>
+  document_id TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  storage_backend TEXT NOT NULL,
+  storage_key TEXT NOT NULL,
+  storage_ref TEXT,
+  size INTEGER NOT NULL,
+  original_name TEXT,
+  note TEXT,
+  uploaded_by TEXT,
+  created_at TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending|approved|denied|superseded
+  reviewed_at TEXT,
+  UNIQUE (document_id, version),
+  FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
+);
+
 CREATE INDEX IF NOT EXISTS idx_documents_title ON documents(title);
 CREATE INDEX IF NOT EXISTS idx_documents_status ON documents(status);
 CREATE INDEX IF NOT EXISTS idx_users_points ON users(points);
 CREATE INDEX IF NOT EXISTS idx_documents_school ON documents(school);
 CREATE INDEX IF NOT EXISTS idx_documents_grade_level ON documents(grade_level);
-`);
+
+-- Server-side bans (see bans.js): an account, a device (signed device cookie) or an IP address/range
+CREATE TABLE IF NOT EXISTS bans (
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL, -- account|device|ip
+  value TEXT NOT NULL, -- user id, device id, or IP / CIDR range
+  reason TEXT,
+  linked_to TEXT, -- ban that caused this one (device seen on a banned account); lifted together
+  created_by TEXT, -- NULL when added automatically
+  created_at TEXT NOT NULL,
+  expires_at TEXT, -- NULL = permanent
+  lifted_by TEXT, -- NULL when it expired
+  lifted_at TEXT
+);
+
+-- Ban history per account: who banned or unbanned, why and when, plus appeal decisions
+CREATE TABLE IF NOT EXISTS ban_events (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  ban_id TEXT,
+  action TEXT NOT NULL, -- banned|lifted|expired|purged|appeal_submitted|appeal_accepted|appeal_rejected
+  actor_id TEXT, -- NULL for automatic events
+  reason TEXT,
+  expires_at TEXT,
+  at TEXT NOT NULL
+);
+
+-- One appeal per ban and user, reviewed by admins (see appeals.js)
+CREATE TABLE IF NOT EXISTS ban_appeals (
+  id TEXT PRIMARY KEY,
+  ban_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  message TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open', -- open|accepted|rejected
+  created_at TEXT NOT NULL,
+  reviewed_by TEXT,
+  reviewed_at TEXT,
+  response TEXT,
+  UNIQUE (ban_id, user_id)
+);
+
+-- Points ledger; users.points is the sum of a user's entries (see points.js)
+CREATE TABLE IF NOT EXISTS point_transactions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  amount INTEGER NOT NULL,
+  reason TEXT NOT NULL, -- opening_balance|doc_approved|doc_removed
+  doc_id TEXT,
+  school TEXT, -- school of the document at the time (per-school leaderboards)
+  actor_id TEXT, -- moderator who approved/removed the document
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Per-user notifications inbox (see notifications.js)
+CREATE TABLE IF NOT EXISTS notifications (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  kind TEXT NOT NULL, -- doc_approved|doc_denied|revision_approved|revision_denied|doc_reported|doc_unpublished|ban_lifted|doc_comment|comment_reply|comment_removed
+  doc_id TEXT,
+  message TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  read_at TEXT,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Community reports on published documents (see reports.js)
+CREATE TABLE IF NOT EXISTS doc_reports (
+  id TEXT PRIMARY KEY,
+  doc_id TEXT NOT NULL,
+  reporter_id TEXT NOT NULL,
+  category TEXT NOT NULL, -- copyright|wrong_content|offensive|cheating
+  details TEXT,
+  status TEXT NOT NULL DEFAULT 'open', -- open|dismissed|actioned
+  created_at TEXT NOT NULL,
+  resolution TEXT, -- dismiss|unpublish|ban
+  resolved_by TEXT,
+  resolved_at TEXT,
+  FOREIGN KEY (doc_id) REFERENCES documents(id) ON DELETE CASCADE
+);
+
+-- Accounts removed by the ban purge job (banCleanup.js). Their PDFs stay in banned-pdfs/ and
+-- each document can be restored from ban_purge_docs (full documents/document_versions rows as JSON)
+CREATE TABLE IF NOT EXISTS ban_purges (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  email TEXT,
+  username TEXT,
+  ban_reason TEXT,
+  banned_at TEXT,
+  purged_at TEXT NOT NULL,
+  purged_by TEXT -- NULL when run by the scheduled job
+);
+
+CREATE TABLE IF NOT EXISTS ban_purge_docs (
+  id TEXT PRIMARY KEY, -- <purge id>:<document id>
+  purge_id TEXT NOT NULL,
+  doc_id TEXT NOT NULL,
+  title TEXT,
+  document TEXT NOT NULL, -- JSON documents row
+  versions TEXT NOT NULL, -- JSON document_versions rows
+  files TEXT NOT NULL, -- JSON [{ version, from, to, error }] as moved to banned-pdfs/
+  restored_at TEXT,
+  restored_by TEXT,
+  FOREIGN KEY (purge_id) REFERENCES ban_purges(id) ON DELETE CASCADE
+);
+
+-- Schools directory (see schools.js). documents.school keeps the canonical name for display and
+-- filtering; documents.school_id links to the directory entry
+CREATE TABLE IF NOT EXISTS schools (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  name_key TEXT NOT NULL UNIQUE, -- normalized name (schoolKey)
+  created_by TEXT, -- NULL for schools found by the migration
+  created_at TEXT NOT NULL
+);
+
+-- Other spellings of a school, including the names of schools merged into it
+CREATE TABLE IF NOT EXISTS school_aliases (
+  alias_key TEXT PRIMARY KEY, -- normalized alias (schoolKey)
+  alias TEXT NOT NULL,
+  school_id TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (school_id) REFERENCES schools(id) ON DELETE CASCADE
+);
+
+-- Course catalog: courses belong to a school and are matched on code ("MATH 101") or, without a
+-- code, on the normalized name (see catalog.js). documents.course keeps the course label
+CREATE TABLE IF NOT EXISTS courses (
+  id TEXT PRIMARY KEY,
+  school_id TEXT NOT NULL,
+  code TEXT, -- e.g. MATH 101
+  name TEXT,
+  course_key TEXT NOT NULL,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  UNIQUE (school_id, course_key),
+  FOREIGN KEY (school_id) REFERENCES schools(id) ON DELETE CASCADE
+);
+
+-- Normalized tags of a document (lowercase, dashes); documents.tags keeps them comma-separated
+CREATE TABLE IF NOT EXISTS document_tags (
+  doc_id TEXT NOT NULL,
+  tag TEXT NOT NULL,
+  PRIMARY KEY (doc_id, tag),
+  FOREIGN KEY (doc_id) REFERENCES documents(id) ON DELETE CASCADE
+);
+
+-- Views and downloads of published documents (see analytics.js); one row per user, document, kind and day.
+-- documents.view_count and documents.download_count go up with every new row
+CREATE TABLE IF NOT EXISTS doc_events (
+  doc_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  kind TEXT NOT NULL, -- view|download
+  day TEXT NOT NULL, -- UTC date, YYYY-MM-DD
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (doc_id, user_id, kind, day),
+  FOREIGN KEY (doc_id) REFERENCES documents(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- 1–5 star ratings, one per user and document (see ratings.js). documents.rating_avg and
+-- documents.rating_count are derived from these rows
+CREATE TABLE IF NOT EXISTS doc_ratings (
+  doc_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  stars INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (doc_id, user_id),
+  FOREIGN KEY (doc_id) REFERENCES documents(id) ON DELETE CASCADE
+);
+
+-- Threaded comments on documents (see comments.js); documents.comment_count counts the visible ones
+CREATE TABLE IF NOT EXISTS doc_comments (
+  id TEXT PRIMARY KEY,
+  doc_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  parent_id TEXT, -- comment this one replies to; NULL for top-level comments
+  body TEXT, -- NULL once deleted by its author
+  status TEXT NOT NULL DEFAULT 'visible', -- visible|deleted|removed
+  created_at TEXT NOT NULL,
+  edited_at TEXT,
+  removed_by TEXT, -- moderator who removed it
+  removed_at TEXT,
+  FOREIGN KEY (doc_id) REFERENCES documents(id) ON DELETE CASCADE
+);
+
+-- Favorites: documents a user bookmarked (see collections.js)
+CREATE TABLE IF NOT EXISTS bookmarks (
+  user_id TEXT NOT NULL,
+  doc_id TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (user_id, doc_id),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (doc_id) REFERENCES documents(id) ON DELETE CASCADE
+);
+
+-- Named, ordered lists of documents kept by a user; public ones can be shared at /collections/:id
+CREATE TABLE IF NOT EXISTS collections (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  is_public INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS collection_items (
+  collection_id TEXT NOT NULL,
+  doc_id TEXT NOT NULL,
+  position INTEGER NOT NULL, -- 1-based order within the collection
+  added_at TEXT NOT NULL,
+  PRIMARY KEY (collection_id, doc_id),
+  FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE,
+  FOREIGN KEY (doc_id) REFERENCES documents(id) ON DELETE CASCADE
+);
+
+-- ZIP bundles handed out (see zipDownloads.js); the per-user hourly limit counts these rows
+CREATE TABLE IF NOT EXISTS zip_downloads (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  source TEXT NOT NULL, -- collection|search
+  source_ref TEXT, -- collection id or search query string
+  doc_count INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Row-level change journal pushed to the remote by gitDataSync (see journal.js); filled by triggers
+CREATE TABLE IF NOT EXISTS change_journal (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  tbl TEXT NOT NULL,
+  op TEXT NOT NULL, -- insert|update|delete
+  pk TEXT NOT NULL, -- JSON object of primary key values (old values for update/delete)
+  row TEXT, -- JSON object of the new row (insert/update)
+  at TEXT NOT NULL
+);
+
+-- Local bookkeeping for the sync (never journaled): last pushed seq, replay flag, ...
+CREATE TABLE IF NOT EXISTS sync_state (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+
+-- Rows changed both locally and by another instance before this one could push (see journal.js).
+-- Journaled like other tables, so ids are uuids: instances recording conflicts at the same time must not clash
+CREATE TABLE IF NOT EXISTS sync_conflicts (
+  id TEXT PRIMARY KEY,
+  tbl TEXT NOT NULL,
+  pk TEXT NOT NULL, -- JSON
+  local_op TEXT NOT NULL,
+  local_row TEXT, -- JSON, kept (applied last)
+  remote_op TEXT NOT NULL,
+  remote_row TEXT, -- JSON, overwritten by the local change
+  remote_at TEXT,
+  instance_id TEXT,
+  detected_at TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open', -- open|kept_local|kept_remote
+  resolved_by TEXT,
+  resolved_at TEXT
+);
+`;
+db.exec(SCHEMA_SQL);
 
 function ensureColumn(table, column, defSql) {
   const cols = db.prepare(`PRAGMA table_info(${table})`).all();
@@ -57,12 +353,302 @@ function ensureColumn(table, column, defSql) {
   }
 }
 
+function ensureRenamedColumn(table, from, to) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  const hasFrom = cols.some(c => c.name === from);
+  const hasTo = cols.some(c => c.name === to);
+  if (hasFrom && !hasTo) {
+    db.exec(`ALTER TABLE ${table} RENAME COLUMN ${from} TO ${to}`);
+  }
+}
+
 function ensureIndex(name, sql) {
   const idx = db.prepare(`SELECT name FROM sqlite_master WHERE type='index' AND name=?`).get(name);
   if (!idx) db.exec(sql);
 }
 
-function migrate() {
+// users.is_admin predates user_roles: carry the flag over once, then clear it.
+// The old built-in admin/admin12345 account is not promoted while it still has the public default password.
+function migrateLegacyAdmins() {
+  const legacy = db.prepare('SELECT id, email, username, password_hash FROM users WHERE is_admin = 1').all();
+  if (!legacy.length) return;
+  const grant = db.prepare("INSERT OR IGNORE INTO user_roles (user_id, role, school, granted_by, granted_at) VALUES (?, 'admin', '', NULL, ?)");
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    for (const u of legacy) {
+      const isBuiltIn = u.email === 'admin' || u.username === 'admin';
+      if (isBuiltIn && bcrypt.compareSync('admin12345', u.password_hash)) {
+        console.warn('Not migrating admin rights for the built-in "admin" account (default password). Use ADMIN_EMAIL or create-admin instead.');
+        continue;
+      }
+      grant.run(u.id, now);
+    }
+    db.prepare('UPDATE users SET is_admin = 0 WHERE is_admin = 1').run();
+  })();
+}
+
+// Normalized form of a school name used to match spellings: case, accents, punctuation and extra
+// spaces are ignored ("M.I.T." and "mit" are the same key)
+function schoolKey(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Ids of schools created from existing names are derived from the key, so every instance running the
+// migration creates the same rows
+function schoolIdForKey(key) {
+  return 'school-' + key.replace(/ /g, '-');
+}
+
+// How a course is shown on documents: "MATH 101: Calculus I", "MATH 101" or just the name
+function courseLabel({ code, name }) {
+  if (!code) return name || '';
+  return name ? `${code}: ${name}` : code;
+}
+
+/**
+ * Split a typed course into code and name: "math101 - Calculus I" is { code: 'MATH 101', name: 'Calculus I' }.
+ * Without a leading code the whole text is the name. Returns null for empty input.
+ */
+function parseCourse(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!clean) return null;
+  const m = clean.match(/^([A-Za-z]{2,8})[\s-]*(\d{2,4}[A-Za-z]?)\b[\s:\u2013\u2014-]*(.*)$/);
+  if (m) {
+    const code = `${m[1].toUpperCase()} ${m[2].toUpperCase()}`;
+    const name = m[3].trim() || null;
+    return { code, name, key: code.toLowerCase(), label: courseLabel({ code, name }) };
+  }
+  const key = schoolKey(clean);
+  return key ? { code: null, name: clean, key, label: clean } : null;
+}
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Normalized, de-duplicated tags from comma/semicolon separated text ("Mid-Term, FINAL exam" is
+// ['mid-term', 'final-exam']); at most MAX_TAGS of them
+function parseTags(text) {
+  const tags = String(text || '')
+    .split(/[,;\n#]/)
+    .map(t => t.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+      .replace(/[^a-z0-9+]+/g, '-').replace(/^-+|-+$/g, '').slice(0, MAX_TAG_LENGTH).replace(/-+$/, ''))
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+// Names the upload form suggested before the schools directory existed
+const DEFAULT_SCHOOLS = [
+  'Harvard University',
+  'MIT',
+  'Stanford University',
+  'UC Berkeley',
+  'UCLA',
+  'University of Texas',
+  'University of Michigan',
+  'High School A',
+  'High School B'
+];
+
+// Link documents (and school moderator grants) to the schools directory, creating a school for every
+// spelling that does not match one yet. Names are rewritten to the school's canonical name.
+function backfillSchools() {
+  const now = new Date().toISOString();
+  const byKey = db.prepare(`
+SELECT s.id, s.name FROM schools s WHERE s.name_key = @key
+UNION ALL
+SELECT s.id, s.name FROM school_aliases a JOIN schools s ON s.id = a.school_id WHERE a.alias_key = @key
+LIMIT 1
+`);
+  const insertSchool = db.prepare('INSERT OR IGNORE INTO schools (id, name, name_key, created_by, created_at) VALUES (?, ?, ?, NULL, ?)');
+  const resolve = (name) => {
+    const key = schoolKey(name);
+    if (!key) return null;
+    const found = byKey.get({ key });
+    if (found) return found;
+    const school = { id: schoolIdForKey(key), name: String(name).trim() };
+    insertSchool.run(school.id, school.name, key, now);
+    return school;
+  };
+
+  db.transaction(() => {
+    if (!db.prepare('SELECT 1 FROM schools LIMIT 1').get()) DEFAULT_SCHOOLS.forEach(resolve);
+
+    const linkDoc = db.prepare('UPDATE documents SET school_id = ?, school = ? WHERE id = ?');
+    // Pending and denied documents keep an unknown school as free text until approved (see schools.js)
+    const unlinked = db.prepare(`
+SELECT id, school FROM documents
+WHERE school_id IS NULL AND trim(COALESCE(school, '')) <> '' AND status NOT IN ('pending', 'denied')
+`).all();
+    for (const d of unlinked) {
+      const school = resolve(d.school);
+      if (school) linkDoc.run(school.id, school.name, d.id);
+    }
+    // Per-school leaderboards group ledger entries by name
+    db.exec(`
+UPDATE point_transactions SET school = (SELECT d.school FROM documents d WHERE d.id = point_transactions.doc_id)
+WHERE doc_id IN (SELECT id FROM documents) AND school IS NOT (SELECT d.school FROM documents d WHERE d.id = point_transactions.doc_id)
+`);
+
+    const renameGrant = db.prepare("UPDATE OR IGNORE user_roles SET school = ? WHERE user_id = ? AND role = 'school_moderator' AND school = ?");
+    const grants = db.prepare("SELECT user_id, school FROM user_roles WHERE role = 'school_moderator'").all();
+    for (const g of grants) {
+      const school = resolve(g.school);
+      if (school && school.name !== g.school) renameGrant.run(school.name, g.user_id, g.school);
+    }
+  })();
+}
+
+// Link documents to course records and fill document_tags from the free-text columns
+function backfillCatalog() {
+  const now = new Date().toISOString();
+  const findCourse = db.prepare('SELECT * FROM courses WHERE school_id = ? AND course_key = ?');
+  const insertCourse = db.prepare(`
+INSERT OR IGNORE INTO courses (id, school_id, code, name, course_key, created_by, created_at)
+VALUES (?, ?, ?, ?, ?, NULL, ?)
+`);
+  const linkCourse = db.prepare('UPDATE documents SET course_id = ?, course = ? WHERE id = ?');
+  const insertTag = db.prepare('INSERT OR IGNORE INTO document_tags (doc_id, tag) VALUES (?, ?)');
+  const setTags = db.prepare('UPDATE documents SET tags = ? WHERE id = ?');
+
+  db.transaction(() => {
+    const unlinked = db.prepare(`
+SELECT id, school_id, course FROM documents
+WHERE course_id IS NULL AND school_id IS NOT NULL AND trim(COALESCE(course, '')) <> ''
+`).all();
+    for (const d of unlinked) {
+      const parsed = parseCourse(d.course);
+      if (!parsed) continue;
+      let course = findCourse.get(d.school_id, parsed.key);
+      if (!course) {
+        insertCourse.run(`course-${d.school_id}-${parsed.key.replace(/ /g, '-')}`, d.school_id, parsed.code, parsed.name, parsed.key, now);
+        course = findCourse.get(d.school_id, parsed.key);
+      }
+      linkCourse.run(course.id, courseLabel(course), d.id);
+    }
+
+    const untagged = db.prepare(`
+SELECT id, tags FROM documents
+WHERE trim(COALESCE(tags, '')) <> '' AND id NOT IN (SELECT doc_id FROM document_tags)
+`).all();
+    for (const d of untagged) {
+      const tags = parseTags(d.tags);
+      tags.forEach(tag => insertTag.run(d.id, tag));
+      setTags.run(tags.join(', '), d.id);
+    }
+  })();
+}
+
+// Recreate a table from SCHEMA_SQL, for changes ALTER TABLE cannot make. copySql is an
+// INSERT INTO <table> ... SELECT ... FROM <table>_old that carries the rows over.
+function rebuildTable(table, copySql) {
+  db.transaction(() => {
+    db.exec(`ALTER TABLE ${table} RENAME TO ${table}_old`);
+    db.exec(SCHEMA_SQL);
+    db.exec(copySql);
+    db.exec(`DROP TABLE ${table}_old`);
+  })();
+}
+
+// doc_events was first created without its users foreign key, so a user's history outlived the account.
+// Rebuild it once; events of accounts that are already gone are dropped.
+function migrateDocEventsUserKey() {
+  const keys = db.prepare('PRAGMA foreign_key_list(doc_events)').all();
+  if (keys.some(k => k.table === 'users')) return;
+  rebuildTable('doc_events', `
+INSERT INTO doc_events (doc_id, user_id, kind, day, created_at)
+SELECT doc_id, user_id, kind, day, created_at FROM doc_events_old
+WHERE user_id IN (SELECT id FROM users)
+`);
+}
+
+// sync_conflicts ids were autoincrement numbers. Old rows get 'conflict-<n>': every instance runs this
+// migration (unjournaled), so they keep matching across instances.
+function migrateSyncConflictIds() {
+  const id = db.prepare('PRAGMA table_info(sync_conflicts)').all().find(c => c.name === 'id');
+  if (!id || id.type.toUpperCase() === 'TEXT') return;
+  rebuildTable('sync_conflicts', `
+INSERT INTO sync_conflicts
+SELECT 'conflict-' || id, tbl, pk, local_op, local_row, remote_op, remote_row, remote_at, instance_id, detected_at,
+       status, resolved_by, resolved_at
+FROM sync_conflicts_old
+`);
+}
+
+// Tables that are local bookkeeping or maintained by other triggers are not journaled
+const JOURNAL_EXCLUDED_TABLES = ['change_journal', 'sync_state'];
+
+function journaledTables() {
+  const tables = db.prepare("SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all();
+  const virtual = tables.filter(t => /^CREATE VIRTUAL TABLE/i.test(t.sql || '')).map(t => t.name);
+  return tables
+    .map(t => t.name)
+    .filter(name => !JOURNAL_EXCLUDED_TABLES.includes(name))
+    .filter(name => !virtual.some(v => name === v || name.startsWith(v + '_'))); // FTS shadow tables
+}
+
+function quoteIdent(name) {
+  return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+function quoteLiteral(value) {
+  return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+/**
+ * (Re)create the change journal triggers for every journaled table so new columns are captured.
+ * Rows are recorded as JSON; writes made while sync_state.replaying is set (journal replay) are skipped.
+ * Pass enabled=false to remove the triggers (no remote sync, nothing would ever drain the journal).
+ */
+function installJournalTriggers(enabled) {
+  const existing = db.prepare("SELECT name FROM sqlite_master WHERE type = 'trigger' AND name GLOB 'journal_*'").all();
+  for (const t of existing) db.exec(`DROP TRIGGER IF EXISTS ${quoteIdent(t.name)}`);
+  if (!enabled) return;
+
+  const notReplaying = "NOT EXISTS (SELECT 1 FROM sync_state WHERE key = 'replaying')";
+  const now = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+  for (const table of journaledTables()) {
+    const cols = db.prepare(`PRAGMA table_info(${quoteIdent(table)})`).all();
+    const pkCols = cols.filter(c => c.pk > 0).sort((a, b) => a.pk - b.pk).map(c => c.name);
+    if (!pkCols.length) {
+      console.warn(`Change journal: table ${table} has no primary key; not journaled.`);
+      continue;
+    }
+    const jsonOf = (names, ref) => `json_object(${names.map(n => `${quoteLiteral(n)}, ${ref}.${quoteIdent(n)}`).join(', ')})`;
+    const allCols = cols.map(c => c.name);
+    const insert = (op, pkRef, rowSql) => `
+INSERT INTO change_journal (tbl, op, pk, row, at)
+VALUES (${quoteLiteral(table)}, '${op}', ${jsonOf(pkCols, pkRef)}, ${rowSql}, ${now});`;
+
+    db.exec(`
+CREATE TRIGGER ${quoteIdent(`journal_${table}_ai`)} AFTER INSERT ON ${quoteIdent(table)} WHEN ${notReplaying} BEGIN
+  ${insert('insert', 'NEW', jsonOf(allCols, 'NEW'))}
+END;
+CREATE TRIGGER ${quoteIdent(`journal_${table}_au`)} AFTER UPDATE ON ${quoteIdent(table)} WHEN ${notReplaying} BEGIN
+  ${insert('update', 'OLD', jsonOf(allCols, 'NEW'))}
+END;
+CREATE TRIGGER ${quoteIdent(`journal_${table}_ad`)} AFTER DELETE ON ${quoteIdent(table)} WHEN ${notReplaying} BEGIN
+  ${insert('delete', 'OLD', 'NULL')}
+END;
+`);
+  }
+}
+
+/**
+ * Bring the schema up to date.
+ * options.journal: record row changes in change_journal (true when remote DB sync is enabled).
+ * Journal triggers are dropped while migrating, so backfills below are not journaled: every instance
+ * runs the same migrations itself.
+ */
+function migrate({ journal = false } = {}) {
+  db.exec(SCHEMA_SQL);
+  installJournalTriggers(false);
+
   // Users
   ensureColumn('users', 'username', 'username TEXT');
   ensureColumn('users', 'points', "points INTEGER NOT NULL DEFAULT 0");
@@ -70,17 +656,142 @@ function migrate() {
   ensureColumn('users', 'status', "status TEXT NOT NULL DEFAULT 'active'");
   ensureColumn('users', 'banned_at', "banned_at TEXT");
   ensureColumn('users', 'ban_reason', "ban_reason TEXT");
+  ensureColumn('users', 'profile_public', "profile_public INTEGER NOT NULL DEFAULT 1"); // see profiles.js
   ensureIndex('uniq_users_username', "CREATE UNIQUE INDEX IF NOT EXISTS uniq_users_username ON users(username)");
+  migrateLegacyAdmins();
 
   // Documents
   ensureColumn('documents', 'status', "status TEXT NOT NULL DEFAULT 'pending'");
   ensureColumn('documents', 'school', "school TEXT");
   ensureColumn('documents', 'grade_level', "grade_level TEXT");
+  // Storage location is backend-neutral; rows from before pluggable storage all live on GitHub
+  ensureRenamedColumn('documents', 'github_path', 'storage_key');
+  ensureRenamedColumn('documents', 'github_sha', 'storage_ref');
+  ensureColumn('documents', 'storage_backend', "storage_backend TEXT NOT NULL DEFAULT 'github'");
+  ensureColumn('documents', 'text_extracted_at', "text_extracted_at TEXT");
+  ensureColumn('documents', 'current_version', "current_version INTEGER NOT NULL DEFAULT 1");
+  ensureColumn('documents', 'denial_reason', "denial_reason TEXT");
+  ensureColumn('documents', 'updated_at', "updated_at TEXT"); // last metadata edit by the uploader
+  ensureColumn('documents', 'withdrawn_at', "withdrawn_at TEXT");
+  ensureColumn('document_versions', 'denial_reason', "denial_reason TEXT");
+  // Counters shown with documents and behind the most_downloaded and top_rated search sorts
+  // (kept by analytics.js, ratings.js and comments.js)
+  ensureColumn('documents', 'download_count', "download_count INTEGER NOT NULL DEFAULT 0");
+  ensureColumn('documents', 'view_count', "view_count INTEGER NOT NULL DEFAULT 0");
+  ensureColumn('documents', 'comment_count', "comment_count INTEGER NOT NULL DEFAULT 0");
+  ensureColumn('documents', 'rating_avg', "rating_avg REAL NOT NULL DEFAULT 0");
+  ensureColumn('documents', 'rating_count', "rating_count INTEGER NOT NULL DEFAULT 0");
+  ensureIndex('idx_document_versions_status', "CREATE INDEX IF NOT EXISTS idx_document_versions_status ON document_versions(status)");
+  // Every document gets a version 1 row describing its original upload
+  db.exec(`
+INSERT INTO document_versions
+(id, document_id, version, storage_backend, storage_key, storage_ref, size, uploaded_by, created_at, status)
+SELECT id || ':v1', id, 1, storage_backend, storage_key, storage_ref, size, uploaded_by, created_at, status
+FROM documents
+WHERE id NOT IN (SELECT document_id FROM document_versions)
+`);
+
+  // Full-text search index (see search.js). Metadata columns follow `documents` through triggers;
+  // `body` holds the extracted PDF text and is filled in after upload.
+  db.exec(`
+CREATE VIRTUAL TABLE IF NOT EXISTS documents_fts USING fts5(
+  doc_id UNINDEXED, title, description, course, tags, school, body,
+  tokenize = 'porter unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS documents_fts_ai AFTER INSERT ON documents BEGIN
+  INSERT INTO documents_fts (doc_id, title, description, course, tags, school, body)
+  VALUES (new.id, new.title, new.description, new.course, new.tags, new.school, '');
+END;
+
+CREATE TRIGGER IF NOT EXISTS documents_fts_au AFTER UPDATE OF title, description, course, tags, school ON documents BEGIN
+  UPDATE documents_fts
+  SET title = new.title, description = new.description, course = new.course, tags = new.tags, school = new.school
+  WHERE doc_id = old.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS documents_fts_ad AFTER DELETE ON documents BEGIN
+  DELETE FROM documents_fts WHERE doc_id = old.id;
+END;
+`);
+  // Index metadata for documents that predate the FTS table; their text is backfilled by the search job
+  db.exec(`
+INSERT INTO documents_fts (doc_id, title, description, course, tags, school, body)
+SELECT id, title, description, course, tags, school, '' FROM documents
+WHERE id NOT IN (SELECT doc_id FROM documents_fts)
+`);
   ensureIndex('idx_documents_school', "CREATE INDEX IF NOT EXISTS idx_documents_school ON documents(school)");
+  ensureColumn('documents', 'school_id', "school_id TEXT");
+  ensureIndex('idx_documents_school_id', "CREATE INDEX IF NOT EXISTS idx_documents_school_id ON documents(school_id)");
+  ensureIndex('idx_school_aliases_school', "CREATE INDEX IF NOT EXISTS idx_school_aliases_school ON school_aliases(school_id)");
+  backfillSchools();
+  ensureColumn('documents', 'course_id', "course_id TEXT");
+  ensureIndex('idx_documents_course_id', "CREATE INDEX IF NOT EXISTS idx_documents_course_id ON documents(course_id)");
+  ensureIndex('idx_document_tags_tag', "CREATE INDEX IF NOT EXISTS idx_document_tags_tag ON document_tags(tag)");
+  backfillCatalog();
   ensureIndex('idx_documents_grade_level', "CREATE INDEX IF NOT EXISTS idx_documents_grade_level ON documents(grade_level)");
+  ensureIndex('idx_bans_lookup', "CREATE INDEX IF NOT EXISTS idx_bans_lookup ON bans(kind, value)");
+  ensureColumn('bans', 'expires_at', 'expires_at TEXT');
+  ensureIndex('idx_bans_expires', "CREATE INDEX IF NOT EXISTS idx_bans_expires ON bans(expires_at) WHERE lifted_at IS NULL AND expires_at IS NOT NULL");
+  ensureIndex('idx_ban_events_user', "CREATE INDEX IF NOT EXISTS idx_ban_events_user ON ban_events(user_id, at)");
+  ensureIndex('idx_ban_appeals_status', "CREATE INDEX IF NOT EXISTS idx_ban_appeals_status ON ban_appeals(status, created_at)");
+  ensureIndex('idx_point_transactions_user', "CREATE INDEX IF NOT EXISTS idx_point_transactions_user ON point_transactions(user_id, doc_id)");
+  ensureIndex('idx_point_transactions_created', "CREATE INDEX IF NOT EXISTS idx_point_transactions_created ON point_transactions(created_at)");
+  // Points earned before the ledger existed become one opening balance per user; users.points is then
+  // re-derived from the ledger (also repairs totals after merged sync changes)
+  db.exec(`
+INSERT OR IGNORE INTO point_transactions (id, user_id, amount, reason, created_at)
+SELECT 'opening-' || id, id, points, 'opening_balance', created_at
+FROM users
+WHERE points <> 0 AND id NOT IN (SELECT user_id FROM point_transactions)
+`);
+  db.exec(`
+UPDATE users SET points = (SELECT COALESCE(SUM(amount), 0) FROM point_transactions t WHERE t.user_id = users.id)
+WHERE points IS NOT (SELECT COALESCE(SUM(amount), 0) FROM point_transactions t WHERE t.user_id = users.id)
+`);
+  ensureIndex('idx_doc_comments_doc', "CREATE INDEX IF NOT EXISTS idx_doc_comments_doc ON doc_comments(doc_id, created_at)");
+  // Rating and comment counters follow their rows (also repairs them after merged sync changes)
+  db.exec(`
+UPDATE documents SET
+  rating_avg = COALESCE((SELECT ROUND(AVG(stars), 2) FROM doc_ratings r WHERE r.doc_id = documents.id), 0),
+  rating_count = (SELECT COUNT(*) FROM doc_ratings r WHERE r.doc_id = documents.id),
+  comment_count = (SELECT COUNT(*) FROM doc_comments c WHERE c.doc_id = documents.id AND c.status = 'visible')
+WHERE rating_count IS NOT (SELECT COUNT(*) FROM doc_ratings r WHERE r.doc_id = documents.id)
+   OR rating_avg IS NOT COALESCE((SELECT ROUND(AVG(stars), 2) FROM doc_ratings r WHERE r.doc_id = documents.id), 0)
+   OR comment_count IS NOT (SELECT COUNT(*) FROM doc_comments c WHERE c.doc_id = documents.id AND c.status = 'visible')
+`);
+  ensureIndex('idx_collections_user', "CREATE INDEX IF NOT EXISTS idx_collections_user ON collections(user_id)");
+  ensureIndex('idx_collection_items_doc', "CREATE INDEX IF NOT EXISTS idx_collection_items_doc ON collection_items(doc_id)");
+  ensureIndex('idx_zip_downloads_user', "CREATE INDEX IF NOT EXISTS idx_zip_downloads_user ON zip_downloads(user_id, created_at)");
+  migrateDocEventsUserKey();
+  ensureIndex('idx_doc_events_day', "CREATE INDEX IF NOT EXISTS idx_doc_events_day ON doc_events(day, doc_id)");
+  ensureIndex('idx_notifications_user', "CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at)");
+  ensureIndex('idx_doc_reports_doc', "CREATE INDEX IF NOT EXISTS idx_doc_reports_doc ON doc_reports(doc_id, status)");
+  ensureIndex('idx_doc_reports_status', "CREATE INDEX IF NOT EXISTS idx_doc_reports_status ON doc_reports(status, created_at)");
+  ensureIndex('idx_ban_purges_purged_at', "CREATE INDEX IF NOT EXISTS idx_ban_purges_purged_at ON ban_purges(purged_at)");
+  ensureIndex('idx_ban_purge_docs_purge', "CREATE INDEX IF NOT EXISTS idx_ban_purge_docs_purge ON ban_purge_docs(purge_id)");
+  ensureIndex('idx_bans_linked', "CREATE INDEX IF NOT EXISTS idx_bans_linked ON bans(linked_to)");
+  // Accounts banned before the bans table existed (users.status stays the flag the rest of the app reads)
+  db.exec(`
+INSERT OR IGNORE INTO bans (id, kind, value, reason, created_at)
+SELECT 'account-' || id, 'account', id, COALESCE(ban_reason, 'Violation of rules'), COALESCE(banned_at, created_at)
+FROM users
+WHERE status = 'banned' AND id NOT IN (SELECT value FROM bans WHERE kind = 'account' AND lifted_at IS NULL)
+`);
+  migrateSyncConflictIds();
+  ensureIndex('idx_sync_conflicts_status', "CREATE INDEX IF NOT EXISTS idx_sync_conflicts_status ON sync_conflicts(status)");
+
+  installJournalTriggers(journal);
 }
 
 module.exports = {
   db,
-  migrate
+  migrate,
+  schoolKey,
+  schoolIdForKey,
+  courseLabel,
+  parseCourse,
+  parseTags,
+  journaledTables,
+  quoteIdent
 };
\ No newline at end of file
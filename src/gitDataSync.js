@@ -2,55 +2,114 @@
  * gitDataSync.js
  *
  * Responsibilities:
- * - On startup, pull data/app.db from the configured GitHub repo/branch if it exists.
- *   If the remote file is not present, create it by uploading the local DB (or an empty DB file).
+ * - Keep data/app.db in step with the configured GitHub repo/branch using a row-level change journal
+ *   (change_journal, filled by triggers; see db.js and journal.js) instead of re-uploading the whole DB:
+ *     data/app.db                    compacted snapshot of the DB
+ *     data/journal/manifest.json     { snapshot_seq, snapshot_at, segments: [{ path, first_seq, last_seq, count }] }
+ *     data/journal/<first>-<last>.ndjson   journal entries newer than the snapshot, one JSON object per line
+ * - On startup, pull the snapshot and the segments after it; finishDataSync() replays them once migrations ran.
+ *   A remote without a manifest (older deployments) or without any DB gets a fresh snapshot on first sync.
+ * - Changes are pushed as a new segment plus updated manifest in a single commit. Every
+ *   JOURNAL_SNAPSHOT_EVERY segments (or JOURNAL_SNAPSHOT_HOURS) a new snapshot replaces the snapshot and
+ *   all segments in one commit. Pushed entries are dropped from the local journal.
+ * - Several instances may sync the same repo. Before every push the remote manifest is compared with the one
+ *   we last saw; if another instance pushed in between, its entries are merged into the local DB first
+ *   (rows changed on both sides become sync_conflicts for admins) and our unpushed entries are renumbered
+ *   after its ones. Commits also check the manifest blob at the branch head, and the ref update is never
+ *   forced, so a concurrent push makes us merge and retry instead of overwriting.
+ * - data/journal/lease.json designates one writer: only the lease holder pushes snapshots (compaction).
+ *   DATA_SYNC_WRITER=auto competes for the lease (renewed while running, DATA_SYNC_LEASE_MINUTES);
+ *   DATA_SYNC_WRITER=never only pushes journal segments.
+ * - Sync is controlled by DATA_SYNC (github|off). It defaults to "github" when GitHub is configured, so
+ *   dev machines and CI without a token run against the local DB only (markDataDirty becomes a no-op).
  * - Expose:
- *     initDataSync()  // called at startup to hydrate local DB
- *     markDataDirty() // mark DB as changed; schedules a near-immediate sync
- *     syncNow(force)  // perform immediate sync (force=true will push even if not dirty)
+ *     isDataSyncEnabled()
+ *     initDataSync()   // called at startup to hydrate the local DB from the snapshot
+ *     finishDataSync() // called after migrate(): replay pulled journal entries, push a first snapshot if needed
+ *     markDataDirty()  // mark DB as changed; schedules a near-immediate sync
+ *     syncNow(force)   // perform immediate sync (force=true pushes a full snapshot when holding the lease)
+ *     getSyncStatus()  // lease, remote position and local backlog for the admin page
+ *     listSnapshotCommits() / fetchSnapshotAt(sha) // past snapshots for the backup browser (backups.js)
  *
- * - If the DB is large, attempt to upload using the git blob + tree + commit API (safer for larger payloads).
- *   The GitHub REST "create or update file contents" endpoint expects the `sha` when updating.
- *   We handle the "sha wasn't supplied" case by fetching sha and retrying.
+ * - Snapshots are taken with SQLite's online backup API into a temp file (never by reading the live DB file),
+ *   verified with PRAGMA integrity_check and optionally gzipped (DATA_SYNC_COMPRESS=gzip -> data/app.db.gz;
+ *   the manifest records snapshot_path). A pulled snapshot that fails the check is never used: startup
+ *   aborts with an alert (see alerts.js) instead of hydrating from it.
  *
  * Notes and limits:
- * - The git data API and contents API both have size limits (practical ~100MB). If your DB or file exceeds
- *   that, you should use an external object store (S3/GCS) or Git LFS. This module will attempt a blob+commit
- *   flow for larger payloads, but it may still fail on very large files.
+ * - Commits go through the git data API (blob + tree + commit + ref update). Blobs are still limited to
+ *   ~100MB, so the snapshot must stay below that; segments are small.
  * - All errors that indicate misconfiguration are surfaced via configError() (from githubClient.js).
  *
  * Usage:
- *   const { initDataSync, markDataDirty, syncNow } = require('./gitDataSync');
+ *   const { initDataSync, finishDataSync, markDataDirty } = require('./gitDataSync');
  *   await initDataSync();
+ *   migrate({ journal: true });
+ *   await finishDataSync();
  *   // whenever DB is changed:
  *   markDataDirty();
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { octokit, GH_OWNER, GH_REPO, GH_BRANCH, configError } = require('./githubClient');
-
+const crypto = require('crypto');
+const zlib = require('zlib');
+const Database = require('better-sqlite3');
+const { octokit, GH_OWNER, GH_REPO, GH_BRANCH, configError, isGithubConfigured } = require('./githubClient');
+const { db } = require('./db');
+const journal = require('./journal');
+const { sendAlert } = require('./alerts');
+
+const DATA_SYNC = (process.env.DATA_SYNC || (isGithubConfigured() ? 'github' : 'off')).trim().toLowerCase();
 const LOCAL_DB_PATH = process.env.DATABASE_URL || './data/app.db';
 const REMOTE_DB_PATH = 'data/app.db';
+const REMOTE_DB_GZ_PATH = 'data/app.db.gz';
+const COMPRESS = (process.env.DATA_SYNC_COMPRESS || 'none').trim().toLowerCase() === 'gzip';
+const REMOTE_JOURNAL_DIR = 'data/journal';
+const REMOTE_MANIFEST_PATH = `${REMOTE_JOURNAL_DIR}/manifest.json`;
+const REMOTE_LEASE_PATH = `${REMOTE_JOURNAL_DIR}/lease.json`;
+
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+const WRITER_MODE = (process.env.DATA_SYNC_WRITER || 'auto').trim().toLowerCase(); // auto|never
+const LEASE_TTL_MS = (Number(process.env.DATA_SYNC_LEASE_MINUTES) || 60) * 60 * 1000;
+const MAX_PUSH_ATTEMPTS = 3;
+
+const SNAPSHOT_EVERY_SEGMENTS = Number(process.env.JOURNAL_SNAPSHOT_EVERY) || 50;
+const SNAPSHOT_MAX_AGE_MS = (Number(process.env.JOURNAL_SNAPSHOT_HOURS) || 24) * 60 * 60 * 1000;
+const SEGMENT_MAX_ENTRIES = 5000;
 
 // When we mark dirty, we schedule a sync after short debounce. We also expose syncNow for immediate push.
-let lastKnownSha = null;
 let dirty = false;
 let timer = null;
 const DEBOUNCE_MS = 3000; // short debounce for near-immediate sync
 const SIZE_WARN_LIMIT = 90 * 1024 * 1024; // 90 MB - leave headroom under the API practical limit
 
+let remoteManifest = null; // manifest as last pulled/pushed; null until the remote has one
+let remoteManifestSha = null; // blob sha of that manifest, to notice pushes from other instances
+let lease = null; // last known lease { holder, host, acquired_at, expires_at }
+let leaseSha = null;
+let lastSyncAt = null;
+let lastSyncError = null;
+let snapshotNeeded = false; // remote has no snapshot or no manifest yet
+let pendingReplay = []; // entries pulled by initDataSync, applied by finishDataSync
+let syncChain = Promise.resolve(); // pushes run one at a time
+
 /* ---------- Helpers ---------- */
 
-async function getRemoteSha() {
+function isDataSyncEnabled() {
+  return DATA_SYNC !== 'off';
+}
+
+async function getRemoteSha(filePath, ref = GH_BRANCH) {
   try {
     const { data } = await octokit.repos.getContent({
       owner: GH_OWNER,
       repo: GH_REPO,
-      path: REMOTE_DB_PATH,
-      ref: GH_BRANCH
+      path: filePath,
+      ref
     });
-    if (Array.isArray(data)) throw new Error('Expected file, got directory: ' + REMOTE_DB_PATH);
+    if (Array.isArray(data)) throw new Error('Expected file, got directory: ' + filePath);
     return data.sha || null;
   } catch (e) {
     if (e.status === 404) return null;
@@ -58,8 +117,8 @@ async function getRemoteSha() {
   }
 }
 
-async function fetchRemoteDbBuffer() {
-  const sha = await getRemoteSha();
+async function fetchRemoteFile(filePath, ref = GH_BRANCH) {
+  const sha = await getRemoteSha(filePath, ref);
   if (!sha) return null;
 
   // Fetch as raw blob
@@ -74,104 +133,374 @@ async function fetchRemoteDbBuffer() {
   if (Buffer.isBuffer(body)) return { buf: body, sha };
   if (typeof body === 'string') return { buf: Buffer.from(body, 'binary'), sha };
   if (body && body.content && body.encoding === 'base64') return { buf: Buffer.from(body.content, 'base64'), sha };
-  throw new Error('Unable to fetch DB blob content');
+  throw new Error('Unable to fetch blob content for ' + filePath);
 }
 
-/**
- * Create or update file using the Contents API.
- * If sha is provided we include it (update), otherwise create. On 422 complaining about sha we retry.
- */
-async function putFileContents(contentBase64, message, sha = null) {
-  const params = {
-    owner: GH_OWNER,
-    repo: GH_REPO,
-    path: REMOTE_DB_PATH,
-    message,
-    content: contentBase64,
-    branch: GH_BRANCH
-  };
-  if (sha) params.sha = sha;
+function manifestLastSeq(manifest) {
+  const segments = manifest.segments || [];
+  return segments.length ? segments[segments.length - 1].last_seq : (manifest.snapshot_seq || 0);
+}
 
-  try {
-    const { data } = await octokit.repos.createOrUpdateFileContents(params);
-    return data;
-  } catch (e) {
-    // If GitHub says "sha wasn't supplied" or similar, try fetch sha and retry once.
-    if (e.status === 422 && e.message && e.message.includes(`"sha" wasn't supplied`)) {
-      const remoteSha = await getRemoteSha();
-      if (remoteSha) {
-        params.sha = remoteSha;
-        const { data } = await octokit.repos.createOrUpdateFileContents(params);
-        return data;
-      }
-    }
-    // rethrow for caller to handle
-    throw e;
+function parseSegment(buf) {
+  return buf.toString('utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+function segmentPath(firstSeq, lastSeq) {
+  const pad = n => String(n).padStart(12, '0');
+  return `${REMOTE_JOURNAL_DIR}/${pad(firstSeq)}-${pad(lastSeq)}.ndjson`;
+}
+
+async function fetchManifest(ref = GH_BRANCH) {
+  const file = await fetchRemoteFile(REMOTE_MANIFEST_PATH, ref);
+  if (!file) return null;
+  const manifest = JSON.parse(file.buf.toString('utf8'));
+  manifest.segments = manifest.segments || [];
+  return { manifest, sha: file.sha };
+}
+
+// Journal entries of a manifest with seq > afterSeq, in order
+async function fetchEntriesAfter(manifest, afterSeq) {
+  const entries = [];
+  for (const seg of manifest.segments) {
+    if (seg.last_seq <= afterSeq) continue;
+    const file = await fetchRemoteFile(seg.path);
+    if (!file) throw new Error(`Journal segment ${seg.path} listed in the manifest is missing on the remote`);
+    entries.push(...parseSegment(file.buf).filter(e => e.seq > afterSeq));
   }
+  return entries.sort((a, b) => a.seq - b.seq);
+}
+
+function remoteChangedError(filePath) {
+  const err = new Error(`${filePath} changed on the remote since it was last read`);
+  err.status = 409;
+  return err;
 }
 
 /**
- * For larger files, attempt to use the Git Data API: createBlob -> createTree -> createCommit -> updateRef
- * This bypasses the contents API's createOrUpdateFileContents, and can be used to commit large blobs.
- * Note: GitHub still has size limits for blobs; this is best-effort.
+ * Write several files (and delete others) in one commit with the Git Data API:
+ * createBlob per file -> createTree on top of the branch head -> createCommit -> updateRef.
+ * files: [{ path, buffer }] or [{ path, remove: true }]
+ * expect: [{ path, sha }] blob shas (null = absent) the branch head must still have; otherwise a 409 is thrown.
+ * Returns { commitSha, blobs: { path: sha } }.
  */
-async function commitRawBlob(buffer, message) {
-  // Create a blob from the file content (base64)
-  const contentBase64 = buffer.toString('base64');
-  const blob = await octokit.git.createBlob({
-    owner: GH_OWNER,
-    repo: GH_REPO,
-    content: contentBase64,
-    encoding: 'base64'
-  });
-
+async function commitFiles(files, message, expect = []) {
   // Get current commit of the branch
   const ref = await octokit.git.getRef({ owner: GH_OWNER, repo: GH_REPO, ref: `heads/${GH_BRANCH}` });
   const baseCommitSha = ref.data.object.sha;
+  for (const e of expect) {
+    if ((await getRemoteSha(e.path, baseCommitSha)) !== e.sha) throw remoteChangedError(e.path);
+  }
+
+  const tree = [];
+  const blobs = {};
+  for (const file of files) {
+    if (file.remove) {
+      tree.push({ path: file.path, mode: '100644', type: 'blob', sha: null });
+      continue;
+    }
+    const blob = await octokit.git.createBlob({
+      owner: GH_OWNER,
+      repo: GH_REPO,
+      content: file.buffer.toString('base64'),
+      encoding: 'base64'
+    });
+    tree.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.data.sha });
+    blobs[file.path] = blob.data.sha;
+  }
+
   const baseCommit = await octokit.git.getCommit({ owner: GH_OWNER, repo: GH_REPO, commit_sha: baseCommitSha });
 
-  // Create a new tree entry that writes our blob to the desired path
-  const tree = await octokit.git.createTree({
+  const newTree = await octokit.git.createTree({
     owner: GH_OWNER,
     repo: GH_REPO,
     base_tree: baseCommit.data.tree.sha,
-    tree: [
-      {
-        path: REMOTE_DB_PATH,
-        mode: '100644',
-        type: 'blob',
-        sha: blob.data.sha
-      }
-    ]
+    tree
   });
-
-  // Create the commit
   const newCommit = await octokit.git.createCommit({
     owner: GH_OWNER,
     repo: GH_REPO,
     message,
-    tree: tree.data.sha,
+    tree: newTree.data.sha,
     parents: [baseCommitSha]
   });
-
-  // Update the branch reference to point to our new commit
+  // Not forced: fails instead of overwriting if the branch moved in the meantime
   await octokit.git.updateRef({
     owner: GH_OWNER,
     repo: GH_REPO,
     ref: `heads/${GH_BRANCH}`,
     sha: newCommit.data.sha
   });
+  return { commitSha: newCommit.data.sha, blobs };
+}
+
+function manifestBuffer(manifest) {
+  return Buffer.from(JSON.stringify(manifest, null, 2) + '\n');
+}
+
+function tempPath(label) {
+  return `${LOCAL_DB_PATH}.${label}-${process.pid}-${Date.now()}.tmp`;
+}
+
+function removeTemp(filePath) {
+  try { fs.unlinkSync(filePath); } catch (e) { /* already gone */ }
+}
+
+/**
+ * Run PRAGMA integrity_check on a DB file. Returns null when it is fine, otherwise the problems found.
+ * Returns the highest journal seq contained in the file as well (see journal.currentSeq()).
+ */
+function inspectDbFile(filePath) {
+  let check;
+  try {
+    check = new Database(filePath, { readonly: true, fileMustExist: true });
+  } catch (e) {
+    return { problem: `cannot open: ${e.message}`, seq: 0 };
+  }
+  try {
+    const rows = check.pragma('integrity_check');
+    const problems = rows.map(r => r.integrity_check).filter(v => v !== 'ok');
+    if (problems.length || !rows.length) return { problem: problems.slice(0, 5).join('; ') || 'no result', seq: 0 };
+
+    const hasTable = name => !!check.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+    let seq = 0;
+    if (hasTable('change_journal')) {
+      const seqRow = check.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'change_journal'").get();
+      seq = Math.max(seqRow ? seqRow.seq : 0, check.prepare('SELECT MAX(seq) as seq FROM change_journal').get().seq || 0);
+    }
+    if (hasTable('sync_state')) {
+      const pushed = check.prepare("SELECT value FROM sync_state WHERE key = 'last_pushed_seq'").get();
+      seq = Math.max(seq, pushed ? Number(pushed.value) : 0);
+    }
+    return { problem: null, seq };
+  } catch (e) {
+    return { problem: e.message, seq: 0 };
+  } finally {
+    check.close();
+  }
+}
 
-  // Return the new commit SHA (and new blob sha) for bookkeeping
-  return { commitSha: newCommit.data.sha, blobSha: blob.data.sha };
+/**
+ * Take a consistent copy of the live DB with the online backup API and verify it.
+ * Returns { filePath, seq, size } where seq is the last journal entry contained in the copy.
+ */
+async function createSnapshotFile() {
+  const filePath = tempPath('snapshot');
+  try {
+    await db.backup(filePath);
+    const { problem, seq } = inspectDbFile(filePath);
+    if (problem) throw new Error(`Snapshot failed integrity_check: ${problem}`);
+    return { filePath, seq, size: fs.statSync(filePath).size };
+  } catch (e) {
+    removeTemp(filePath);
+    throw e;
+  }
+}
+
+/**
+ * Download the snapshot a manifest points at (data/app.db for older remotes), unpack it into a temp file
+ * and verify it. Returns the temp file path, or null when the remote has no snapshot.
+ * ref selects an older commit (backup browser); by default the branch head is used.
+ * A snapshot that fails verification raises an alert and throws; it is never used.
+ */
+async function fetchVerifiedSnapshot(manifest, ref = GH_BRANCH) {
+  const remotePath = (manifest && manifest.snapshot_path) || REMOTE_DB_PATH;
+  const file = await fetchRemoteFile(remotePath, ref);
+  if (!file) return null;
+
+  const filePath = tempPath('remote');
+  try {
+    const buf = remotePath.endsWith('.gz') ? zlib.gunzipSync(file.buf) : file.buf;
+    fs.writeFileSync(filePath, buf);
+    const { problem } = inspectDbFile(filePath);
+    if (problem) {
+      await sendAlert(`Remote ${remotePath} (sha ${file.sha}) failed integrity_check and was not used: ${problem}`);
+      throw new Error(`Refusing to use remote ${remotePath}: integrity_check failed (${problem})`);
+    }
+    return filePath;
+  } catch (e) {
+    removeTemp(filePath);
+    if (e.code === 'Z_DATA_ERROR' || e.code === 'Z_BUF_ERROR') {
+      await sendAlert(`Remote ${remotePath} (sha ${file.sha}) could not be decompressed and was not used: ${e.message}`);
+    }
+    throw e;
+  }
+}
+
+/**
+ * Bring in whatever other instances pushed since we last saw the manifest.
+ * - New segments after our position: merged row by row (conflicts recorded by journal.js).
+ * - A newer snapshot covering entries we never saw: the local DB is rebuilt from it, then ours re-applied.
+ * Our unpushed entries are then renumbered to follow the remote. Returns true when anything was merged.
+ */
+async function mergeRemoteChanges() {
+  const remote = await fetchManifest();
+  if (!remote || remote.sha === remoteManifestSha) return false;
+
+  const knownSeq = remoteManifest ? manifestLastSeq(remoteManifest) : journal.lastPushedSeq();
+  const remoteSeq = manifestLastSeq(remote.manifest);
+  const local = journal.pendingEntries();
+
+  if ((remote.manifest.snapshot_seq || 0) > knownSeq) {
+    const tmpPath = await fetchVerifiedSnapshot(remote.manifest);
+    if (!tmpPath) throw new Error('Remote manifest points at a snapshot, but it is missing on the remote');
+    try {
+      const entries = await fetchEntriesAfter(remote.manifest, remote.manifest.snapshot_seq || 0);
+      journal.loadSnapshot(tmpPath, entries, local);
+    } finally {
+      removeTemp(tmpPath);
+    }
+    console.warn('Remote snapshot moved past our position (seq %d > %d); rebuilt the local DB from it and re-applied %d local change(s).',
+      remote.manifest.snapshot_seq, knownSeq, local.length);
+  } else {
+    const entries = await fetchEntriesAfter(remote.manifest, knownSeq);
+    const conflicts = journal.mergeRemoteEntries(entries, local, INSTANCE_ID);
+    console.log('Merged %d remote journal entr%s (seq %d-%d)%s.', entries.length, entries.length === 1 ? 'y' : 'ies',
+      knownSeq + 1, remoteSeq, conflicts.length ? `; ${conflicts.length} conflicting row(s) recorded for review` : '');
+  }
+
+  journal.rebasePending(remoteSeq);
+  remoteManifest = remote.manifest;
+  remoteManifestSha = remote.sha;
+  snapshotNeeded = false;
+  return true;
+}
+
+/* ---------- Writer lease ---------- */
+
+function leaseIsActive(l) {
+  return !!l && !!l.holder && new Date(l.expires_at).getTime() > Date.now();
+}
+
+async function readLease() {
+  const file = await fetchRemoteFile(REMOTE_LEASE_PATH);
+  lease = file ? JSON.parse(file.buf.toString('utf8')) : null;
+  leaseSha = file ? file.sha : null;
+  return lease;
+}
+
+/**
+ * Take or renew the writer lease when it is free, expired or ours (renewed once half of it has passed).
+ * Returns true when this instance holds the lease afterwards.
+ */
+async function ensureLease() {
+  if (WRITER_MODE === 'never') return false;
+  const current = await readLease();
+  const ours = !!current && current.holder === INSTANCE_ID;
+  if (leaseIsActive(current) && !ours) return false;
+  if (ours && new Date(current.expires_at).getTime() - Date.now() > LEASE_TTL_MS / 2) return true;
+
+  const now = new Date();
+  const next = {
+    holder: INSTANCE_ID,
+    host: os.hostname(),
+    acquired_at: ours ? current.acquired_at : now.toISOString(),
+    expires_at: new Date(now.getTime() + LEASE_TTL_MS).toISOString()
+  };
+  try {
+    const { blobs } = await commitFiles(
+      [{ path: REMOTE_LEASE_PATH, buffer: manifestBuffer(next) }],
+      `${ours ? 'Renew' : 'Take'} data sync writer lease (${INSTANCE_ID})`,
+      [{ path: REMOTE_LEASE_PATH, sha: leaseSha }]
+    );
+    lease = next;
+    leaseSha = blobs[REMOTE_LEASE_PATH];
+    if (!ours) console.log('Holding the data sync writer lease until %s.', next.expires_at);
+    return true;
+  } catch (e) {
+    // Someone else took it first (or the branch moved); try again on the next sync
+    if (e.status === 409 || e.status === 422) return false;
+    throw e;
+  }
+}
+
+/**
+ * Push the whole DB as the new snapshot; the manifest is reset and all old segments are deleted.
+ * Only the lease holder compacts, so segments are never deleted under another writer.
+ */
+async function pushSnapshot() {
+  // The seq is read from the copy itself, so writes made while the backup ran are accounted for exactly
+  const snapshot = await createSnapshotFile();
+  let buf;
+  try {
+    buf = fs.readFileSync(snapshot.filePath);
+  } finally {
+    removeTemp(snapshot.filePath);
+  }
+  const seq = snapshot.seq;
+  const snapshotPath = COMPRESS ? REMOTE_DB_GZ_PATH : REMOTE_DB_PATH;
+  if (COMPRESS) buf = zlib.gzipSync(buf, { level: 9 });
+  if (buf.length > SIZE_WARN_LIMIT) {
+    console.warn('%s is %d MB; snapshots close to 100MB will be rejected by GitHub.', snapshotPath, Math.round(buf.length / 1024 / 1024));
+  }
+
+  const manifest = {
+    version: 1,
+    snapshot_seq: seq,
+    snapshot_at: new Date().toISOString(),
+    snapshot_path: snapshotPath,
+    snapshot_size: snapshot.size,
+    segments: []
+  };
+  const removals = (remoteManifest ? remoteManifest.segments : []).map(seg => ({ path: seg.path, remove: true }));
+  // Switching DATA_SYNC_COMPRESS leaves the other format behind; remove it so nobody hydrates from it
+  const previousPath = remoteManifest && remoteManifest.snapshot_path;
+  if (previousPath && previousPath !== snapshotPath) removals.push({ path: previousPath, remove: true });
+  const { commitSha, blobs } = await commitFiles([
+    { path: snapshotPath, buffer: buf },
+    { path: REMOTE_MANIFEST_PATH, buffer: manifestBuffer(manifest) },
+    ...removals
+  ], `Sync ${snapshotPath} snapshot (journal seq ${seq})`, [{ path: REMOTE_MANIFEST_PATH, sha: remoteManifestSha }]);
+
+  remoteManifest = manifest;
+  remoteManifestSha = blobs[REMOTE_MANIFEST_PATH];
+  snapshotNeeded = false;
+  journal.markPushed(seq);
+  console.log('Pushed %s snapshot at journal seq %d (%d bytes, commit=%s, %d file(s) removed).', snapshotPath, seq, buf.length, commitSha, removals.length);
+}
+
+/**
+ * Push local journal entries that are not on the remote yet as one segment.
+ * Returns the number of entries pushed.
+ */
+async function pushSegment() {
+  const entries = journal.pendingEntries(SEGMENT_MAX_ENTRIES);
+  if (!entries.length) return 0;
+
+  const firstSeq = entries[0].seq;
+  const lastSeq = entries[entries.length - 1].seq;
+  const path = segmentPath(firstSeq, lastSeq);
+  const manifest = Object.assign({}, remoteManifest, {
+    segments: remoteManifest.segments.concat([{ path, first_seq: firstSeq, last_seq: lastSeq, count: entries.length }])
+  });
+  const ndjson = Buffer.from(entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+
+  const { commitSha, blobs } = await commitFiles([
+    { path, buffer: ndjson },
+    { path: REMOTE_MANIFEST_PATH, buffer: manifestBuffer(manifest) }
+  ], `Sync data journal ${firstSeq}-${lastSeq}`, [{ path: REMOTE_MANIFEST_PATH, sha: remoteManifestSha }]);
+
+  remoteManifest = manifest;
+  remoteManifestSha = blobs[REMOTE_MANIFEST_PATH];
+  journal.markPushed(lastSeq);
+  console.log('Pushed %d journal entr%s (seq %d-%d, commit=%s).', entries.length, entries.length === 1 ? 'y' : 'ies', firstSeq, lastSeq, commitSha);
+  return entries.length;
+}
+
+function isSnapshotDue() {
+  if (snapshotNeeded || !remoteManifest) return true;
+  const segments = remoteManifest.segments.length;
+  if (segments >= SNAPSHOT_EVERY_SEGMENTS) return true;
+  const age = Date.now() - new Date(remoteManifest.snapshot_at || 0).getTime();
+  return segments > 0 && age >= SNAPSHOT_MAX_AGE_MS;
 }
 
 /* ---------- Public API ---------- */
 
 /**
  * initDataSync
- * - If remote file exists, pull and overwrite local DB.
- * - Otherwise ensure local DB exists and push it up (create remote file).
+ * - Pull the remote snapshot (if any) over the local DB and download the journal segments after it.
+ *   The entries are replayed by finishDataSync() once migrations have brought the schema up to date.
+ * - Without a remote DB, the local DB is kept and pushed as the first snapshot by finishDataSync().
  * - Sets up periodic flush and shutdown sync flush.
  */
 async function initDataSync() {
@@ -179,38 +508,51 @@ async function initDataSync() {
   const localDir = path.dirname(LOCAL_DB_PATH);
   if (!fs.existsSync(localDir)) fs.mkdirSync(localDir, { recursive: true });
 
-  // Try pull
+  // Try pull (a snapshot failing integrity_check throws here; the local DB is left untouched)
   let remote = null;
+  let manifestFile = null;
   try {
-    remote = await fetchRemoteDbBuffer();
+    manifestFile = await fetchManifest();
+    const snapshotFile = await fetchVerifiedSnapshot(manifestFile && manifestFile.manifest);
+    if (snapshotFile) {
+      remote = { buf: fs.readFileSync(snapshotFile) };
+      removeTemp(snapshotFile);
+    }
   } catch (e) {
-    if (e.status && e.status !== 404) throw e;
+    if (e.status !== 404) throw e;
   }
 
   if (remote && remote.buf) {
     fs.writeFileSync(LOCAL_DB_PATH, remote.buf);
-    lastKnownSha = remote.sha;
-    console.log('Pulled data/app.db from remote (sha=%s).', lastKnownSha);
-  } else {
+    console.log('Pulled %s snapshot from remote (verified with integrity_check).', (manifestFile && manifestFile.manifest.snapshot_path) || REMOTE_DB_PATH);
+  } else if (!fs.existsSync(LOCAL_DB_PATH)) {
     // No remote file. Ensure a local DB file exists (migrations will populate if empty).
-    if (!fs.existsSync(LOCAL_DB_PATH)) {
-      fs.writeFileSync(LOCAL_DB_PATH, Buffer.alloc(0));
-      console.log('Created blank local data/app.db');
-    }
+    fs.writeFileSync(LOCAL_DB_PATH, Buffer.alloc(0));
+    console.log('Created blank local data/app.db');
+  }
 
-    // Now attempt to push the local DB to remote. Use syncNow(force).
-    try {
-      await syncNow(true);
-      console.log('Initialized remote data/app.db (created new file).');
-    } catch (e) {
-      // Provide helpful guidance for common failure modes
-      if (e.status === 404) {
-        throw configError('Remote write failed with 404 while initializing file. Ensure repo/branch/token are correct.');
-      }
-      throw e;
-    }
+  if (remote && manifestFile) {
+    remoteManifest = manifestFile.manifest;
+    remoteManifestSha = manifestFile.sha;
+    const snapshotSeq = remoteManifest.snapshot_seq || 0;
+    pendingReplay = await fetchEntriesAfter(remoteManifest, snapshotSeq);
+    console.log('Pulled %d journal segment(s) with %d entr%s after snapshot seq %d.',
+      remoteManifest.segments.length, pendingReplay.length, pendingReplay.length === 1 ? 'y' : 'ies', snapshotSeq);
+  } else {
+    // Nothing on the remote yet, or a DB pushed before the journal existed
+    remoteManifest = null;
+    remoteManifestSha = manifestFile ? manifestFile.sha : null;
+    snapshotNeeded = true;
   }
 
+  console.log('Data sync instance %s (writer mode: %s).', INSTANCE_ID, WRITER_MODE);
+  // Keep the writer lease while running
+  setInterval(() => {
+    syncChain = syncChain
+      .then(() => ensureLease())
+      .catch(err => console.error('Writer lease error:', err.message));
+  }, Math.max(LEASE_TTL_MS / 4, 60 * 1000)).unref();
+
   // Periodic flush: if dirty, sync every 60s
   setInterval(() => {
     if (dirty) {
@@ -222,7 +564,7 @@ async function initDataSync() {
   const shutdown = async () => {
     if (dirty) {
       try {
-        await syncNow(true);
+        await syncNow();
       } catch (e) {
         console.error('Final sync error:', e.message);
       }
@@ -233,11 +575,45 @@ async function initDataSync() {
   process.on('SIGTERM', shutdown);
 }
 
+/**
+ * finishDataSync
+ * - Replay the journal entries pulled by initDataSync (call after migrate()).
+ * - Continue local journal seqs after the remote ones.
+ * - Push a first snapshot when the remote has none (or predates the journal).
+ */
+async function finishDataSync() {
+  if (!isDataSyncEnabled()) return;
+
+  if (remoteManifest) {
+    const applied = journal.applyEntries(pendingReplay);
+    pendingReplay = [];
+    const remoteSeq = manifestLastSeq(remoteManifest);
+    // Everything up to remoteSeq is on the remote; entries carried inside the snapshot are stale copies
+    journal.advanceSequence(remoteSeq);
+    journal.markPushed(remoteSeq);
+    if (applied) console.log('Replayed %d journal entr%s up to seq %d.', applied, applied === 1 ? 'y' : 'ies', remoteSeq);
+  }
+
+  if (snapshotNeeded) {
+    try {
+      await syncNow(true);
+      console.log('Initialized remote data/app.db snapshot and journal manifest.');
+    } catch (e) {
+      // Provide helpful guidance for common failure modes
+      if (e.status === 404) {
+        throw configError('Remote write failed with 404 while initializing file. Ensure repo/branch/token are correct.');
+      }
+      throw e;
+    }
+  }
+}
+
 /**
  * markDataDirty
  * - Mark DB changed and schedule a near-immediate sync (debounced).
  */
 function markDataDirty() {
+  if (!isDataSyncEnabled()) return;
   dirty = true;
   if (timer) return;
   timer = setTimeout(() => {
@@ -246,82 +622,137 @@ function markDataDirty() {
   }, DEBOUNCE_MS);
 }
 
-/**
- * syncNow
- * - Attempt to push the local DB to the remote repo.
- * - If the file is under SIZE_WARN_LIMIT, prefer the Contents API (simpler).
- * - If the file is larger, attempt the blob+tree+commit flow; if that fails, retry with contents API including sha (if available).
- */
-async function syncNow(force = false) {
-  if (!dirty && !force) return;
+async function pushChanges(force) {
+  await mergeRemoteChanges();
+  if ((force || isSnapshotDue()) && await ensureLease()) {
+    await pushSnapshot();
+    return;
+  }
+  // Without a manifest there is nothing to append to; the lease holder has to push a snapshot first
+  if (!remoteManifest) {
+    dirty = true;
+    console.warn('Remote has no journal manifest yet and another instance holds the writer lease; waiting for its snapshot.');
+    return;
+  }
+  while (await pushSegment() === SEGMENT_MAX_ENTRIES) { /* keep draining large backlogs */ }
+}
+
+async function runSync(force) {
+  if (!dirty && !force && !snapshotNeeded) return;
 
   if (!fs.existsSync(LOCAL_DB_PATH)) {
     console.warn('Local DB missing; skipping sync.');
     return;
   }
 
-  const buf = fs.readFileSync(LOCAL_DB_PATH);
-  const size = buf.length;
-  const baseMessage = 'Sync data/app.db';
-
-  // If file small enough, try Contents API first (less hassle)
-  if (size <= SIZE_WARN_LIMIT) {
-    const contentBase64 = buf.toString('base64');
-
-    // Ensure we have latest sha if needed
-    if (!lastKnownSha && !force) {
-      lastKnownSha = await getRemoteSha();
+  dirty = false;
+  try {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await pushChanges(force);
+        break;
+      } catch (e) {
+        // 409: manifest moved under us; 422: branch head moved (ref update was not a fast-forward)
+        if ((e.status === 409 || e.status === 422) && attempt < MAX_PUSH_ATTEMPTS) continue;
+        throw e;
+      }
     }
-
-    try {
-      // Try putFileContents; this will retry with sha internally if necessary
-      const data = await putFileContents(contentBase64, baseMessage, lastKnownSha);
-      lastKnownSha = data.content.sha || null;
-      dirty = false;
-      console.log('Synced data/app.db to remote via Contents API (sha=%s).', lastKnownSha);
-      return;
-    } catch (e) {
-      // If 422 about sha missing, we attempt to re-fetch sha and retry (putFileContents handles that),
-      // but if it still fails, fall through to try blob+commit for robustness.
-      console.warn('Contents API push failed:', e.message || e);
-      // continue to blob approach
+    lastSyncAt = new Date().toISOString();
+    lastSyncError = null;
+  } catch (e) {
+    dirty = true; // retried by the periodic flush
+    lastSyncError = e.message || String(e);
+    if (e.status === 404) {
+      throw configError('Remote write failed with 404. Ensure repository and branch exist and token has proper scopes.');
+    }
+    if (e.status === 409 || e.status === 422) {
+      throw new Error(`Remote kept changing while pushing (${e.status}); will merge and retry: ${e.message}`);
     }
+    throw e;
   }
+}
 
-  // For larger files or fallback after Contents API failure, attempt blob+tree+commit
-  try {
-    const { commitSha, blobSha } = await commitRawBlob(buf, baseMessage);
-    lastKnownSha = await getRemoteSha(); // update sha after commit
-    dirty = false;
-    console.log('Synced data/app.db to remote via git blob commit (commit=%s, blob=%s).', commitSha, blobSha);
-    return;
-  } catch (e) {
-    // If the blob+commit flow failed, try a final retry with Contents API including sha if available.
-    console.warn('Blob+commit push failed:', e.message || e);
+/**
+ * syncNow
+ * - Push local journal entries as a new segment, or a full snapshot when one is due (or force=true).
+ * - Calls are queued so two pushes never race for the branch head.
+ */
+function syncNow(force = false) {
+  const run = syncChain.then(() => runSync(force));
+  syncChain = run.catch(() => {});
+  return run;
+}
 
-    const contentBase64 = buf.toString('base64');
-    try {
-      const remoteSha = await getRemoteSha();
-      const data = await putFileContents(contentBase64, baseMessage, remoteSha || lastKnownSha);
-      lastKnownSha = data.content.sha || null;
-      dirty = false;
-      console.log('Synced data/app.db to remote via Contents API (retry) (sha=%s).', lastKnownSha);
-      return;
-    } catch (finalErr) {
-      // If finalErr is 404 or 422, raise a helpful config error
-      if (finalErr.status === 404) {
-        throw configError('Remote write failed with 404. Ensure repository and branch exist and token has proper scopes.');
-      }
-      if (finalErr.status === 422) {
-        throw new Error(`Remote write failed with 422 (invalid request): ${finalErr.message}`);
-      }
-      throw finalErr;
+/**
+ * Commits on the sync branch that pushed a DB snapshot (data/app.db or data/app.db.gz), newest first.
+ * Each one is a complete copy of the DB at that time; see fetchSnapshotAt().
+ */
+async function listSnapshotCommits(limit = 30) {
+  const bySha = new Map();
+  for (const snapshotPath of [REMOTE_DB_PATH, REMOTE_DB_GZ_PATH]) {
+    const { data } = await octokit.repos.listCommits({
+      owner: GH_OWNER,
+      repo: GH_REPO,
+      sha: GH_BRANCH,
+      path: snapshotPath,
+      per_page: Math.min(limit, 100)
+    });
+    for (const c of data) {
+      if (bySha.has(c.sha)) continue;
+      bySha.set(c.sha, {
+        sha: c.sha,
+        message: c.commit.message,
+        date: (c.commit.committer && c.commit.committer.date) || (c.commit.author && c.commit.author.date) || null
+      });
     }
   }
+  return [...bySha.values()]
+    .sort((a, b) => new Date(b.date || 0) - new Date(a.date || 0))
+    .slice(0, limit);
+}
+
+/**
+ * Download and verify the DB snapshot stored in a commit into a temp file.
+ * Returns { filePath, remotePath, seq }; the caller removes filePath when done.
+ */
+async function fetchSnapshotAt(commitSha) {
+  const manifestFile = await fetchManifest(commitSha);
+  const remotePath = (manifestFile && manifestFile.manifest.snapshot_path) || REMOTE_DB_PATH;
+  const filePath = await fetchVerifiedSnapshot(manifestFile && manifestFile.manifest, commitSha);
+  if (!filePath) {
+    const err = new Error(`Commit ${commitSha} has no ${remotePath}`);
+    err.status = 404;
+    throw err;
+  }
+  return { filePath, remotePath, seq: inspectDbFile(filePath).seq };
+}
+
+function getSyncStatus() {
+  return {
+    enabled: isDataSyncEnabled(),
+    instance_id: INSTANCE_ID,
+    writer_mode: WRITER_MODE,
+    lease: lease ? Object.assign({ active: leaseIsActive(lease), ours: lease.holder === INSTANCE_ID }, lease) : null,
+    remote: remoteManifest ? {
+      snapshot_seq: remoteManifest.snapshot_seq || 0,
+      snapshot_at: remoteManifest.snapshot_at || null,
+      segments: remoteManifest.segments.length,
+      last_seq: manifestLastSeq(remoteManifest)
+    } : null,
+    pending_entries: isDataSyncEnabled() ? journal.pendingCount() : 0,
+    last_sync_at: lastSyncAt,
+    last_error: lastSyncError
+  };
 }
 
 module.exports = {
+  isDataSyncEnabled,
+  getSyncStatus,
+  createSnapshotFile,
+  listSnapshotCommits,
+  fetchSnapshotAt,
   initDataSync,
+  finishDataSync,
   markDataDirty,
   syncNow
 };
@@ -13,6 +13,10 @@ function maskToken(token) {
   return token.slice(0, 4) + '...' + token.slice(-4);
 }
 
+function isGithubConfigured() {
+  return !!(GH_OWNER && GH_REPO && GH_TOKEN);
+}
+
 function assertBasicConfig() {
   const problems = [];
   if (!GH_OWNER) problems.push('GITHUB_REPO_OWNER is not set');
@@ -97,6 +101,7 @@ module.exports = {
   GH_REPO,
   GH_BRANCH,
   maskToken,
+  isGithubConfigured,
   logConfigSummary,
   verifyRepoAccess,
   configError
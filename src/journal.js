@@ -0,0 +1,304 @@
+/**
+ * journal.js
+ *
+ * Local side of the row-level change journal (table change_journal, filled by triggers from db.js).
+ * - pendingEntries()/markPushed() let gitDataSync push new entries as segments and then drop them locally.
+ * - applyEntries() replays entries pulled from the remote on top of a snapshot. Journal triggers are
+ *   paused while replaying so replayed rows are not journaled again.
+ * - When another instance pushed first, mergeRemoteEntries()/loadSnapshot() bring its changes in while
+ *   keeping ours, and rebasePending() renumbers our unpushed entries after the remote ones. Rows changed on
+ *   both sides are recorded in sync_conflicts (ours wins, admins can switch to the remote version).
+ * - Sync bookkeeping (last pushed seq, ...) lives in sync_state, which is never journaled.
+ *
+ * Entry format (one JSON object per line in remote segments):
+ *   { seq, tbl, op: 'insert'|'update'|'delete', pk: {col: value}, row: {col: value} | null, at }
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db, journaledTables, quoteIdent } = require('./db');
+
+const getStateStmt = db.prepare('SELECT value FROM sync_state WHERE key = ?');
+const setStateStmt = db.prepare('INSERT INTO sync_state (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+const deleteStateStmt = db.prepare('DELETE FROM sync_state WHERE key = ?');
+const pendingStmt = db.prepare('SELECT seq, tbl, op, pk, row, at FROM change_journal WHERE seq > ? ORDER BY seq LIMIT ?');
+const maxSeqStmt = db.prepare('SELECT MAX(seq) as seq FROM change_journal');
+const pendingCountStmt = db.prepare('SELECT COUNT(*) as n FROM change_journal WHERE seq > ?');
+const dropPushedStmt = db.prepare('DELETE FROM change_journal WHERE seq <= ?');
+const getSequenceStmt = db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'change_journal'");
+const setSequenceStmt = db.prepare("UPDATE sqlite_sequence SET seq = ? WHERE name = 'change_journal'");
+const insertSequenceStmt = db.prepare("INSERT INTO sqlite_sequence (name, seq) VALUES ('change_journal', ?)");
+const deletePendingStmt = db.prepare('DELETE FROM change_journal WHERE seq > ?');
+const insertEntryStmt = db.prepare('INSERT INTO change_journal (seq, tbl, op, pk, row, at) VALUES (?, ?, ?, ?, ?, ?)');
+const insertConflictStmt = db.prepare(`
+INSERT INTO sync_conflicts (id, tbl, pk, local_op, local_row, remote_op, remote_row, remote_at, instance_id, detected_at)
+VALUES (@id, @tbl, @pk, @local_op, @local_row, @remote_op, @remote_row, @remote_at, @instance_id, @detected_at)
+`);
+const getConflictStmt = db.prepare('SELECT * FROM sync_conflicts WHERE id = ?');
+const resolveConflictStmt = db.prepare('UPDATE sync_conflicts SET status = ?, resolved_by = ?, resolved_at = ? WHERE id = ?');
+
+function getState(key, fallback = null) {
+  const row = getStateStmt.get(key);
+  return row ? row.value : fallback;
+}
+
+function setState(key, value) {
+  setStateStmt.run(key, String(value));
+}
+
+function lastPushedSeq() {
+  return Number(getState('last_pushed_seq', 0));
+}
+
+// Highest seq handed out so far (entries may already have been dropped after pushing)
+function currentSeq() {
+  const seqRow = getSequenceStmt.get();
+  return Math.max(seqRow ? seqRow.seq : 0, maxSeqStmt.get().seq || 0, lastPushedSeq());
+}
+
+function pendingEntries(limit = -1) {
+  return pendingStmt.all(lastPushedSeq(), limit).map(e => ({
+    seq: e.seq,
+    tbl: e.tbl,
+    op: e.op,
+    pk: JSON.parse(e.pk),
+    row: e.row ? JSON.parse(e.row) : null,
+    at: e.at
+  }));
+}
+
+function pendingCount() {
+  return pendingCountStmt.get(lastPushedSeq()).n;
+}
+
+// Entries up to seq are stored remotely; drop them locally and remember where the remote ends
+const markPushed = db.transaction((seq) => {
+  dropPushedStmt.run(seq);
+  setState('last_pushed_seq', seq);
+});
+
+// Make local seqs continue after the remote ones (AUTOINCREMENT never reuses a lower value)
+function advanceSequence(seq) {
+  const row = getSequenceStmt.get();
+  if (!row) insertSequenceStmt.run(seq);
+  else if (row.seq < seq) setSequenceStmt.run(seq);
+}
+
+function tableColumns(table) {
+  return db.prepare(`PRAGMA table_info(${quoteIdent(table)})`).all().map(c => c.name);
+}
+
+function applyEntry(entry, columnsCache) {
+  if (!columnsCache[entry.tbl]) columnsCache[entry.tbl] = tableColumns(entry.tbl);
+  const columns = columnsCache[entry.tbl];
+  if (!columns.length) throw new Error(`Journal replay: unknown table ${entry.tbl} (seq ${entry.seq})`);
+
+  const pkCols = Object.keys(entry.pk);
+  const pkWhere = pkCols.map(c => `${quoteIdent(c)} = ?`).join(' AND ');
+  const pkValues = pkCols.map(c => entry.pk[c]);
+
+  if (entry.op === 'delete') {
+    db.prepare(`DELETE FROM ${quoteIdent(entry.tbl)} WHERE ${pkWhere}`).run(pkValues);
+    return;
+  }
+
+  // Columns the local schema does not have (yet) are ignored
+  const cols = Object.keys(entry.row).filter(c => columns.includes(c));
+  const values = cols.map(c => entry.row[c]);
+  if (entry.op === 'update' && pkCols.some(c => entry.row[c] !== entry.pk[c])) {
+    // Primary key changed: remove the row under its old key first
+    db.prepare(`DELETE FROM ${quoteIdent(entry.tbl)} WHERE ${pkWhere}`).run(pkValues);
+  }
+  const updates = cols.filter(c => !pkCols.includes(c)).map(c => `${quoteIdent(c)} = excluded.${quoteIdent(c)}`);
+  // Upsert rather than INSERT OR REPLACE: REPLACE deletes the old row and would fire ON DELETE CASCADE
+  db.prepare(`
+INSERT INTO ${quoteIdent(entry.tbl)} (${cols.map(quoteIdent).join(', ')})
+VALUES (${cols.map(() => '?').join(', ')})
+ON CONFLICT (${pkCols.map(quoteIdent).join(', ')}) DO ${updates.length ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}
+`).run(values);
+}
+
+const applyInTransaction = db.transaction((entries) => {
+  setState('replaying', 1);
+  const columnsCache = {};
+  const touchedDocs = new Set();
+  for (const entry of entries) {
+    applyEntry(entry, columnsCache);
+    if (entry.tbl === 'documents' && entry.op !== 'delete') touchedDocs.add(entry.pk.id);
+  }
+  // PDF text lives only in the FTS table, which is not journaled: let the search job extract it again
+  const resetText = db.prepare(`
+UPDATE documents SET text_extracted_at = NULL
+WHERE id = ? AND text_extracted_at IS NOT NULL
+  AND EXISTS (SELECT 1 FROM documents_fts WHERE doc_id = documents.id AND (body IS NULL OR body = ''))
+`);
+  for (const id of touchedDocs) resetText.run(id);
+  deleteStateStmt.run('replaying');
+});
+
+/**
+ * Replay remote journal entries (sorted by seq) into the local DB.
+ * Foreign keys are checked after the whole batch, since entries of different tables may arrive in any order.
+ */
+function applyEntries(entries) {
+  if (!entries.length) return 0;
+  db.pragma('foreign_keys = OFF');
+  try {
+    applyInTransaction(entries);
+  } finally {
+    db.pragma('foreign_keys = ON');
+  }
+  const violations = db.pragma('foreign_key_check');
+  if (violations.length) {
+    console.warn(`Journal replay: ${violations.length} foreign key violation(s) after replay (first in ${violations[0].table}).`);
+  }
+  return entries.length;
+}
+
+// Rows are matched across instances by table + primary key
+function entryKey(entry) {
+  return entry.tbl + ':' + JSON.stringify(entry.pk);
+}
+
+/**
+ * Apply entries another instance pushed since our last pull, given our own unpushed entries.
+ * Rows touched on both sides are conflicts: the remote change is applied first and ours re-applied on top
+ * (ours is the newer write and is pushed next); each one is recorded in sync_conflicts.
+ * Returns the recorded conflicts.
+ */
+function mergeRemoteEntries(remoteEntries, localEntries, instanceId) {
+  const localByKey = new Map();
+  for (const e of localEntries) localByKey.set(entryKey(e), e);
+
+  const conflicts = new Map();
+  for (const r of remoteEntries) {
+    const key = entryKey(r);
+    if (localByKey.has(key)) conflicts.set(key, r); // last remote change per row
+  }
+  const reapply = localEntries.filter(e => conflicts.has(entryKey(e)));
+  applyEntries(remoteEntries.concat(reapply));
+
+  const detectedAt = new Date().toISOString();
+  const recorded = [];
+  for (const [key, remote] of conflicts) {
+    const local = localByKey.get(key);
+    const conflict = {
+      id: uuidv4(),
+      tbl: remote.tbl,
+      pk: JSON.stringify(remote.pk),
+      local_op: local.op,
+      local_row: local.row ? JSON.stringify(local.row) : null,
+      remote_op: remote.op,
+      remote_row: remote.row ? JSON.stringify(remote.row) : null,
+      remote_at: remote.at || null,
+      instance_id: instanceId || null,
+      detected_at: detectedAt
+    };
+    insertConflictStmt.run(conflict); // journaled, so every instance sees it
+    recorded.push(conflict);
+  }
+  return recorded;
+}
+
+/**
+ * Replace the journaled tables with the contents of a snapshot file, then replay the remote entries after
+ * it and our unpushed entries. Used when the entries we missed were already compacted into a new snapshot,
+ * so individual conflicts cannot be detected; our changes win.
+ * PDF text in the search index is kept for documents we already had.
+ */
+function loadSnapshot(snapshotPath, remoteEntries, localEntries) {
+  db.pragma('foreign_keys = OFF');
+  db.prepare('ATTACH DATABASE ? AS snap').run(snapshotPath);
+  try {
+    db.transaction(() => {
+      setState('replaying', 1);
+      db.exec('CREATE TEMP TABLE IF NOT EXISTS fts_keep (doc_id TEXT PRIMARY KEY, body TEXT)');
+      db.exec('DELETE FROM temp.fts_keep');
+      db.exec("INSERT INTO temp.fts_keep SELECT doc_id, body FROM documents_fts WHERE body IS NOT NULL AND body <> ''");
+
+      const snapTables = db.prepare("SELECT name FROM snap.sqlite_master WHERE type = 'table'").all().map(t => t.name);
+      for (const table of journaledTables()) {
+        db.exec(`DELETE FROM main.${quoteIdent(table)}`);
+        if (!snapTables.includes(table)) continue;
+        const snapCols = db.prepare(`PRAGMA snap.table_info(${quoteIdent(table)})`).all().map(c => c.name);
+        const cols = tableColumns(table).filter(c => snapCols.includes(c)).map(quoteIdent).join(', ');
+        db.exec(`INSERT INTO main.${quoteIdent(table)} (${cols}) SELECT ${cols} FROM snap.${quoteIdent(table)}`);
+      }
+
+      db.exec('UPDATE documents_fts SET body = (SELECT body FROM temp.fts_keep k WHERE k.doc_id = documents_fts.doc_id) WHERE doc_id IN (SELECT doc_id FROM temp.fts_keep)');
+      db.exec(`
+UPDATE documents SET text_extracted_at = NULL
+WHERE text_extracted_at IS NOT NULL
+  AND id IN (SELECT doc_id FROM documents_fts WHERE body IS NULL OR body = '')
+`);
+      db.exec('DROP TABLE temp.fts_keep');
+      deleteStateStmt.run('replaying');
+    })();
+  } finally {
+    db.exec('DETACH DATABASE snap');
+    db.pragma('foreign_keys = ON');
+  }
+  applyEntries(remoteEntries.concat(localEntries));
+}
+
+/**
+ * The remote now ends at remoteSeq: renumber our unpushed entries to follow it (keeping their order)
+ * and remember remoteSeq as pushed.
+ */
+const rebasePending = db.transaction((remoteSeq) => {
+  const pending = pendingStmt.all(lastPushedSeq(), -1);
+  deletePendingStmt.run(lastPushedSeq());
+  dropPushedStmt.run(remoteSeq);
+  pending.forEach((e, i) => insertEntryStmt.run(remoteSeq + i + 1, e.tbl, e.op, e.pk, e.row, e.at));
+  advanceSequence(remoteSeq + pending.length);
+  setState('last_pushed_seq', remoteSeq);
+});
+
+function listConflicts(status = 'open', limit = 100) {
+  const rows = status === 'all'
+    ? db.prepare('SELECT * FROM sync_conflicts ORDER BY detected_at DESC LIMIT ?').all(limit)
+    : db.prepare('SELECT * FROM sync_conflicts WHERE status = ? ORDER BY detected_at DESC LIMIT ?').all(status, limit);
+  return rows.map(r => Object.assign({}, r, {
+    pk: JSON.parse(r.pk),
+    local_row: r.local_row ? JSON.parse(r.local_row) : null,
+    remote_row: r.remote_row ? JSON.parse(r.remote_row) : null
+  }));
+}
+
+/**
+ * Close a conflict. keep='remote' writes the remote version of the row back as a normal (journaled) change.
+ */
+const resolveConflict = db.transaction((id, keep, userId) => {
+  const conflict = getConflictStmt.get(id);
+  if (!conflict) throw new Error('Conflict not found');
+  if (conflict.status !== 'open') throw new Error('Conflict already resolved');
+  if (keep === 'remote') {
+    const columns = tableColumns(conflict.tbl);
+    applyEntry({
+      seq: null,
+      tbl: conflict.tbl,
+      op: conflict.remote_op,
+      pk: JSON.parse(conflict.pk),
+      row: conflict.remote_row ? JSON.parse(conflict.remote_row) : null
+    }, { [conflict.tbl]: columns });
+  } else if (keep !== 'local') {
+    throw new Error("keep must be 'local' or 'remote'");
+  }
+  resolveConflictStmt.run(keep === 'remote' ? 'kept_remote' : 'kept_local', userId, new Date().toISOString(), id);
+});
+
+module.exports = {
+  getState,
+  setState,
+  lastPushedSeq,
+  currentSeq,
+  pendingEntries,
+  pendingCount,
+  markPushed,
+  advanceSequence,
+  applyEntries,
+  mergeRemoteEntries,
+  loadSnapshot,
+  rebasePending,
+  listConflicts,
+  resolveConflict
+};
@@ -0,0 +1,82 @@
+/**
+ * notifications.js
+ *
+ * Per-user notifications inbox (table notifications), shown on /notifications with an unread badge in
+ * the nav. Written by moderation (approved / denied with a reason), reports (document hidden or
+ * unpublished), bans (ban lifted or expired) and comments (new comments and replies, removal by a
+ * moderator). Messages are stored as rendered text so old entries read the same after wording changes.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./db');
+
+const KINDS = [
+  'doc_approved',
+  'doc_denied',
+  'revision_approved',
+  'revision_denied',
+  'doc_reported',
+  'doc_unpublished',
+  'ban_lifted',
+  'doc_comment',
+  'comment_reply',
+  'comment_removed'
+];
+const PAGE_SIZE = 50;
+
+const insertStmt = db.prepare(`
+INSERT INTO notifications (id, user_id, kind, doc_id, message, created_at)
+VALUES (@id, @user_id, @kind, @doc_id, @message, @created_at)
+`);
+const listStmt = db.prepare(`
+SELECT n.id, n.kind, n.doc_id, n.message, n.created_at, n.read_at, d.title as doc_title
+FROM notifications n
+LEFT JOIN documents d ON d.id = n.doc_id
+WHERE n.user_id = ?
+ORDER BY n.created_at DESC
+LIMIT ?
+`);
+const unreadCountStmt = db.prepare('SELECT COUNT(*) as n FROM notifications WHERE user_id = ? AND read_at IS NULL');
+const markReadStmt = db.prepare('UPDATE notifications SET read_at = ? WHERE user_id = ? AND id = ? AND read_at IS NULL');
+const markAllReadStmt = db.prepare('UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL');
+
+/**
+ * Add a notification for a user. Callers mark the DB dirty as part of their own change.
+ */
+function notify(userId, kind, message, { docId = null } = {}) {
+  if (!userId) return;
+  if (!KINDS.includes(kind)) throw new Error(`Unknown notification kind: ${kind}`);
+  insertStmt.run({
+    id: uuidv4(),
+    user_id: userId,
+    kind,
+    doc_id: docId,
+    message,
+    created_at: new Date().toISOString()
+  });
+}
+
+function listNotifications(userId, limit = PAGE_SIZE) {
+  return listStmt.all(userId, limit);
+}
+
+function unreadCount(userId) {
+  return unreadCountStmt.get(userId).n;
+}
+
+/**
+ * Mark notifications as read: the given ids, or all of them when ids is empty. Returns how many changed.
+ */
+const markRead = db.transaction((userId, ids = []) => {
+  const at = new Date().toISOString();
+  if (!ids.length) return markAllReadStmt.run(at, userId).changes;
+  return ids.reduce((n, id) => n + markReadStmt.run(at, userId, String(id)).changes, 0);
+});
+
+module.exports = {
+  KINDS,
+  notify,
+  listNotifications,
+  unreadCount,
+  markRead
+};
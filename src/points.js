@@ -0,0 +1,133 @@
+/**
+ * points.js
+ *
+ * Points ledger (table point_transactions). users.points is derived from the ledger (refreshUserPoints)
+ * and never changed directly.
+ * - An approved document earns its uploader APPROVAL_POINTS once; the award is computed from the
+ *   document row, not from anything the client sends.
+ * - When an approved document is taken down again (unpublished after reports, deleted), the award is
+ *   reversed with a negative entry, so re-approving it later awards it again.
+ * - Every entry keeps the document's school, which the per-school leaderboards group by.
+ * Points from before the ledger existed were migrated as one opening_balance entry per user (db.js).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./db');
+
+const APPROVAL_POINTS = 5;
+const REASONS = ['opening_balance', 'doc_approved', 'doc_removed'];
+const WINDOWS = {
+  week: 7,
+  month: 30,
+  all: null
+};
+const LEADERBOARD_SIZE = 10;
+
+const insertStmt = db.prepare(`
+INSERT INTO point_transactions (id, user_id, amount, reason, doc_id, school, actor_id, created_at)
+VALUES (@id, @user_id, @amount, @reason, @doc_id, @school, @actor_id, @created_at)
+`);
+const docBalanceStmt = db.prepare(`
+SELECT COALESCE(SUM(amount), 0) as n FROM point_transactions
+WHERE user_id = ? AND doc_id = ? AND reason IN ('doc_approved', 'doc_removed')
+`);
+const refreshPointsStmt = db.prepare(`
+UPDATE users SET points = (SELECT COALESCE(SUM(amount), 0) FROM point_transactions WHERE user_id = @id) WHERE id = @id
+`);
+const historyStmt = db.prepare(`
+SELECT t.amount, t.reason, t.doc_id, t.created_at, d.title as doc_title
+FROM point_transactions t
+LEFT JOIN documents d ON d.id = t.doc_id
+WHERE t.user_id = ?
+ORDER BY t.created_at DESC
+LIMIT ?
+`);
+const allTimeLeadersStmt = db.prepare(`
+SELECT username, points, status, profile_public FROM users
+WHERE status='active'
+  AND NOT EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = users.id AND r.role = 'admin')
+ORDER BY points DESC, datetime(created_at) ASC
+LIMIT @limit
+`);
+const windowLeadersStmt = db.prepare(`
+SELECT u.username, u.status, u.profile_public, SUM(t.amount) as points
+FROM point_transactions t
+JOIN users u ON u.id = t.user_id
+WHERE u.status='active'
+  AND NOT EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = u.id AND r.role = 'admin')
+  AND (@since IS NULL OR t.created_at >= @since)
+  AND (@school IS NULL OR lower(trim(t.school)) = lower(trim(@school)))
+GROUP BY u.id
+HAVING SUM(t.amount) > 0
+ORDER BY points DESC, datetime(u.created_at) ASC
+LIMIT @limit
+`);
+
+function refreshUserPoints(userId) {
+  refreshPointsStmt.run({ id: userId });
+}
+
+function addTransaction(userId, amount, reason, { doc = null, actorId = null } = {}) {
+  insertStmt.run({
+    id: uuidv4(),
+    user_id: userId,
+    amount,
+    reason,
+    doc_id: doc ? doc.id : null,
+    school: doc ? (doc.school || null) : null,
+    actor_id: actorId,
+    created_at: new Date().toISOString()
+  });
+  refreshUserPoints(userId);
+}
+
+/**
+ * Credit the uploader of a freshly approved document, unless the document already holds an award.
+ * Returns the points awarded (0 when nothing changed).
+ */
+const awardApproval = db.transaction((doc, actorId = null) => {
+  if (!doc.uploaded_by) return 0;
+  if (docBalanceStmt.get(doc.uploaded_by, doc.id).n > 0) return 0;
+  addTransaction(doc.uploaded_by, APPROVAL_POINTS, 'doc_approved', { doc, actorId });
+  return APPROVAL_POINTS;
+});
+
+/**
+ * Take back what a document earned when it is removed from the catalog. Returns the points removed.
+ */
+const reverseDocAward = db.transaction((doc, actorId = null) => {
+  if (!doc.uploaded_by) return 0;
+  const balance = docBalanceStmt.get(doc.uploaded_by, doc.id).n;
+  if (balance <= 0) return 0;
+  addTransaction(doc.uploaded_by, -balance, 'doc_removed', { doc, actorId });
+  return balance;
+});
+
+function pointsHistory(userId, limit = 50) {
+  return historyStmt.all(userId, limit);
+}
+
+/**
+ * Top users for a window ('week' = last 7 days, 'month' = last 30 days, 'all') and optional school.
+ */
+function leaderboard({ window = 'all', school = '' } = {}) {
+  const days = WINDOWS[window];
+  const schoolName = String(school || '').trim();
+  if (!days && !schoolName) return allTimeLeadersStmt.all({ limit: LEADERBOARD_SIZE });
+  return windowLeadersStmt.all({
+    since: days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null,
+    school: schoolName || null,
+    limit: LEADERBOARD_SIZE
+  });
+}
+
+module.exports = {
+  APPROVAL_POINTS,
+  REASONS,
+  WINDOWS,
+  awardApproval,
+  reverseDocAward,
+  refreshUserPoints,
+  pointsHistory,
+  leaderboard
+};
@@ -0,0 +1,121 @@
+/**
+ * profiles.js
+ *
+ * Public user profiles (/u/:username): display name, join date, points, all-time rank, badges and the
+ * user's published uploads.
+ * - Only accounts with a username of their own have a profile. Accounts still using their email as
+ *   username (the registration default, see auth.js) have none, so a profile URL never shows an email.
+ * - Users hide their profile under Settings (users.profile_public = 0). Hidden profiles and those of banned
+ *   accounts answer 404 to everyone but their owner.
+ * - Rank is the place on the all-time leaderboard (points.js): active users, admins left out.
+ * - Badges are worked out from the account's data on every request (BADGES); nothing is stored.
+ */
+
+const { db } = require('./db');
+const { getAccess, findUserByUsername } = require('./auth');
+const { markDataDirty } = require('./gitDataSync');
+
+const UPLOADS_LIMIT = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BADGES = [
+  { id: 'moderator', label: 'Moderator', description: 'Reviews uploads for the community', test: s => s.moderates },
+  { id: 'top_10', label: 'Top 10', description: 'On the all-time leaderboard', test: s => !!s.rank && s.rank <= 10 },
+  { id: 'first_upload', label: 'First upload', description: 'Had a document published', test: s => s.uploads >= 1 },
+  { id: 'contributor', label: 'Contributor', description: '10 published documents', test: s => s.uploads >= 10 },
+  { id: 'popular', label: 'Popular', description: 'Documents downloaded 100 times', test: s => s.downloads >= 100 },
+  { id: 'well_rated', label: 'Well rated', description: 'A document rated 4.5 stars or more by at least 5 people', test: s => s.wellRated },
+  { id: 'veteran', label: 'Veteran', description: 'Member for a year', test: s => s.memberDays >= 365 }
+];
+
+const isAdminStmt = db.prepare("SELECT 1 FROM user_roles WHERE user_id = ? AND role = 'admin'");
+const rankStmt = db.prepare(`
+SELECT COUNT(*) + 1 as rank FROM users o
+WHERE o.status = 'active'
+  AND NOT EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = o.id AND r.role = 'admin')
+  AND (o.points > @points OR (o.points = @points AND datetime(o.created_at) < datetime(@created_at)))
+`);
+const uploadStatsStmt = db.prepare(`
+SELECT COUNT(*) as uploads, COALESCE(SUM(download_count), 0) as downloads,
+       EXISTS (SELECT 1 FROM documents w WHERE w.uploaded_by = @id AND w.status = 'approved'
+               AND w.rating_count >= 5 AND w.rating_avg >= 4.5) as well_rated
+FROM documents WHERE uploaded_by = @id AND status = 'approved'
+`);
+const uploadsStmt = db.prepare(`
+SELECT id, title, school, course, grade_level, tags, created_at, download_count, rating_avg, rating_count, comment_count
+FROM documents
+WHERE uploaded_by = ? AND status = 'approved'
+ORDER BY created_at DESC
+LIMIT ?
+`);
+const setVisibilityStmt = db.prepare('UPDATE users SET profile_public = ? WHERE id = ?');
+
+function profileError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function hasProfileName(username) {
+  return !!username && !String(username).includes('@');
+}
+
+/**
+ * Link to a user's profile, or null when others cannot open it. user: { username, profile_public, status }.
+ */
+function profilePath(user) {
+  if (!user || !hasProfileName(user.username) || !user.profile_public || user.status !== 'active') return null;
+  return `/u/${encodeURIComponent(user.username)}`;
+}
+
+function rankOf(user) {
+  if (user.status !== 'active' || isAdminStmt.get(user.id)) return null;
+  return rankStmt.get({ points: user.points, created_at: user.created_at }).rank;
+}
+
+/**
+ * The profile behind a username as seen by viewerId.
+ */
+function getProfile(username, viewerId = null) {
+  const user = hasProfileName(username) ? findUserByUsername.get(String(username)) : null;
+  const isOwner = !!user && user.id === viewerId;
+  if (!user || (!isOwner && !profilePath(user))) throw profileError('Profile not found', 404);
+
+  const access = getAccess(user.id);
+  const rank = rankOf(user);
+  const counts = uploadStatsStmt.get({ id: user.id });
+  const stats = {
+    moderates: access.is_admin || access.is_moderator || access.moderator_schools.length > 0,
+    rank,
+    uploads: counts.uploads,
+    downloads: counts.downloads,
+    wellRated: !!counts.well_rated,
+    memberDays: (Date.now() - Date.parse(user.created_at)) / DAY_MS
+  };
+  return {
+    username: user.username,
+    joined_at: user.created_at,
+    points: user.points,
+    rank,
+    badges: BADGES.filter(b => b.test(stats)).map(({ id, label, description }) => ({ id, label, description })),
+    upload_count: counts.uploads,
+    downloads: counts.downloads,
+    uploads: uploadsStmt.all(user.id, UPLOADS_LIMIT),
+    is_public: !!user.profile_public,
+    is_owner: isOwner
+  };
+}
+
+function setProfileVisibility(userId, isPublic) {
+  setVisibilityStmt.run(isPublic ? 1 : 0, userId);
+  markDataDirty();
+  return !!isPublic;
+}
+
+module.exports = {
+  BADGES,
+  hasProfileName,
+  profilePath,
+  getProfile,
+  setProfileVisibility
+};
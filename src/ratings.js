@@ -0,0 +1,69 @@
+/**
+ * ratings.js
+ *
+ * 1–5 star ratings of published documents (table doc_ratings). Each signed-in user has one rating per
+ * document and can change it at any time; uploaders cannot rate their own documents.
+ * documents.rating_avg and documents.rating_count are re-derived from the ratings after every change
+ * (refreshDocRating) and never changed directly; they feed the top_rated search sort.
+ */
+
+const { db } = require('./db');
+const { markDataDirty } = require('./gitDataSync');
+
+const MIN_STARS = 1;
+const MAX_STARS = 5;
+
+const upsertStmt = db.prepare(`
+INSERT INTO doc_ratings (doc_id, user_id, stars, created_at, updated_at)
+VALUES (@doc_id, @user_id, @stars, @now, @now)
+ON CONFLICT(doc_id, user_id) DO UPDATE SET stars = excluded.stars, updated_at = excluded.updated_at
+`);
+const refreshStmt = db.prepare(`
+UPDATE documents SET
+  rating_avg = COALESCE((SELECT ROUND(AVG(stars), 2) FROM doc_ratings WHERE doc_id = @id), 0),
+  rating_count = (SELECT COUNT(*) FROM doc_ratings WHERE doc_id = @id)
+WHERE id = @id
+`);
+const summaryStmt = db.prepare('SELECT rating_avg, rating_count FROM documents WHERE id = ?');
+const userRatingStmt = db.prepare('SELECT stars FROM doc_ratings WHERE doc_id = ? AND user_id = ?');
+
+function ratingError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function refreshDocRating(docId) {
+  refreshStmt.run({ id: docId });
+}
+
+/**
+ * Set (or change) user's rating of doc. Returns { stars, rating_avg, rating_count }.
+ */
+const rateDocument = db.transaction((user, doc, stars) => {
+  const value = Number(stars);
+  if (!Number.isInteger(value) || value < MIN_STARS || value > MAX_STARS) {
+    throw ratingError(`Rate from ${MIN_STARS} to ${MAX_STARS} stars`);
+  }
+  if (doc.status !== 'approved') throw ratingError('Only published documents can be rated');
+  if (doc.uploaded_by === user.id) throw ratingError('You cannot rate your own document', 403);
+  upsertStmt.run({ doc_id: doc.id, user_id: user.id, stars: value, now: new Date().toISOString() });
+  refreshDocRating(doc.id);
+  markDataDirty();
+  return Object.assign({ stars: value }, summaryStmt.get(doc.id));
+});
+
+// The user's stars for a document, or null
+function userRating(userId, docId) {
+  if (!userId) return null;
+  const row = userRatingStmt.get(docId, userId);
+  return row ? row.stars : null;
+}
+
+module.exports = {
+  MIN_STARS,
+  MAX_STARS,
+  rateDocument,
+  userRating,
+  refreshDocRating
+};
@@ -0,0 +1,144 @@
+/**
+ * reports.js
+ *
+ * Community reports on published documents (table doc_reports).
+ * - Signed-in users report an approved document once (while their report is open) with a category
+ *   and optional details.
+ * - When REPORT_HIDE_THRESHOLD distinct users have open reports on a document, it is hidden
+ *   (status 'hidden': only the uploader and moderators still see it) until a moderator triages it.
+ * - Triage resolves all open reports of a document at once: dismiss (a hidden document is published
+ *   again), unpublish (status 'denied', its approval points are taken back) or ban (the uploader is
+ *   blocked by the caller, see api.js, and the document unpublished).
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./db');
+const { canModerateSchool } = require('./auth');
+const { markDataDirty } = require('./gitDataSync');
+const { notify } = require('./notifications');
+const { reverseDocAward } = require('./points');
+
+const CATEGORIES = {
+  copyright: 'Copyright infringement',
+  wrong_content: 'Wrong content',
+  offensive: 'Offensive',
+  cheating: 'Cheating material'
+};
+const ACTIONS = ['dismiss', 'unpublish', 'ban'];
+const MAX_DETAILS_LENGTH = 1000;
+
+const parsedThreshold = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10);
+const HIDE_THRESHOLD = Number.isFinite(parsedThreshold) && parsedThreshold >= 0 ? parsedThreshold : 3;
+
+const insertReportStmt = db.prepare(`
+INSERT INTO doc_reports (id, doc_id, reporter_id, category, details, status, created_at)
+VALUES (@id, @doc_id, @reporter_id, @category, @details, 'open', @created_at)
+`);
+const openReportByUserStmt = db.prepare("SELECT 1 FROM doc_reports WHERE doc_id = ? AND reporter_id = ? AND status = 'open'");
+const openReportersStmt = db.prepare("SELECT COUNT(DISTINCT reporter_id) as n FROM doc_reports WHERE doc_id = ? AND status = 'open'");
+const hideDocStmt = db.prepare("UPDATE documents SET status = 'hidden' WHERE id = ? AND status = 'approved'");
+const republishDocStmt = db.prepare("UPDATE documents SET status = 'approved' WHERE id = ? AND status = 'hidden'");
+const unpublishDocStmt = db.prepare("UPDATE documents SET status = 'denied' WHERE id = ? AND status IN ('approved', 'hidden')");
+const resolveReportsStmt = db.prepare(`
+UPDATE doc_reports SET status = @status, resolution = @resolution, resolved_by = @resolved_by, resolved_at = @resolved_at
+WHERE doc_id = @doc_id AND status = 'open'
+`);
+const reportedDocsStmt = db.prepare(`
+SELECT d.id, d.title, d.status, d.school, d.uploaded_by, u.username as uploader_username, u.email as uploader_email,
+       u.status as uploader_status, COUNT(r.id) as report_count, COUNT(DISTINCT r.reporter_id) as reporter_count,
+       MIN(r.created_at) as first_reported_at, MAX(r.created_at) as last_reported_at
+FROM doc_reports r
+JOIN documents d ON d.id = r.doc_id
+LEFT JOIN users u ON u.id = d.uploaded_by
+WHERE (@status = 'all' OR r.status = @status)
+GROUP BY d.id
+ORDER BY reporter_count DESC, first_reported_at ASC
+LIMIT @limit
+`);
+const docReportsStmt = db.prepare(`
+SELECT r.id, r.category, r.details, r.status, r.resolution, r.created_at, r.resolved_at,
+       u.username as reporter_username, v.username as resolved_by_username
+FROM doc_reports r
+LEFT JOIN users u ON u.id = r.reporter_id
+LEFT JOIN users v ON v.id = r.resolved_by
+WHERE r.doc_id = @doc_id AND (@status = 'all' OR r.status = @status)
+ORDER BY r.created_at
+`);
+
+/**
+ * File a report. Returns { id, hidden } (hidden: this report pushed the document over the threshold).
+ */
+const submitReport = db.transaction((user, doc, { category, details } = {}) => {
+  if (!CATEGORIES[category]) throw new Error(`Pick a category: ${Object.keys(CATEGORIES).join(', ')}`);
+  const text = String(details || '').trim();
+  if (text.length > MAX_DETAILS_LENGTH) throw new Error(`Details are limited to ${MAX_DETAILS_LENGTH} characters`);
+  if (doc.uploaded_by === user.id) throw new Error('You cannot report your own document');
+  if (!['approved', 'hidden'].includes(doc.status)) throw new Error('Only published documents can be reported');
+  if (openReportByUserStmt.get(doc.id, user.id)) throw new Error('You already reported this document');
+
+  const id = uuidv4();
+  insertReportStmt.run({
+    id,
+    doc_id: doc.id,
+    reporter_id: user.id,
+    category,
+    details: text || null,
+    created_at: new Date().toISOString()
+  });
+  let hidden = false;
+  if (HIDE_THRESHOLD && openReportersStmt.get(doc.id).n >= HIDE_THRESHOLD) {
+    hidden = hideDocStmt.run(doc.id).changes > 0;
+  }
+  if (hidden) {
+    notify(doc.uploaded_by, 'doc_reported',
+      `Your document "${doc.title}" was reported by several users and is hidden until a moderator reviews it.`, { docId: doc.id });
+  }
+  markDataDirty();
+  if (hidden) console.log(`Document ${doc.id} hidden after ${HIDE_THRESHOLD} reports`);
+  return { id, hidden };
+});
+
+/**
+ * Reported documents with their reports, limited to the schools the moderator covers.
+ * status: open (default) | dismissed | actioned | all.
+ */
+function listReportedDocs(access, status = 'open', limit = 100) {
+  return reportedDocsStmt.all({ status, limit })
+    .filter(d => canModerateSchool(access, d.school))
+    .map(d => Object.assign(d, { reports: docReportsStmt.all({ doc_id: d.id, status }) }));
+}
+
+/**
+ * Close every open report on a document. Banning the uploader is left to the caller.
+ * Returns the number of reports resolved.
+ */
+const resolveReports = db.transaction((doc, action, resolvedBy) => {
+  if (!ACTIONS.includes(action)) throw new Error(`Unknown action. Use one of: ${ACTIONS.join(', ')}`);
+  const resolved = resolveReportsStmt.run({
+    doc_id: doc.id,
+    status: action === 'dismiss' ? 'dismissed' : 'actioned',
+    resolution: action,
+    resolved_by: resolvedBy,
+    resolved_at: new Date().toISOString()
+  }).changes;
+  if (!resolved) throw new Error('No open reports for this document');
+  if (action === 'dismiss') {
+    if (republishDocStmt.run(doc.id).changes) {
+      notify(doc.uploaded_by, 'doc_approved', `Your document "${doc.title}" was reviewed after reports and is visible again.`, { docId: doc.id });
+    }
+  } else if (unpublishDocStmt.run(doc.id).changes) {
+    reverseDocAward(doc, resolvedBy);
+    notify(doc.uploaded_by, 'doc_unpublished', `Your document "${doc.title}" was unpublished after reports were reviewed.`, { docId: doc.id });
+  }
+  markDataDirty();
+  return resolved;
+});
+
+module.exports = {
+  CATEGORIES,
+  ACTIONS,
+  HIDE_THRESHOLD,
+  submitReport,
+  listReportedDocs,
+  resolveReports
+};
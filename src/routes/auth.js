@@ -8,8 +8,8 @@ router.get('/login', (req, res) => {
 
 router.post('/login', async (req, res) => {
   try {
-    const { email, password, next, client_banned, client_ban_reason } = req.body;
-    const user = await loginUser(email, password, client_banned === 'true', client_ban_reason || '');
+    const { email, password, next } = req.body;
+    const user = await loginUser(email, password);
     req.session.userId = user.id;
     if (user.is_admin) {
       return res.redirect('/admin/verify');
@@ -26,10 +26,10 @@ router.get('/register', (req, res) => {
 
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, confirm, client_banned, client_ban_reason } = req.body;
+    const { email, password, confirm } = req.body;
     if (!email || !password) throw new Error('Email and password required');
     if (password !== confirm) throw new Error('Passwords do not match');
-    const user = await registerUser(email.trim().toLowerCase(), password, client_banned === 'true', client_ban_reason || '');
+    const user = await registerUser(email.trim().toLowerCase(), password);
     req.session.userId = user.id;
     res.redirect('/');
   } catch (e) {
@@ -2,7 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../db');
-const { uploadPdf, fetchBlobBySha } = require('../githubStorage');
+const { uploadPdf, fetchPdf } = require('../storage');
 const mime = require('mime-types');
 
 const router = express.Router();
@@ -10,8 +10,8 @@ const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 100
 
 const insertDoc = db.prepare(`
 INSERT INTO documents
-(id, title, description, course, tags, content_type, size, github_path, github_sha, uploaded_by, created_at, status, school, grade_level)
-VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
+(id, title, description, course, tags, content_type, size, storage_backend, storage_key, storage_ref, uploaded_by, created_at, status, school, grade_level)
+VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)
 `);
 
 const getDoc = db.prepare(`
@@ -52,7 +52,7 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
     if (!isValidGradeLevel(grade_level)) throw new Error('Grade level must be 1–14 or College');
 
     const id = uuidv4();
-    const gh = await uploadPdf(req.file.buffer, req.file.originalname, id);
+    const stored = await uploadPdf(req.file.buffer, req.file.originalname, id);
 
     insertDoc.run(
       id,
@@ -62,8 +62,9 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
       tags ? tags.trim() : '',
       contentType,
       req.file.size,
-      gh.path,
-      gh.sha,
+      stored.backend,
+      stored.key,
+      stored.ref,
       req.session.userId,
       new Date().toISOString(),
       school.trim(),
@@ -102,7 +103,7 @@ router.get('/:id/view', async (req, res) => {
 
   res.setHeader('Content-Type', 'application/pdf');
   try {
-    const buf = await fetchBlobBySha(doc.github_sha);
+    const buf = await fetchPdf(doc);
     res.send(buf);
   } catch (e) {
     res.status(500).send('Error fetching PDF');
@@ -123,7 +124,7 @@ router.get('/:id/download', async (req, res) => {
   res.setHeader('Content-Type', 'application/pdf');
   res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
   try {
-    const buf = await fetchBlobBySha(doc.github_sha);
+    const buf = await fetchPdf(doc);
     res.send(buf);
   } catch (e) {
     res.status(500).send('Error fetching PDF');
@@ -0,0 +1,237 @@
+/**
+ * schools.js
+ *
+ * Schools directory (tables schools and school_aliases). Every document links to a school
+ * (documents.school_id) and carries its canonical name in documents.school.
+ * - Names are matched on a normalized key (schoolKey in db.js), then on aliases, so "M.I.T." and
+ *   "Massachusetts Institute of Technology" can both resolve to "MIT".
+ * - Uploads match the typed name with matchSchool(). A name that matches nothing stays free text on the
+ *   document (school_id NULL) until a moderator approves it; resolveSchool() then adds it to the directory,
+ *   unless an admin has made it an alias of a known school in the meantime.
+ * - Autocomplete only suggests schools with at least one approved document.
+ * - Admins rename schools, add aliases and merge duplicates. A merge re-points the source's documents,
+ *   courses, school moderator grants and ledger entries to the target and keeps the old names as aliases.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db, schoolKey, schoolIdForKey } = require('./db');
+const { markDataDirty } = require('./gitDataSync');
+const { moveCourses } = require('./catalog');
+
+const MAX_NAME_LENGTH = 120;
+const SUGGEST_LIMIT = 10;
+
+const byNameKeyStmt = db.prepare('SELECT * FROM schools WHERE name_key = ?');
+const byAliasKeyStmt = db.prepare(`
+SELECT s.*, a.alias FROM school_aliases a
+JOIN schools s ON s.id = a.school_id
+WHERE a.alias_key = ?
+`);
+const byIdStmt = db.prepare('SELECT * FROM schools WHERE id = ?');
+const insertSchoolStmt = db.prepare(`
+INSERT INTO schools (id, name, name_key, created_by, created_at)
+VALUES (@id, @name, @name_key, @created_by, @created_at)
+`);
+const renameSchoolStmt = db.prepare('UPDATE schools SET name = ?, name_key = ? WHERE id = ?');
+const deleteSchoolStmt = db.prepare('DELETE FROM schools WHERE id = ?');
+const insertAliasStmt = db.prepare(`
+INSERT OR REPLACE INTO school_aliases (alias_key, alias, school_id, created_at)
+VALUES (?, ?, ?, ?)
+`);
+const getAliasStmt = db.prepare('SELECT * FROM school_aliases WHERE alias_key = ?');
+const deleteAliasStmt = db.prepare('DELETE FROM school_aliases WHERE alias_key = ?');
+const moveAliasesStmt = db.prepare('UPDATE school_aliases SET school_id = ? WHERE school_id = ?');
+const schoolAliasesStmt = db.prepare('SELECT alias_key, alias, created_at FROM school_aliases WHERE school_id = ? ORDER BY alias');
+const repointDocsStmt = db.prepare('UPDATE documents SET school_id = @to_id, school = @name WHERE school_id = @from_id');
+const renameDocsStmt = db.prepare('UPDATE documents SET school = ? WHERE school_id = ?');
+const renameLedgerStmt = db.prepare(`
+UPDATE point_transactions SET school = ?
+WHERE doc_id IN (SELECT id FROM documents WHERE school_id = ?)
+`);
+const renameGrantsStmt = db.prepare(`
+UPDATE OR IGNORE user_roles SET school = ?
+WHERE role = 'school_moderator' AND lower(school) = lower(?)
+`);
+const dropStaleGrantsStmt = db.prepare("DELETE FROM user_roles WHERE role = 'school_moderator' AND lower(school) = lower(?) AND school <> ?");
+const suggestStmt = db.prepare(`
+SELECT s.id, s.name, m.alias as matched_alias, MIN(m.via_alias) as via_alias,
+       (SELECT COUNT(*) FROM documents d WHERE d.school_id = s.id AND d.status = 'approved') as doc_count
+FROM (
+  SELECT id as school_id, NULL as alias, 0 as via_alias FROM schools
+  WHERE @key = '' OR name_key LIKE @key || '%' OR name_key LIKE '% ' || @key || '%'
+  UNION ALL
+  SELECT school_id, alias, 1 as via_alias FROM school_aliases
+  WHERE @key <> '' AND (alias_key LIKE @key || '%' OR alias_key LIKE '% ' || @key || '%')
+) m
+JOIN schools s ON s.id = m.school_id
+GROUP BY s.id
+HAVING doc_count > 0
+ORDER BY doc_count DESC, s.name COLLATE NOCASE
+LIMIT @limit
+`);
+const listStmt = db.prepare(`
+SELECT s.id, s.name, s.created_at, u.username as created_by_username,
+       (SELECT COUNT(*) FROM documents d WHERE d.school_id = s.id) as doc_count
+FROM schools s
+LEFT JOIN users u ON u.id = s.created_by
+ORDER BY s.name COLLATE NOCASE
+`);
+
+function schoolError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function cleanSchoolName(name) {
+  const clean = String(name || '').replace(/\s+/g, ' ').trim();
+  if (!clean) throw schoolError('School is required');
+  if (clean.length > MAX_NAME_LENGTH) throw schoolError(`School names are limited to ${MAX_NAME_LENGTH} characters`);
+  if (!schoolKey(clean)) throw schoolError('School name must contain letters or digits');
+  return clean;
+}
+
+/**
+ * The school a name refers to (canonical name or alias), or null.
+ */
+function findSchool(name) {
+  const key = schoolKey(name);
+  if (!key) return null;
+  return byNameKeyStmt.get(key) || byAliasKeyStmt.get(key) || null;
+}
+
+function insertSchool(name, createdBy) {
+  const key = schoolKey(name);
+  // Same id on every instance for the same new name, unless an older school already took it
+  const id = byIdStmt.get(schoolIdForKey(key)) ? uuidv4() : schoolIdForKey(key);
+  const school = { id, name, name_key: key, created_by: createdBy || null, created_at: new Date().toISOString() };
+  insertSchoolStmt.run(school);
+  return school;
+}
+
+/**
+ * The directory school a typed name refers to, or { id: null, name } (free text) when nothing matches.
+ * Throws (status 400) for names that cannot be a school.
+ */
+function matchSchool(name) {
+  const clean = cleanSchoolName(name);
+  return findSchool(clean) || { id: null, name: clean };
+}
+
+/**
+ * Map a school name to a directory entry, adding a new school when nothing matches (approval, restore).
+ * Throws (status 400) for names that cannot be a school.
+ */
+const resolveSchool = db.transaction((name, createdBy = null) => {
+  const clean = cleanSchoolName(name);
+  return findSchool(clean) || insertSchool(clean, createdBy);
+});
+
+/**
+ * Autocomplete: schools with approved documents whose name or an alias has a word starting with prefix,
+ * most used first.
+ * matched_alias is set when only an alias matched.
+ */
+function suggestSchools(prefix, limit = SUGGEST_LIMIT) {
+  return suggestStmt.all({ key: schoolKey(prefix), limit })
+    .map(({ via_alias, ...s }) => s);
+}
+
+function listSchools() {
+  return listStmt.all().map(s => Object.assign(s, { aliases: schoolAliasesStmt.all(s.id) }));
+}
+
+function getSchoolOrThrow(id) {
+  const school = byIdStmt.get(String(id || ''));
+  if (!school) throw schoolError('School not found', 404);
+  return school;
+}
+
+// A key may name one school only: as its canonical name or as an alias
+function assertKeyFree(key, exceptSchoolId = null) {
+  const owner = byNameKeyStmt.get(key) || byAliasKeyStmt.get(key);
+  if (owner && owner.id !== exceptSchoolId) throw schoolError(`"${owner.name}" already uses this name`, 409);
+}
+
+const createSchool = db.transaction((name, createdBy) => {
+  const clean = cleanSchoolName(name);
+  assertKeyFree(schoolKey(clean));
+  const school = insertSchool(clean, createdBy);
+  markDataDirty();
+  return school;
+});
+
+/**
+ * Rename a school; its documents and grants follow and the old name stays as an alias.
+ */
+const renameSchool = db.transaction((id, name) => {
+  const school = getSchoolOrThrow(id);
+  const clean = cleanSchoolName(name);
+  const key = schoolKey(clean);
+  assertKeyFree(key, school.id);
+  if (clean === school.name) return school;
+
+  deleteAliasStmt.run(key);
+  renameSchoolStmt.run(clean, key, school.id);
+  if (key !== school.name_key) insertAliasStmt.run(school.name_key, school.name, school.id, new Date().toISOString());
+  renameDocsStmt.run(clean, school.id);
+  renameLedgerStmt.run(clean, school.id);
+  renameGrantsStmt.run(clean, school.name);
+  dropStaleGrantsStmt.run(school.name, clean);
+  markDataDirty();
+  return Object.assign({}, school, { name: clean, name_key: key });
+});
+
+const addAlias = db.transaction((id, alias) => {
+  const school = getSchoolOrThrow(id);
+  const clean = cleanSchoolName(alias);
+  const key = schoolKey(clean);
+  assertKeyFree(key);
+  insertAliasStmt.run(key, clean, school.id, new Date().toISOString());
+  markDataDirty();
+  return { alias_key: key, alias: clean, school_id: school.id };
+});
+
+function removeAlias(aliasKey) {
+  const alias = getAliasStmt.get(String(aliasKey || ''));
+  if (!alias) throw schoolError('Alias not found', 404);
+  deleteAliasStmt.run(alias.alias_key);
+  markDataDirty();
+  return alias;
+}
+
+/**
+ * Fold a duplicate school into another one. Returns how many documents moved.
+ */
+const mergeSchools = db.transaction((sourceId, targetId) => {
+  const source = getSchoolOrThrow(sourceId);
+  const target = getSchoolOrThrow(targetId);
+  if (source.id === target.id) throw schoolError('Pick two different schools');
+
+  const moved = repointDocsStmt.run({ from_id: source.id, to_id: target.id, name: target.name }).changes;
+  moveCourses(source.id, target.id);
+  renameLedgerStmt.run(target.name, target.id);
+  renameGrantsStmt.run(target.name, source.name);
+  dropStaleGrantsStmt.run(source.name, target.name);
+  moveAliasesStmt.run(target.id, source.id);
+  deleteSchoolStmt.run(source.id);
+  insertAliasStmt.run(source.name_key, source.name, target.id, new Date().toISOString());
+  markDataDirty();
+  console.log(`Merged school "${source.name}" into "${target.name}" (${moved} document(s))`);
+  return { moved_docs: moved, target: { id: target.id, name: target.name } };
+});
+
+module.exports = {
+  MAX_NAME_LENGTH,
+  cleanSchoolName,
+  findSchool,
+  matchSchool,
+  resolveSchool,
+  suggestSchools,
+  listSchools,
+  createSchool,
+  renameSchool,
+  addAlias,
+  removeAlias,
+  mergeSchools
+};
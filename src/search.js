@@ -0,0 +1,272 @@
+/**
+ * search.js
+ *
+ * Full-text search over document metadata and PDF contents (SQLite FTS5 table `documents_fts`).
+ * - Metadata columns are kept in step with `documents` by triggers (see migrate() in db.js).
+ * - PDF text is extracted right after upload (indexPdfText) and by a background job that backfills
+ *   documents whose text has not been extracted yet (startSearchIndexJob).
+ * - toMatchQuery() turns free-form user input into a safe FTS5 MATCH expression.
+ * - searchDocuments() runs a filtered, sorted search and pages through it with opaque cursors: a cursor
+ *   holds the sort values of the last row returned, so pages stay stable while documents are added.
+ */
+
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { db } = require('./db');
+const { fetchPdf } = require('./storage');
+const { markDataDirty } = require('./gitDataSync');
+
+const SEARCH_PAGE_SIZE = 20;
+const MAX_SEARCH_PAGE_SIZE = 100;
+const MAX_INDEXED_CHARS = 200000; // keep the synced DB small; plenty for exams and notes
+const JOB_BATCH_SIZE = 10;
+const JOB_INTERVAL_MS = 5 * 60 * 1000;
+
+// Markers passed to snippet(); control characters never appear in indexed text after whitespace normalization
+const HL_OPEN = '\u0001';
+const HL_CLOSE = '\u0002';
+
+const setBodyStmt = db.prepare('UPDATE documents_fts SET body = ? WHERE doc_id = ?');
+const markExtractedStmt = db.prepare('UPDATE documents SET text_extracted_at = ? WHERE id = ?');
+const unextractedStmt = db.prepare(`
+SELECT * FROM documents
+WHERE text_extracted_at IS NULL
+ORDER BY datetime(created_at) ASC
+LIMIT ?
+`);
+
+async function extractPdfText(buffer) {
+  const data = await pdfParse(buffer);
+  return (data.text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_INDEXED_CHARS);
+}
+
+/**
+ * Extract text from a PDF buffer and store it in the document's search row.
+ * Unreadable PDFs (scans, encrypted files) are marked as extracted with an empty body so they are not retried.
+ */
+async function indexPdfText(docId, buffer) {
+  let text = '';
+  try {
+    text = await extractPdfText(buffer);
+  } catch (e) {
+    console.error('PDF text extraction failed for doc', docId, e.message);
+  }
+  setBodyStmt.run(text, docId);
+  markExtractedStmt.run(new Date().toISOString(), docId);
+  markDataDirty();
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Convert a raw snippet() result into HTML with <mark> highlights; everything else is escaped.
+ */
+function snippetToHtml(raw) {
+  if (!raw) return '';
+  return escapeHtml(raw).split(HL_OPEN).join('<mark>').split(HL_CLOSE).join('</mark>');
+}
+
+/**
+ * Build an FTS5 MATCH expression from user input.
+ * - "quoted text" becomes a phrase
+ * - other words become prefix terms, all of which must match
+ * Returns '' when the input has no searchable words.
+ */
+function toMatchQuery(input) {
+  const terms = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(input || '')))) {
+    const words = (m[1] !== undefined ? m[1] : m[2]).match(/[\p{L}\p{N}]+/gu);
+    if (!words) continue;
+    if (m[1] !== undefined) terms.push(`"${words.join(' ')}"`);
+    else words.forEach(w => terms.push(`"${w}"*`));
+  }
+  return terms.join(' ');
+}
+
+// Sort orders as [column, direction] pairs over the search row; each ends with unique keys so cursors
+// never skip or repeat rows. relevance needs a text query (bm25 rank, lower is better).
+const SORTS = {
+  relevance: [['rank', 'ASC'], ['created_at', 'DESC'], ['id', 'DESC']],
+  newest: [['created_at', 'DESC'], ['id', 'DESC']],
+  most_downloaded: [['download_count', 'DESC'], ['created_at', 'DESC'], ['id', 'DESC']],
+  top_rated: [['rating_avg', 'DESC'], ['rating_count', 'DESC'], ['created_at', 'DESC'], ['id', 'DESC']]
+};
+
+function searchError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function encodeCursor(row, keys) {
+  return Buffer.from(JSON.stringify(keys.map(([col]) => row[col]))).toString('base64url');
+}
+
+function decodeCursor(cursor, keys) {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Array.isArray(values) && values.length === keys.length) return values;
+  } catch (e) { /* reported below */ }
+  throw searchError('Invalid cursor; start again from the first page');
+}
+
+// Rows strictly after the cursor in sort order: (a, b, c) after (x, y, z) lexicographically
+function afterCursorSql(keys, values, params) {
+  const clauses = keys.map(([col, dir], i) => {
+    const equal = keys.slice(0, i).map(([prev], j) => `${prev} = @cursor${j}`);
+    return '(' + equal.concat(`${col} ${dir === 'ASC' ? '>' : '<'} @cursor${i}`).join(' AND ') + ')';
+  });
+  values.forEach((v, i) => { params[`cursor${i}`] = v; });
+  return clauses.join(' OR ');
+}
+
+/**
+ * Search documents visible to viewer ({ userId, seesAll }).
+ * filters: match (FTS expression), schoolId | schoolLike, courseId | courseLike (+ courseKey), grade, tag,
+ *          uploader, from / before (ISO timestamps, created_at >= from and < before)
+ * options: sort (see SORTS; default relevance with a query, newest otherwise), cursor, limit
+ * Returns { docs, total, sort, next_cursor } (next_cursor is null on the last page).
+ */
+function searchDocuments(viewer, filters = {}, { sort = '', cursor = '', limit = SEARCH_PAGE_SIZE } = {}) {
+  const { match } = filters;
+  // Without a text query there is no relevance: newest first
+  const sortName = SORTS[sort] && (match || sort !== 'relevance') ? sort : (match ? 'relevance' : 'newest');
+  const keys = SORTS[sortName];
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || SEARCH_PAGE_SIZE, 1), MAX_SEARCH_PAGE_SIZE);
+
+  // Column weights for bm25: doc_id, title, description, course, tags, school, body
+  let sql = match ? `
+SELECT d.id, d.title, d.course, d.school, d.grade_level, d.tags, d.created_at, d.status,
+       d.download_count, d.rating_avg, d.rating_count, d.comment_count, u.status as uploader_status,
+       snippet(documents_fts, -1, char(1), char(2), '…', 16) as snippet,
+       bm25(documents_fts, 0.0, 10.0, 4.0, 5.0, 5.0, 2.0, 1.0) as rank
+FROM documents_fts
+JOIN documents d ON d.id = documents_fts.doc_id
+LEFT JOIN users u ON u.id = d.uploaded_by
+WHERE documents_fts MATCH @match
+` : `
+SELECT d.id, d.title, d.course, d.school, d.grade_level, d.tags, d.created_at, d.status,
+       d.download_count, d.rating_avg, d.rating_count, d.comment_count, u.status as uploader_status
+FROM documents d
+LEFT JOIN users u ON u.id = d.uploaded_by
+WHERE 1=1
+`;
+  const params = {};
+  if (match) params.match = match;
+
+  // Visibility: approved documents, the viewer's own uploads, everything for admins/global moderators
+  if (!viewer.seesAll) {
+    sql += ` AND (d.status = 'approved'`;
+    if (viewer.userId) {
+      sql += ` OR d.uploaded_by = @userId`;
+      params.userId = viewer.userId;
+    }
+    sql += `)`;
+  }
+
+  if (filters.schoolId) {
+    sql += ' AND d.school_id = @schoolId';
+    params.schoolId = filters.schoolId;
+  } else if (filters.schoolLike) {
+    sql += ' AND d.school LIKE @schoolLike';
+    params.schoolLike = `%${filters.schoolLike}%`;
+  }
+  if (filters.courseId) {
+    sql += ' AND d.course_id = @courseId';
+    params.courseId = filters.courseId;
+  } else if (filters.courseLike) {
+    // "cs50" finds CS 50 in every school through the course key, anything else is a substring match
+    sql += ' AND (d.course LIKE @courseLike OR d.course_id IN (SELECT id FROM courses WHERE course_key = @courseKey))';
+    params.courseLike = `%${filters.courseLike}%`;
+    params.courseKey = filters.courseKey || null;
+  }
+  if (filters.grade) {
+    sql += ' AND d.grade_level = @grade COLLATE NOCASE';
+    params.grade = filters.grade;
+  }
+  if (filters.tag) {
+    sql += ' AND EXISTS (SELECT 1 FROM document_tags t WHERE t.doc_id = d.id AND t.tag = @tag)';
+    params.tag = filters.tag;
+  }
+  if (filters.uploader) {
+    sql += ' AND u.username = @uploader COLLATE NOCASE';
+    params.uploader = filters.uploader;
+  }
+  if (filters.from) {
+    sql += ' AND d.created_at >= @from';
+    params.from = filters.from;
+  }
+  if (filters.before) {
+    sql += ' AND d.created_at < @before';
+    params.before = filters.before;
+  }
+
+  const total = db.prepare(`SELECT COUNT(*) as n FROM (${sql})`).get(params).n;
+
+  const pageParams = Object.assign({ limit: pageSize + 1 }, params);
+  const after = cursor ? ` WHERE ${afterCursorSql(keys, decodeCursor(cursor, keys), pageParams)}` : '';
+  const rows = db.prepare(`
+SELECT * FROM (${sql})${after}
+ORDER BY ${keys.map(([col, dir]) => `${col} ${dir}`).join(', ')}
+LIMIT @limit
+`).all(pageParams);
+
+  const hasMore = rows.length > pageSize;
+  const docs = rows.slice(0, pageSize);
+  const nextCursor = hasMore ? encodeCursor(docs[docs.length - 1], keys) : null;
+  return {
+    // The bm25 rank only orders results; it lives on in the cursor
+    docs: docs.map(({ rank, ...d }) => (match ? Object.assign(d, { snippet: snippetToHtml(d.snippet) }) : d)),
+    total,
+    sort: sortName,
+    next_cursor: nextCursor
+  };
+}
+
+let jobRunning = false;
+
+async function runIndexBatch() {
+  if (jobRunning) return;
+  jobRunning = true;
+  try {
+    const docs = unextractedStmt.all(JOB_BATCH_SIZE);
+    for (const doc of docs) {
+      try {
+        const buf = await fetchPdf(doc);
+        await indexPdfText(doc.id, buf);
+      } catch (e) {
+        // Storage errors are retried on the next run
+        console.error('Search indexing: could not fetch PDF for doc', doc.id, e.message);
+      }
+    }
+    if (docs.length) console.log(`Search indexing: processed ${docs.length} document(s)`);
+  } finally {
+    jobRunning = false;
+  }
+}
+
+function startSearchIndexJob() {
+  const tick = () => runIndexBatch().catch(e => console.error('Search indexing error', e));
+  setTimeout(tick, 10 * 1000).unref(); // shortly after boot
+  setInterval(tick, JOB_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  HL_OPEN,
+  HL_CLOSE,
+  extractPdfText,
+  indexPdfText,
+  snippetToHtml,
+  toMatchQuery,
+  SORTS,
+  searchDocuments,
+  startSearchIndexJob
+};
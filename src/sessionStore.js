@@ -0,0 +1,221 @@
+/**
+ * sessionStore.js
+ *
+ * express-session store backed by better-sqlite3.
+ * - Sessions live in their own database file (SESSIONS_DB_PATH, default data/sessions.db) so they survive
+ *   restarts and DB pulls but are never pushed to GitHub with data/app.db.
+ * - Each row keeps the owning user id plus client details (IP, user agent) for the "active sessions" list.
+ * - Expired rows are removed by a periodic cleanup (every 15 minutes).
+ *
+ * Session ids are secrets; the API exposes a short hash of the id (publicSessionId) instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const session = require('express-session');
+
+const SESSIONS_DB_PATH = process.env.SESSIONS_DB_PATH || './data/sessions.db';
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // for cookies without maxAge
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+function publicSessionId(sid) {
+  return crypto.createHash('sha256').update(String(sid)).digest('hex').slice(0, 16);
+}
+
+class SqliteSessionStore extends session.Store {
+  constructor({ dbPath = SESSIONS_DB_PATH } = {}) {
+    super();
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+CREATE TABLE IF NOT EXISTS sessions (
+  sid TEXT PRIMARY KEY,
+  public_id TEXT NOT NULL,
+  user_id TEXT,
+  sess TEXT NOT NULL,
+  expires_at INTEGER NOT NULL,
+  created_at TEXT NOT NULL,
+  last_seen_at TEXT NOT NULL,
+  ip TEXT,
+  user_agent TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at);
+`);
+
+    this.getStmt = this.db.prepare('SELECT sess FROM sessions WHERE sid = ? AND expires_at > ?');
+    this.upsertStmt = this.db.prepare(`
+INSERT INTO sessions (sid, public_id, user_id, sess, expires_at, created_at, last_seen_at, ip, user_agent)
+VALUES (@sid, @public_id, @user_id, @sess, @expires_at, @now, @now, @ip, @user_agent)
+ON CONFLICT(sid) DO UPDATE SET
+  user_id = excluded.user_id,
+  sess = excluded.sess,
+  expires_at = excluded.expires_at,
+  last_seen_at = excluded.last_seen_at,
+  ip = COALESCE(excluded.ip, sessions.ip),
+  user_agent = COALESCE(excluded.user_agent, sessions.user_agent)
+`);
+    this.touchStmt = this.db.prepare('UPDATE sessions SET expires_at = ?, last_seen_at = ? WHERE sid = ?');
+    this.destroyStmt = this.db.prepare('DELETE FROM sessions WHERE sid = ?');
+    this.clearStmt = this.db.prepare('DELETE FROM sessions');
+    this.lengthStmt = this.db.prepare('SELECT COUNT(*) as n FROM sessions WHERE expires_at > ?');
+    this.allStmt = this.db.prepare('SELECT sid, sess FROM sessions WHERE expires_at > ?');
+    this.pruneStmt = this.db.prepare('DELETE FROM sessions WHERE expires_at <= ?');
+    this.userSessionsStmt = this.db.prepare(`
+SELECT sid, public_id, created_at, last_seen_at, ip, user_agent
+FROM sessions
+WHERE user_id = ? AND expires_at > ?
+ORDER BY datetime(last_seen_at) DESC
+`);
+    this.userDevicesStmt = this.db.prepare(`
+SELECT DISTINCT json_extract(sess, '$.client.device') as device
+FROM sessions
+WHERE user_id = ? AND expires_at > ? AND json_extract(sess, '$.client.device') IS NOT NULL
+`);
+    this.destroyUserStmt = this.db.prepare('DELETE FROM sessions WHERE user_id = ? AND sid <> ?');
+    this.destroyUserPublicStmt = this.db.prepare('DELETE FROM sessions WHERE user_id = ? AND public_id = ?');
+  }
+
+  expiresAt(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires;
+    return expires ? new Date(expires).getTime() : Date.now() + DEFAULT_TTL_MS;
+  }
+
+  get(sid, cb) {
+    try {
+      const row = this.getStmt.get(sid, Date.now());
+      cb(null, row ? JSON.parse(row.sess) : null);
+    } catch (e) {
+      cb(e);
+    }
+  }
+
+  set(sid, sess, cb = () => {}) {
+    try {
+      const client = sess.client || {};
+      this.upsertStmt.run({
+        sid,
+        public_id: publicSessionId(sid),
+        user_id: sess.userId || null,
+        sess: JSON.stringify(sess),
+        expires_at: this.expiresAt(sess),
+        now: new Date().toISOString(),
+        ip: client.ip || null,
+        user_agent: client.user_agent || null
+      });
+      cb(null);
+    } catch (e) {
+      cb(e);
+    }
+  }
+
+  touch(sid, sess, cb = () => {}) {
+    try {
+      this.touchStmt.run(this.expiresAt(sess), new Date().toISOString(), sid);
+      cb(null);
+    } catch (e) {
+      cb(e);
+    }
+  }
+
+  destroy(sid, cb = () => {}) {
+    try {
+      this.destroyStmt.run(sid);
+      cb(null);
+    } catch (e) {
+      cb(e);
+    }
+  }
+
+  clear(cb = () => {}) {
+    try {
+      this.clearStmt.run();
+      cb(null);
+    } catch (e) {
+      cb(e);
+    }
+  }
+
+  length(cb) {
+    try {
+      cb(null, this.lengthStmt.get(Date.now()).n);
+    } catch (e) {
+      cb(e);
+    }
+  }
+
+  all(cb) {
+    try {
+      const sessions = {};
+      for (const row of this.allStmt.all(Date.now())) sessions[row.sid] = JSON.parse(row.sess);
+      cb(null, sessions);
+    } catch (e) {
+      cb(e);
+    }
+  }
+
+  pruneExpired() {
+    return this.pruneStmt.run(Date.now()).changes;
+  }
+
+  startCleanup() {
+    const tick = () => {
+      try {
+        const removed = this.pruneExpired();
+        if (removed) console.log(`Session cleanup: removed ${removed} expired session(s)`);
+      } catch (e) {
+        console.error('Session cleanup error', e);
+      }
+    };
+    tick();
+    setInterval(tick, CLEANUP_INTERVAL_MS).unref();
+  }
+
+  /**
+   * Active sessions of a user, newest activity first. `current` marks the session making the request.
+   */
+  listUserSessions(userId, currentSid) {
+    return this.userSessionsStmt.all(userId, Date.now()).map(row => ({
+      id: row.public_id,
+      current: row.sid === currentSid,
+      created_at: row.created_at,
+      last_seen_at: row.last_seen_at,
+      ip: row.ip,
+      user_agent: row.user_agent
+    }));
+  }
+
+  // Device ids (see bans.js) the user is currently signed in on
+  userDevices(userId) {
+    return this.userDevicesStmt.all(userId, Date.now()).map(row => row.device);
+  }
+
+  // Remove every session of a user except keepSid (pass null to remove all of them)
+  destroyUserSessions(userId, keepSid = null) {
+    return this.destroyUserStmt.run(userId, keepSid || '').changes;
+  }
+
+  destroyUserSession(userId, publicId) {
+    return this.destroyUserPublicStmt.run(userId, publicId).changes > 0;
+  }
+}
+
+let store = null;
+
+// Shared store instance (created on first use so scripts that never serve HTTP do not open the sessions DB)
+function getSessionStore() {
+  if (!store) store = new SqliteSessionStore();
+  return store;
+}
+
+module.exports = {
+  SESSIONS_DB_PATH,
+  SqliteSessionStore,
+  getSessionStore,
+  publicSessionId
+};
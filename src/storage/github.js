@@ -0,0 +1,68 @@
+// GitHub storage driver: stores PDFs as files in the configured repository.
+// The storage ref is the blob sha, which lets reads go straight to the git blob API.
+const { octokit, GH_OWNER, GH_REPO, GH_BRANCH, verifyRepoAccess } = require('../githubClient');
+
+async function put(key, buffer, { message } = {}) {
+  const { data } = await octokit.repos.createOrUpdateFileContents({
+    owner: GH_OWNER,
+    repo: GH_REPO,
+    path: key,
+    message: message || `Add ${key}`,
+    content: buffer.toString('base64'),
+    branch: GH_BRANCH
+  });
+
+  return {
+    key: data.content.path,
+    ref: data.content.sha
+  };
+}
+
+async function fetchBlobBySha(sha) {
+  const response = await octokit.request('GET /repos/{owner}/{repo}/git/blobs/{file_sha}', {
+    owner: GH_OWNER,
+    repo: GH_REPO,
+    file_sha: sha,
+    headers: { accept: 'application/vnd.github.raw' }
+  });
+
+  const body = response.data;
+  if (Buffer.isBuffer(body)) return body;
+  if (typeof body === 'string') return Buffer.from(body, 'binary');
+  if (body && body.content && body.encoding === 'base64') return Buffer.from(body.content, 'base64');
+  throw new Error('Unable to fetch blob content');
+}
+
+async function getSha(key) {
+  const { data } = await octokit.repos.getContent({
+    owner: GH_OWNER,
+    repo: GH_REPO,
+    path: key,
+    ref: GH_BRANCH
+  });
+  if (Array.isArray(data)) throw new Error('Expected file, got directory: ' + key);
+  return data.sha;
+}
+
+async function get(key, ref) {
+  return fetchBlobBySha(ref || await getSha(key));
+}
+
+async function remove(key, ref, { message } = {}) {
+  await octokit.repos.deleteFile({
+    owner: GH_OWNER,
+    repo: GH_REPO,
+    path: key,
+    message: message || `Remove ${key}`,
+    sha: ref || await getSha(key),
+    branch: GH_BRANCH
+  });
+}
+
+module.exports = {
+  name: 'github',
+  verify: verifyRepoAccess,
+  put,
+  get,
+  remove
+};
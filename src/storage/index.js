@@ -0,0 +1,128 @@
+/**
+ * storage/index.js
+ *
+ * Backend-neutral PDF storage. The active driver is picked with STORAGE_DRIVER:
+ *   github (default) - files in the configured GitHub repository
+ *   local            - files under STORAGE_LOCAL_DIR on this machine
+ *   s3               - objects in an S3-compatible bucket (S3_BUCKET, S3_ENDPOINT, ...)
+ *
+ * Every stored file is described by a location: { backend, key, ref }.
+ * - key is the backend-neutral path (e.g. pdfs/<doc id>/<file>.pdf)
+ * - ref is an optional driver-specific version (git blob sha, S3 ETag, content hash)
+ * Documents keep their backend in storage_backend, so rows written by a previous driver stay readable.
+ * Files live in one of FOLDERS: pdfs/ (live), banned-pdfs/ (deleted accounts, ban purges, deleted documents)
+ * or withdrawn-pdfs/ (documents their uploader withdrew). Moving a file swaps the folder and keeps the rest.
+ */
+
+const path = require('path');
+
+const DRIVER_MODULES = {
+  github: './github',
+  local: './local',
+  s3: './s3'
+};
+
+const FOLDERS = ['pdfs', 'banned-pdfs', 'withdrawn-pdfs'];
+
+const ACTIVE_DRIVER = (process.env.STORAGE_DRIVER || 'github').trim().toLowerCase();
+
+const loaded = {};
+
+function getDriver(name = ACTIVE_DRIVER) {
+  const modulePath = DRIVER_MODULES[name];
+  if (!modulePath) {
+    const err = new Error(`Unknown storage driver "${name}". Use one of: ${Object.keys(DRIVER_MODULES).join(', ')}`);
+    err.isConfigError = true;
+    throw err;
+  }
+  // Drivers are required lazily so unused backends never load their SDKs
+  if (!loaded[name]) loaded[name] = require(modulePath);
+  return loaded[name];
+}
+
+function sanitizeName(name) {
+  return name.replace(/[^a-zA-Z0-9._-]+/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+}
+
+function docLocation(doc) {
+  return { backend: doc.storage_backend, key: doc.storage_key, ref: doc.storage_ref };
+}
+
+async function verifyStorage() {
+  await getDriver().verify();
+}
+
+// Revisions (version > 1) get their own folder so earlier files stay untouched
+async function uploadPdf(buffer, originalName, id, { version = 1 } = {}) {
+  const safeName = sanitizeName(originalName || `document-${id}.pdf`) || `document-${id}.pdf`;
+  const key = version > 1
+    ? path.posix.join('pdfs', id, `v${version}`, safeName)
+    : path.posix.join('pdfs', id, safeName);
+
+  const driver = getDriver();
+  const stored = await driver.put(key, buffer, {
+    contentType: 'application/pdf',
+    message: version > 1 ? `Add PDF ${safeName} (${id} v${version})` : `Add PDF ${safeName} (${id})`
+  });
+
+  return { backend: driver.name, key: stored.key, ref: stored.ref };
+}
+
+async function fetchPdf(doc) {
+  const loc = docLocation(doc);
+  return getDriver(loc.backend).get(loc.key, loc.ref);
+}
+
+// <folder>/<id>/[v<n>/]<file> -> <to>/<id>/[v<n>/]<file>
+function keyInFolder(doc, loc, folder) {
+  const [first, ...rest] = loc.key.split('/');
+  return FOLDERS.includes(first) ? [folder, ...rest].join('/') : `${folder}/${doc.id}/${loc.key.split('/').pop()}`;
+}
+
+async function moveFile(loc, newKey, folder, docId) {
+  if (newKey === loc.key) return loc;
+  const driver = getDriver(loc.backend);
+  const rawBuf = await driver.get(loc.key, loc.ref);
+  const stored = await driver.put(newKey, rawBuf, {
+    contentType: 'application/pdf',
+    message: `Move PDF to ${folder} (${docId})`
+  });
+  await driver.remove(loc.key, loc.ref, {
+    message: `Remove original after moving to ${folder} (${docId})`
+  });
+  return { backend: driver.name, key: stored.key, ref: stored.ref };
+}
+
+async function moveToBannedFolder(doc) {
+  const loc = docLocation(doc);
+  return moveFile(loc, keyInFolder(doc, loc, 'banned-pdfs'), 'banned-pdfs', doc.id);
+}
+
+// Inverse of moveToBannedFolder: banned-pdfs/<id>/... -> pdfs/<id>/...
+async function restoreFromBannedFolder(doc) {
+  const loc = docLocation(doc);
+  return moveFile(loc, keyInFolder(doc, loc, 'pdfs'), 'pdfs', doc.id);
+}
+
+async function moveToWithdrawnFolder(doc) {
+  const loc = docLocation(doc);
+  return moveFile(loc, keyInFolder(doc, loc, 'withdrawn-pdfs'), 'withdrawn-pdfs', doc.id);
+}
+
+// Inverse of moveToWithdrawnFolder: withdrawn-pdfs/<id>/... -> pdfs/<id>/...
+async function restoreFromWithdrawnFolder(doc) {
+  const loc = docLocation(doc);
+  return moveFile(loc, keyInFolder(doc, loc, 'pdfs'), 'pdfs', doc.id);
+}
+
+module.exports = {
+  ACTIVE_DRIVER,
+  getDriver,
+  verifyStorage,
+  uploadPdf,
+  fetchPdf,
+  moveToBannedFolder,
+  restoreFromBannedFolder,
+  moveToWithdrawnFolder,
+  restoreFromWithdrawnFolder
+};
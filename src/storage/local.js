@@ -0,0 +1,52 @@
+// Local filesystem storage driver: stores PDFs under STORAGE_LOCAL_DIR (default ./data/storage).
+// Intended for development machines and CI, where no remote repository or bucket is available.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.resolve(process.cwd(), process.env.STORAGE_LOCAL_DIR || './data/storage');
+
+function resolveKey(key) {
+  const full = path.resolve(ROOT_DIR, key);
+  if (full !== ROOT_DIR && !full.startsWith(ROOT_DIR + path.sep)) {
+    throw new Error('Invalid storage key: ' + key);
+  }
+  return full;
+}
+
+async function verify() {
+  await fs.promises.mkdir(ROOT_DIR, { recursive: true });
+  await fs.promises.access(ROOT_DIR, fs.constants.W_OK);
+}
+
+async function put(key, buffer) {
+  const full = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(full), { recursive: true });
+  await fs.promises.writeFile(full, buffer);
+  return {
+    key,
+    ref: crypto.createHash('sha1').update(buffer).digest('hex')
+  };
+}
+
+async function get(key) {
+  return fs.promises.readFile(resolveKey(key));
+}
+
+async function remove(key) {
+  const full = resolveKey(key);
+  await fs.promises.rm(full, { force: true });
+  // Drop folders left empty (<folder>/<id>/v<n>/, then <folder>/<id>/); the top-level folders stay
+  for (let dir = path.dirname(full); path.dirname(dir) !== ROOT_DIR && dir !== ROOT_DIR; dir = path.dirname(dir)) {
+    const removed = await fs.promises.rmdir(dir).then(() => true, () => false);
+    if (!removed) break;
+  }
+}
+
+module.exports = {
+  name: 'local',
+  verify,
+  put,
+  get,
+  remove
+};
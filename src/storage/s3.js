@@ -0,0 +1,75 @@
+// S3-compatible storage driver (AWS S3, MinIO, R2, ...).
+// Set S3_ENDPOINT and S3_FORCE_PATH_STYLE=true to point it at a self-hosted or local MinIO instance.
+const {
+  S3Client,
+  HeadBucketCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+const S3_BUCKET = process.env.S3_BUCKET || '';
+const S3_REGION = process.env.S3_REGION || 'us-east-1';
+const S3_ENDPOINT = process.env.S3_ENDPOINT || '';
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE === 'true';
+
+const clientConfig = { region: S3_REGION, forcePathStyle: S3_FORCE_PATH_STYLE };
+if (S3_ENDPOINT) clientConfig.endpoint = S3_ENDPOINT;
+if (process.env.S3_ACCESS_KEY_ID && process.env.S3_SECRET_ACCESS_KEY) {
+  clientConfig.credentials = {
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  };
+}
+
+const client = new S3Client(clientConfig);
+
+async function verify() {
+  if (!S3_BUCKET) {
+    const err = new Error('Missing S3 configuration:\n- S3_BUCKET is not set');
+    err.isConfigError = true;
+    throw err;
+  }
+  try {
+    await client.send(new HeadBucketCommand({ Bucket: S3_BUCKET }));
+  } catch (e) {
+    const status = e.$metadata && e.$metadata.httpStatusCode;
+    if (status === 404 || status === 403) {
+      const err = new Error(`S3 bucket "${S3_BUCKET}" not found or credentials do not have access (HTTP ${status}).`);
+      err.isConfigError = true;
+      throw err;
+    }
+    throw e;
+  }
+}
+
+async function put(key, buffer, { contentType } = {}) {
+  const out = await client.send(new PutObjectCommand({
+    Bucket: S3_BUCKET,
+    Key: key,
+    Body: buffer,
+    ContentType: contentType || 'application/pdf'
+  }));
+  return {
+    key,
+    ref: out.ETag ? out.ETag.replace(/"/g, '') : null
+  };
+}
+
+async function get(key) {
+  const out = await client.send(new GetObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+  const bytes = await out.Body.transformToByteArray();
+  return Buffer.from(bytes);
+}
+
+async function remove(key) {
+  await client.send(new DeleteObjectCommand({ Bucket: S3_BUCKET, Key: key }));
+}
+
+module.exports = {
+  name: 's3',
+  verify,
+  put,
+  get,
+  remove
+};
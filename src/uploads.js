@@ -0,0 +1,177 @@
+/**
+ * uploads.js
+ *
+ * What uploaders can do with their own documents after uploading them ("My uploads", /uploads).
+ * - Edit the title, description, school, course, grade and tags. The school and course are matched again
+ *   like on upload. A published document whose title, school, course or grade changes goes back to the
+ *   verification queue (its approval points are taken back and paid again when it is re-approved);
+ *   a denied document goes back to the queue after any change. Description and tag edits of a published
+ *   document apply right away.
+ * - Withdraw a document (status 'withdrawn'): every version's file moves from pdfs/ to withdrawn-pdfs/,
+ *   only the uploader still sees it, and its approval points are taken back. Resubmitting moves the files
+ *   back and puts the document in the verification queue.
+ * - Delete a document: its files move to banned-pdfs/ (like account deletion) and the catalog row goes,
+ *   with its ratings, comments and collection entries.
+ */
+
+const { db } = require('./db');
+const { moveToWithdrawnFolder, restoreFromWithdrawnFolder } = require('./storage');
+const { relocateAllVersions, moveAllVersionsToBannedFolder } = require('./versions');
+const { matchSchool } = require('./schools');
+const { MAX_COURSE_LENGTH, resolveCourse, courseText, setDocumentTags } = require('./catalog');
+const { reverseDocAward } = require('./points');
+const { markDataDirty } = require('./gitDataSync');
+
+const MAX_DESCRIPTION_LENGTH = 2000;
+const STATUSES = ['pending', 'approved', 'denied', 'hidden', 'withdrawn'];
+
+const uploadsStmt = db.prepare(`
+SELECT d.id, d.title, d.description, d.course, d.school, d.grade_level, d.tags, d.status, d.denial_reason,
+       d.created_at, d.updated_at, d.withdrawn_at, d.size, d.current_version, d.view_count, d.download_count,
+       d.rating_avg, d.rating_count, d.comment_count,
+       (SELECT v.version FROM document_versions v WHERE v.document_id = d.id AND v.status = 'pending') as pending_version
+FROM documents d
+WHERE d.uploaded_by = @user_id AND (@status IS NULL OR d.status = @status)
+ORDER BY d.created_at DESC
+`);
+const updateStmt = db.prepare(`
+UPDATE documents SET
+  title = @title, description = @description, school = @school, school_id = @school_id, course = @course,
+  course_id = @course_id, grade_level = @grade_level, tags = @tags, status = @status,
+  denial_reason = CASE WHEN @status = status THEN denial_reason ELSE NULL END, updated_at = @now
+WHERE id = @id
+`);
+const withdrawStmt = db.prepare(`
+UPDATE documents SET status = 'withdrawn', withdrawn_at = ? WHERE id = ? AND status != 'withdrawn'
+`);
+const resubmitStmt = db.prepare(`
+UPDATE documents SET status = 'pending', withdrawn_at = NULL, denial_reason = NULL WHERE id = ? AND status = 'withdrawn'
+`);
+const deleteStmt = db.prepare('DELETE FROM documents WHERE id = ?');
+
+function uploadError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function isValidGradeLevel(val) {
+  if (!val) return false;
+  const trimmed = String(val).trim();
+  if (trimmed.toLowerCase() === 'college') return true;
+  const num = Number(trimmed);
+  return Number.isInteger(num) && num >= 1 && num <= 14;
+}
+
+function ownDoc(user, doc) {
+  if (!doc) throw uploadError('Not found', 404);
+  if (doc.uploaded_by !== user.id) throw uploadError('Only the uploader can change this document', 403);
+  return doc;
+}
+
+/**
+ * The user's documents, newest first, optionally with one status.
+ */
+function listUploads(userId, { status = '' } = {}) {
+  return uploadsStmt.all({ user_id: userId, status: STATUSES.includes(status) ? status : null });
+}
+
+/**
+ * Change the metadata of the user's document. Fields left out keep their value.
+ * Returns { status, requeued } (requeued: the change sent the document back to the verification queue).
+ */
+const updateUpload = db.transaction((user, doc, fields = {}) => {
+  ownDoc(user, doc);
+  const has = (name) => fields[name] !== undefined;
+
+  const title = has('title') ? String(fields.title || '').replace(/\s+/g, ' ').trim() : doc.title;
+  if (!title) throw uploadError('Title is required');
+  const description = has('description') ? String(fields.description || '').trim() : (doc.description || '');
+  if (description.length > MAX_DESCRIPTION_LENGTH) throw uploadError(`Descriptions are limited to ${MAX_DESCRIPTION_LENGTH} characters`);
+  const gradeLevel = has('grade_level') ? String(fields.grade_level || '').trim() : doc.grade_level;
+  if (!isValidGradeLevel(gradeLevel)) throw uploadError('Grade level must be 1–14 or College');
+  const typedCourse = has('course') ? fields.course : doc.course;
+  if (String(typedCourse || '').trim().length > MAX_COURSE_LENGTH) throw uploadError(`Course is limited to ${MAX_COURSE_LENGTH} characters`);
+
+  const school = has('school') ? matchSchool(fields.school) : { id: doc.school_id, name: doc.school };
+  // Free-text schools have no id, so their names are compared too
+  const schoolChanged = school.id !== doc.school_id || school.name !== doc.school;
+  // The course belongs to the school, so a new school means resolving the course text again
+  const resolveAgain = has('course') || schoolChanged;
+  const course = resolveAgain ? resolveCourse(school.id, typedCourse, user.id) : null;
+  const courseId = resolveAgain ? (course ? course.id : null) : doc.course_id;
+  const courseName = resolveAgain ? courseText(course, typedCourse) : (doc.course || '');
+  const tags = has('tags') ? setDocumentTags(doc.id, fields.tags).join(', ') : (doc.tags || '');
+
+  const material = title !== doc.title || schoolChanged || courseId !== doc.course_id || courseName !== (doc.course || '') ||
+    gradeLevel.toLowerCase() !== String(doc.grade_level || '').toLowerCase();
+  const changed = material || description !== (doc.description || '') || tags !== (doc.tags || '');
+  if (!changed) return { status: doc.status, requeued: false };
+
+  let status = doc.status;
+  if ((doc.status === 'approved' && material) || doc.status === 'denied') status = 'pending';
+  updateStmt.run({
+    id: doc.id,
+    title,
+    description,
+    school: school.name,
+    school_id: school.id,
+    course: courseName,
+    course_id: courseId,
+    grade_level: gradeLevel,
+    tags,
+    status,
+    now: new Date().toISOString()
+  });
+  if (doc.status === 'approved' && status === 'pending') reverseDocAward(doc, user.id);
+  markDataDirty();
+  return { status, requeued: status === 'pending' && doc.status !== 'pending' };
+});
+
+/**
+ * Take the user's document down: files to withdrawn-pdfs/, status 'withdrawn', approval points reversed.
+ */
+async function withdrawUpload(user, doc) {
+  ownDoc(user, doc);
+  if (doc.status === 'withdrawn') throw uploadError('This document is already withdrawn');
+  await relocateAllVersions(doc, moveToWithdrawnFolder, restoreFromWithdrawnFolder);
+  db.transaction(() => {
+    withdrawStmt.run(new Date().toISOString(), doc.id);
+    reverseDocAward(doc, user.id);
+  })();
+  markDataDirty();
+}
+
+/**
+ * Put a withdrawn document back: files to pdfs/, status 'pending' (it is reviewed again).
+ */
+async function resubmitUpload(user, doc) {
+  ownDoc(user, doc);
+  if (doc.status !== 'withdrawn') throw uploadError('Only withdrawn documents can be resubmitted');
+  await relocateAllVersions(doc, restoreFromWithdrawnFolder, moveToWithdrawnFolder);
+  resubmitStmt.run(doc.id);
+  markDataDirty();
+}
+
+/**
+ * Delete the user's document for good. Returns the number of files moved to banned-pdfs/.
+ */
+async function deleteUpload(user, doc) {
+  ownDoc(user, doc);
+  const moved = await moveAllVersionsToBannedFolder(doc);
+  db.transaction(() => {
+    reverseDocAward(doc, user.id);
+    deleteStmt.run(doc.id);
+  })();
+  markDataDirty();
+  return moved.filter(m => m.to).length;
+}
+
+module.exports = {
+  isValidGradeLevel,
+  listUploads,
+  updateUpload,
+  withdrawUpload,
+  resubmitUpload,
+  deleteUpload
+};
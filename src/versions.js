@@ -0,0 +1,201 @@
+/**
+ * versions.js
+ *
+ * Document version history (table document_versions).
+ * - Version 1 is the original upload; owners can add revisions later.
+ * - The `documents` row always points (storage_* columns, current_version) at the version people see.
+ * - A revision of an approved document waits in moderation as a pending version while the approved one
+ *   stays visible; a revision of a pending/denied document simply becomes the document's file and goes
+ *   (back) to review. At most one version per document is pending at a time.
+ */
+
+const { db } = require('./db');
+const { moveToBannedFolder } = require('./storage');
+
+const insertVersionStmt = db.prepare(`
+INSERT INTO document_versions
+(id, document_id, version, storage_backend, storage_key, storage_ref, size, original_name, note, uploaded_by, created_at, status)
+VALUES (@id, @document_id, @version, @storage_backend, @storage_key, @storage_ref, @size, @original_name, @note, @uploaded_by, @created_at, @status)
+`);
+const maxVersionStmt = db.prepare('SELECT MAX(version) as v FROM document_versions WHERE document_id = ?');
+const listVersionsStmt = db.prepare(`
+SELECT v.id, v.version, v.size, v.original_name, v.note, v.created_at, v.status, v.reviewed_at, v.denial_reason,
+       u.username as uploader_username
+FROM document_versions v
+LEFT JOIN users u ON u.id = v.uploaded_by
+WHERE v.document_id = ?
+ORDER BY v.version DESC
+`);
+const getVersionStmt = db.prepare('SELECT * FROM document_versions WHERE document_id = ? AND version = ?');
+const allVersionFilesStmt = db.prepare('SELECT * FROM document_versions WHERE document_id = ? ORDER BY version');
+const pendingVersionStmt = db.prepare("SELECT * FROM document_versions WHERE document_id = ? AND status = 'pending'");
+const supersedePendingStmt = db.prepare("UPDATE document_versions SET status = 'superseded' WHERE document_id = ? AND status = 'pending'");
+const setVersionStatusStmt = db.prepare('UPDATE document_versions SET status = ?, reviewed_at = ?, denial_reason = ? WHERE document_id = ? AND version = ?');
+const pointDocAtVersionStmt = db.prepare(`
+UPDATE documents
+SET storage_backend = @storage_backend, storage_key = @storage_key, storage_ref = @storage_ref,
+    size = @size, current_version = @version, text_extracted_at = NULL
+WHERE id = @document_id
+`);
+const setDocPendingStmt = db.prepare("UPDATE documents SET status = 'pending' WHERE id = ?");
+const setVersionLocationStmt = db.prepare(`
+UPDATE document_versions SET storage_backend = @backend, storage_key = @key, storage_ref = @ref
+WHERE document_id = @document_id AND version = @version
+`);
+const setDocLocationStmt = db.prepare(`
+UPDATE documents SET storage_backend = @backend, storage_key = @key, storage_ref = @ref
+WHERE id = @document_id AND current_version = @version
+`);
+
+function nextVersionNumber(docId) {
+  return (maxVersionStmt.get(docId).v || 0) + 1;
+}
+
+function recordVersion(docId, version, stored, { size, originalName = null, note = null, uploadedBy = null, status = 'pending' } = {}) {
+  insertVersionStmt.run({
+    id: `${docId}:v${version}`,
+    document_id: docId,
+    version,
+    storage_backend: stored.backend,
+    storage_key: stored.key,
+    storage_ref: stored.ref,
+    size,
+    original_name: originalName,
+    note,
+    uploaded_by: uploadedBy,
+    created_at: new Date().toISOString(),
+    status
+  });
+}
+
+/**
+ * Add an owner revision to an existing document (see module notes for how it is reviewed).
+ * Returns { version, awaitingReview: 'revision' | 'document' }.
+ */
+const addRevision = db.transaction((doc, version, stored, opts) => {
+  supersedePendingStmt.run(doc.id);
+  recordVersion(doc.id, version, stored, Object.assign({}, opts, { status: 'pending' }));
+  if (doc.status === 'approved') {
+    return { version, awaitingReview: 'revision' };
+  }
+  pointDocAtVersionStmt.run({
+    document_id: doc.id,
+    version,
+    size: opts.size,
+    storage_backend: stored.backend,
+    storage_key: stored.key,
+    storage_ref: stored.ref
+  });
+  setDocPendingStmt.run(doc.id);
+  return { version, awaitingReview: 'document' };
+});
+
+/**
+ * Resolve the pending version of a document as approved or denied (denialReason is kept on the version).
+ * Approving a revision makes it the visible version; the search job then re-extracts its text.
+ */
+const reviewPendingVersion = db.transaction((doc, approved, denialReason = null) => {
+  const pending = pendingVersionStmt.get(doc.id);
+  if (!pending) return null;
+  setVersionStatusStmt.run(approved ? 'approved' : 'denied', new Date().toISOString(), approved ? null : denialReason, doc.id, pending.version);
+  if (approved && pending.version !== doc.current_version) {
+    pointDocAtVersionStmt.run({
+      document_id: doc.id,
+      version: pending.version,
+      size: pending.size,
+      storage_backend: pending.storage_backend,
+      storage_key: pending.storage_key,
+      storage_ref: pending.storage_ref
+    });
+  }
+  return pending.version;
+});
+
+/**
+ * Resolve the pending version of a pending/denied document together with the document, when that version is
+ * the document's own file. A revision still waiting from before the document went back to the queue (an
+ * owner edit, see uploads.js) is left pending for its own review once the document is approved.
+ */
+function reviewCurrentVersion(doc, approved, denialReason = null) {
+  const pending = pendingVersionStmt.get(doc.id);
+  if (!pending || pending.version !== doc.current_version) return null;
+  return reviewPendingVersion(doc, approved, denialReason);
+}
+
+function listVersions(docId) {
+  return listVersionsStmt.all(docId);
+}
+
+function getVersion(docId, version) {
+  return getVersionStmt.get(docId, version);
+}
+
+function getPendingVersion(docId) {
+  return pendingVersionStmt.get(docId) || null;
+}
+
+/**
+ * Move every stored version of a document into banned-pdfs/ (account deletion, ban purge).
+ * Errors are logged per file so one missing blob does not block the rest.
+ * Returns one entry per file: { version, from: location, to: location | null, error }.
+ */
+async function moveAllVersionsToBannedFolder(doc) {
+  const versions = allVersionFilesStmt.all(doc.id);
+  const files = versions.length ? versions : [doc];
+  const moved = [];
+  for (const file of files) {
+    const from = { backend: file.storage_backend, key: file.storage_key, ref: file.storage_ref };
+    try {
+      const to = await moveToBannedFolder(Object.assign({}, file, { id: doc.id }));
+      moved.push({ version: file.version || doc.current_version || 1, from, to, error: null });
+    } catch (e) {
+      console.error('Move to banned-pdfs failed for doc', doc.id, 'key', file.storage_key, e.message);
+      moved.push({ version: file.version || doc.current_version || 1, from, to: null, error: e.message });
+    }
+  }
+  return moved;
+}
+
+const saveLocations = db.transaction((docId, moved) => {
+  for (const m of moved) {
+    const row = Object.assign({ document_id: docId, version: m.version }, m.to);
+    setVersionLocationStmt.run(row);
+    setDocLocationStmt.run(row);
+  }
+});
+
+/**
+ * Move every stored version of a document with move (a storage mover such as moveToWithdrawnFolder) and
+ * point the version rows and the document at the new locations. All or nothing: when one file cannot be
+ * moved, the files already moved go back with undo and the error is thrown.
+ */
+async function relocateAllVersions(doc, move, undo) {
+  const moved = [];
+  try {
+    for (const file of allVersionFilesStmt.all(doc.id)) {
+      const to = await move(Object.assign({}, file, { id: doc.id }));
+      moved.push({ version: file.version, to });
+    }
+  } catch (e) {
+    for (const m of moved) {
+      await undo({ id: doc.id, storage_backend: m.to.backend, storage_key: m.to.key, storage_ref: m.to.ref })
+        .catch(err => console.error('Could not move file back for doc', doc.id, 'key', m.to.key, err.message));
+    }
+    throw e;
+  }
+  saveLocations(doc.id, moved);
+  return moved.length;
+}
+
+module.exports = {
+  nextVersionNumber,
+  recordVersion,
+  addRevision,
+  reviewPendingVersion,
+  reviewCurrentVersion,
+  listVersions,
+  getVersion,
+  getPendingVersion,
+  moveAllVersionsToBannedFolder,
+  relocateAllVersions
+};
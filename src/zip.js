@@ -0,0 +1,128 @@
+/**
+ * zip.js
+ *
+ * Minimal streaming ZIP writer for document bundles (see zipDownloads.js). Entries are added one at a time
+ * and written straight to the output stream, so a bundle never has to fit in memory; only the central
+ * directory (a few dozen bytes per entry) is kept until finish().
+ * Entries are stored without compression: PDFs are compressed already and deflating them again costs CPU
+ * for next to nothing. Names are UTF-8. No ZIP64, so callers keep bundles under 4 GB and 65535 entries.
+ */
+
+const MAX_ENTRIES = 0xffff;
+const MAX_OFFSET = 0xffffffff;
+
+let crcTable = null;
+
+function crc32(buf) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields (local time, 2-second resolution)
+function dosDateTime(date) {
+  const d = date.getFullYear() < 1980 ? new Date(1980, 0, 1) : date;
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+/**
+ * Writer for one archive on a writable stream (e.g. an HTTP response):
+ *   const zip = createZipWriter(res);
+ *   await zip.addFile('a.pdf', buffer, new Date());
+ *   await zip.finish();
+ * Writes wait for the stream to drain, so a slow client slows the bundle down instead of filling memory.
+ */
+function createZipWriter(out) {
+  const entries = [];
+  let offset = 0;
+  let finished = false;
+
+  function write(buf) {
+    offset += buf.length;
+    if (out.write(buf)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const done = (err) => {
+        out.off('drain', done);
+        out.off('close', closed);
+        if (err) reject(err); else resolve();
+      };
+      const closed = () => done(new Error('Output closed before the archive was complete'));
+      out.once('drain', done);
+      out.once('close', closed);
+    });
+  }
+
+  async function addFile(name, data, modified = new Date()) {
+    if (finished) throw new Error('Archive already finished');
+    if (entries.length >= MAX_ENTRIES) throw new Error('Too many entries for a ZIP archive');
+    if (offset + data.length > MAX_OFFSET) throw new Error('Archive too large');
+    const nameBuf = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(modified);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0); // local file header
+    header.writeUInt16LE(20, 4); // version needed (2.0)
+    header.writeUInt16LE(0x0800, 6); // flags: UTF-8 names
+    header.writeUInt16LE(0, 8); // method: stored
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(data.length, 18); // compressed size
+    header.writeUInt32LE(data.length, 22); // uncompressed size
+    header.writeUInt16LE(nameBuf.length, 26);
+    header.writeUInt16LE(0, 28); // extra field length
+
+    entries.push({ nameBuf, crc, size: data.length, time, date, offset });
+    await write(Buffer.concat([header, nameBuf]));
+    await write(data);
+  }
+
+  async function finish() {
+    if (finished) return;
+    finished = true;
+    const start = offset;
+    for (const e of entries) {
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0); // central directory header
+      central.writeUInt16LE(20, 4); // version made by
+      central.writeUInt16LE(20, 6); // version needed
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(0, 10);
+      central.writeUInt16LE(e.time, 12);
+      central.writeUInt16LE(e.date, 14);
+      central.writeUInt32LE(e.crc, 16);
+      central.writeUInt32LE(e.size, 20);
+      central.writeUInt32LE(e.size, 24);
+      central.writeUInt16LE(e.nameBuf.length, 28);
+      // extra, comment, disk number, internal and external attributes stay 0
+      central.writeUInt32LE(e.offset, 42);
+      await write(Buffer.concat([central, e.nameBuf]));
+    }
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // end of central directory
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await write(end);
+  }
+
+  return { addFile, finish };
+}
+
+module.exports = {
+  createZipWriter,
+  crc32
+};
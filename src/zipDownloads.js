@@ -0,0 +1,181 @@
+/**
+ * zipDownloads.js
+ *
+ * Several documents as one ZIP download: a collection (GET /api/collections/:id/zip) or a page of search
+ * results (GET /api/docs/search/zip).
+ * - Only published documents are packed, at most ZIP_MAX_DOCS of them and ZIP_MAX_BYTES in total; the
+ *   callers pass documents the user may already see, in the order they should appear.
+ * - The archive is streamed (zip.js): each PDF is fetched from storage and written before the next one.
+ *   A PDF that cannot be fetched is left out. INDEX.txt (readable list) and manifest.json (the same as
+ *   data) come last and list what is in the archive and what was left out.
+ * - Every packed document counts as a download of it (analytics.js).
+ * - Each user may start ZIP_DOWNLOADS_PER_HOUR bundles per rolling hour (env, default 10; 0 = no limit).
+ *   Bundles are logged in zip_downloads, so the limit holds across instances and restarts.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { db } = require('./db');
+const { fetchPdf } = require('./storage');
+const { recordEvent } = require('./analytics');
+const { createZipWriter } = require('./zip');
+
+const ZIP_MAX_DOCS = 50;
+const ZIP_MAX_BYTES = 500 * 1024 * 1024;
+const HOUR_MS = 60 * 60 * 1000;
+
+const parsedLimit = parseInt(process.env.ZIP_DOWNLOADS_PER_HOUR, 10);
+const DOWNLOADS_PER_HOUR = Number.isFinite(parsedLimit) && parsedLimit >= 0 ? parsedLimit : 10;
+
+const recentStmt = db.prepare(`
+SELECT COUNT(*) as n, MIN(created_at) as oldest FROM zip_downloads WHERE user_id = ? AND created_at >= ?
+`);
+const insertStmt = db.prepare(`
+INSERT INTO zip_downloads (id, user_id, source, source_ref, doc_count, created_at)
+VALUES (@id, @user_id, @source, @source_ref, @doc_count, @created_at)
+`);
+
+function zipError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Log a bundle for the user, or throw (status 429, retryAfter in seconds) when the hourly limit is used up.
+ */
+const reserveDownload = db.transaction((userId, { source, sourceRef, docCount }) => {
+  const now = Date.now();
+  if (DOWNLOADS_PER_HOUR) {
+    const recent = recentStmt.get(userId, new Date(now - HOUR_MS).toISOString());
+    if (recent.n >= DOWNLOADS_PER_HOUR) {
+      const err = zipError(`You can download ${DOWNLOADS_PER_HOUR} ZIP files per hour. Try again later.`, 429);
+      err.retryAfter = Math.max(1, Math.ceil((Date.parse(recent.oldest) + HOUR_MS - now) / 1000));
+      throw err;
+    }
+  }
+  insertStmt.run({
+    id: uuidv4(),
+    user_id: userId,
+    source,
+    source_ref: sourceRef || null,
+    doc_count: docCount,
+    created_at: new Date(now).toISOString()
+  });
+});
+
+// File name inside the archive: position, then the title without characters file systems reject
+function entryName(doc, position, width, used) {
+  const title = String(doc.title || 'document').replace(/[\u0000-\u001f\\/:*?"<>|]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 100) || 'document';
+  let name = `${String(position).padStart(width, '0')} - ${title}.pdf`;
+  for (let n = 2; used.has(name.toLowerCase()); n++) name = `${String(position).padStart(width, '0')} - ${title} (${n}).pdf`;
+  used.add(name.toLowerCase());
+  return name;
+}
+
+function archiveFileName(title) {
+  const slug = String(title || '').normalize('NFKD').replace(/[^\w\s-]+/g, '').trim().replace(/[\s_-]+/g, '-').slice(0, 60);
+  return `${slug || 'documents'}.zip`;
+}
+
+function indexText(bundle, packed, skipped) {
+  const lines = [bundle.title];
+  if (bundle.description) lines.push(bundle.description);
+  if (bundle.url) lines.push(bundle.url);
+  lines.push(`Downloaded ${bundle.generatedAt.replace('T', ' ').slice(0, 16)} UTC`, '');
+  packed.forEach(p => {
+    const details = [p.school, p.course, p.grade_level ? `Grade ${p.grade_level}` : '', p.tags].filter(Boolean).join(' · ');
+    lines.push(`${p.file}`, `    ${p.title}${details ? ` — ${details}` : ''}`, `    ${p.url}`);
+  });
+  if (!packed.length) lines.push('No documents could be included.');
+  if (skipped.length) {
+    lines.push('', 'Not included:');
+    skipped.forEach(s => lines.push(`  - ${s.title} (${s.reason})`));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Stream docs (full documents rows, visible to user) to res as a ZIP archive.
+ * bundle: { title, description, url, source: 'collection'|'search', sourceRef, baseUrl }
+ * Throws before anything is sent when the user is over the hourly limit or nothing can be packed.
+ */
+async function sendDocsZip(res, user, docs, bundle) {
+  const selected = [];
+  const skipped = [];
+  let bytes = 0;
+  for (const doc of docs) {
+    if (doc.status !== 'approved') {
+      skipped.push({ id: doc.id, title: doc.title, reason: 'not published' });
+    } else if (selected.length >= ZIP_MAX_DOCS) {
+      skipped.push({ id: doc.id, title: doc.title, reason: `only ${ZIP_MAX_DOCS} documents per ZIP` });
+    } else if (bytes + (doc.size || 0) > ZIP_MAX_BYTES) {
+      skipped.push({ id: doc.id, title: doc.title, reason: 'ZIP size limit reached' });
+    } else {
+      selected.push(doc);
+      bytes += doc.size || 0;
+    }
+  }
+  if (!selected.length) throw zipError('No published documents to download', 404);
+  reserveDownload(user.id, { source: bundle.source, sourceRef: bundle.sourceRef, docCount: selected.length });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${archiveFileName(bundle.title)}"`);
+  const zip = createZipWriter(res);
+  const generatedAt = new Date().toISOString();
+  const width = String(selected.length).length;
+  const used = new Set(['index.txt', 'manifest.json']);
+  const packed = [];
+
+  try {
+    for (const doc of selected) {
+      if (res.destroyed) return; // client went away
+      let buf;
+      try {
+        buf = await fetchPdf(doc);
+      } catch (e) {
+        console.error(`ZIP: could not fetch ${doc.id}`, e.message);
+        skipped.push({ id: doc.id, title: doc.title, reason: 'file unavailable' });
+        continue;
+      }
+      const file = entryName(doc, packed.length + 1, width, used);
+      await zip.addFile(file, buf, new Date(doc.created_at));
+      recordEvent(user, doc, 'download');
+      packed.push({
+        file,
+        id: doc.id,
+        title: doc.title,
+        school: doc.school || null,
+        course: doc.course || null,
+        grade_level: doc.grade_level || null,
+        tags: doc.tags || null,
+        uploaded_at: doc.created_at,
+        url: `${bundle.baseUrl}/docs/${doc.id}`
+      });
+    }
+
+    const info = Object.assign({ generatedAt }, bundle);
+    const manifest = {
+      title: bundle.title,
+      description: bundle.description || null,
+      url: bundle.url || null,
+      source: bundle.source,
+      generated_at: generatedAt,
+      documents: packed,
+      skipped
+    };
+    await zip.addFile('INDEX.txt', Buffer.from(indexText(info, packed, skipped), 'utf8'));
+    await zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2), 'utf8'));
+    await zip.finish();
+    res.end();
+  } catch (e) {
+    // Headers are out; all that is left is to cut the download short
+    console.error('ZIP download failed', e.message);
+    res.destroy();
+  }
+}
+
+module.exports = {
+  ZIP_MAX_DOCS,
+  DOWNLOADS_PER_HOUR,
+  sendDocsZip
+};
@@ -0,0 +1,179 @@
+/**
+ * Storage driver contract (src/storage): every driver must verify, put, get and remove the same way.
+ * Runs against the local driver (a temporary folder) and the S3 driver. The S3 driver talks to
+ * S3_TEST_ENDPOINT (e.g. a MinIO at http://localhost:9000 with S3_TEST_BUCKET, S3_ACCESS_KEY_ID and
+ * S3_SECRET_ACCESS_KEY) when set, otherwise to a small in-process S3 stand-in (startS3StandIn).
+ * The github driver needs a real repository and is not covered here.
+ *
+ * Run with: npm test
+ */
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-contract-'));
+const STAND_IN_BUCKET = 'contract-test';
+
+// Path-style S3 subset the driver uses: HEAD bucket, PUT/GET/DELETE object. Signatures are not checked.
+function startS3StandIn() {
+  const objects = new Map();
+  const server = http.createServer((req, res) => {
+    const [bucket, ...rest] = decodeURIComponent(new URL(req.url, 'http://stand-in').pathname).slice(1).split('/');
+    const key = rest.join('/');
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      if (bucket !== STAND_IN_BUCKET) {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        return res.end('<Error><Code>NoSuchBucket</Code><Message>No such bucket</Message></Error>');
+      }
+      if (!key && req.method === 'HEAD') return res.writeHead(200).end();
+      if (req.method === 'PUT') {
+        const body = Buffer.concat(chunks);
+        const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+        objects.set(key, body);
+        return res.writeHead(200, { ETag: etag }).end();
+      }
+      if (req.method === 'GET' && objects.has(key)) {
+        return res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': objects.get(key).length })
+          .end(objects.get(key));
+      }
+      if (req.method === 'GET') {
+        res.writeHead(404, { 'Content-Type': 'application/xml' });
+        return res.end('<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>');
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        return res.writeHead(204).end();
+      }
+      res.writeHead(405).end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+let standIn = null;
+
+before(async () => {
+  process.env.STORAGE_LOCAL_DIR = LOCAL_DIR;
+  if (process.env.S3_TEST_ENDPOINT) {
+    process.env.S3_ENDPOINT = process.env.S3_TEST_ENDPOINT;
+    process.env.S3_BUCKET = process.env.S3_TEST_BUCKET || STAND_IN_BUCKET;
+  } else {
+    standIn = await startS3StandIn();
+    process.env.S3_ENDPOINT = `http://127.0.0.1:${standIn.address().port}`;
+    process.env.S3_BUCKET = STAND_IN_BUCKET;
+    process.env.S3_ACCESS_KEY_ID = 'test';
+    process.env.S3_SECRET_ACCESS_KEY = 'test';
+  }
+  process.env.S3_FORCE_PATH_STYLE = 'true';
+});
+
+after(() => {
+  if (standIn) standIn.close();
+  fs.rmSync(LOCAL_DIR, { recursive: true, force: true });
+});
+
+function samplePdf(label) {
+  return Buffer.from(`%PDF-1.4\n% ${label} ${crypto.randomBytes(8).toString('hex')}\n%%EOF\n`);
+}
+
+for (const name of ['local', 's3']) {
+  describe(`${name} storage driver`, () => {
+    let driver;
+    const prefix = `pdfs/contract-${crypto.randomBytes(4).toString('hex')}`;
+
+    before(() => {
+      // Drivers read their configuration when first loaded, so only after the environment above is set
+      driver = require('../src/storage').getDriver(name);
+    });
+
+    test('is named after its backend', () => {
+      assert.equal(driver.name, name);
+    });
+
+    test('verify() accepts the configured location', async () => {
+      await driver.verify();
+    });
+
+    test('put() returns the key and get() returns the same bytes', async () => {
+      const key = `${prefix}/doc.pdf`;
+      const body = samplePdf('first');
+      const stored = await driver.put(key, body, { contentType: 'application/pdf', message: 'contract test' });
+      assert.equal(stored.key, key);
+      assert.equal(typeof stored.ref, 'string');
+      assert.ok(stored.ref.length > 0);
+      assert.deepEqual(await driver.get(key, stored.ref), body);
+    });
+
+    test('put() on an existing key replaces the file and changes the ref', async () => {
+      const key = `${prefix}/replaced.pdf`;
+      const first = await driver.put(key, samplePdf('old'), { contentType: 'application/pdf' });
+      const body = samplePdf('new');
+      const second = await driver.put(key, body, { contentType: 'application/pdf' });
+      assert.notEqual(second.ref, first.ref);
+      assert.deepEqual(await driver.get(key, second.ref), body);
+    });
+
+    test('keys keep their nested folders (revisions)', async () => {
+      const key = `${prefix}/v2/revision.pdf`;
+      const body = samplePdf('revision');
+      await driver.put(key, body, { contentType: 'application/pdf' });
+      assert.deepEqual(await driver.get(key), body);
+    });
+
+    test('remove() deletes the file', async () => {
+      const key = `${prefix}/removed.pdf`;
+      await driver.put(key, samplePdf('removed'), { contentType: 'application/pdf' });
+      await driver.remove(key);
+      await assert.rejects(driver.get(key));
+    });
+
+    test('remove() of a missing key does not fail', async () => {
+      await driver.remove(`${prefix}/never-stored.pdf`);
+    });
+
+    test('get() of a missing key rejects', async () => {
+      await assert.rejects(driver.get(`${prefix}/missing.pdf`));
+    });
+
+    after(async () => {
+      for (const file of ['doc.pdf', 'replaced.pdf', 'v2/revision.pdf']) await driver.remove(`${prefix}/${file}`);
+    });
+  });
+}
+
+test('local driver drops folders left empty by remove()', async () => {
+  const driver = require('../src/storage').getDriver('local');
+  await driver.put('pdfs/cleanup/v2/file.pdf', samplePdf('cleanup'));
+  await driver.put('pdfs/cleanup/file.pdf', samplePdf('cleanup'));
+  await driver.remove('pdfs/cleanup/file.pdf');
+  assert.ok(fs.existsSync(path.join(LOCAL_DIR, 'pdfs/cleanup/v2')));
+  await driver.remove('pdfs/cleanup/v2/file.pdf');
+  assert.equal(fs.existsSync(path.join(LOCAL_DIR, 'pdfs/cleanup')), false);
+  assert.ok(fs.existsSync(path.join(LOCAL_DIR, 'pdfs')));
+});
+
+test('local driver refuses keys outside its folder', async () => {
+  const driver = require('../src/storage').getDriver('local');
+  await assert.rejects(driver.put('../outside.pdf', samplePdf('outside')), /Invalid storage key/);
+});
+
+test('s3 driver reports a missing bucket as a configuration error', async () => {
+  // The bucket is read when the driver loads, so this loads a separate copy with another bucket
+  const modulePath = require.resolve('../src/storage/s3');
+  const bucket = process.env.S3_BUCKET;
+  delete require.cache[modulePath];
+  process.env.S3_BUCKET = 'no-such-bucket';
+  try {
+    await assert.rejects(require(modulePath).verify(), err => err.isConfigError === true);
+  } finally {
+    process.env.S3_BUCKET = bucket;
+    delete require.cache[modulePath];
+  }
+});